@@ -0,0 +1,1347 @@
+#!/usr/bin/env node
+/**
+ * Cloud Storage command-line client
+ * Talks to a running server over HTTP (--server), or opens the storage
+ * directory directly through a local CloudStorage instance.
+ * Run with: node cli.js <command> [options]
+ */
+
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var stream = require('stream');
+var CloudStorage = require('./index');
+
+var FILE_ID_PATTERN = /^[0-9a-f]{32}$/;
+var PART_SIZE = 8 * 1024 * 1024;
+var LIST_PAGE_SIZE = 1000;
+var PROGRESS_WIDTH = 24;
+
+/**
+ * Exit codes, by error code. Server errors without a code are mapped from
+ * their HTTP status in exitCodeFor.
+ */
+var EXIT_CODES = {
+    UsageError: 2,
+    NotFound: 3,
+    Unauthorized: 4,
+    InvalidRequest: 5,
+    QuotaExceeded: 6,
+    TooManyRequests: 7,
+    ConnectionFailed: 8
+};
+
+var BOOLEAN_FLAGS = {
+    '--json': 'json',
+    '--recursive': 'recursive',
+    '-r': 'recursive',
+    '--no-progress': 'noProgress',
+    '--help': 'help',
+    '-h': 'help'
+};
+
+var VALUE_FLAGS = {
+    '--server': 'server',
+    '--bucket': 'bucket',
+    '--output': 'output',
+    '--prefix': 'prefix',
+    '--out': 'out',
+    '--content-type': 'contentType',
+    '--metadata': 'metadata'
+};
+
+// Passed on to CloudStorage.loadServerConfig for credentials and the local storage directory
+var SERVER_FLAGS = ['--config', '--storage-path', '--upload-dir', '--api-key', '--api-secret',
+    '--master-key', '--region', '--log-level'];
+
+var USAGE = [
+    'Usage: node cli.js <command> [options]',
+    '',
+    'Commands:',
+    '  ls [prefix|pattern]           List files',
+    '  upload <path...>              Upload files; -r uploads directories',
+    '  download <file...>            Download files by ID, name or pattern; -r downloads a folder',
+    '  rm <file...>                  Delete files by ID, name or pattern; -r deletes a folder',
+    '  info <file>                   Show file information',
+    '  stats                         Show storage statistics',
+    '  serve [server options]        Start the HTTP server (see node index.js --help)',
+    '',
+    'Options:',
+    '  --server <url>                Use a running server (CLOUD_STORAGE_URL); without it the',
+    '                                storage directory is opened directly',
+    '  --bucket <name>               Bucket to work in (default: the default bucket)',
+    '  --output <table|json>         Output format (default: table); --json is short for json',
+    '  -r, --recursive               Upload directories, download or delete everything under a folder',
+    '  --prefix <folder>             Folder to upload into',
+    '  --out <dir>                   Directory to download into (default: current directory)',
+    '  --content-type <type>         Content type of uploaded files',
+    '  --metadata <json>             Metadata of uploaded files, as a JSON object',
+    '  --no-progress                 Do not show progress bars',
+    '  --config, --storage-path, --upload-dir, --api-key, --api-secret, --master-key,',
+    '  --region, --log-level         As for the server, and read from the same environment',
+    '',
+    'Patterns: * matches within a folder, ** across folders, ? one character.',
+    'Exit codes: 1 error, 2 usage, 3 not found, 4 unauthorized, 5 invalid request,',
+    '            6 quota exceeded, 7 rate limited, 8 server unreachable'
+].join('\n');
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Create an error with a code from EXIT_CODES
+ * @param {String} code - Error code
+ * @param {String} message - Error message
+ * @returns {Error} Error with code set
+ */
+function cliError(code, message) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Pick the exit code for an error from the server, the SDK or the CLI itself
+ * @param {Error} err - Error, with statusCode when it came from the server
+ * @returns {Number} Process exit code
+ */
+function exitCodeFor(err) {
+    var status = err.statusCode;
+    
+    if (EXIT_CODES[err.code]) return EXIT_CODES[err.code];
+    if (status === 404 || err.code === 'ENOENT' || (!status && /not found/i.test(err.message))) return EXIT_CODES.NotFound;
+    if (status === 401 || status === 403) return EXIT_CODES.Unauthorized;
+    if (status === 429) return EXIT_CODES.TooManyRequests;
+    if (status === 507) return EXIT_CODES.QuotaExceeded;
+    if ((status >= 400 && status < 500) || err.code === 'InvalidArgument' || err.code === 'UnsupportedMediaType') return EXIT_CODES.InvalidRequest;
+    
+    return 1;
+}
+
+// ============================================================================
+// Patterns
+// ============================================================================
+
+/**
+ * Check whether a name is a glob pattern
+ * @param {String} pattern - Name or pattern
+ * @returns {Boolean} True if it contains * or ?
+ */
+function hasWildcards(pattern) {
+    return /[*?]/.test(pattern);
+}
+
+/**
+ * The part of a pattern before its first wildcard
+ * @param {String} pattern - Glob pattern
+ * @returns {String} Fixed prefix
+ */
+function staticPrefix(pattern) {
+    return pattern.slice(0, pattern.search(/[*?]/));
+}
+
+/**
+ * Compile a glob pattern. '*' and '?' stay within a folder and '**' crosses
+ * folders; '**' followed by a slash also matches no folder at all.
+ * @param {String} pattern - Glob pattern
+ * @returns {RegExp} Expression matching whole names
+ */
+function globToRegExp(pattern) {
+    var source = '';
+    
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern.charAt(i);
+        
+        if (c === '*' && pattern.charAt(i + 1) === '*') {
+            if (pattern.charAt(i + 2) === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    
+    return new RegExp('^' + source + '$');
+}
+
+// ============================================================================
+// HTTP Client
+// ============================================================================
+
+/**
+ * Client for a running server
+ * @param {String} serverUrl - Server URL, such as http://localhost:3000
+ * @param {Object} config - apiKey, apiSecret and region to sign requests with
+ * @param {String} bucket - Bucket to work in (optional)
+ */
+function HttpClient(serverUrl, config, bucket) {
+    var parsed = url.parse(serverUrl);
+    
+    if (!/^https?:$/.test(parsed.protocol || '') || !parsed.hostname) {
+        throw cliError('UsageError', '--server must be an http or https URL');
+    }
+    
+    this.serverUrl = serverUrl;
+    this.transport = parsed.protocol === 'https:' ? https : http;
+    this.hostname = parsed.hostname;
+    this.port = parsed.port;
+    this.bucket = bucket || null;
+    this.credentials = {
+        apiKey: config.apiKey,
+        apiSecret: config.apiSecret,
+        region: config.region
+    };
+}
+
+/**
+ * Prefix a file route with the bucket, if one was chosen
+ * @private
+ */
+HttpClient.prototype._bucketPath = function(route) {
+    return this.bucket ? '/buckets/' + encodeURIComponent(this.bucket) + route : route;
+};
+
+/**
+ * Send a signed request
+ * @private
+ * @param {String} method - HTTP method
+ * @param {String} requestPath - Path with query string
+ * @param {Object} options - json (body to send as JSON), or stream and length (body to stream unsigned)
+ * @param {Function} callback - Callback function (err, res)
+ */
+HttpClient.prototype._request = function(method, requestPath, options, callback) {
+    var self = this;
+    var body = options.json !== undefined ? JSON.stringify(options.json) : undefined;
+    // A server without credentials takes unsigned requests
+    var headers = self.credentials.apiKey && self.credentials.apiSecret ?
+        CloudStorage.signRequest(self.credentials, method, requestPath, {
+            body: body,
+            payloadHash: options.stream ? 'UNSIGNED-PAYLOAD' : undefined
+        }) : {};
+    var done = false;
+    
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(body);
+    } else if (options.stream) {
+        headers['Content-Length'] = options.length;
+    }
+    
+    var req = self.transport.request({
+        hostname: self.hostname,
+        port: self.port,
+        method: method,
+        path: requestPath,
+        headers: headers
+    }, function(res) {
+        if (done) return res.resume();
+        done = true;
+        callback(null, res);
+    });
+    
+    req.on('error', function(err) {
+        if (done) return;
+        done = true;
+        
+        var failure = cliError('ConnectionFailed', 'Cannot reach server at ' + self.serverUrl + ': ' + err.message);
+        
+        failure.cause = err;
+        callback(failure);
+    });
+    
+    if (options.stream) {
+        options.stream.on('error', function(err) {
+            req.destroy(err);
+        });
+        
+        return options.stream.pipe(req);
+    }
+    
+    req.end(body);
+};
+
+/**
+ * Send a signed request and parse the JSON response. Error responses turn
+ * into errors carrying the server's message, code and statusCode.
+ * @private
+ */
+HttpClient.prototype._json = function(method, requestPath, options, callback) {
+    this._request(method, requestPath, options, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+        
+        readResponse(res, callback);
+    });
+};
+
+/**
+ * List one page of files
+ * @param {Object} query - prefix, limit, continuationToken
+ * @param {Function} callback - Callback function (err, result)
+ */
+HttpClient.prototype.list = function(query, callback) {
+    var params = Object.keys(query).filter(function(name) {
+        return query[name] !== undefined && query[name] !== null;
+    }).map(function(name) {
+        return encodeURIComponent(name) + '=' + encodeURIComponent(query[name]);
+    });
+    
+    this._json('GET', this._bucketPath('/list' + (params.length ? '?' + params.join('&') : '')), {}, function(err, body) {
+        callback(err, body && body.result);
+    });
+};
+
+/**
+ * Get file information
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+HttpClient.prototype.info = function(fileId, callback) {
+    this._json('GET', this._bucketPath('/info/' + encodeURIComponent(fileId)), {}, function(err, body) {
+        callback(err, body && body.info);
+    });
+};
+
+/**
+ * Get storage statistics
+ * @param {Function} callback - Callback function (err, stats)
+ */
+HttpClient.prototype.stats = function(callback) {
+    this._json('GET', this._bucketPath('/stats'), {}, function(err, body) {
+        callback(err, body && body.stats);
+    });
+};
+
+/**
+ * Delete a file
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function (err, result)
+ */
+HttpClient.prototype.remove = function(fileId, callback) {
+    this._json('DELETE', this._bucketPath('/delete/' + encodeURIComponent(fileId)), {}, function(err, body) {
+        callback(err, body && body.result);
+    });
+};
+
+/**
+ * Upload a local file as a resumable upload, which keeps folder names in
+ * fileName and sends large files in parts
+ * @param {String} filePath - Local file path
+ * @param {String} fileName - Name to store the file under
+ * @param {Object} options - contentType, metadata
+ * @param {Function} onProgress - Called with each number of bytes sent
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+HttpClient.prototype.upload = function(filePath, fileName, options, onProgress, callback) {
+    var self = this;
+    
+    fs.stat(filePath, function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self._json('POST', self._bucketPath('/uploads'), {
+            json: { fileName: fileName, contentType: options.contentType, metadata: options.metadata }
+        }, function(err, body) {
+            if (err) {
+                return callback(err);
+            }
+            
+            var uploadId = body.upload.uploadId;
+            var partCount = Math.max(1, Math.ceil(stats.size / PART_SIZE));
+            
+            function abort(err) {
+                self._json('DELETE', '/uploads/' + uploadId, {}, function() {
+                    callback(err);
+                });
+            }
+            
+            (function next(partNumber) {
+                if (partNumber > partCount) {
+                    return self._json('POST', '/uploads/' + uploadId + '/complete', { json: {} }, function(err, body) {
+                        if (err) {
+                            return abort(err);
+                        }
+                        
+                        callback(null, body.file);
+                    });
+                }
+                
+                var start = (partNumber - 1) * PART_SIZE;
+                var end = Math.min(start + PART_SIZE, stats.size);
+                var source = fs.createReadStream(filePath, { start: start, end: Math.max(start, end - 1) });
+                
+                // An empty file is sent as a single empty part
+                if (end === start) {
+                    source.destroy();
+                    source = stream.Readable.from([]);
+                }
+                
+                source.on('data', function(chunk) {
+                    onProgress(chunk.length);
+                });
+                
+                self._json('PUT', '/uploads/' + uploadId + '/parts/' + partNumber, {
+                    stream: source,
+                    length: end - start
+                }, function(err) {
+                    if (err) {
+                        return abort(err);
+                    }
+                    
+                    next(partNumber + 1);
+                });
+            })(1);
+        });
+    });
+};
+
+/**
+ * Download a file to a local path
+ * @param {String} fileId - File ID
+ * @param {String} destinationPath - Local destination path
+ * @param {Function} onProgress - Called with the total size once known, then each number of bytes received
+ * @param {Function} callback - Callback function (err, size)
+ */
+HttpClient.prototype.download = function(fileId, destinationPath, onProgress, callback) {
+    this._request('GET', this._bucketPath('/download/' + encodeURIComponent(fileId)), {}, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (res.statusCode !== 200) {
+            return readResponse(res, callback);
+        }
+        
+        writeDownload(res, destinationPath, parseInt(res.headers['content-length'], 10) || 0, onProgress, callback);
+    });
+};
+
+/**
+ * Read a JSON response, turning error statuses into errors
+ * @private
+ */
+function readResponse(res, callback) {
+    var chunks = [];
+    
+    res.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    res.on('error', callback);
+    
+    res.on('end', function() {
+        var body = {};
+        
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+        } catch (e) {
+            body = { error: 'Invalid response from server (HTTP ' + res.statusCode + ')' };
+        }
+        
+        if (res.statusCode >= 400) {
+            var err = new Error(body.error || 'Request failed with HTTP ' + res.statusCode);
+            
+            err.code = body.code;
+            err.statusCode = res.statusCode;
+            return callback(err);
+        }
+        
+        callback(null, body);
+    });
+}
+
+/**
+ * Write a download stream to disk, removing the partial file on failure
+ * @private
+ */
+function writeDownload(source, destinationPath, size, onProgress, callback) {
+    var finished = false;
+    
+    function finish(err) {
+        if (finished) return;
+        finished = true;
+        
+        if (err) {
+            source.destroy();
+            return fs.unlink(destinationPath, function() {
+                callback(err);
+            });
+        }
+        
+        callback(null, received);
+    }
+    
+    var received = 0;
+    var output = fs.createWriteStream(destinationPath);
+    
+    onProgress(0, size);
+    
+    source.on('data', function(chunk) {
+        received += chunk.length;
+        onProgress(chunk.length);
+    });
+    
+    source.on('error', finish);
+    output.on('error', finish);
+    output.on('finish', function() {
+        finish(null);
+    });
+    
+    source.pipe(output);
+}
+
+// ============================================================================
+// Local Client
+// ============================================================================
+
+/**
+ * Client for a storage directory opened in this process
+ * @param {CloudStorage} storage - Storage instance
+ * @param {String} bucket - Bucket to work in (optional)
+ */
+function LocalClient(storage, bucket) {
+    this.storage = storage;
+    this.bucket = bucket || undefined;
+}
+
+/**
+ * List one page of files
+ * @param {Object} query - prefix, limit, continuationToken
+ * @param {Function} callback - Callback function (err, result)
+ */
+LocalClient.prototype.list = function(query, callback) {
+    this.storage.list({
+        bucket: this.bucket,
+        prefix: query.prefix,
+        limit: query.limit,
+        continuationToken: query.continuationToken
+    }, callback);
+};
+
+/**
+ * Get file information
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+LocalClient.prototype.info = function(fileId, callback) {
+    var self = this;
+    
+    self.storage.getFileInfo(fileId, function(err, info) {
+        if (!err && self.bucket && info.bucket !== self.bucket) {
+            return callback(cliError('NotFound', 'File not found'));
+        }
+        
+        callback(err, info);
+    });
+};
+
+/**
+ * Get storage statistics
+ * @param {Function} callback - Callback function (err, stats)
+ */
+LocalClient.prototype.stats = function(callback) {
+    this.storage.getStats({ bucket: this.bucket }, callback);
+};
+
+/**
+ * Delete a file
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function (err, result)
+ */
+LocalClient.prototype.remove = function(fileId, callback) {
+    this.storage.delete(fileId, callback);
+};
+
+/**
+ * Upload a local file
+ * @param {String} filePath - Local file path
+ * @param {String} fileName - Name to store the file under
+ * @param {Object} options - contentType, metadata
+ * @param {Function} onProgress - Called with each number of bytes read
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+LocalClient.prototype.upload = function(filePath, fileName, options, onProgress, callback) {
+    var source = fs.createReadStream(filePath);
+    var output = this.storage.createWriteStream(fileName, {
+        bucket: this.bucket,
+        contentType: options.contentType,
+        metadata: options.metadata
+    });
+    var finished = false;
+    
+    function finish(err) {
+        if (finished) return;
+        finished = true;
+        
+        if (err) {
+            source.destroy();
+            output.destroy();
+            return callback(err);
+        }
+        
+        callback(null, output.fileInfo);
+    }
+    
+    source.on('data', function(chunk) {
+        onProgress(chunk.length);
+    });
+    
+    source.on('error', finish);
+    output.on('error', finish);
+    output.on('finish', function() {
+        finish(null);
+    });
+    
+    source.pipe(output);
+};
+
+/**
+ * Download a file to a local path
+ * @param {String} fileId - File ID
+ * @param {String} destinationPath - Local destination path
+ * @param {Function} onProgress - Called with the total size once known, then each number of bytes read
+ * @param {Function} callback - Callback function (err, size)
+ */
+LocalClient.prototype.download = function(fileId, destinationPath, onProgress, callback) {
+    var self = this;
+    
+    self.info(fileId, function(err, info) {
+        if (err) {
+            return callback(err);
+        }
+        
+        writeDownload(self.storage.createReadStream(fileId), destinationPath, info.size, onProgress, callback);
+    });
+};
+
+// ============================================================================
+// Output
+// ============================================================================
+
+/**
+ * Format a byte count for people
+ * @param {Number} bytes - Byte count
+ * @returns {String} Size such as '1.5 MB'
+ */
+function formatSize(bytes) {
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    var value = bytes || 0;
+    var unit = 0;
+    
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    
+    return (unit === 0 ? String(value) : value.toFixed(1)) + ' ' + units[unit];
+}
+
+/**
+ * Pad a string to a width
+ * @private
+ */
+function pad(value, width, right) {
+    var text = String(value);
+    var fill = new Array(Math.max(0, width - text.length) + 1).join(' ');
+    
+    return right ? fill + text : text + fill;
+}
+
+/**
+ * Render rows as a table with a header line
+ * @param {Array} rows - Rows
+ * @param {Array} columns - [{ title, value(row), right }]
+ * @returns {String} Table text
+ */
+function formatTable(rows, columns) {
+    var cells = rows.map(function(row) {
+        return columns.map(function(column) {
+            return String(column.value(row));
+        });
+    });
+    var widths = columns.map(function(column, i) {
+        return cells.reduce(function(width, line) {
+            return Math.max(width, line[i].length);
+        }, column.title.length);
+    });
+    
+    return [columns.map(function(column) { return column.title; })].concat(cells).map(function(line) {
+        return line.map(function(cell, i) {
+            return i === line.length - 1 ? cell : pad(cell, widths[i], columns[i].right);
+        }).join('  ');
+    }).join('\n');
+}
+
+/**
+ * Render an object as aligned key/value lines
+ * @param {Object} object - Values to show
+ * @returns {String} Text
+ */
+function formatFields(object) {
+    var keys = Object.keys(object).filter(function(key) {
+        return object[key] !== undefined && object[key] !== null;
+    });
+    var width = keys.reduce(function(max, key) {
+        return Math.max(max, key.length);
+    }, 0);
+    
+    return keys.map(function(key) {
+        var value = object[key];
+        
+        return pad(key + ':', width + 1) + ' ' + (typeof value === 'object' ? JSON.stringify(value) : value);
+    }).join('\n');
+}
+
+/**
+ * Progress bar for one transfer, drawn on stderr
+ * @param {String} label - File name to show
+ * @param {Number} total - Total bytes
+ * @param {Boolean} enabled - Whether to draw anything
+ */
+function Progress(label, total, enabled) {
+    this.label = label.length > 30 ? '...' + label.slice(-27) : label;
+    this.total = total;
+    this.current = 0;
+    this.enabled = enabled;
+    this.drawnAt = 0;
+}
+
+/**
+ * Add transferred bytes, redrawing at most ten times a second
+ * @param {Number} bytes - Bytes transferred since the last update
+ */
+Progress.prototype.update = function(bytes) {
+    var now = Date.now();
+    
+    this.current += bytes;
+    
+    if (this.enabled && now - this.drawnAt >= 100) {
+        this.drawnAt = now;
+        this._draw();
+    }
+};
+
+/**
+ * Remove the bar once the transfer is over
+ */
+Progress.prototype.done = function() {
+    if (this.enabled && this.drawnAt) {
+        process.stderr.write('\r\x1b[K');
+    }
+};
+
+/**
+ * @private
+ */
+Progress.prototype._draw = function() {
+    var ratio = this.total ? Math.min(1, this.current / this.total) : 1;
+    var filled = Math.round(ratio * PROGRESS_WIDTH);
+    
+    process.stderr.write('\r\x1b[K' + pad(this.label, 30) + ' [' +
+        new Array(filled + 1).join('#') + new Array(PROGRESS_WIDTH - filled + 1).join('.') + '] ' +
+        pad(Math.floor(ratio * 100) + '%', 4, true) + ' ' + formatSize(this.current) + ' / ' + formatSize(this.total));
+};
+
+// ============================================================================
+// File Selection
+// ============================================================================
+
+/**
+ * List every file under a prefix, following continuation tokens
+ * @param {Object} client - HttpClient or LocalClient
+ * @param {String} prefix - Name prefix
+ * @param {Function} callback - Callback function (err, files)
+ */
+function listAll(client, prefix, callback) {
+    var files = [];
+    
+    (function next(token) {
+        client.list({ prefix: prefix, limit: LIST_PAGE_SIZE, continuationToken: token }, function(err, page) {
+            if (err) {
+                return callback(err);
+            }
+            
+            files = files.concat(page.files);
+            
+            if (!page.isTruncated) {
+                return callback(null, files);
+            }
+            
+            next(page.nextToken);
+        });
+    })(undefined);
+}
+
+/**
+ * Resolve file arguments to stored files. An argument is a file ID, a
+ * pattern, or an exact name; with recursive it also takes every file in
+ * the folder of that name.
+ * @param {Object} client - HttpClient or LocalClient
+ * @param {Array} args - File arguments
+ * @param {Boolean} recursive - Whether names select folders too
+ * @param {Function} callback - Callback function (err, files)
+ */
+function resolveRemote(client, args, recursive, callback) {
+    var selected = [];
+    var seen = {};
+    
+    function add(files) {
+        files.forEach(function(file) {
+            if (!seen[file.fileId]) {
+                seen[file.fileId] = true;
+                selected.push(file);
+            }
+        });
+    }
+    
+    (function next(i) {
+        if (i === args.length) {
+            return callback(null, selected);
+        }
+        
+        var arg = args[i];
+        
+        if (FILE_ID_PATTERN.test(arg)) {
+            return client.info(arg, function(err, info) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                add([info]);
+                next(i + 1);
+            });
+        }
+        
+        var folder = arg.replace(/\/?$/, '/');
+        var pattern = hasWildcards(arg) ? globToRegExp(arg) : null;
+        
+        listAll(client, pattern ? staticPrefix(arg) : arg, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            var matches = files.filter(function(file) {
+                if (pattern) return pattern.test(file.fileName);
+                return file.fileName === arg || (recursive && file.fileName.indexOf(folder) === 0);
+            });
+            
+            if (matches.length === 0) {
+                return callback(cliError('NotFound', 'No files match "' + arg + '"'));
+            }
+            
+            add(matches);
+            next(i + 1);
+        });
+    })(0);
+}
+
+/**
+ * Every file below a local directory, as paths relative to it
+ * @param {String} dir - Directory
+ * @param {Function} callback - Callback function (err, relativePaths)
+ */
+function walkFiles(dir, callback) {
+    var found = [];
+    
+    (function visit(relative, done) {
+        fs.readdir(path.join(dir, relative), function(err, names) {
+            if (err) {
+                return done(err);
+            }
+            
+            (function next(i) {
+                if (i === names.length) {
+                    return done(null);
+                }
+                
+                var child = relative ? relative + '/' + names[i] : names[i];
+                
+                fs.stat(path.join(dir, child), function(err, stats) {
+                    if (err) {
+                        return done(err);
+                    }
+                    
+                    if (stats.isDirectory()) {
+                        return visit(child, function(err) {
+                            if (err) return done(err);
+                            next(i + 1);
+                        });
+                    }
+                    
+                    if (stats.isFile()) {
+                        found.push(child);
+                    }
+                    
+                    next(i + 1);
+                });
+            })(0);
+        });
+    })('', function(err) {
+        callback(err, found.sort());
+    });
+}
+
+/**
+ * Resolve upload arguments to local files and the names to store them under.
+ * A file keeps its base name, a directory (with recursive) its own name plus
+ * each file's path inside it, and a pattern match its path below the
+ * pattern's fixed directory.
+ * @param {Array} args - Local paths or patterns
+ * @param {Boolean} recursive - Whether directories may be uploaded
+ * @param {Function} callback - Callback function (err, [{ path, name }])
+ */
+function resolveLocal(args, recursive, callback) {
+    var selected = [];
+    
+    (function next(i) {
+        if (i === args.length) {
+            return callback(null, selected);
+        }
+        
+        var arg = args[i].split(path.sep).join('/');
+        
+        if (hasWildcards(arg)) {
+            var base = staticPrefix(arg).replace(/[^\/]*$/, '');
+            var pattern = globToRegExp(arg.slice(base.length));
+            
+            return walkFiles(base || '.', function(err, files) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                var matches = files.filter(function(file) {
+                    return pattern.test(file);
+                });
+                
+                if (matches.length === 0) {
+                    return callback(cliError('NotFound', 'No files match "' + arg + '"'));
+                }
+                
+                matches.forEach(function(file) {
+                    selected.push({ path: path.join(base || '.', file), name: file });
+                });
+                next(i + 1);
+            });
+        }
+        
+        fs.stat(arg, function(err, stats) {
+            if (err) {
+                return callback(err.code === 'ENOENT' ? cliError('NotFound', 'No such file or directory: ' + arg) : err);
+            }
+            
+            if (!stats.isDirectory()) {
+                selected.push({ path: arg, name: path.basename(arg) });
+                return next(i + 1);
+            }
+            
+            if (!recursive) {
+                return callback(cliError('UsageError', arg + ' is a directory (use -r to upload it)'));
+            }
+            
+            var dirName = path.basename(path.resolve(arg));
+            
+            walkFiles(arg, function(err, files) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                files.forEach(function(file) {
+                    selected.push({ path: path.join(arg, file), name: dirName + '/' + file });
+                });
+                next(i + 1);
+            });
+        });
+    })(0);
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Each command gets the parsed invocation and calls back with the value to
+ * print as JSON and the text to print as a table
+ */
+var COMMANDS = {
+    ls: function(ctx, callback) {
+        var arg = ctx.args[0] || '';
+        var pattern = hasWildcards(arg) ? globToRegExp(arg) : null;
+        
+        listAll(ctx.client, pattern ? staticPrefix(arg) : arg, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            if (pattern) {
+                files = files.filter(function(file) {
+                    return pattern.test(file.fileName);
+                });
+            }
+            
+            callback(null, files, files.length === 0 ? 'No files' : formatTable(files, [
+                { title: 'SIZE', value: function(file) { return formatSize(file.size); }, right: true },
+                { title: 'UPLOADED', value: function(file) { return file.uploadedAt.replace('T', ' ').slice(0, 19); } },
+                { title: 'ID', value: function(file) { return file.fileId; } },
+                { title: 'NAME', value: function(file) { return file.fileName; } }
+            ]));
+        });
+    },
+    
+    upload: function(ctx, callback) {
+        var options = { contentType: ctx.options.contentType };
+        var prefix = ctx.options.prefix ? ctx.options.prefix.replace(/\/?$/, '/') : '';
+        
+        if (ctx.args.length === 0) {
+            return callback(cliError('UsageError', 'upload needs at least one path'));
+        }
+        
+        if (ctx.options.metadata) {
+            try {
+                options.metadata = JSON.parse(ctx.options.metadata);
+            } catch (e) {
+                return callback(cliError('UsageError', '--metadata must be a JSON object'));
+            }
+        }
+        
+        resolveLocal(ctx.args, ctx.options.recursive, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            transferEach(ctx, files, function(file, progress, done) {
+                fs.stat(file.path, function(err, stats) {
+                    if (err) {
+                        return done(err);
+                    }
+                    
+                    progress.total = stats.size;
+                    ctx.client.upload(file.path, prefix + file.name, options, function(bytes) {
+                        progress.update(bytes);
+                    }, done);
+                });
+            }, function(file, info) {
+                return 'Uploaded ' + file.path + ' -> ' + info.fileName + ' (' + formatSize(info.size) + ', ' + info.fileId + ')';
+            }, callback);
+        });
+    },
+    
+    download: function(ctx, callback) {
+        var outDir = path.resolve(ctx.options.out || '.');
+        
+        if (ctx.args.length === 0) {
+            return callback(cliError('UsageError', 'download needs at least one file'));
+        }
+        
+        resolveRemote(ctx.client, ctx.args, ctx.options.recursive, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            transferEach(ctx, files, function(file, progress, done) {
+                var target = path.resolve(outDir, file.fileName);
+                
+                // Names are relative to the output directory and never leave it
+                if (target.indexOf(outDir + path.sep) !== 0) {
+                    return done(cliError('InvalidRequest', 'Refusing to write ' + file.fileName + ' outside ' + outDir));
+                }
+                
+                fs.mkdir(path.dirname(target), { recursive: true }, function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    
+                    ctx.client.download(file.fileId, target, function(bytes, total) {
+                        if (total !== undefined) progress.total = total;
+                        progress.update(bytes);
+                    }, function(err, size) {
+                        done(err, { fileId: file.fileId, fileName: file.fileName, path: target, size: size });
+                    });
+                });
+            }, function(file, result) {
+                return 'Downloaded ' + result.fileName + ' -> ' + result.path + ' (' + formatSize(result.size) + ')';
+            }, callback);
+        });
+    },
+    
+    rm: function(ctx, callback) {
+        if (ctx.args.length === 0) {
+            return callback(cliError('UsageError', 'rm needs at least one file'));
+        }
+        
+        resolveRemote(ctx.client, ctx.args, ctx.options.recursive, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            var results = [];
+            
+            (function next(i) {
+                if (i === files.length) {
+                    return callback(null, results, results.map(function(result) {
+                        return 'Deleted ' + result.fileName + ' (' + result.fileId + ')';
+                    }).join('\n'));
+                }
+                
+                ctx.client.remove(files[i].fileId, function(err) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    
+                    results.push({ fileId: files[i].fileId, fileName: files[i].fileName, deleted: true });
+                    next(i + 1);
+                });
+            })(0);
+        });
+    },
+    
+    info: function(ctx, callback) {
+        if (ctx.args.length !== 1) {
+            return callback(cliError('UsageError', 'info needs exactly one file'));
+        }
+        
+        resolveRemote(ctx.client, ctx.args, false, function(err, files) {
+            if (err) {
+                return callback(err);
+            }
+            
+            ctx.client.info(files[0].fileId, function(err, info) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                var fields = {};
+                
+                Object.keys(info).forEach(function(key) {
+                    fields[key] = key === 'size' ? formatSize(info.size) + ' (' + info.size + ' bytes)' : info[key];
+                });
+                
+                callback(null, info, formatFields(fields));
+            });
+        });
+    },
+    
+    stats: function(ctx, callback) {
+        ctx.client.stats(function(err, stats) {
+            if (err) {
+                return callback(err);
+            }
+            
+            var fields = {};
+            
+            Object.keys(stats).forEach(function(key) {
+                fields[key] = /size|savings/i.test(key) ? formatSize(stats[key]) : stats[key];
+            });
+            
+            callback(null, stats, formatFields(fields));
+        });
+    }
+};
+
+/**
+ * Run a transfer for each file in turn with a progress bar, stopping at the
+ * first failure
+ * @private
+ * @param {Object} ctx - Invocation
+ * @param {Array} files - Files to transfer
+ * @param {Function} transfer - (file, progress, done(err, result))
+ * @param {Function} describe - (file, result) -> line for table output
+ * @param {Function} callback - Callback function (err, results, text)
+ */
+function transferEach(ctx, files, transfer, describe, callback) {
+    var results = [];
+    var lines = [];
+    
+    (function next(i) {
+        if (i === files.length) {
+            return callback(null, results, lines.join('\n'));
+        }
+        
+        var file = files[i];
+        var progress = new Progress(file.name || file.fileName, 0, ctx.showProgress);
+        
+        transfer(file, progress, function(err, result) {
+            progress.done();
+            
+            if (err) {
+                return callback(err);
+            }
+            
+            results.push(result);
+            lines.push(describe(file, result));
+            
+            // Show finished transfers as they happen rather than all at the end
+            if (!ctx.json) {
+                process.stdout.write(lines[lines.length - 1] + '\n');
+            }
+            
+            next(i + 1);
+        });
+    })(0);
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+/**
+ * Split command-line arguments into the command, its arguments, CLI options
+ * and server options
+ * @param {Array} argv - Arguments, without node and the script
+ * @returns {Object} { command, args, options, serverArgs }
+ */
+function parseArgs(argv) {
+    var parsed = { command: null, args: [], options: {}, serverArgs: [] };
+    
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        
+        // Everything after serve belongs to the server
+        if (parsed.command === 'serve') {
+            parsed.args.push(arg);
+            continue;
+        }
+        
+        var eq = arg.indexOf('=');
+        var name = arg.indexOf('--') === 0 && eq !== -1 ? arg.slice(0, eq) : arg;
+        var inline = name !== arg ? arg.slice(eq + 1) : undefined;
+        
+        if (BOOLEAN_FLAGS[name]) {
+            parsed.options[BOOLEAN_FLAGS[name]] = true;
+            continue;
+        }
+        
+        if (VALUE_FLAGS[name] || SERVER_FLAGS.indexOf(name) !== -1) {
+            var value = inline !== undefined ? inline : argv[++i];
+            
+            if (value === undefined) {
+                throw cliError('UsageError', 'Missing value for ' + name);
+            }
+            
+            if (VALUE_FLAGS[name]) {
+                parsed.options[VALUE_FLAGS[name]] = value;
+            } else {
+                parsed.serverArgs.push(name, value);
+            }
+            continue;
+        }
+        
+        if (arg.charAt(0) === '-' && arg !== '-') {
+            throw cliError('UsageError', 'Unknown option: ' + name);
+        }
+        
+        if (parsed.command === null) {
+            parsed.command = arg;
+        } else {
+            parsed.args.push(arg);
+        }
+    }
+    
+    return parsed;
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments, without node and the script
+ * @param {Object} env - Environment variables
+ * @param {Function} callback - Callback function (exitCode)
+ */
+function main(argv, env, callback) {
+    var parsed;
+    var client;
+    
+    function fail(err) {
+        process.stderr.write('cloud-storage: ' + err.message + '\n');
+        
+        if (err.code === 'UsageError') {
+            process.stderr.write('Run with --help for usage\n');
+        }
+        
+        callback(exitCodeFor(err));
+    }
+    
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        return fail(err);
+    }
+    
+    if (parsed.options.help || parsed.command === null) {
+        process.stdout.write(USAGE + '\n');
+        return callback(parsed.command === null && !parsed.options.help ? EXIT_CODES.UsageError : 0);
+    }
+    
+    if (parsed.command === 'serve') {
+        try {
+            CloudStorage.runServer(CloudStorage.loadServerConfig(parsed.args, env));
+        } catch (err) {
+            return fail(cliError('UsageError', err.message));
+        }
+        return;
+    }
+    
+    if (!COMMANDS[parsed.command]) {
+        return fail(cliError('UsageError', 'Unknown command: ' + parsed.command));
+    }
+    
+    var output = parsed.options.json ? 'json' : parsed.options.output || 'table';
+    
+    if (output !== 'table' && output !== 'json') {
+        return fail(cliError('UsageError', '--output must be table or json'));
+    }
+    
+    try {
+        var config = CloudStorage.loadServerConfig(parsed.serverArgs, env);
+        var server = parsed.options.server || env.CLOUD_STORAGE_URL;
+        
+        if (server) {
+            client = new HttpClient(server, config, parsed.options.bucket);
+        } else {
+            // The SDK's own progress messages would only clutter the output
+            config.logLevel = config.logLevel || 'warn';
+            client = new LocalClient(new CloudStorage(config), parsed.options.bucket);
+        }
+    } catch (err) {
+        return fail(err.code ? err : cliError('UsageError', err.message));
+    }
+    
+    var ctx = {
+        client: client,
+        args: parsed.args,
+        options: parsed.options,
+        json: output === 'json',
+        showProgress: output === 'table' && !parsed.options.noProgress && !!process.stderr.isTTY
+    };
+    
+    COMMANDS[parsed.command](ctx, function(err, result, text) {
+        if (err) {
+            return fail(err);
+        }
+        
+        if (ctx.json) {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        } else if (parsed.command !== 'upload' && parsed.command !== 'download') {
+            process.stdout.write(text + '\n');
+        }
+        
+        callback(0);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2), process.env, function(exitCode) {
+        process.exitCode = exitCode;
+    });
+}
@@ -1,7 +1,8 @@
 /**
  * Cloud Storage SDK with HTTP Server
  * Standalone implementation - everything in one file
- * Run with: node cloud-storage-server.js
+ * Use as a library: var CloudStorage = require('./index');
+ * Run the server with: node index.js [--port 3000] [--config config.json]
  */
 
 var fs = require('fs');
@@ -11,6 +12,114 @@ var http = require('http');
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var url = require('url');
+var stream = require('stream');
+var zlib = require('zlib');
+
+var INDEX_FILE_NAME = '.index.json';
+var INDEX_VERSION = 1;
+var SIDECAR_SUFFIX = '.meta.json';
+var BUCKET_FILE_NAME = '.bucket.json';
+var BUCKET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,62}$/;
+// Control characters (C0, DEL, C1) and unpaired surrogates, which no file or folder name may hold
+var UNPRINTABLE_PATTERN = /[\x00-\x1f\x7f-\x9f]|[\ud800-\udbff](?![\udc00-\udfff])|(?:^|[^\ud800-\udbff])[\udc00-\udfff]/;
+var PARTIAL_SUFFIX = '.part';
+var MAX_RANGES = 100;
+var AUTH_ALGORITHM = 'CS1-HMAC-SHA256';
+var AUTH_SCOPE_TERMINATOR = 'cs1_request';
+var UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+var MAX_LINK_EXPIRY = 7 * 24 * 60 * 60;
+var EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+var FILE_ID_PATTERN = /^[0-9a-f]{32}$/;
+var UPLOAD_ID_PATTERN = /^[0-9a-f]{32}$/;
+var UPLOAD_SESSION_FILE = 'session.json';
+var MAX_PART_NUMBER = 10000;
+var ENCRYPTION_ALGORITHM = 'AES-256-GCM';
+var INDEXED_FIELDS = ['fileName', 'size', 'contentType', 'hash', 'uploadedAt', 'updatedAt', 'expiresAt'];
+var QUERY_OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+var WEBHOOKS_FILE_NAME = '.webhooks.json';
+var WEBHOOK_EVENTS = ['upload', 'download', 'delete', 'copy', 'move', 'metadataUpdate', 'restore'];
+var WEBHOOK_LOG_LIMIT = 1000;
+var WEBHOOK_DEAD_LETTER_LIMIT = 1000;
+// Delivery outcomes finishing within this many ms share one write of the webhook file
+var WEBHOOK_LOG_SAVE_DELAY = 1000;
+var LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+var SNIFF_LENGTH = 512;
+var DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+var INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+    'audio/*', 'video/*', 'text/plain', 'application/pdf'];
+var CONTENT_TYPES = {
+    txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', html: 'text/html', htm: 'text/html',
+    css: 'text/css', js: 'text/javascript', mjs: 'text/javascript', json: 'application/json', log: 'text/plain',
+    xml: 'application/xml', svg: 'image/svg+xml', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg',
+    gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', heic: 'image/heic', bmp: 'image/bmp',
+    ico: 'image/x-icon', tif: 'image/tiff', tiff: 'image/tiff', pdf: 'application/pdf',
+    zip: 'application/zip', gz: 'application/gzip', tar: 'application/x-tar', '7z': 'application/x-7z-compressed',
+    rar: 'application/vnd.rar', xz: 'application/x-xz', mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg',
+    oga: 'audio/ogg', flac: 'audio/flac', m4a: 'audio/mp4', aac: 'audio/aac', mp4: 'video/mp4', m4v: 'video/mp4',
+    mov: 'video/quicktime', webm: 'video/webm', mkv: 'video/x-matroska', avi: 'video/x-msvideo',
+    woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf', wasm: 'application/wasm',
+    exe: 'application/x-msdownload', dll: 'application/x-msdownload', msi: 'application/x-msi',
+    sh: 'text/x-shellscript', bat: 'application/x-bat', jar: 'application/java-archive',
+    apk: 'application/vnd.android.package-archive', rtf: 'application/rtf', epub: 'application/epub+zip',
+    doc: 'application/msword', xls: 'application/vnd.ms-excel', ppt: 'application/vnd.ms-powerpoint',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    odt: 'application/vnd.oasis.opendocument.text', ods: 'application/vnd.oasis.opendocument.spreadsheet'
+};
+// Leading bytes of common formats: [offset, hex] pairs that must all match, most specific first
+var MAGIC_NUMBERS = [
+    { type: 'image/png', match: [[0, '89504e470d0a1a0a']] },
+    { type: 'image/jpeg', match: [[0, 'ffd8ff']] },
+    { type: 'image/gif', match: [[0, '47494638']] },
+    { type: 'image/webp', match: [[0, '52494646'], [8, '57454250']] },
+    { type: 'audio/wav', match: [[0, '52494646'], [8, '57415645']] },
+    { type: 'video/x-msvideo', match: [[0, '52494646'], [8, '41564920']] },
+    { type: 'image/avif', match: [[4, '6674797061766966']] },
+    { type: 'image/heic', match: [[4, '6674797068656963']] },
+    { type: 'video/quicktime', match: [[4, '6674797071742020']] },
+    { type: 'video/mp4', match: [[4, '66747970']] },
+    { type: 'image/tiff', match: [[0, '49492a00']] },
+    { type: 'image/tiff', match: [[0, '4d4d002a']] },
+    { type: 'application/pdf', match: [[0, '255044462d']] },
+    { type: 'application/zip', match: [[0, '504b0304']] },
+    { type: 'application/gzip', match: [[0, '1f8b']] },
+    { type: 'application/x-7z-compressed', match: [[0, '377abcaf271c']] },
+    { type: 'application/vnd.rar', match: [[0, '526172211a07']] },
+    { type: 'application/x-xz', match: [[0, 'fd377a585a00']] },
+    { type: 'audio/mpeg', match: [[0, '494433']] },
+    { type: 'audio/ogg', match: [[0, '4f676753']] },
+    { type: 'audio/flac', match: [[0, '664c6143']] },
+    { type: 'video/webm', match: [[0, '1a45dfa3']] },
+    { type: 'font/woff', match: [[0, '774f4646']] },
+    { type: 'font/woff2', match: [[0, '774f4632']] },
+    { type: 'application/wasm', match: [[0, '0061736d']] },
+    { type: 'application/x-executable', match: [[0, '7f454c46']] },
+    { type: 'application/x-msdownload', match: [[0, '4d5a']] },
+    { type: 'text/x-shellscript', match: [[0, '2321']] }
+];
+var QUARANTINE_DIR_NAME = 'quarantine';
+// Leftover files younger than this may belong to an upload still in progress
+var SCRUB_GRACE_PERIOD = 10 * 60 * 1000;
+// Types the image codecs can decode into thumbnails
+var THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'];
+var THUMBNAIL_DEFAULT_SIZE = 200;
+var THUMBNAIL_MAX_SIZE = 1024;
+var THUMBNAIL_QUALITY = 80;
+// Bytes read to find the dimensions of images stored before they were recorded
+var IMAGE_PROBE_LENGTH = 256 * 1024;
+// Algorithms for compression at rest and of responses, the one the server prefers first
+var COMPRESSION_ALGORITHMS = ['br', 'gzip'];
+// Types compressed at rest; most others (images, audio, video, archives) are compressed already
+var COMPRESSIBLE_TYPES = [
+    'text/*', 'application/json', 'application/xml', 'application/javascript', 'application/x-ndjson',
+    'application/yaml', 'application/sql', 'image/svg+xml', 'image/bmp'
+];
+// Brotli's default quality of 11 is too slow to compress uploads and responses as they stream
+var BROTLI_OPTIONS = { params: {} };
+BROTLI_OPTIONS.params[zlib.constants.BROTLI_PARAM_QUALITY] = 5;
+// JSON responses smaller than this are sent as they are
+var COMPRESSION_THRESHOLD = 1024;
 
 // ============================================================================
 // CloudStorage Class Definition
@@ -26,26 +135,143 @@ function CloudStorage(config) {
     this.config = {
         apiKey: config.apiKey || '',
         apiSecret: config.apiSecret || '',
-        bucketName: config.bucketName || '',
+        bucketName: config.bucketName || 'default',
         region: config.region || 'us-east-1',
         endpoint: config.endpoint || 'storage.example.com',
         useHttps: config.useHttps !== false,
         timeout: config.timeout || 30000,
         maxRetries: config.maxRetries || 3,
+        storageBackend: typeof config.storageBackend === 'object' ? 'custom' : config.storageBackend || 'local',
+        remoteBucket: config.remoteBucket || config.bucketName || 'default',
+        maxBodySize: config.maxBodySize !== undefined ? config.maxBodySize : 5 * 1024 * 1024 * 1024,
+        maxFieldSize: config.maxFieldSize || 1024 * 1024,
+        uploadSessionTtl: config.uploadSessionTtl || 24 * 60 * 60 * 1000,
+        lifecycleInterval: config.lifecycleInterval !== undefined ? config.lifecycleInterval : 60 * 60 * 1000,
+        webhookRetryDelay: config.webhookRetryDelay || 1000,
+        scrubInterval: config.scrubInterval || 0,
+        scrubRepair: !!config.scrubRepair,
+        scrubQuarantine: !!config.scrubQuarantine,
+        thumbnailMaxPixels: config.thumbnailMaxPixels || 40 * 1000 * 1000,
+        thumbnailCache: config.thumbnailCache !== false,
+        compression: config.compression || null,
+        compressibleTypes: config.compressibleTypes || COMPRESSIBLE_TYPES,
         serverPort: config.serverPort || 3000,
-        serverHost: config.serverHost || 'localhost'
+        serverHost: config.serverHost || 'localhost',
+        credentials: {},
+        requireAuth: config.requireAuth !== undefined ? config.requireAuth : !!(config.apiKey && config.apiSecret),
+        authMaxSkew: config.authMaxSkew || 5 * 60 * 1000,
+        corsOrigins: config.corsOrigins || [],
+        allowedTypes: config.allowedTypes || [],
+        deniedTypes: config.deniedTypes || [],
+        allowedExtensions: config.allowedExtensions || [],
+        deniedExtensions: config.deniedExtensions || [],
+        inlineTypes: config.inlineTypes || INLINE_TYPES,
+        quota: config.quota || null,
+        bucketQuotas: config.bucketQuotas || {},
+        rateLimit: config.rateLimit ? {
+            capacity: config.rateLimit.capacity || 60,
+            refillRate: config.rateLimit.refillRate || 1
+        } : null
     };
     
-    this.storage = {};
+    if (this.config.compression && COMPRESSION_ALGORITHMS.indexOf(this.config.compression) === -1) {
+        throw new Error('Unknown compression: ' + this.config.compression);
+    }
+    
+    this.logger = this._createLogger(config.logger, config.logLevel);
+    
+    var credentials = this.config.credentials;
+    
+    Object.keys(config.credentials || {}).forEach(function(key) {
+        credentials[key] = config.credentials[key];
+    });
+    
+    if (this.config.apiKey && this.config.apiSecret) {
+        credentials[this.config.apiKey] = this.config.apiSecret;
+    }
+    
+    // Keyed by file IDs from requests, so without prototypes
+    this.storage = Object.create(null);
     this.localStoragePath = config.localStoragePath || path.join(__dirname, 'storage');
+    this.indexPath = path.join(this.localStoragePath, INDEX_FILE_NAME);
+    this.webhooksPath = path.join(this.localStoragePath, WEBHOOKS_FILE_NAME);
+    this.blobDir = path.join(this.localStoragePath, 'blobs');
+    this.bucketDir = path.join(this.localStoragePath, 'buckets');
+    this.quarantineDir = path.join(this.localStoragePath, QUARANTINE_DIR_NAME);
+    this.buckets = Object.create(null);
+    this.blobRefs = {};
+    this.versions = Object.create(null);
+    this.keyIndex = {};
+    // Keyed by names and values from uploads, so without prototypes
+    this.fieldIndex = Object.create(null);
+    this._indexedFields = Object.create(null);
+    this.bucketUsage = Object.create(null);
+    this._objectUsage = Object.create(null);
+    this._quotaReserved = Object.create(null);
+    this._rateBuckets = {};
+    this._rateSweptAt = 0;
+    this.webhooks = {};
+    this.webhookDeliveries = [];
+    this.deadLetters = [];
+    this._webhookWriting = false;
+    this._webhookWaiters = [];
+    this._webhookLogTimer = null;
     this.server = null;
-    this.uploadDir = path.join(__dirname, 'uploads');
+    this.uploadDir = config.uploadDir || path.join(__dirname, 'uploads');
+    this.uploadSessions = Object.create(null);
+    
+    this._indexWriting = false;
+    this._indexWaiters = [];
+    this._seenRequests = {};
+    this.revokedLinks = {};
+    this._linkUploads = Object.create(null);
+    this._locks = {};
+    this._scrubbing = false;
+    this._lastScrub = null;
+    
+    this.backend = typeof config.storageBackend === 'object' ? config.storageBackend :
+        this._createBackend(this.config.storageBackend);
+    
+    // Master keys stay out of this.config
+    this.masterKeys = {};
+    this.masterKeyId = null;
+    this._loadMasterKeys(config.masterKey, config.previousMasterKeys);
     
     this._initializeStorage();
 }
 
 util.inherits(CloudStorage, EventEmitter);
 
+/**
+ * Wrap a logger so that messages below the configured level are dropped
+ * @private
+ * @param {Object} logger - Object with debug, info, warn and error methods (default: console)
+ * @param {String} level - Lowest level to log: debug, info, warn, error or silent (default: info)
+ * @returns {Object} Logger with debug, info, warn and error methods
+ */
+CloudStorage.prototype._createLogger = function(logger, level) {
+    var threshold = LOG_LEVELS.indexOf(level || 'info');
+    var wrapped = {};
+    
+    if (threshold === -1) {
+        throw new Error('Invalid log level: ' + level);
+    }
+    
+    LOG_LEVELS.slice(0, -1).forEach(function(name, rank) {
+        wrapped[name] = function() {
+            if (rank < threshold) return;
+            
+            // Looked up on every call so a replaced console method is honoured
+            var target = logger || console;
+            var method = target[name] || target.log;
+            
+            method.apply(target, arguments);
+        };
+    });
+    
+    return wrapped;
+};
+
 /**
  * Initialize local storage directory
  * @private
@@ -53,577 +279,12489 @@ util.inherits(CloudStorage, EventEmitter);
 CloudStorage.prototype._initializeStorage = function() {
     var self = this;
     
+    if (!BUCKET_NAME_PATTERN.test(self.config.bucketName)) {
+        throw new Error('Invalid bucket name: ' + self.config.bucketName);
+    }
+    
     if (!fs.existsSync(self.localStoragePath)) {
         fs.mkdirSync(self.localStoragePath, { recursive: true });
     }
     
+    if (!fs.existsSync(self.blobDir)) {
+        fs.mkdirSync(self.blobDir, { recursive: true });
+    }
+    
+    if (!fs.existsSync(self.bucketDir)) {
+        fs.mkdirSync(self.bucketDir, { recursive: true });
+    }
+    
     if (!fs.existsSync(self.uploadDir)) {
         fs.mkdirSync(self.uploadDir, { recursive: true });
     }
     
-    console.log('Cloud Storage SDK initialized');
-    console.log('Bucket:', self.config.bucketName);
-    console.log('Region:', self.config.region);
+    self._loadIndex();
+    self._loadUploadSessions();
+    self._loadWebhooks();
+    self._reconcileBlobs();
+    self._checkMasterKeys();
+    
+    // Sweep abandoned resumable uploads now and then, without keeping the process alive
+    self._collectStaleUploads();
+    self._uploadSweepTimer = setInterval(function() {
+        self._collectStaleUploads();
+    }, Math.min(self.config.uploadSessionTtl, 60 * 60 * 1000));
+    self._uploadSweepTimer.unref();
+    
+    if (self.config.lifecycleInterval > 0) {
+        self._lifecycleTimer = setInterval(function() {
+            // A throw here would end the process, as nothing else is on the stack
+            try {
+                self.applyLifecycle(function(err) {
+                    if (err) {
+                        self.logger.warn('Lifecycle run failed:', err.message);
+                    }
+                });
+            } catch (err) {
+                self.logger.error('Lifecycle run failed:', err.message);
+            }
+        }, self.config.lifecycleInterval);
+        self._lifecycleTimer.unref();
+    }
+    
+    if (self.config.scrubInterval > 0) {
+        self._scrubTimer = setInterval(function() {
+            self.scrub({
+                repair: self.config.scrubRepair,
+                quarantine: self.config.scrubQuarantine
+            }, function(err) {
+                // A scrub still running from the last interval is not a failure
+                if (err && err.code !== 'ScrubInProgress') {
+                    self.logger.warn('Scrub failed:', err.message);
+                }
+            });
+        }, self.config.scrubInterval);
+        self._scrubTimer.unref();
+    }
+    
+    self.logger.info('Cloud Storage SDK initialized');
+    self.logger.info('Bucket:', self.config.bucketName);
+    self.logger.info('Buckets:', Object.keys(self.buckets).length);
+    self.logger.info('Region:', self.config.region);
+    self.logger.info('Storage backend:', self.config.storageBackend);
+    self.logger.info('Encryption at rest:', self.masterKeyId ? 'on (master key ' + self.masterKeyId + ')' : 'off');
+    self.logger.info('Files indexed:', Object.keys(self.storage).length);
 };
 
 /**
- * Generate unique file ID
+ * Register the configured master keys. Older keys are only used to unwrap
+ * data keys that have not been re-wrapped by rotateMasterKey yet.
  * @private
- * @returns {String} Unique ID
+ * @param {String|Buffer} masterKey - Current master key (optional)
+ * @param {Array} previousMasterKeys - Older master keys (optional)
  */
-CloudStorage.prototype._generateFileId = function() {
-    return crypto.randomBytes(16).toString('hex');
+CloudStorage.prototype._loadMasterKeys = function(masterKey, previousMasterKeys) {
+    var self = this;
+    
+    (previousMasterKeys || []).concat(masterKey || []).forEach(function(value) {
+        var key = self._parseEncryptionKey(value);
+        self.masterKeys[self._keyId(key)] = key;
+    });
+    
+    if (masterKey) {
+        self.masterKeyId = self._keyId(self._parseEncryptionKey(masterKey));
+    }
 };
 
 /**
- * Calculate file hash
+ * Warn about files whose data keys were wrapped by a master key that is
+ * not configured, since they cannot be read
  * @private
- * @param {String} filePath - Path to file
- * @param {Function} callback - Callback function
  */
-CloudStorage.prototype._calculateHash = function(filePath, callback) {
-    var hash = crypto.createHash('sha256');
-    var stream = fs.createReadStream(filePath);
-    
-    stream.on('data', function(data) {
-        hash.update(data);
-    });
+CloudStorage.prototype._checkMasterKeys = function() {
+    var self = this;
+    var missing = {};
     
-    stream.on('end', function() {
-        callback(null, hash.digest('hex'));
+    self._allFileIds().forEach(function(fileId) {
+        [self.storage[fileId]].concat(self.versions[fileId] || []).forEach(function(version) {
+            var encryption = version && version.encryption;
+            
+            if (encryption && encryption.keyType === 'master' && !self.masterKeys[encryption.keyId]) {
+                missing[encryption.keyId] = (missing[encryption.keyId] || 0) + 1;
+            }
+        });
     });
     
-    stream.on('error', function(err) {
-        callback(err);
+    Object.keys(missing).forEach(function(keyId) {
+        self.logger.warn('Master key', keyId, 'is not configured;', missing[keyId], 'file versions cannot be read');
     });
 };
 
 /**
- * Upload file to cloud storage
- * @param {String} filePath - Local file path
- * @param {Object} options - Upload options
- * @param {Function} callback - Callback function
+ * Create one of the built-in storage backends
+ * @private
+ * @param {String} name - 'local', 'memory' or 's3'
+ * @returns {Object} Backend
  */
-CloudStorage.prototype.upload = function(filePath, options, callback) {
-    var self = this;
-    
-    if (typeof options === 'function') {
-        callback = options;
-        options = {};
+CloudStorage.prototype._createBackend = function(name) {
+    if (name === 'local') {
+        return new LocalBackend({ root: this.localStoragePath });
     }
     
-    options = options || {};
+    if (name === 'memory') {
+        return new MemoryBackend();
+    }
     
-    fs.stat(filePath, function(err, stats) {
-        if (err) {
-            return callback(err);
-        }
-        
-        if (!stats.isFile()) {
-            return callback(new Error('Path is not a file'));
-        }
-        
-        var fileId = self._generateFileId();
-        var fileName = options.fileName || path.basename(filePath);
-        var destinationPath = path.join(self.localStoragePath, fileId);
-        
-        self._calculateHash(filePath, function(err, hash) {
-            if (err) {
-                return callback(err);
-            }
-            
-            var readStream = fs.createReadStream(filePath);
-            var writeStream = fs.createWriteStream(destinationPath);
-            
-            readStream.on('error', function(err) {
-                callback(err);
-            });
-            
-            writeStream.on('error', function(err) {
-                callback(err);
-            });
-            
-            writeStream.on('finish', function() {
-                var fileInfo = {
-                    fileId: fileId,
-                    fileName: fileName,
-                    originalPath: filePath,
-                    storagePath: destinationPath,
-                    size: stats.size,
-                    hash: hash,
-                    contentType: options.contentType || 'application/octet-stream',
-                    metadata: options.metadata || {},
-                    uploadedAt: new Date().toISOString(),
-                    bucket: self.config.bucketName
-                };
-                
-                self.storage[fileId] = fileInfo;
-                
-                self.emit('upload', fileInfo);
-                
-                console.log('File uploaded successfully:', fileName);
-                callback(null, fileInfo);
-            });
-            
-            readStream.pipe(writeStream);
+    if (name === 's3') {
+        return new S3Backend({
+            endpoint: this.config.endpoint,
+            region: this.config.region,
+            accessKey: this.config.apiKey,
+            secretKey: this.config.apiSecret,
+            bucket: this.config.remoteBucket,
+            useHttps: this.config.useHttps,
+            timeout: this.config.timeout,
+            maxRetries: this.config.maxRetries
         });
-    });
+    }
+    
+    throw new Error('Unknown storage backend: ' + name);
 };
 
+// ============================================================================
+// Persistent Index
+// ============================================================================
+
 /**
- * Download file from cloud storage
+ * Get the backend key of a content-addressed blob
+ * @private
+ * @param {String} hash - Hex SHA-256 of the blob
+ * @returns {String} Blob key
+ */
+CloudStorage.prototype._blobKey = function(hash) {
+    return 'blobs/' + hash.slice(0, 2) + '/' + hash;
+};
+
+/**
+ * Get the hash a version's blob is stored and counted under: the SHA-256
+ * of the stored bytes, which for unencrypted files is the content hash
+ * @private
+ * @param {Object} version - File version record
+ * @returns {String} Hex blob hash
+ */
+CloudStorage.prototype._blobOf = function(version) {
+    return version.blobHash || version.hash;
+};
+
+/**
+ * Get the path a blob has in the local blob directory, where migrated
+ * blobs land before they are handed to the backend
+ * @private
+ * @param {String} hash - Hex SHA-256 of the blob
+ * @returns {String} Absolute blob path
+ */
+CloudStorage.prototype._blobPath = function(hash) {
+    return path.join(this.blobDir, hash.slice(0, 2), hash);
+};
+
+/**
+ * Get the directory that holds a bucket's sidecars
+ * @private
+ * @param {String} bucket - Bucket name
+ * @returns {String} Absolute bucket directory
+ */
+CloudStorage.prototype._bucketPath = function(bucket) {
+    return path.join(this.bucketDir, bucket);
+};
+
+/**
+ * Get the sidecar metadata path for a file ID
+ * @private
  * @param {String} fileId - File ID
- * @param {String} destinationPath - Local destination path
- * @param {Function} callback - Callback function
+ * @param {String} bucket - Bucket holding the file
+ * @returns {String} Absolute sidecar path
+ */
+CloudStorage.prototype._sidecarPath = function(fileId, bucket) {
+    return path.join(this._bucketPath(bucket), fileId + SIDECAR_SUFFIX);
+};
+
+/**
+ * Get the path sidecars had before buckets were stored separately
+ * @private
+ * @param {String} fileId - File ID
+ * @returns {String} Absolute sidecar path
+ */
+CloudStorage.prototype._legacySidecarPath = function(fileId) {
+    return path.join(this.localStoragePath, fileId + SIDECAR_SUFFIX);
+};
+
+/**
+ * Load the file index from disk on boot.
+ * Migrates blobs stored under file IDs to content addressing and sidecars
+ * at the top level into their bucket's directory, and falls back to
+ * rebuilding from the sidecars when the index is missing, corrupt or out
+ * of step with them.
+ * @private
  */
-CloudStorage.prototype.download = function(fileId, destinationPath, callback) {
+CloudStorage.prototype._loadIndex = function() {
     var self = this;
+    var index = null;
     
-    if (!self.storage[fileId]) {
-        return callback(new Error('File not found'));
+    try {
+        index = JSON.parse(fs.readFileSync(self.indexPath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            self.logger.warn('File index is unreadable, rebuilding:', err.message);
+        }
     }
     
-    var fileInfo = self.storage[fileId];
-    var sourcePath = fileInfo.storagePath;
+    if (index && (!index.files || typeof index.files !== 'object')) {
+        index = null;
+    }
     
-    fs.stat(sourcePath, function(err, stats) {
-        if (err) {
-            return callback(err);
+    self.revokedLinks = index && index.revokedLinks || {};
+    
+    var onDisk = self._scanStorageDirectory();
+    
+    self.buckets = onDisk.buckets;
+    
+    if (!self.buckets[self.config.bucketName]) {
+        self._createBucketSync(self.config.bucketName);
+    }
+    
+    if (onDisk.legacyBlobs.length > 0 || onDisk.legacySidecars.length > 0) {
+        if (onDisk.legacyBlobs.length > 0) {
+            self._migrateLegacyBlobs(onDisk, index ? index.files : {});
         }
-        
-        var readStream = fs.createReadStream(sourcePath);
-        var writeStream = fs.createWriteStream(destinationPath);
-        
-        readStream.on('error', function(err) {
-            callback(err);
-        });
-        
-        writeStream.on('error', function(err) {
-            callback(err);
-        });
-        
-        writeStream.on('finish', function() {
-            self.emit('download', fileInfo);
-            
-            console.log('File downloaded successfully:', fileInfo.fileName);
-            callback(null, {
-                fileId: fileId,
-                fileName: fileInfo.fileName,
-                downloadPath: destinationPath,
-                size: stats.size
-            });
+        self._migrateLegacySidecars(onDisk);
+        return self._rebuildIndex(index ? index.files : null);
+    }
+    
+    if (!index) {
+        return self._rebuildIndex(null);
+    }
+    
+    var versions = index.versions || {};
+    var indexedIds = Object.keys(index.files).concat(Object.keys(versions).filter(function(fileId) {
+        return !index.files[fileId];
+    }));
+    var consistent = indexedIds.length === onDisk.sidecars.length &&
+        onDisk.sidecars.every(function(fileId) {
+            var latest = index.files[fileId] || (versions[fileId] || [])[0];
+            return !!latest && latest.bucket === onDisk.sidecarBuckets[fileId];
         });
-        
-        readStream.pipe(writeStream);
+    
+    if (!consistent) {
+        self.logger.warn('File index does not match storage directory, rebuilding');
+        return self._rebuildIndex(index.files);
+    }
+    
+    indexedIds.forEach(function(fileId) {
+        self._loadObject(fileId, index.files[fileId] || null, versions[fileId] || []);
     });
+    
+    self._countBlobRefs();
 };
 
 /**
- * Delete file from cloud storage
+ * Place an object's current record and older versions in memory
+ * @private
  * @param {String} fileId - File ID
- * @param {Function} callback - Callback function
+ * @param {Object|null} record - Current version, null if deleted
+ * @param {Array} versions - Non-current versions and delete markers, newest first
  */
-CloudStorage.prototype.delete = function(fileId, callback) {
+CloudStorage.prototype._loadObject = function(fileId, record, versions) {
     var self = this;
     
-    if (!self.storage[fileId]) {
-        return callback(new Error('File not found'));
-    }
-    
-    var fileInfo = self.storage[fileId];
-    var filePath = fileInfo.storagePath;
-    
-    fs.unlink(filePath, function(err) {
-        if (err && err.code !== 'ENOENT') {
-            return callback(err);
-        }
+    [record].concat(versions).forEach(function(version) {
+        if (!version) return;
         
-        delete self.storage[fileId];
+        version.fileId = fileId;
+        // Files stored before versioning get the null version, as in S3
+        version.versionId = version.versionId || 'null';
         
-        self.emit('delete', fileInfo);
+        // Records stored before names were checked may have a name that is not a string
+        if (typeof version.fileName !== 'string' || version.fileName === '') {
+            version.fileName = String(version.fileName || fileId);
+        }
         
-        console.log('File deleted successfully:', fileInfo.fileName);
-        callback(null, { fileId: fileId, deleted: true });
+        if (!version.isDeleteMarker) {
+            version.storagePath = self.backend.location(self._blobKey(self._blobOf(version)));
+        }
     });
-};
-
-/**
- * List all files in storage
- * @param {Object} options - List options
- * @param {Function} callback - Callback function
- */
-CloudStorage.prototype.list = function(options, callback) {
-    var self = this;
     
-    if (typeof options === 'function') {
-        callback = options;
-        options = {};
+    if (record) {
+        self.storage[fileId] = record;
+        self._indexFields(fileId, record);
     }
     
-    options = options || {};
+    if (versions.length > 0) {
+        self.versions[fileId] = versions;
+    }
     
-    var files = [];
-    var fileIds = Object.keys(self.storage);
+    self._trackUsage(fileId, record, versions);
     
-    for (var i = 0; i < fileIds.length; i++) {
-        var fileId = fileIds[i];
-        var fileInfo = self.storage[fileId];
-        
-        files.push({
-            fileId: fileInfo.fileId,
-            fileName: fileInfo.fileName,
-            size: fileInfo.size,
-            contentType: fileInfo.contentType,
-            uploadedAt: fileInfo.uploadedAt,
-            metadata: fileInfo.metadata
-        });
-    }
+    var latest = record || versions[0];
+    var key = self._objectKey(latest.fileName, latest.bucket);
+    var existing = self.keyIndex[key];
     
-    if (options.prefix) {
-        files = files.filter(function(file) {
-            return file.fileName.startsWith(options.prefix);
-        });
+    // Keep the newest object when files stored before versioning share a name
+    if (!existing || !self.storage[existing] ||
+        (record && record.uploadedAt > self.storage[existing].uploadedAt)) {
+        self.keyIndex[key] = fileId;
     }
+};
+
+/**
+ * Build the key that identifies an object across its versions
+ * @private
+ * @param {String} fileName - File name
+ * @param {String} bucket - Bucket name (default: configured bucket)
+ */
+CloudStorage.prototype._objectKey = function(fileName, bucket) {
+    return (bucket !== undefined ? bucket : this.config.bucketName) + '/' + fileName;
+};
+
+/**
+ * Read an object's sidecar
+ * @private
+ * @param {String} sidecarPath - Absolute sidecar path
+ * @returns {Object} { record, versions }
+ */
+CloudStorage.prototype._readSidecar = function(sidecarPath) {
+    var doc = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
     
-    if (options.limit) {
-        files = files.slice(0, options.limit);
+    // Sidecars written before versioning hold a bare file record
+    if (doc.fileId) {
+        return { record: doc, versions: [] };
     }
     
-    callback(null, {
-        files: files,
-        count: files.length,
-        bucket: self.config.bucketName
-    });
+    return { record: doc.record || null, versions: doc.versions || [] };
 };
 
 /**
- * Get file information
+ * Find a specific version of an object
+ * @private
  * @param {String} fileId - File ID
- * @param {Function} callback - Callback function
+ * @param {String} versionId - Version ID (default: current version)
+ * @returns {Object|null} Version record or delete marker
  */
-CloudStorage.prototype.getFileInfo = function(fileId, callback) {
-    var self = this;
+CloudStorage.prototype._findVersion = function(fileId, versionId) {
+    if (!FILE_ID_PATTERN.test(fileId)) {
+        return null;
+    }
     
-    if (!self.storage[fileId]) {
-        return callback(new Error('File not found'));
+    var current = this.storage[fileId];
+    
+    if (!versionId || (current && current.versionId === versionId)) {
+        return current || null;
     }
     
-    var fileInfo = self.storage[fileId];
+    var versions = this.versions[fileId] || [];
     
-    fs.stat(fileInfo.storagePath, function(err, stats) {
-        if (err) {
-            return callback(err);
+    for (var i = 0; i < versions.length; i++) {
+        if (versions[i].versionId === versionId) {
+            return versions[i];
         }
-        
-        callback(null, {
-            fileId: fileInfo.fileId,
-            fileName: fileInfo.fileName,
-            size: stats.size,
-            hash: fileInfo.hash,
-            contentType: fileInfo.contentType,
-            metadata: fileInfo.metadata,
-            uploadedAt: fileInfo.uploadedAt,
-            lastModified: stats.mtime.toISOString()
-        });
-    });
+    }
+    
+    return null;
 };
 
 /**
- * Get storage statistics
- * @param {Function} callback - Callback function
+ * Generate a version ID
+ * @private
+ */
+CloudStorage.prototype._generateVersionId = function() {
+    return crypto.randomBytes(8).toString('hex');
+};
+
+/**
+ * List buckets, the sidecars in each bucket, and files still stored the
+ * way older versions of the SDK kept them
+ * @private
+ * @returns {Object} { buckets: { name: info }, sidecars: [fileId],
+ *   sidecarBuckets: { fileId: bucket }, legacyBlobs: [fileId], legacySidecars: [fileId] }
  */
-CloudStorage.prototype.getStats = function(callback) {
+CloudStorage.prototype._scanStorageDirectory = function() {
     var self = this;
-    var stats = {
-        totalFiles: 0,
-        totalSize: 0,
-        bucket: self.config.bucketName
-    };
+    // Bucket names such as 'constructor' are valid, so the map has no prototype
+    var result = { buckets: Object.create(null), sidecars: [], sidecarBuckets: {}, legacyBlobs: [], legacySidecars: [] };
     
-    var fileIds = Object.keys(self.storage);
-    stats.totalFiles = fileIds.length;
+    function sidecarId(name) {
+        if (name.slice(-SIDECAR_SUFFIX.length) !== SIDECAR_SUFFIX) return null;
+        
+        var fileId = name.slice(0, -SIDECAR_SUFFIX.length);
+        return FILE_ID_PATTERN.test(fileId) ? fileId : null;
+    }
     
-    var processed = 0;
+    fs.readdirSync(self.localStoragePath).forEach(function(name) {
+        if (FILE_ID_PATTERN.test(name)) {
+            result.legacyBlobs.push(name);
+        } else if (sidecarId(name)) {
+            result.legacySidecars.push(sidecarId(name));
+        }
+    });
     
-    if (fileIds.length === 0) {
-        return callback(null, stats);
+    fs.readdirSync(self.bucketDir).forEach(function(bucket) {
+        var bucketPath = self._bucketPath(bucket);
+        
+        if (!BUCKET_NAME_PATTERN.test(bucket) || !fs.statSync(bucketPath).isDirectory()) return;
+        
+        result.buckets[bucket] = self._readBucketInfo(bucket);
+        
+        fs.readdirSync(bucketPath).forEach(function(name) {
+            var fileId = sidecarId(name);
+            
+            if (fileId) {
+                result.sidecars.push(fileId);
+                result.sidecarBuckets[fileId] = bucket;
+            }
+        });
+    });
+    
+    return result;
+};
+
+/**
+ * Read a bucket's details, falling back to the directory's timestamps
+ * @private
+ * @param {String} bucket - Bucket name
+ * @returns {Object} { name, createdAt, lifecycle, folders }
+ */
+CloudStorage.prototype._readBucketInfo = function(bucket) {
+    var bucketPath = this._bucketPath(bucket);
+    
+    try {
+        var info = JSON.parse(fs.readFileSync(path.join(bucketPath, BUCKET_FILE_NAME), 'utf8'));
+        return { name: bucket, createdAt: info.createdAt, lifecycle: info.lifecycle || [], folders: info.folders || [] };
+    } catch (err) {
+        return { name: bucket, createdAt: fs.statSync(bucketPath).birthtime.toISOString() };
     }
+};
+
+/**
+ * Create a bucket's directory during startup
+ * @private
+ * @param {String} bucket - Bucket name
+ */
+CloudStorage.prototype._createBucketSync = function(bucket) {
+    var info = { name: bucket, createdAt: new Date().toISOString() };
     
-    fileIds.forEach(function(fileId) {
-        var fileInfo = self.storage[fileId];
+    fs.mkdirSync(this._bucketPath(bucket), { recursive: true });
+    fs.writeFileSync(path.join(this._bucketPath(bucket), BUCKET_FILE_NAME), JSON.stringify(info, null, 2));
+    this.buckets[bucket] = info;
+};
+
+/**
+ * List the hashes of all content-addressed blobs on disk
+ * @private
+ * @returns {Array} Hex hashes
+ */
+CloudStorage.prototype._scanBlobDirectory = function() {
+    var self = this;
+    var hashes = [];
+    
+    fs.readdirSync(self.blobDir).forEach(function(prefix) {
+        if (!/^[0-9a-f]{2}$/.test(prefix)) return;
         
-        fs.stat(fileInfo.storagePath, function(err, fileStat) {
-            if (!err) {
-                stats.totalSize += fileStat.size;
-            }
-            
-            processed++;
-            
-            if (processed === fileIds.length) {
-                callback(null, stats);
+        fs.readdirSync(path.join(self.blobDir, prefix)).forEach(function(name) {
+            if (/^[0-9a-f]{64}$/.test(name) && name.slice(0, 2) === prefix) {
+                hashes.push(name);
             }
         });
     });
+    
+    return hashes;
 };
 
-// ============================================================================
-// HTTP Server Methods
-// ============================================================================
+/**
+ * Move blobs stored under their file ID (before content addressing)
+ * into the blob directory, dropping duplicates on the way
+ * @private
+ * @param {Object} onDisk - Result of _scanStorageDirectory
+ * @param {Object} previous - Records from the current index
+ */
+CloudStorage.prototype._migrateLegacyBlobs = function(onDisk, previous) {
+    var self = this;
+    
+    onDisk.legacyBlobs.forEach(function(fileId) {
+        var legacyPath = path.join(self.localStoragePath, fileId);
+        var fileInfo = null;
+        
+        if (onDisk.legacySidecars.indexOf(fileId) !== -1) {
+            try {
+                fileInfo = JSON.parse(fs.readFileSync(self._legacySidecarPath(fileId), 'utf8'));
+            } catch (err) {
+                self.logger.warn('Ignoring corrupt sidecar for', fileId + ':', err.message);
+            }
+        }
+        
+        fileInfo = fileInfo || previous[fileId] || self._recoveredFileInfo(fileId, fs.statSync(legacyPath));
+        
+        var hash = self._calculateHashSync(legacyPath);
+        if (fileInfo.hash && fileInfo.hash !== hash) {
+            self.logger.warn('Stored hash of', fileId, 'does not match its content, using content hash');
+        }
+        
+        var blobPath = self._blobPath(hash);
+        
+        if (fs.existsSync(blobPath)) {
+            fs.unlinkSync(legacyPath);
+        } else {
+            fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+            fs.renameSync(legacyPath, blobPath);
+        }
+        
+        fileInfo.fileId = fileId;
+        fileInfo.hash = hash;
+        fileInfo.storagePath = blobPath;
+        fs.writeFileSync(self._legacySidecarPath(fileId), JSON.stringify(fileInfo, null, 2));
+        
+        if (onDisk.legacySidecars.indexOf(fileId) === -1) {
+            onDisk.legacySidecars.push(fileId);
+        }
+    });
+    
+    self.logger.info('Migrated', onDisk.legacyBlobs.length, 'files to content-addressed storage');
+};
 
 /**
- * Parse multipart form data
+ * Move sidecars stored at the top level (before buckets had their own
+ * directories) into the directory of the bucket their records name.
+ * Records without a usable bucket move to the default bucket.
  * @private
+ * @param {Object} onDisk - Result of _scanStorageDirectory
  */
-CloudStorage.prototype._parseMultipart = function(buffer, boundary, callback) {
-    var parts = [];
-    var boundaryBuffer = Buffer.from('--' + boundary);
-    var position = 0;
+CloudStorage.prototype._migrateLegacySidecars = function(onDisk) {
+    var self = this;
     
-    while (position < buffer.length) {
-        var boundaryPos = buffer.indexOf(boundaryBuffer, position);
-        if (boundaryPos === -1) break;
+    onDisk.legacySidecars.forEach(function(fileId) {
+        var legacyPath = self._legacySidecarPath(fileId);
+        var bucket = self.config.bucketName;
+        var doc = null;
         
-        var nextBoundary = buffer.indexOf(boundaryBuffer, boundaryPos + boundaryBuffer.length);
-        if (nextBoundary === -1) nextBoundary = buffer.length;
+        try {
+            doc = self._readSidecar(legacyPath);
+        } catch (err) {
+            self.logger.warn('Ignoring corrupt sidecar for', fileId + ':', err.message);
+        }
         
-        var part = buffer.slice(boundaryPos + boundaryBuffer.length, nextBoundary);
+        var latest = doc && (doc.record || doc.versions[0]);
         
-        var headerEnd = part.indexOf('\r\n\r\n');
-        if (headerEnd !== -1) {
-            var headers = part.slice(0, headerEnd).toString();
-            var content = part.slice(headerEnd + 4, part.length - 2);
-            
-            var nameMatch = headers.match(/name="([^"]+)"/);
-            var filenameMatch = headers.match(/filename="([^"]+)"/);
-            
-            if (nameMatch) {
-                parts.push({
-                    name: nameMatch[1],
-                    filename: filenameMatch ? filenameMatch[1] : null,
-                    data: content,
-                    headers: headers
-                });
-            }
+        if (latest && BUCKET_NAME_PATTERN.test(latest.bucket || '')) {
+            bucket = latest.bucket;
         }
         
-        position = nextBoundary;
-    }
+        if (!self.buckets[bucket]) {
+            self._createBucketSync(bucket);
+        }
+        
+        if (doc) {
+            [doc.record].concat(doc.versions).forEach(function(version) {
+                if (version) version.bucket = bucket;
+            });
+            fs.writeFileSync(self._sidecarPath(fileId, bucket), JSON.stringify(doc, null, 2));
+            fs.unlinkSync(legacyPath);
+        } else {
+            fs.renameSync(legacyPath, self._sidecarPath(fileId, bucket));
+        }
+    });
     
-    callback(null, parts);
+    self.logger.info('Moved', onDisk.legacySidecars.length, 'files into bucket directories');
 };
 
 /**
- * Send JSON response
+ * Build a record for a blob found without one
  * @private
+ * @param {String} fileId - File ID to give it
+ * @param {Object} stats - size and mtime of the blob
  */
-CloudStorage.prototype._sendJSON = function(res, statusCode, data) {
-    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data));
+CloudStorage.prototype._recoveredFileInfo = function(fileId, stats) {
+    return {
+        fileId: fileId,
+        fileName: fileId,
+        originalPath: null,
+        size: stats.size,
+        hash: null,
+        contentType: DEFAULT_CONTENT_TYPE,
+        metadata: {},
+        uploadedAt: stats.mtime.toISOString(),
+        bucket: this.config.bucketName,
+        recovered: true
+    };
 };
 
 /**
- * Handle file upload via HTTP
+ * Rebuild the file index by scanning the storage directory.
+ * Records come from sidecars, then from the previous index. The blobs
+ * themselves are checked against the backend by _reconcileBlobs.
  * @private
+ * @param {Object|null} previous - Records from a stale index, if any
  */
-CloudStorage.prototype._handleUpload = function(req, res) {
+CloudStorage.prototype._rebuildIndex = function(previous) {
     var self = this;
-    var chunks = [];
+    var onDisk = self._scanStorageDirectory();
     
-    req.on('data', function(chunk) {
-        chunks.push(chunk);
-    });
+    previous = previous || {};
+    self.storage = Object.create(null);
     
-    req.on('end', function() {
-        var buffer = Buffer.concat(chunks);
-        var contentType = req.headers['content-type'] || '';
-        var boundaryMatch = contentType.match(/boundary=(.+)$/);
+    self.versions = Object.create(null);
+    self.keyIndex = {};
+    self.fieldIndex = Object.create(null);
+    self._indexedFields = Object.create(null);
+    self.bucketUsage = Object.create(null);
+    self._objectUsage = Object.create(null);
+    
+    onDisk.sidecars.forEach(function(fileId) {
+        var doc = null;
         
-        if (!boundaryMatch) {
-            return self._sendJSON(res, 400, { 
-                error: 'No boundary found in multipart data' 
-            });
+        var bucket = onDisk.sidecarBuckets[fileId];
+        
+        try {
+            doc = self._readSidecar(self._sidecarPath(fileId, bucket));
+        } catch (err) {
+            self.logger.warn('Ignoring corrupt sidecar for', fileId + ':', err.message);
+            doc = previous[fileId] ? { record: previous[fileId], versions: [] } : null;
         }
         
-        var boundary = boundaryMatch[1];
+        if (!doc) return;
         
-        self._parseMultipart(buffer, boundary, function(err, parts) {
-            if (err || parts.length === 0) {
-                return self._sendJSON(res, 400, { 
-                    error: 'Failed to parse upload data' 
-                });
+        var hasBlob = function(version) {
+            return version.isDeleteMarker || /^[0-9a-f]{64}$/.test(version.hash || '');
+        };
+        var record = doc.record && hasBlob(doc.record) ? doc.record : null;
+        var versions = doc.versions.filter(hasBlob);
+        
+        if (!record && versions.length === 0) return;
+        
+        // The directory a sidecar is in decides its bucket
+        [record].concat(versions).forEach(function(version) {
+            if (version) version.bucket = bucket;
+        });
+        
+        self._loadObject(fileId, record, versions);
+    });
+    
+    self._countBlobRefs();
+    self._indexRebuilt = true;
+    
+    fs.writeFileSync(self.indexPath, self._serializeIndex());
+    
+    self.logger.info('File index rebuilt:', Object.keys(self.storage).length, 'files');
+};
+
+/**
+ * Bring blob storage in line with the index once it is loaded. Blobs in
+ * the local blob directory that the backend does not keep there (migrated
+ * files, or blobs written before another backend was configured) are moved
+ * into a persistent backend. After a rebuild, blobs missing from the backend are
+ * reported and blobs no record references are recovered as new files
+ * named after their hash.
+ * @private
+ * @param {Function} callback - Callback function (optional)
+ */
+CloudStorage.prototype._reconcileBlobs = function(callback) {
+    var self = this;
+    var rebuilt = self._indexRebuilt;
+    var local = self.backend instanceof LocalBackend &&
+        path.resolve(self.backend.root) === path.resolve(self.localStoragePath);
+    // Blobs handed to the memory backend would be gone when the process exits
+    var leftovers = local || self.backend instanceof MemoryBackend ? [] : self._scanBlobDirectory();
+    
+    self._indexRebuilt = false;
+    
+    callback = callback || function(err) {
+        if (err) {
+            self.logger.warn('Could not reconcile blobs with the storage backend:', err.message);
+        }
+    };
+    
+    function recover(orphans, i) {
+        if (i === orphans.length) {
+            if (orphans.length > 0) {
+                self.logger.info('Recovered', orphans.length, 'unreferenced blobs');
+            }
+            return callback(null);
+        }
+        
+        var entry = orphans[i];
+        
+        self._withLock('blob:' + entry.hash, function(release) {
+            if (self.blobRefs[entry.hash]) {
+                return release(null, false);
             }
             
-            var filePart = parts.find(function(p) { return p.filename; });
-            if (!filePart) {
-                return self._sendJSON(res, 400, { 
-                    error: 'No file found in upload' 
-                });
+            self._retainBlob(entry.hash);
+            release(null, true);
+        }, function(err, retained) {
+            if (!retained) {
+                return recover(orphans, i + 1);
             }
             
-            var tempPath = path.join(self.uploadDir, Date.now() + '-' + filePart.filename);
+            var fileInfo = self._recoveredFileInfo(self._generateFileId(), entry);
             
-            fs.writeFile(tempPath, filePart.data, function(err) {
+            fileInfo.fileName = entry.hash;
+            fileInfo.hash = entry.hash;
+            fileInfo.storagePath = self.backend.location(self._blobKey(entry.hash));
+            
+            self._putVersion(fileInfo, function(err) {
                 if (err) {
-                    return self._sendJSON(res, 500, { 
-                        error: 'Failed to save file: ' + err.message 
+                    return self._releaseBlob(entry.hash, function() {
+                        callback(err);
                     });
                 }
-                
-                var metadata = {};
-                parts.forEach(function(part) {
-                    if (part.name === 'metadata') {
-                        try {
-                            metadata = JSON.parse(part.data.toString());
-                        } catch (e) {
-                            // Ignore parse errors
-                        }
-                    }
-                });
-                
-                self.upload(tempPath, {
-                    fileName: filePart.filename,
-                    metadata: metadata
-                }, function(err, result) {
-                    fs.unlink(tempPath, function() {});
-                    
-                    if (err) {
-                        return self._sendJSON(res, 500, { 
-                            error: err.message 
-                        });
+                recover(orphans, i + 1);
+            });
+        });
+    }
+    
+    (function next(i) {
+        if (i < leftovers.length) {
+            return self._withLock('blob:' + leftovers[i], function(release) {
+                self._storeBlobFile(self._blobPath(leftovers[i]), leftovers[i], release);
+            }, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                next(i + 1);
+            });
+        }
+        
+        if (leftovers.length > 0) {
+            self.logger.info('Moved', leftovers.length, 'local blobs into the storage backend');
+        }
+        
+        if (!rebuilt) {
+            return callback(null);
+        }
+        
+        self._listBlobs(function(err, present) {
+            if (err) {
+                return callback(err);
+            }
+            
+            self._allFileIds().forEach(function(fileId) {
+                [self.storage[fileId]].concat(self.versions[fileId] || []).forEach(function(version) {
+                    if (version && !version.isDeleteMarker && !present[self._blobOf(version)]) {
+                        self.logger.warn('Blob missing for', fileId, 'version', version.versionId, '(' + version.fileName + ')');
                     }
-                    
-                    self._sendJSON(res, 200, {
-                        success: true,
-                        file: result
-                    });
                 });
             });
+            
+            recover(Object.keys(present).filter(function(hash) {
+                return !self.blobRefs[hash];
+            }).map(function(hash) {
+                return present[hash];
+            }), 0);
+        });
+    })(0);
+};
+
+/**
+ * List the blobs the backend holds
+ * @private
+ * @param {Function} callback - Callback function (err, { hash: { hash, size, mtime } })
+ */
+CloudStorage.prototype._listBlobs = function(callback) {
+    this.backend.list('blobs/', function(err, entries) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var present = {};
+        
+        entries.forEach(function(entry) {
+            var match = /^blobs\/([0-9a-f]{2})\/([0-9a-f]{64})$/.exec(entry.key);
+            
+            if (match && match[2].slice(0, 2) === match[1]) {
+                present[match[2]] = { hash: match[2], size: entry.size, mtime: entry.mtime };
+            }
+        });
+        
+        callback(null, present);
+    });
+};
+
+/**
+ * Count how many file versions reference each blob
+ * @private
+ */
+CloudStorage.prototype._countBlobRefs = function() {
+    var self = this;
+    
+    self.blobRefs = {};
+    
+    self._allFileIds().forEach(function(fileId) {
+        [self.storage[fileId]].concat(self.versions[fileId] || []).forEach(function(version) {
+            if (version && !version.isDeleteMarker) {
+                var blobHash = self._blobOf(version);
+                self.blobRefs[blobHash] = (self.blobRefs[blobHash] || 0) + 1;
+            }
         });
     });
 };
 
 /**
- * Handle file download via HTTP
+ * List every file ID with a current version or version history
  * @private
  */
-CloudStorage.prototype._handleDownload = function(req, res, fileId) {
+CloudStorage.prototype._allFileIds = function() {
     var self = this;
     
-    if (!self.storage[fileId]) {
-        return self._sendJSON(res, 404, { 
-            error: 'File not found' 
+    return Object.keys(self.storage).concat(Object.keys(self.versions).filter(function(fileId) {
+        return !self.storage[fileId];
+    }));
+};
+
+/**
+ * Run an operation while holding a named lock. Blob locks ('blob:<hash>')
+ * keep reference changes and the file operations that follow them from
+ * interleaving; object locks ('object:<key>') serialize version changes.
+ * @private
+ * @param {String} name - Lock name
+ * @param {Function} operation - Called with a release function
+ * @param {Function} callback - Called with the operation's result
+ */
+CloudStorage.prototype._withLock = function(name, operation, callback) {
+    var self = this;
+    var queue = self._locks[name];
+    
+    function run() {
+        operation(function() {
+            var args = arguments;
+            var waiting = self._locks[name];
+            
+            if (waiting.length > 0) {
+                waiting.shift()();
+            } else {
+                delete self._locks[name];
+            }
+            
+            callback.apply(null, args);
         });
     }
     
-    var fileInfo = self.storage[fileId];
-    var filePath = fileInfo.storagePath;
+    if (queue) {
+        return queue.push(run);
+    }
     
-    fs.stat(filePath, function(err, stats) {
-        if (err) {
-            return self._sendJSON(res, 404, { 
-                error: 'File not found on disk' 
-            });
-        }
+    self._locks[name] = [];
+    run();
+};
+
+/**
+ * Add a reference to a blob
+ * @private
+ */
+CloudStorage.prototype._retainBlob = function(hash) {
+    this.blobRefs[hash] = (this.blobRefs[hash] || 0) + 1;
+};
+
+/**
+ * Drop a reference to a blob, deleting it and its thumbnails when the last one goes
+ * @private
+ * @param {String} hash - Blob hash
+ * @param {Function} callback - Callback function (err, removed)
+ */
+CloudStorage.prototype._releaseBlob = function(hash, callback) {
+    var self = this;
+    
+    self._withLock('blob:' + hash, function(done) {
+        self.blobRefs[hash] = (self.blobRefs[hash] || 1) - 1;
         
-        res.writeHead(200, {
-            'Content-Type': fileInfo.contentType || 'application/octet-stream',
-            'Content-Length': stats.size,
-            'Content-Disposition': 'attachment; filename="' + fileInfo.fileName + '"'
-        });
+        if (self.blobRefs[hash] > 0) {
+            return done(null, false);
+        }
         
-        var readStream = fs.createReadStream(filePath);
-        readStream.pipe(res);
+        delete self.blobRefs[hash];
         
-        readStream.on('error', function(err) {
-            res.end();
+        self.backend.delete(self._blobKey(hash), function(err) {
+            if (err) {
+                return done(err);
+            }
+            
+            self._deleteRenditions(hash, function(err) {
+                if (err) {
+                    self.logger.warn('Could not remove thumbnails of blob', hash + ':', err.message);
+                }
+                done(null, true);
+            });
         });
+    }, callback || function() {});
+};
+
+/**
+ * Serialize the in-memory index
+ * @private
+ * @returns {String} JSON document
+ */
+CloudStorage.prototype._serializeIndex = function() {
+    return JSON.stringify({
+        version: INDEX_VERSION,
+        updatedAt: new Date().toISOString(),
+        files: this.storage,
+        versions: this.versions,
+        revokedLinks: this.revokedLinks
     });
 };
 
 /**
- * Handle file deletion via HTTP
+ * Write a file atomically (temp file, fsync, rename)
  * @private
+ * @param {String} filePath - Destination path
+ * @param {String} data - File contents
+ * @param {Function} callback - Callback function
  */
-CloudStorage.prototype._handleDelete = function(req, res, fileId) {
-    var self = this;
+CloudStorage.prototype._writeFileAtomic = function(filePath, data, callback) {
+    var tempPath = filePath + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
     
-    self.delete(fileId, function(err, result) {
+    fs.open(tempPath, 'w', function(err, fd) {
         if (err) {
-            return self._sendJSON(res, 404, { 
-                error: err.message 
+            return callback(err);
+        }
+        
+        fs.writeFile(fd, data, function(err) {
+            fs.fsync(fd, function(syncErr) {
+                fs.close(fd, function(closeErr) {
+                    err = err || syncErr || closeErr;
+                    
+                    if (err) {
+                        return fs.unlink(tempPath, function() {
+                            callback(err);
+                        });
+                    }
+                    
+                    fs.rename(tempPath, filePath, callback);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Persist the in-memory index.
+ * Writes are serialized; callers arriving during a write share the next one.
+ * @private
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._saveIndex = function(callback) {
+    this._indexWaiters.push(callback || function() {});
+    
+    if (!this._indexWriting) {
+        this._flushIndex();
+    }
+};
+
+/**
+ * Write the current index snapshot for everyone waiting on it
+ * @private
+ */
+CloudStorage.prototype._flushIndex = function() {
+    var self = this;
+    var waiters = self._indexWaiters;
+    
+    self._indexWaiters = [];
+    self._indexWriting = true;
+    
+    self._writeFileAtomic(self.indexPath, self._serializeIndex(), function(err) {
+        self._indexWriting = false;
+        
+        if (self._indexWaiters.length > 0) {
+            self._flushIndex();
+        }
+        
+        waiters.forEach(function(waiter) {
+            waiter(err || null);
+        });
+    });
+};
+
+/**
+ * Persist an object's state: its sidecar first, then memory and the index.
+ * An object with no current record and no versions is removed entirely.
+ * @private
+ * @param {String} fileId - File ID
+ * @param {Object|null} record - Current version, null if deleted
+ * @param {Array} versions - Non-current versions and delete markers, newest first
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._commitObject = function(fileId, record, versions, callback) {
+    var self = this;
+    var latest = record || versions[0] || self.storage[fileId] || (self.versions[fileId] || [])[0];
+    var key = latest ? self._objectKey(latest.fileName, latest.bucket) : null;
+    
+    function apply(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (record) {
+            self.storage[fileId] = record;
+        } else {
+            delete self.storage[fileId];
+        }
+        
+        if (versions.length > 0) {
+            self.versions[fileId] = versions;
+        } else {
+            delete self.versions[fileId];
+        }
+        
+        if (record || versions.length > 0) {
+            self.keyIndex[key] = fileId;
+        } else if (self.keyIndex[key] === fileId) {
+            delete self.keyIndex[key];
+        }
+        
+        self._indexFields(fileId, record);
+        self._trackUsage(fileId, record, versions);
+        
+        self._saveIndex(callback);
+    }
+    
+    if (!record && versions.length === 0) {
+        if (!latest) {
+            return callback(null);
+        }
+        
+        return fs.unlink(self._sidecarPath(fileId, latest.bucket), function(err) {
+            apply(err && err.code !== 'ENOENT' ? err : null);
+        });
+    }
+    
+    self._writeFileAtomic(self._sidecarPath(fileId, latest.bucket), JSON.stringify({
+        record: record,
+        versions: versions
+    }, null, 2), apply);
+};
+
+/**
+ * Fields of a current record that the query index covers, keyed by field name
+ * @private
+ */
+CloudStorage.prototype._indexableFields = function(record) {
+    var fields = {};
+    
+    INDEXED_FIELDS.forEach(function(field) {
+        if (record[field] !== undefined && record[field] !== null) {
+            fields[field] = record[field];
+        }
+    });
+    
+    // Only scalar metadata values are indexed
+    Object.keys(record.metadata || {}).forEach(function(key) {
+        var value = record.metadata[key];
+        
+        if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+            fields['metadata.' + key] = value;
+        }
+    });
+    
+    return fields;
+};
+
+/**
+ * Replace a file's entries in the field index with those of its current record
+ * @private
+ * @param {String} fileId - File ID
+ * @param {Object|null} record - Current record, null if the file has none
+ */
+CloudStorage.prototype._indexFields = function(fileId, record) {
+    var self = this;
+    var previous = self._indexedFields[fileId] || {};
+    
+    Object.keys(previous).forEach(function(field) {
+        var values = self.fieldIndex[field];
+        var entry = values && values[previous[field]];
+        
+        if (!entry) return;
+        
+        delete entry.fileIds[fileId];
+        
+        if (Object.keys(entry.fileIds).length === 0) {
+            delete values[previous[field]];
+            
+            if (Object.keys(values).length === 0) {
+                delete self.fieldIndex[field];
+            }
+        }
+    });
+    
+    delete self._indexedFields[fileId];
+    
+    if (!record) return;
+    
+    var fields = self._indexableFields(record);
+    var indexed = Object.create(null);
+    
+    Object.keys(fields).forEach(function(field) {
+        var valueKey = String(fields[field]);
+        var values = self.fieldIndex[field] = self.fieldIndex[field] || Object.create(null);
+        var entry = values[valueKey] = values[valueKey] || { value: fields[field], fileIds: Object.create(null) };
+        
+        entry.fileIds[fileId] = true;
+        indexed[field] = valueKey;
+    });
+    
+    self._indexedFields[fileId] = indexed;
+};
+
+/**
+ * Recount an object's share of its bucket's usage: every stored version's
+ * bytes, and one file while it has a current record
+ * @private
+ * @param {String} fileId - File ID
+ * @param {Object|null} record - Current version, null if deleted
+ * @param {Array} versions - Non-current versions and delete markers
+ */
+CloudStorage.prototype._trackUsage = function(fileId, record, versions) {
+    var previous = this._objectUsage[fileId];
+    var latest = record || versions[0];
+    
+    if (previous) {
+        this.bucketUsage[previous.bucket].bytes -= previous.bytes;
+        this.bucketUsage[previous.bucket].files -= previous.files;
+        delete this._objectUsage[fileId];
+    }
+    
+    if (!latest) return;
+    
+    var entry = { bucket: latest.bucket, bytes: 0, files: record ? 1 : 0 };
+    
+    [record].concat(versions).forEach(function(version) {
+        if (version && !version.isDeleteMarker) {
+            entry.bytes += version.size;
+        }
+    });
+    
+    var usage = this.bucketUsage[entry.bucket] = this.bucketUsage[entry.bucket] || { bytes: 0, files: 0 };
+    
+    usage.bytes += entry.bytes;
+    usage.files += entry.files;
+    this._objectUsage[fileId] = entry;
+};
+
+/**
+ * Persist a change to a file's current record
+ * @private
+ * @param {Object} fileInfo - File record
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._commitFile = function(fileInfo, callback) {
+    this._commitObject(fileInfo.fileId, fileInfo, this.versions[fileInfo.fileId] || [], callback);
+};
+
+/**
+ * Permanently remove an object with all of its versions, releasing blobs
+ * that no other file references
+ * @private
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._removeObject = function(fileId, callback) {
+    var self = this;
+    var blobs = [self.storage[fileId]].concat(self.versions[fileId] || []).filter(function(version) {
+        return version && !version.isDeleteMarker;
+    });
+    
+    self._commitObject(fileId, null, [], function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        blobs.forEach(function(version) {
+            self._releaseBlob(self._blobOf(version), function(err) {
+                if (err) {
+                    self.logger.warn('Failed to remove blob', self._blobOf(version) + ':', err.message);
+                }
+            });
+        });
+        
+        callback(null);
+    });
+};
+
+/**
+ * Generate unique file ID
+ * @private
+ * @returns {String} Unique ID
+ */
+CloudStorage.prototype._generateFileId = function() {
+    return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Calculate file hash
+ * @private
+ * @param {String} filePath - Path to file
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._calculateHash = function(filePath, callback) {
+    var hash = crypto.createHash('sha256');
+    var stream = fs.createReadStream(filePath);
+    
+    stream.on('data', function(data) {
+        hash.update(data);
+    });
+    
+    stream.on('end', function() {
+        callback(null, hash.digest('hex'));
+    });
+    
+    stream.on('error', function(err) {
+        callback(err);
+    });
+};
+
+/**
+ * Calculate file hash synchronously (used while rebuilding the index)
+ * @private
+ * @param {String} filePath - Path to file
+ * @returns {String} Hex digest
+ */
+CloudStorage.prototype._calculateHashSync = function(filePath) {
+    var hash = crypto.createHash('sha256');
+    var buffer = Buffer.alloc(64 * 1024);
+    var fd = fs.openSync(filePath, 'r');
+    var bytesRead;
+    
+    try {
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.slice(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    
+    return hash.digest('hex');
+};
+
+/**
+ * Stream data into content-addressed blob storage, hashing it on the way.
+ * Data lands in a local partial file and is handed to the backend once its
+ * hash is known; if a blob with that hash already exists the copy is discarded.
+ * Either way the caller holds a new reference to the blob and must
+ * release it if the file is not registered.
+ *
+ * With an encryption target the data is encrypted under a fresh data key
+ * on its way to disk and the blob is stored under the hash of the
+ * ciphertext. Files encrypted under the master key share the blob (and
+ * data key) of an earlier file with the same content; files encrypted
+ * with a customer key are never deduplicated.
+ *
+ * With compression, data is compressed before it is encrypted, and is
+ * likewise stored under the hash of what is written.
+ * @private
+ * @param {Stream} source - Readable stream with the file contents
+ * @param {String} fileId - File ID the data is written for
+ * @param {Object|null} target - Result of _encryptionTarget, null to store the data as is
+ * @param {String|null} compression - Result of _compressionFor, null to store the data uncompressed
+ * @param {Function} callback - Callback function (err, { size, hash, md5, head, image, blobHash, encryption,
+ *   compression, storagePath, deduplicated }); image holds the dimensions of a recognized image format, else null
+ */
+CloudStorage.prototype._writeBlob = function(source, fileId, target, compression, callback) {
+    var self = this;
+    var tempPath = path.join(self.localStoragePath, fileId + PARTIAL_SUFFIX);
+    var hash = crypto.createHash('sha256');
+    // Only kept to check a client's Content-MD5 against
+    var md5 = crypto.createHash('md5');
+    var storedHash = crypto.createHash('sha256');
+    var size = 0;
+    var storedSize = 0;
+    var head = [];
+    var probe = new ImageProbe();
+    var done = false;
+    var writeStream = fs.createWriteStream(tempPath);
+    var dataKey = target ? crypto.randomBytes(32) : null;
+    var iv = target ? crypto.randomBytes(12) : null;
+    var cipher = target ? crypto.createCipheriv('aes-256-gcm', dataKey, iv) : null;
+    var compressor = compression ? createCompressor(compression) : null;
+    
+    function finish(err, result) {
+        if (done) return;
+        done = true;
+        
+        if (err) {
+            writeStream.destroy();
+            return fs.unlink(tempPath, function() {
+                callback(err);
+            });
+        }
+        
+        callback(null, result);
+    }
+    
+    source.on('data', function(chunk) {
+        hash.update(chunk);
+        md5.update(chunk);
+        
+        // The first bytes are kept for content type detection
+        if (size < SNIFF_LENGTH) {
+            head.push(chunk.slice(0, SNIFF_LENGTH - size));
+        }
+        
+        if (!probe.done) {
+            probe.push(chunk);
+        }
+        
+        size += chunk.length;
+    });
+    
+    source.on('error', finish);
+    writeStream.on('error', finish);
+    
+    writeStream.on('finish', function() {
+        if (done) return;
+        
+        var digest = hash.digest('hex');
+        var blob = { hash: digest, blobHash: digest, encryption: null, compression: null };
+        var shared = null;
+        
+        if (compressor || cipher) {
+            blob.blobHash = storedHash.digest('hex');
+        }
+        
+        if (compressor) {
+            blob.compression = { algorithm: compression, storedSize: storedSize };
+        }
+        
+        if (target) {
+            blob.encryption = {
+                algorithm: ENCRYPTION_ALGORITHM,
+                keyType: target.keyType,
+                keyId: target.keyId,
+                wrappedKey: self._wrapKey(dataKey, target.key),
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64')
+            };
+            shared = target.keyType === 'master' ? self._findEncryptedBlob(digest) : null;
+        }
+        
+        var lockHash = shared ? self._blobOf(shared) : blob.blobHash;
+        
+        self._withLock('blob:' + lockHash, function(release) {
+            // Aborted while waiting for the lock
+            if (done) {
+                return fs.unlink(tempPath, function() {
+                    release(null, false);
+                });
+            }
+            
+            var deduplicated = self.blobRefs[lockHash] > 0;
+            
+            // The shared blob may have been stored with or without compression
+            if (deduplicated && shared) {
+                blob.blobHash = lockHash;
+                blob.encryption = JSON.parse(JSON.stringify(shared.encryption));
+                blob.compression = shared.compression ? JSON.parse(JSON.stringify(shared.compression)) : null;
+            }
+            
+            function retained(err) {
+                if (err) {
+                    return release(err);
+                }
+                
+                self._retainBlob(blob.blobHash);
+                release(null, deduplicated);
+            }
+            
+            if (deduplicated) {
+                return fs.unlink(tempPath, function() {
+                    retained(null);
+                });
+            }
+            
+            self._storeBlobFile(tempPath, blob.blobHash, retained);
+        }, function(err, deduplicated) {
+            if (done) return;
+            
+            if (err) {
+                return finish(err);
+            }
+            
+            finish(null, {
+                size: size,
+                hash: digest,
+                md5: md5.digest('base64'),
+                head: Buffer.concat(head),
+                image: probe.dimensions(),
+                blobHash: blob.blobHash,
+                encryption: blob.encryption,
+                compression: blob.compression,
+                storagePath: self.backend.location(self._blobKey(blob.blobHash)),
+                deduplicated: deduplicated
+            });
+        });
+    });
+    
+    var output = source;
+    
+    if (compressor) {
+        compressor.on('error', finish);
+        output = output.pipe(compressor);
+    }
+    
+    if (cipher) {
+        cipher.on('error', finish);
+        output = output.pipe(cipher);
+    }
+    
+    if (output !== source) {
+        output.on('data', function(chunk) {
+            storedHash.update(chunk);
+            storedSize += chunk.length;
+        });
+    }
+    
+    output.pipe(writeStream);
+};
+
+/**
+ * Hand a local file to the backend as a blob, removing the local copy
+ * @private
+ * @param {String} filePath - Local file with the blob contents
+ * @param {String} hash - Hex SHA-256 of the contents
+ * @param {Function} callback - Callback function (err)
+ */
+CloudStorage.prototype._storeBlobFile = function(filePath, hash, callback) {
+    var self = this;
+    var key = self._blobKey(hash);
+    
+    if (typeof self.backend.putFile === 'function') {
+        return self.backend.putFile(key, filePath, callback);
+    }
+    
+    fs.stat(filePath, function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.backend.put(key, fs.createReadStream(filePath), stats.size, function(err) {
+            if (err) {
+                return callback(err);
+            }
+            
+            fs.unlink(filePath, function() {
+                callback(null);
+            });
+        });
+    });
+};
+
+/**
+ * Store a record as the newest version of the object with its name,
+ * creating the object under the record's file ID if there is none yet
+ * @private
+ * @param {Object} fileInfo - New version record; fileId and versionId are filled in
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+CloudStorage.prototype._putVersion = function(fileInfo, callback) {
+    var self = this;
+    
+    try {
+        fileInfo.fileName = self._normalizeFileName(fileInfo.fileName);
+        
+        if (fileInfo.metadata !== undefined) {
+            self._checkMetadata(fileInfo.metadata);
+        }
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var key = self._objectKey(fileInfo.fileName, fileInfo.bucket);
+    
+    self._withLock('object:' + key, function(release) {
+        if (!self.buckets[fileInfo.bucket]) {
+            return release(new Error('Bucket not found'));
+        }
+        
+        var fileId = self.keyIndex[key] || fileInfo.fileId;
+        var versions = (self.versions[fileId] || []).slice();
+        
+        if (self.storage[fileId]) {
+            versions.unshift(self.storage[fileId]);
+        }
+        
+        var newFiles = self.storage[fileId] ? 0 : 1;
+        var quotaError = self._reserveQuota(fileInfo.bucket, fileInfo.size, newFiles);
+        
+        if (quotaError) {
+            return release(quotaError);
+        }
+        
+        fileInfo.fileId = fileId;
+        fileInfo.versionId = self._generateVersionId();
+        
+        self._commitObject(fileId, fileInfo, versions, function(err) {
+            self._releaseQuota(fileInfo.bucket, fileInfo.size, newFiles);
+            release(err);
+        });
+    }, function(err) {
+        callback(err || null, err ? null : fileInfo);
+    });
+};
+
+/**
+ * Get the bucket an object belongs to
+ * @private
+ * @param {String} fileId - File ID
+ * @returns {String|null} Bucket name, null if there is no such object
+ */
+CloudStorage.prototype._fileBucket = function(fileId) {
+    var latest = FILE_ID_PATTERN.test(fileId) && (this.storage[fileId] || (this.versions[fileId] || [])[0]);
+    
+    return latest ? latest.bucket : null;
+};
+
+/**
+ * Run an operation under the lock of an existing object
+ * @private
+ */
+CloudStorage.prototype._withObjectLock = function(fileId, operation, callback) {
+    var latest = FILE_ID_PATTERN.test(fileId) && (this.storage[fileId] || (this.versions[fileId] || [])[0]);
+    
+    if (!latest) {
+        return callback(new Error('File not found'));
+    }
+    
+    this._withLock('object:' + this._objectKey(latest.fileName, latest.bucket), operation, callback);
+};
+
+/**
+ * Register a freshly written blob as a file and emit the upload event.
+ * A file with the same name becomes a new version of the existing object.
+ * A file that does not match the checksums sent with it, or whose content
+ * type is not allowed, is refused and its blob released.
+ * @private
+ * @param {String} fileId - File ID of the blob
+ * @param {Object} details - fileName, size, hash, md5, head, image, blobHash, encryption, compression, contentType, metadata,
+ *   originalPath, bucket, expiresAt, checksums
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._registerBlob = function(fileId, details, callback) {
+    var self = this;
+    var blobHash = details.blobHash || details.hash;
+    var contentType;
+    
+    try {
+        var digestError = self._checksumError(details.checksums, details);
+        
+        if (digestError) {
+            throw digestError;
+        }
+        
+        contentType = self._resolveContentType(details.fileName, details.contentType, details.head);
+    } catch (err) {
+        return self._releaseBlob(blobHash, function() {
+            callback(err);
+        });
+    }
+    
+    var fileInfo = {
+        fileId: fileId,
+        fileName: details.fileName,
+        originalPath: details.originalPath || null,
+        storagePath: self.backend.location(self._blobKey(blobHash)),
+        size: details.size,
+        hash: details.hash,
+        contentType: contentType,
+        metadata: details.metadata || {},
+        uploadedAt: new Date().toISOString(),
+        bucket: details.bucket || self.config.bucketName
+    };
+    
+    if (details.expiresAt) {
+        fileInfo.expiresAt = details.expiresAt;
+    }
+    
+    // Dimensions are null for images in a format the probe does not read
+    if (contentType.indexOf('image/') === 0) {
+        fileInfo.image = details.image || null;
+    }
+    
+    if (details.encryption || details.compression) {
+        fileInfo.blobHash = blobHash;
+    }
+    
+    if (details.encryption) {
+        fileInfo.encryption = details.encryption;
+    }
+    
+    if (details.compression) {
+        fileInfo.compression = details.compression;
+    }
+    
+    self._putVersion(fileInfo, function(err) {
+        if (err) {
+            return self._releaseBlob(blobHash, function() {
+                callback(err);
+            });
+        }
+        
+        self.emit('upload', fileInfo);
+        
+        self.logger.info('File uploaded successfully:', fileInfo.fileName);
+        callback(null, fileInfo);
+    });
+};
+
+/**
+ * Upload file to cloud storage
+ * @param {String} filePath - Local file path
+ * @param {Object} options - Upload options (fileName, contentType, metadata, bucket)
+ *   encryptionKey {String|Buffer} - 256-bit customer key to encrypt the file with (optional)
+ *   expiresAt {Date|String|Number} - When lifecycle removes the file (optional)
+ *   checksum {String} - Expected hex SHA-256 of the file (optional)
+ *   contentMd5 {String} - Expected base64 MD5 of the file (optional)
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.upload = function(filePath, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var target;
+    var expiresAt;
+    var checksums;
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    try {
+        target = self._encryptionTarget(options.encryptionKey);
+        expiresAt = self._parseExpiresAt(options.expiresAt);
+        checksums = self._parseChecksums(options.checksum, options.contentMd5);
+        self._normalizeFileName(options.fileName || path.basename(filePath));
+        self._resolveContentType(options.fileName || path.basename(filePath), options.contentType);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    fs.stat(filePath, function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (!stats.isFile()) {
+            return callback(new Error('Path is not a file'));
+        }
+        
+        var fileName = options.fileName || path.basename(filePath);
+        var existing = self.keyIndex[self._objectKey(fileName, bucket)];
+        
+        // Fail before writing anything when the file cannot fit anyway
+        var quotaError = self._quotaError(bucket, stats.size, existing && self.storage[existing] ? 0 : 1);
+        
+        if (quotaError) {
+            return callback(quotaError);
+        }
+        
+        var fileId = self._generateFileId();
+        var compression = self._compressionFor(fileName, options.contentType);
+        
+        self._writeBlob(fs.createReadStream(filePath), fileId, target, compression, function(err, blob) {
+            if (err) {
+                return callback(err);
+            }
+            
+            self._registerBlob(fileId, {
+                fileName: fileName,
+                originalPath: filePath,
+                size: blob.size,
+                hash: blob.hash,
+                md5: blob.md5,
+                head: blob.head,
+                image: blob.image,
+                blobHash: blob.blobHash,
+                encryption: blob.encryption,
+                compression: blob.compression,
+                contentType: options.contentType,
+                metadata: options.metadata,
+                bucket: bucket,
+                expiresAt: expiresAt,
+                checksums: checksums
+            }, callback);
+        });
+    });
+};
+
+/**
+ * Download file from cloud storage
+ * @param {String} fileId - File ID
+ * @param {String} destinationPath - Local destination path
+ * @param {Object} options - Download options (optional)
+ *   versionId {String} - Version to download (default: current version)
+ *   start {Number} - First byte to download (default: 0)
+ *   end {Number} - Last byte to download, inclusive (default: end of file)
+ *   encryptionKey {String|Buffer} - Customer key the file was uploaded with
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.download = function(fileId, destinationPath, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var fileInfo = self._findVersion(fileId, options.versionId);
+    
+    if (!fileInfo || fileInfo.isDeleteMarker) {
+        return callback(new Error(options.versionId ? 'Version not found' : 'File not found'));
+    }
+    
+    var dataKey;
+    
+    try {
+        dataKey = self._dataKeyFor(fileInfo, options.encryptionKey);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    self.backend.stat(self._blobKey(self._blobOf(fileInfo)), function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var size = self._contentSize(fileInfo, stats);
+        var ranged = options.start !== undefined || options.end !== undefined;
+        var start = options.start !== undefined ? options.start : 0;
+        var end = options.end !== undefined ? Math.min(options.end, size - 1) : size - 1;
+        
+        if (ranged && (!isFinite(start) || !isFinite(end) || start < 0 || start > end || start >= size)) {
+            return callback(new Error('Range not satisfiable'));
+        }
+        
+        var readStream = size === 0 ? self._readBlob(fileInfo, dataKey) :
+            self._readBlob(fileInfo, dataKey, start, end);
+        var writeStream = fs.createWriteStream(destinationPath);
+        var finished = false;
+        
+        // Both streams can fail, one after the other; the partial file is removed once
+        function fail(err) {
+            if (finished) return;
+            finished = true;
+            
+            readStream.unpipe(writeStream);
+            readStream.destroy();
+            writeStream.destroy();
+            fs.unlink(destinationPath, function() {
+                callback(err);
+            });
+        }
+        
+        readStream.on('error', fail);
+        writeStream.on('error', fail);
+        
+        writeStream.on('finish', function() {
+            if (finished) return;
+            finished = true;
+            
+            self.emit('download', fileInfo);
+            
+            self.logger.info('File downloaded successfully:', fileInfo.fileName);
+            
+            var result = {
+                fileId: fileId,
+                versionId: fileInfo.versionId,
+                fileName: fileInfo.fileName,
+                downloadPath: destinationPath,
+                size: size === 0 ? 0 : end - start + 1
+            };
+            
+            if (ranged) {
+                result.range = { start: start, end: end };
+                result.totalSize = size;
+            }
+            
+            callback(null, result);
+        });
+        
+        readStream.pipe(writeStream);
+    });
+};
+
+/**
+ * Open a readable stream over a stored file
+ * Lookup, key and range errors are emitted as 'error' on the returned stream.
+ * @param {String} fileId - File ID
+ * @param {Object} options - Read options (optional)
+ *   versionId {String} - Version to read (default: current version)
+ *   start {Number} - First byte to read (default: 0)
+ *   end {Number} - Last byte to read, inclusive (default: end of file)
+ *   encryptionKey {String|Buffer} - Customer key the file was uploaded with
+ * @returns {Stream} Readable stream with the file contents
+ */
+CloudStorage.prototype.createReadStream = function(fileId, options) {
+    var self = this;
+    var out = new stream.PassThrough();
+    
+    options = options || {};
+    
+    function fail(err) {
+        process.nextTick(function() {
+            out.destroy(err);
+        });
+        
+        return out;
+    }
+    
+    var fileInfo = self._findVersion(fileId, options.versionId);
+    
+    if (!fileInfo || fileInfo.isDeleteMarker) {
+        return fail(new Error(options.versionId ? 'Version not found' : 'File not found'));
+    }
+    
+    var dataKey;
+    
+    try {
+        dataKey = self._dataKeyFor(fileInfo, options.encryptionKey);
+    } catch (err) {
+        return fail(err);
+    }
+    
+    self.backend.stat(self._blobKey(self._blobOf(fileInfo)), function(err, stats) {
+        if (err) {
+            return out.destroy(err);
+        }
+        
+        var size = self._contentSize(fileInfo, stats);
+        var ranged = options.start !== undefined || options.end !== undefined;
+        var start = options.start !== undefined ? options.start : 0;
+        var end = options.end !== undefined ? Math.min(options.end, size - 1) : size - 1;
+        
+        if (ranged && (!isFinite(start) || !isFinite(end) || start < 0 || start > end || start >= size)) {
+            return out.destroy(new Error('Range not satisfiable'));
+        }
+        
+        var readStream = size === 0 ? self._readBlob(fileInfo, dataKey) :
+            self._readBlob(fileInfo, dataKey, start, end);
+        
+        readStream.on('error', function(err) {
+            out.destroy(err);
+        });
+        
+        readStream.on('end', function() {
+            self.emit('download', fileInfo);
+        });
+        
+        readStream.pipe(out);
+    });
+    
+    return out;
+};
+
+/**
+ * Open a writable stream that uploads whatever is written to it
+ * The file is committed once the stream is ended: 'finish' fires only after
+ * it is stored, with the new file info on the stream's fileInfo property.
+ * Errors, quota failures included, are emitted as 'error'; destroying the
+ * stream before it finishes aborts the upload.
+ * @param {String} fileName - Name to store the file under
+ * @param {Object} options - Upload options (contentType, metadata, bucket)
+ *   encryptionKey {String|Buffer} - 256-bit customer key to encrypt the file with (optional)
+ *   expiresAt {Date|String|Number} - When lifecycle removes the file (optional)
+ *   checksum {String} - Expected hex SHA-256 of the data (optional)
+ *   contentMd5 {String} - Expected base64 MD5 of the data (optional)
+ * @returns {Stream} Writable stream
+ */
+CloudStorage.prototype.createWriteStream = function(fileName, options) {
+    var self = this;
+    var source = new stream.PassThrough();
+    var started = false;
+    var committed = false;
+    var pending = null;
+    
+    options = options || {};
+    
+    var writable = new stream.Writable({
+        write: function(chunk, encoding, callback) {
+            if (source.write(chunk)) {
+                return callback();
+            }
+            
+            source.once('drain', callback);
+        },
+        final: function(callback) {
+            pending = callback;
+            source.end();
+        },
+        destroy: function(err, callback) {
+            // Feeding an error to the blob writer discards the partial upload
+            if (started && !committed) {
+                source.destroy(err || new Error('Upload aborted'));
+            }
+            
+            callback(err);
+        }
+    });
+    
+    writable.fileInfo = null;
+    
+    function fail(err) {
+        process.nextTick(function() {
+            writable.destroy(err);
+        });
+        
+        return writable;
+    }
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var target;
+    var expiresAt;
+    var checksums;
+    
+    if (!fileName) {
+        return fail(new Error('File name is required'));
+    }
+    
+    if (!self.buckets[bucket]) {
+        return fail(new Error('Bucket not found'));
+    }
+    
+    try {
+        target = self._encryptionTarget(options.encryptionKey);
+        expiresAt = self._parseExpiresAt(options.expiresAt);
+        checksums = self._parseChecksums(options.checksum, options.contentMd5);
+        self._normalizeFileName(fileName);
+        self._resolveContentType(fileName, options.contentType);
+    } catch (err) {
+        return fail(err);
+    }
+    
+    var existing = self.keyIndex[self._objectKey(fileName, bucket)];
+    var quotaError = self._quotaError(bucket, 0, existing && self.storage[existing] ? 0 : 1);
+    
+    if (quotaError) {
+        return fail(quotaError);
+    }
+    
+    var fileId = self._generateFileId();
+    
+    started = true;
+    
+    self._writeBlob(source, fileId, target, self._compressionFor(fileName, options.contentType), function(err, blob) {
+        if (err) {
+            return writable.destroy(err);
+        }
+        
+        self._registerBlob(fileId, {
+            fileName: fileName,
+            size: blob.size,
+            hash: blob.hash,
+            md5: blob.md5,
+            head: blob.head,
+            image: blob.image,
+            blobHash: blob.blobHash,
+            encryption: blob.encryption,
+            compression: blob.compression,
+            contentType: options.contentType,
+            metadata: options.metadata,
+            bucket: bucket,
+            expiresAt: expiresAt,
+            checksums: checksums
+        }, function(err, fileInfo) {
+            committed = true;
+            
+            if (err) {
+                return writable.destroy(err);
+            }
+            
+            writable.fileInfo = fileInfo;
+            pending();
+        });
+    });
+    
+    return writable;
+};
+
+/**
+ * Delete file from cloud storage
+ * Without a versionId the file is hidden behind a delete marker and its
+ * versions are kept; with one, that version is removed permanently.
+ * @param {String} fileId - File ID
+ * @param {Object} options - Delete options (optional)
+ *   versionId {String} - Version or delete marker to remove permanently
+ *   reason {String} - Reason passed on to the 'delete' event (default: 'manual')
+ *   rule {String} - Lifecycle rule behind the delete, if any
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.delete = function(fileId, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var details = { reason: options.reason || 'manual', rule: options.rule || null };
+    
+    if (options.versionId) {
+        return self._deleteVersion(fileId, options.versionId, details, callback);
+    }
+    
+    if (!FILE_ID_PATTERN.test(fileId) || !self.storage[fileId]) {
+        return callback(new Error('File not found'));
+    }
+    
+    var fileInfo = self.storage[fileId];
+    var marker;
+    
+    self._withObjectLock(fileId, function(release) {
+        if (self.storage[fileId] !== fileInfo) {
+            return release(new Error('File was modified during delete, try again'));
+        }
+        
+        marker = {
+            fileId: fileId,
+            versionId: self._generateVersionId(),
+            fileName: fileInfo.fileName,
+            bucket: fileInfo.bucket,
+            isDeleteMarker: true,
+            deletedAt: new Date().toISOString()
+        };
+        
+        self._commitObject(fileId, null, [marker, fileInfo].concat(self.versions[fileId] || []), release);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.emit('delete', fileInfo, details);
+        
+        self.logger.info('File deleted successfully:', fileInfo.fileName);
+        callback(null, {
+            fileId: fileId,
+            deleted: true,
+            deleteMarker: true,
+            versionId: marker.versionId
+        });
+    });
+};
+
+/**
+ * Permanently remove one version of an object. Removing the current
+ * version makes the next newest one current, as in S3.
+ * @private
+ */
+CloudStorage.prototype._deleteVersion = function(fileId, versionId, details, callback) {
+    var self = this;
+    var removed = null;
+    
+    self._withObjectLock(fileId, function(release) {
+        var all = [self.storage[fileId] || null].concat(self.versions[fileId] || []);
+        
+        for (var i = 0; i < all.length; i++) {
+            if (all[i] && all[i].versionId === versionId) {
+                removed = all[i];
+                all.splice(i, 1);
+                break;
+            }
+        }
+        
+        if (!removed) {
+            return release(new Error('Version not found'));
+        }
+        
+        var remaining = all.filter(function(version) { return version; });
+        var current = remaining[0] && !remaining[0].isDeleteMarker ? remaining.shift() : null;
+        
+        self._commitObject(fileId, current, remaining, release);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (!removed.isDeleteMarker) {
+            self._releaseBlob(self._blobOf(removed));
+        }
+        
+        self.emit('delete', removed, details);
+        
+        self.logger.info('Version deleted permanently:', removed.fileName, removed.versionId);
+        callback(null, {
+            fileId: fileId,
+            versionId: versionId,
+            deleted: true,
+            deleteMarker: !!removed.isDeleteMarker
+        });
+    });
+};
+
+/**
+ * List the versions of a file, newest first, including delete markers
+ * @param {String} fileId - File ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.listVersions = function(fileId, callback) {
+    var self = this;
+    
+    if (!FILE_ID_PATTERN.test(fileId) || (!self.storage[fileId] && !self.versions[fileId])) {
+        return callback(new Error('File not found'));
+    }
+    
+    callback(null, {
+        fileId: fileId,
+        versions: self._versionSummaries(fileId),
+        bucket: self._fileBucket(fileId)
+    });
+};
+
+/**
+ * Summarize an object's versions for listings, newest first
+ * @private
+ */
+CloudStorage.prototype._versionSummaries = function(fileId) {
+    var all = [this.storage[fileId] || null].concat(this.versions[fileId] || []).filter(function(version) {
+        return version;
+    });
+    
+    return all.map(function(version, i) {
+        if (version.isDeleteMarker) {
+            return {
+                fileId: fileId,
+                versionId: version.versionId,
+                fileName: version.fileName,
+                isLatest: i === 0,
+                isDeleteMarker: true,
+                deletedAt: version.deletedAt
+            };
+        }
+        
+        return {
+            fileId: fileId,
+            versionId: version.versionId,
+            fileName: version.fileName,
+            size: version.size,
+            hash: version.hash,
+            contentType: version.contentType,
+            uploadedAt: version.uploadedAt,
+            metadata: version.metadata,
+            isLatest: i === 0,
+            isDeleteMarker: false
+        };
+    });
+};
+
+/**
+ * Make an older version current again by storing it as a new version
+ * @param {String} fileId - File ID
+ * @param {String} versionId - Version to restore
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.restoreVersion = function(fileId, versionId, callback) {
+    var self = this;
+    var version = self._findVersion(fileId, versionId);
+    var fileInfo;
+    
+    if (!version) {
+        return callback(new Error('Version not found'));
+    }
+    
+    if (version.isDeleteMarker) {
+        return callback(new Error('Cannot restore a delete marker'));
+    }
+    
+    var blobHash = self._blobOf(version);
+    
+    self._withLock('blob:' + blobHash, function(release) {
+        if (!self.blobRefs[blobHash]) {
+            return release(new Error('Version not found'));
+        }
+        
+        self._retainBlob(blobHash);
+        release(null);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        fileInfo = JSON.parse(JSON.stringify(version));
+        fileInfo.uploadedAt = new Date().toISOString();
+        fileInfo.restoredFrom = versionId;
+        delete fileInfo.updatedAt;
+        
+        self._putVersion(fileInfo, function(err) {
+            if (err) {
+                return self._releaseBlob(blobHash, function() {
+                    callback(err);
+                });
+            }
+            
+            self.emit('restore', fileInfo, version);
+            
+            self.logger.info('Version restored:', fileInfo.fileName, versionId, '->', fileInfo.versionId);
+            callback(null, fileInfo);
+        });
+    });
+};
+
+/**
+ * List files in a bucket, one page at a time
+ * @param {Object} options - List options (optional)
+ *   bucket {String} - Bucket to list (default: the default bucket)
+ *   prefix {String} - Only names starting with this prefix
+ *   delimiter {String} - Roll names containing it after the prefix up into commonPrefixes
+ *   sortBy {String} - 'name', 'size' or 'uploadedAt' (default: 'name')
+ *   order {String} - 'asc' or 'desc' (default: 'asc')
+ *   contentType {String} - Exact content type, or a 'type/*' family
+ *   minSize {Number} - Smallest size in bytes, inclusive
+ *   maxSize {Number} - Largest size in bytes, inclusive
+ *   uploadedAfter {String|Date} - Uploaded at or after this time
+ *   uploadedBefore {String|Date} - Uploaded before this time
+ *   metadata {Object} - Metadata key/value pairs that must all match
+ *   versions {Boolean} - List every version and delete marker
+ *   limit {Number} - Maximum entries per page (default: no limit)
+ *   continuationToken {String} - nextToken from the previous page
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.list = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var files = [];
+    var query;
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    try {
+        query = self._listQuery(options);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var fileIds = self._allFileIds().filter(function(fileId) {
+        return self._fileBucket(fileId) === bucket;
+    });
+    
+    if (options.versions) {
+        fileIds.forEach(function(fileId) {
+            files = files.concat(self._versionSummaries(fileId));
+        });
+    } else {
+        fileIds.forEach(function(fileId) {
+            var fileInfo = self.storage[fileId];
+            
+            if (!fileInfo) return;
+            
+            files.push(self._fileSummary(fileInfo));
+        });
+    }
+    
+    files = files.filter(function(file) {
+        return self._listMatches(file, query);
+    });
+    
+    callback(null, self._listPage(files, query, bucket));
+};
+
+/**
+ * Summarize a current file for listings
+ * @private
+ */
+CloudStorage.prototype._fileSummary = function(fileInfo) {
+    return {
+        fileId: fileInfo.fileId,
+        versionId: fileInfo.versionId,
+        fileName: fileInfo.fileName,
+        size: fileInfo.size,
+        contentType: fileInfo.contentType,
+        image: fileInfo.image || null,
+        uploadedAt: fileInfo.uploadedAt,
+        metadata: fileInfo.metadata
+    };
+};
+
+/**
+ * Sort filtered listing entries and cut out the page the query asks for
+ * @private
+ */
+CloudStorage.prototype._listPage = function(files, query, bucket) {
+    var self = this;
+    
+    // Names that continue past the delimiter collapse into one prefix entry
+    var prefixes = {};
+    var entries = [];
+    
+    files.forEach(function(file) {
+        if (query.delimiter) {
+            var cut = file.fileName.indexOf(query.delimiter, query.prefix.length);
+            
+            if (cut !== -1) {
+                prefixes[file.fileName.slice(0, cut + query.delimiter.length)] = true;
+                return;
+            }
+        }
+        
+        entries.push({ key: self._listKey(file, query), file: file });
+    });
+    
+    Object.keys(prefixes).forEach(function(prefix) {
+        entries.push({ key: [0, prefix], prefix: prefix });
+    });
+    
+    entries.sort(function(a, b) {
+        return self._compareListKeys(a.key, b.key, query);
+    });
+    
+    if (query.after) {
+        entries = entries.filter(function(entry) {
+            return self._compareListKeys(entry.key, query.after, query) > 0;
+        });
+    }
+    
+    var isTruncated = !!query.limit && entries.length > query.limit;
+    
+    if (isTruncated) {
+        entries = entries.slice(0, query.limit);
+    }
+    
+    var result = {
+        files: [],
+        count: 0,
+        bucket: bucket,
+        isTruncated: isTruncated,
+        nextToken: isTruncated ? self._encodeListToken(entries[entries.length - 1].key, query) : null
+    };
+    
+    if (query.delimiter) {
+        result.commonPrefixes = [];
+    }
+    
+    entries.forEach(function(entry) {
+        if (entry.prefix !== undefined) {
+            result.commonPrefixes.push(entry.prefix);
+        } else {
+            result.files.push(entry.file);
+        }
+    });
+    
+    result.count = result.files.length;
+    
+    return result;
+};
+
+/**
+ * Validate list options and decode the continuation token
+ * @private
+ */
+CloudStorage.prototype._listQuery = function(options) {
+    var query = {
+        prefix: options.prefix ? String(options.prefix) : '',
+        delimiter: options.delimiter ? String(options.delimiter) : '',
+        sortBy: options.sortBy || 'name',
+        order: options.order || 'asc',
+        contentType: options.contentType ? String(options.contentType).toLowerCase() : null,
+        minSize: null,
+        maxSize: null,
+        uploadedAfter: null,
+        uploadedBefore: null,
+        metadata: options.metadata || null,
+        limit: null,
+        after: null
+    };
+    
+    if (['name', 'size', 'uploadedAt'].indexOf(query.sortBy) === -1) {
+        throw listError('sortBy must be name, size or uploadedAt');
+    }
+    
+    if (query.order !== 'asc' && query.order !== 'desc') {
+        throw listError('order must be asc or desc');
+    }
+    
+    ['minSize', 'maxSize'].forEach(function(name) {
+        if (options[name] === undefined || options[name] === null || options[name] === '') return;
+        
+        var value = Number(options[name]);
+        
+        if (!isFinite(value) || value < 0) {
+            throw listError(name + ' must be a non-negative number');
+        }
+        
+        query[name] = value;
+    });
+    
+    ['uploadedAfter', 'uploadedBefore'].forEach(function(name) {
+        if (!options[name]) return;
+        
+        var time = new Date(options[name]).getTime();
+        
+        if (isNaN(time)) {
+            throw listError(name + ' must be a date');
+        }
+        
+        query[name] = time;
+    });
+    
+    if (query.metadata !== null && (typeof query.metadata !== 'object' || Array.isArray(query.metadata))) {
+        throw listError('metadata must be an object of key/value pairs');
+    }
+    
+    if (options.limit !== undefined && options.limit !== null && options.limit !== '') {
+        query.limit = Number(options.limit);
+        
+        if (!(query.limit >= 1) || Math.floor(query.limit) !== query.limit) {
+            throw listError('limit must be a positive integer');
+        }
+    }
+    
+    if (options.continuationToken) {
+        query.after = this._decodeListToken(options.continuationToken, query);
+    }
+    
+    return query;
+    
+    function listError(message) {
+        var err = new Error(message);
+        err.code = 'InvalidArgument';
+        return err;
+    }
+};
+
+/**
+ * Check a listing entry against the list filters
+ * @private
+ */
+CloudStorage.prototype._listMatches = function(file, query) {
+    if (query.prefix && !file.fileName.startsWith(query.prefix)) {
+        return false;
+    }
+    
+    var hasContentFilter = query.contentType || query.minSize !== null || query.maxSize !== null || query.metadata;
+    
+    // Delete markers carry no content, so content filters never match them
+    if (file.isDeleteMarker) {
+        if (hasContentFilter) return false;
+    } else {
+        if (query.contentType) {
+            var contentType = String(file.contentType || '').split(';')[0].trim().toLowerCase();
+            var wanted = query.contentType;
+            
+            if (wanted.slice(-2) === '/*') {
+                if (contentType.indexOf(wanted.slice(0, -1)) !== 0) return false;
+            } else if (contentType !== wanted) {
+                return false;
+            }
+        }
+        
+        if (query.minSize !== null && file.size < query.minSize) return false;
+        if (query.maxSize !== null && file.size > query.maxSize) return false;
+        
+        if (query.metadata) {
+            var metadata = file.metadata || {};
+            var mismatch = Object.keys(query.metadata).some(function(key) {
+                return !Object.prototype.hasOwnProperty.call(metadata, key) ||
+                    String(metadata[key]) !== String(query.metadata[key]);
+            });
+            
+            if (mismatch) return false;
+        }
+    }
+    
+    var time = this._listTime(file);
+    
+    if (query.uploadedAfter !== null && !(time >= query.uploadedAfter)) return false;
+    if (query.uploadedBefore !== null && !(time < query.uploadedBefore)) return false;
+    
+    return true;
+};
+
+/**
+ * Sort key of a listing entry: the sort field, then name, file ID and
+ * newest version first, so that every entry has a unique position
+ * @private
+ */
+CloudStorage.prototype._listKey = function(file, query) {
+    var time = this._listTime(file);
+    var value = query.sortBy === 'size' ? (file.size || 0) :
+        query.sortBy === 'uploadedAt' ? time : file.fileName;
+    
+    return [1, value, file.fileName, file.fileId, time, file.versionId || ''];
+};
+
+/**
+ * Timestamp of a listing entry (delete markers use their deletion time)
+ * @private
+ */
+CloudStorage.prototype._listTime = function(file) {
+    return new Date(file.uploadedAt || file.deletedAt).getTime() || 0;
+};
+
+/**
+ * Compare two listing sort keys; common prefixes (rank 0) come first
+ * @private
+ */
+CloudStorage.prototype._compareListKeys = function(a, b, query) {
+    var direction = query.order === 'desc' ? -1 : 1;
+    
+    if (a[0] !== b[0]) {
+        return a[0] - b[0];
+    }
+    
+    if (a[0] === 0) {
+        return direction * compareValues(a[1], b[1]);
+    }
+    
+    return direction * compareValues(a[1], b[1]) ||
+        compareValues(a[2], b[2]) ||
+        compareValues(a[3], b[3]) ||
+        compareValues(b[4], a[4]) ||
+        compareValues(a[5], b[5]);
+    
+    function compareValues(x, y) {
+        return x < y ? -1 : x > y ? 1 : 0;
+    }
+};
+
+/**
+ * Encode the position after which the next page starts
+ * @private
+ */
+CloudStorage.prototype._encodeListToken = function(key, query) {
+    var token = JSON.stringify({
+        sortBy: query.sortBy,
+        order: query.order,
+        prefix: query.prefix,
+        delimiter: query.delimiter,
+        after: key
+    });
+    
+    return Buffer.from(token).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a continuation token, rejecting tokens from a different listing
+ * @private
+ */
+CloudStorage.prototype._decodeListToken = function(token, query) {
+    var decoded;
+    
+    try {
+        decoded = JSON.parse(Buffer.from(String(token).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (e) {
+        decoded = null;
+    }
+    
+    if (!decoded || !Array.isArray(decoded.after) || (decoded.after[0] !== 0 && decoded.after[0] !== 1)) {
+        var err = new Error('Invalid continuation token');
+        err.code = 'InvalidArgument';
+        throw err;
+    }
+    
+    if (decoded.sortBy !== query.sortBy || decoded.order !== query.order ||
+        decoded.prefix !== query.prefix || decoded.delimiter !== query.delimiter) {
+        var mismatch = new Error('Continuation token does not match the list options');
+        mismatch.code = 'InvalidArgument';
+        throw mismatch;
+    }
+    
+    return decoded.after;
+};
+
+/**
+ * Find files by indexed fields and metadata
+ * @param {Object} options - Query options
+ *   where {Object} - Conditions that must all hold, keyed by field name
+ *     ('fileName', 'size', 'contentType', 'hash', 'uploadedAt', 'updatedAt' or 'metadata.<key>').
+ *     A plain value matches by equality; an object combines the operators
+ *     eq, in, gt, gte, lt, lte and exists.
+ *   bucket {String} - Bucket to search (default: the default bucket)
+ *   sortBy, order, limit, continuationToken - Paging, as for list()
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.query = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var query;
+    var matches;
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    try {
+        query = self._listQuery({
+            sortBy: options.sortBy,
+            order: options.order,
+            limit: options.limit,
+            continuationToken: options.continuationToken
+        });
+        matches = self._queryFileIds(options.where || {});
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var files = Object.keys(matches).filter(function(fileId) {
+        return self.storage[fileId] && self._fileBucket(fileId) === bucket;
+    }).map(function(fileId) {
+        return self._fileSummary(self.storage[fileId]);
+    });
+    
+    callback(null, self._listPage(files, query, bucket));
+};
+
+/**
+ * Resolve query conditions against the field index
+ * @private
+ * @returns {Object} Matching file IDs as keys
+ */
+CloudStorage.prototype._queryFileIds = function(where) {
+    var self = this;
+    
+    if (typeof where !== 'object' || where === null || Array.isArray(where)) {
+        throw queryError('where must be an object of conditions');
+    }
+    
+    var result = null;
+    
+    Object.keys(where).forEach(function(field) {
+        if (INDEXED_FIELDS.indexOf(field) === -1 && !/^metadata\..+/.test(field)) {
+            throw queryError('Cannot query on field: ' + field);
+        }
+        
+        var matched = self._queryField(field, self._queryCondition(field, where[field]));
+        
+        if (result === null) {
+            result = matched;
+            return;
+        }
+        
+        Object.keys(result).forEach(function(fileId) {
+            if (!matched[fileId]) delete result[fileId];
+        });
+    });
+    
+    if (result === null) {
+        result = {};
+        Object.keys(self.storage).forEach(function(fileId) {
+            result[fileId] = true;
+        });
+    }
+    
+    return result;
+    
+    function queryError(message) {
+        var err = new Error(message);
+        err.code = 'InvalidArgument';
+        return err;
+    }
+};
+
+/**
+ * Normalize one field's condition into an operator object
+ * @private
+ */
+CloudStorage.prototype._queryCondition = function(field, condition) {
+    var normalized = {};
+    
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+        condition = { eq: condition };
+    }
+    
+    Object.keys(condition).forEach(function(operator) {
+        var value = condition[operator];
+        
+        if (QUERY_OPERATORS.indexOf(operator) === -1) {
+            throw queryError('Unknown operator for ' + field + ': ' + operator);
+        }
+        
+        if (operator === 'exists') {
+            if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+                throw queryError('exists must be true or false');
+            }
+            
+            normalized.exists = value === true || value === 'true';
+            return;
+        }
+        
+        if (operator === 'in') {
+            if (!Array.isArray(value)) {
+                throw queryError('in must be an array');
+            }
+            
+            normalized['in'] = value.map(queryValue);
+            return;
+        }
+        
+        normalized[operator] = queryValue(value);
+    });
+    
+    return normalized;
+    
+    function queryValue(value) {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        
+        if (value === null || value === undefined || typeof value === 'object') {
+            throw queryError('Condition on ' + field + ' must be a string, number or boolean');
+        }
+        
+        return value;
+    }
+    
+    function queryError(message) {
+        var err = new Error(message);
+        err.code = 'InvalidArgument';
+        return err;
+    }
+};
+
+/**
+ * Collect the files whose value for a field satisfies a condition
+ * @private
+ */
+CloudStorage.prototype._queryField = function(field, condition) {
+    var self = this;
+    var values = self.fieldIndex[field] || Object.create(null);
+    var valueKeys;
+    var matched = {};
+    
+    if (condition.exists === false) {
+        Object.keys(self.storage).forEach(function(fileId) {
+            if (!self._indexedFields[fileId] || !(field in self._indexedFields[fileId])) {
+                matched[fileId] = true;
+            }
+        });
+        
+        return matched;
+    }
+    
+    // Equality goes straight to its index entries; ranges walk the field's distinct values
+    if (condition.eq !== undefined) {
+        valueKeys = [String(condition.eq)];
+    } else if (condition['in']) {
+        valueKeys = condition['in'].map(String);
+    } else {
+        valueKeys = Object.keys(values);
+    }
+    
+    valueKeys.forEach(function(valueKey) {
+        var entry = values[valueKey];
+        
+        if (!entry || !self._queryRangeMatches(entry.value, condition)) return;
+        
+        Object.keys(entry.fileIds).forEach(function(fileId) {
+            matched[fileId] = true;
+        });
+    });
+    
+    return matched;
+};
+
+/**
+ * Check an indexed value against a condition's range operators
+ * @private
+ */
+CloudStorage.prototype._queryRangeMatches = function(value, condition) {
+    if (condition.eq !== undefined && condition['in'] &&
+        condition['in'].map(String).indexOf(String(condition.eq)) === -1) {
+        return false;
+    }
+    
+    if (condition.gt !== undefined && !(compare(value, condition.gt) > 0)) return false;
+    if (condition.gte !== undefined && !(compare(value, condition.gte) >= 0)) return false;
+    if (condition.lt !== undefined && !(compare(value, condition.lt) < 0)) return false;
+    if (condition.lte !== undefined && !(compare(value, condition.lte) <= 0)) return false;
+    
+    return true;
+    
+    // Numbers (and numeric strings) compare by value, everything else as strings
+    function compare(a, b) {
+        var x = Number(a);
+        var y = Number(b);
+        
+        if (typeof a !== 'boolean' && typeof b !== 'boolean' && a !== '' && b !== '' &&
+            isFinite(x) && isFinite(y)) {
+            return x - y;
+        }
+        
+        a = String(a);
+        b = String(b);
+        
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+};
+
+/**
+ * Get file information
+ * @param {String} fileId - File ID
+ * @param {Object} options - Info options (optional)
+ *   versionId {String} - Version to describe (default: current version)
+ *   verify {Boolean} - Re-hash the stored data and add the result of verify() as integrity
+ * @param {Function} callback - Callback function; image is { width, height } as displayed
+ *   (after EXIF orientation) for images whose dimensions are known, else null
+ */
+CloudStorage.prototype.getFileInfo = function(fileId, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var fileInfo = self._findVersion(fileId, options.versionId);
+    
+    if (!fileInfo) {
+        return callback(new Error(options.versionId ? 'Version not found' : 'File not found'));
+    }
+    
+    if (fileInfo.isDeleteMarker) {
+        return callback(new Error('Version is a delete marker'));
+    }
+    
+    self.backend.stat(self._blobKey(self._blobOf(fileInfo)), function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var info = {
+            fileId: fileInfo.fileId,
+            versionId: fileInfo.versionId,
+            isLatest: self.storage[fileId] === fileInfo,
+            fileName: fileInfo.fileName,
+            size: self._contentSize(fileInfo, stats),
+            storedSize: stats.size,
+            hash: fileInfo.hash,
+            contentType: fileInfo.contentType,
+            image: null,
+            metadata: fileInfo.metadata,
+            uploadedAt: fileInfo.uploadedAt,
+            lastModified: stats.mtime.toISOString(),
+            expiresAt: fileInfo.expiresAt || null,
+            bucket: fileInfo.bucket,
+            encrypted: !!fileInfo.encryption,
+            encryption: fileInfo.encryption ? {
+                algorithm: fileInfo.encryption.algorithm,
+                keyType: fileInfo.encryption.keyType,
+                keyId: fileInfo.encryption.keyId
+            } : null,
+            compression: fileInfo.compression ? fileInfo.compression.algorithm : null
+        };
+        
+        self._imageDimensions(fileInfo, null, function(image) {
+            info.image = image;
+            
+            if (!options.verify) {
+                return callback(null, info);
+            }
+            
+            self.verify(fileId, { versionId: fileInfo.versionId }, function(err, result) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                info.integrity = {
+                    status: result.status,
+                    actualHash: result.actualHash,
+                    actualSize: result.actualSize,
+                    checkedAt: new Date().toISOString()
+                };
+                callback(null, info);
+            });
+        });
+    });
+};
+
+/**
+ * Check that metadata is an object of key/value pairs
+ * @private
+ * @throws {Error} InvalidArgument error if it is not
+ */
+CloudStorage.prototype._checkMetadata = function(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        var err = new Error('Metadata must be an object');
+        err.code = 'InvalidArgument';
+        throw err;
+    }
+};
+
+/**
+ * Update file metadata
+ * Keys in the given object are merged into the existing metadata;
+ * keys set to null are removed.
+ * @param {String} fileId - File ID
+ * @param {Object} metadata - Metadata to merge
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.updateMetadata = function(fileId, metadata, callback) {
+    var self = this;
+    
+    if (!FILE_ID_PATTERN.test(fileId) || !self.storage[fileId]) {
+        return callback(new Error('File not found'));
+    }
+    
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return callback(new Error('Metadata must be an object'));
+    }
+    
+    self._withObjectLock(fileId, function(release) {
+        var fileInfo = self.storage[fileId];
+        
+        if (!fileInfo) {
+            return release(new Error('File not found'));
+        }
+        
+        var updated = {};
+        
+        Object.keys(fileInfo.metadata || {}).forEach(function(key) {
+            updated[key] = fileInfo.metadata[key];
+        });
+        
+        Object.keys(metadata).forEach(function(key) {
+            if (metadata[key] === null) {
+                delete updated[key];
+            } else {
+                updated[key] = metadata[key];
+            }
+        });
+        
+        var previous = fileInfo.metadata;
+        fileInfo.metadata = updated;
+        fileInfo.updatedAt = new Date().toISOString();
+        
+        self._commitFile(fileInfo, function(err) {
+            if (err) {
+                fileInfo.metadata = previous;
+            }
+            release(err || null, fileInfo);
+        });
+    }, function(err, fileInfo) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.emit('metadataUpdate', fileInfo);
+        
+        self.logger.info('Metadata updated successfully:', fileInfo.fileName);
+        callback(null, {
+            fileId: fileId,
+            metadata: fileInfo.metadata,
+            updatedAt: fileInfo.updatedAt
+        });
+    });
+};
+
+/**
+ * Copy a file under a new name, or into another bucket
+ * Copying onto an existing name adds a new version of that file.
+ * @param {String} sourceFileId - Source file ID
+ * @param {Object} options - Copy options (fileName, metadata, bucket)
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.copy = function(sourceFileId, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    if (!FILE_ID_PATTERN.test(sourceFileId) || !self.storage[sourceFileId]) {
+        return callback(new Error('File not found'));
+    }
+    
+    var source = self.storage[sourceFileId];
+    var fileId = self._generateFileId();
+    var bucket = options.bucket || source.bucket;
+    var fileName = bucket === source.bucket ? 'Copy of ' + source.fileName : source.fileName;
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    // Checked before the blob gets another reference
+    try {
+        if (options.fileName !== undefined && options.fileName !== null) {
+            fileName = self._normalizeFileName(options.fileName);
+        }
+        
+        if (options.metadata !== undefined && options.metadata !== null) {
+            self._checkMetadata(options.metadata);
+        }
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var blobHash = self._blobOf(source);
+    
+    // The copy shares the source's blob (and its data key), so only a reference is added
+    self._withLock('blob:' + blobHash, function(release) {
+        if (!self.blobRefs[blobHash]) {
+            return release(new Error('File not found'));
+        }
+        
+        self._retainBlob(blobHash);
+        release(null);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var fileInfo = {
+            fileId: fileId,
+            fileName: fileName,
+            originalPath: source.originalPath,
+            storagePath: source.storagePath,
+            size: source.size,
+            hash: source.hash,
+            contentType: source.contentType,
+            metadata: options.metadata || JSON.parse(JSON.stringify(source.metadata || {})),
+            uploadedAt: new Date().toISOString(),
+            bucket: bucket,
+            copiedFrom: sourceFileId
+        };
+        
+        if (source.image !== undefined) {
+            fileInfo.image = source.image;
+        }
+        
+        if (source.blobHash) {
+            fileInfo.blobHash = blobHash;
+        }
+        
+        if (source.encryption) {
+            fileInfo.encryption = JSON.parse(JSON.stringify(source.encryption));
+        }
+        
+        if (source.compression) {
+            fileInfo.compression = JSON.parse(JSON.stringify(source.compression));
+        }
+        
+        self._putVersion(fileInfo, function(err) {
+            if (err) {
+                return self._releaseBlob(blobHash, function() {
+                    callback(err);
+                });
+            }
+            
+            self.emit('copy', fileInfo, source);
+            
+            self.logger.info('File copied successfully:', source.fileName, '->', fileInfo.fileName);
+            callback(null, fileInfo);
+        });
+    });
+};
+
+/**
+ * Storage limits of a bucket: its entry in bucketQuotas, else the default quota
+ * @private
+ * @returns {Object|null} { maxBytes, maxFiles }, null when the bucket is unlimited
+ */
+CloudStorage.prototype._bucketQuota = function(bucket) {
+    var quota = Object.prototype.hasOwnProperty.call(this.config.bucketQuotas, bucket) && this.config.bucketQuotas[bucket] ||
+        this.config.quota;
+    
+    if (!quota) {
+        return null;
+    }
+    
+    var limits = {
+        maxBytes: typeof quota.maxBytes === 'number' ? quota.maxBytes : null,
+        maxFiles: typeof quota.maxFiles === 'number' ? quota.maxFiles : null
+    };
+    
+    return limits.maxBytes === null && limits.maxFiles === null ? null : limits;
+};
+
+/**
+ * Check whether a bucket has room for more bytes and files, counting
+ * writes that are being committed right now
+ * @private
+ * @returns {Error|null} QuotaExceeded error if it does not
+ */
+CloudStorage.prototype._quotaError = function(bucket, bytes, files) {
+    var quota = this._bucketQuota(bucket);
+    
+    if (!quota) {
+        return null;
+    }
+    
+    var usage = this.bucketUsage[bucket] || { bytes: 0, files: 0 };
+    var reserved = this._quotaReserved[bucket] || { bytes: 0, files: 0 };
+    var message = null;
+    
+    if (quota.maxBytes !== null && bytes > 0 && usage.bytes + reserved.bytes + bytes > quota.maxBytes) {
+        message = 'Bucket storage quota exceeded (' + quota.maxBytes + ' bytes)';
+    } else if (quota.maxFiles !== null && files > 0 && usage.files + reserved.files + files > quota.maxFiles) {
+        message = 'Bucket file quota exceeded (' + quota.maxFiles + ' files)';
+    }
+    
+    if (!message) {
+        return null;
+    }
+    
+    var err = new Error(message);
+    err.code = 'QuotaExceeded';
+    return err;
+};
+
+/**
+ * Hold quota for a write until it is committed
+ * @private
+ * @returns {Error|null} QuotaExceeded error if the bucket has no room
+ */
+CloudStorage.prototype._reserveQuota = function(bucket, bytes, files) {
+    var err = this._quotaError(bucket, bytes, files);
+    
+    if (err) {
+        return err;
+    }
+    
+    var reserved = this._quotaReserved[bucket] = this._quotaReserved[bucket] || { bytes: 0, files: 0 };
+    
+    reserved.bytes += bytes;
+    reserved.files += files;
+    return null;
+};
+
+/**
+ * Give back quota held by _reserveQuota once the write is done
+ * @private
+ */
+CloudStorage.prototype._releaseQuota = function(bucket, bytes, files) {
+    var reserved = this._quotaReserved[bucket];
+    
+    reserved.bytes -= bytes;
+    reserved.files -= files;
+    
+    if (reserved.bytes === 0 && reserved.files === 0) {
+        delete this._quotaReserved[bucket];
+    }
+};
+
+/**
+ * Get storage statistics for a bucket
+ * totalSize counts current versions; logicalSize adds older versions;
+ * physicalSize counts each stored blob once, as stored. dedupSavings is
+ * what storing identical contents once saves, compressionSavings what
+ * compressing compressedBlobs saves. quota shows the bucket's
+ * limits with what is used and left of them. missingBlobs counts blobs
+ * that files refer to but the backend no longer has; scrub() tells which.
+ * With the folder option, folder counts the current files anywhere below
+ * that folder.
+ * @param {Object} options - Stats options (bucket, folder) (optional)
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.getStats = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var stats = {
+        totalFiles: 0,
+        totalSize: 0,
+        logicalSize: 0,
+        physicalSize: 0,
+        uniqueBlobs: 0,
+        dedupSavings: 0,
+        compressedBlobs: 0,
+        compressionSavings: 0,
+        noncurrentVersions: 0,
+        deleteMarkers: 0,
+        missingBlobs: 0,
+        bucket: bucket
+    };
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    if (options.folder !== undefined && options.folder !== null) {
+        var folder;
+        
+        try {
+            folder = self._normalizeFolderPath(options.folder);
+        } catch (err) {
+            return callback(err);
+        }
+        
+        if (folder !== '' && !self._bucketFolders(bucket)[folder]) {
+            return callback(new Error('Folder not found'));
+        }
+        
+        stats.folder = { path: folder, totalFiles: 0, totalSize: 0 };
+    }
+    
+    var blobs = {};
+    var quota = self._bucketQuota(bucket) || { maxBytes: null, maxFiles: null };
+    var usage = self.bucketUsage[bucket] || { bytes: 0, files: 0 };
+    
+    stats.quota = {
+        maxBytes: quota.maxBytes,
+        maxFiles: quota.maxFiles,
+        usedBytes: usage.bytes,
+        usedFiles: usage.files,
+        remainingBytes: quota.maxBytes === null ? null : Math.max(0, quota.maxBytes - usage.bytes),
+        remainingFiles: quota.maxFiles === null ? null : Math.max(0, quota.maxFiles - usage.files)
+    };
+    
+    self._allFileIds().forEach(function(fileId) {
+        if (self._fileBucket(fileId) !== bucket) return;
+        
+        var current = self.storage[fileId];
+        
+        if (current) {
+            stats.totalFiles++;
+            stats.totalSize += current.size;
+            stats.logicalSize += current.size;
+            blobs[self._blobOf(current)] = current;
+            
+            if (stats.folder && self._inFolder(current.fileName, stats.folder.path)) {
+                stats.folder.totalFiles++;
+                stats.folder.totalSize += current.size;
+            }
+        }
+        
+        (self.versions[fileId] || []).forEach(function(version) {
+            if (version.isDeleteMarker) {
+                stats.deleteMarkers++;
+            } else {
+                stats.noncurrentVersions++;
+                stats.logicalSize += version.size;
+                blobs[self._blobOf(version)] = version;
+            }
+        });
+    });
+    
+    var hashes = Object.keys(blobs);
+    var processed = 0;
+    
+    stats.uniqueBlobs = hashes.length;
+    stats.dedupSavings = stats.logicalSize - hashes.reduce(function(sum, hash) {
+        return sum + blobs[hash].size;
+    }, 0);
+    
+    if (hashes.length === 0) {
+        return callback(null, stats);
+    }
+    
+    hashes.forEach(function(hash) {
+        self.backend.stat(self._blobKey(hash), function(err, blobStat) {
+            if (!err) {
+                stats.physicalSize += blobStat.size;
+                
+                if (blobs[hash].compression) {
+                    stats.compressedBlobs++;
+                    stats.compressionSavings += blobs[hash].size - blobStat.size;
+                }
+            } else if (err.code === 'ENOENT') {
+                stats.missingBlobs++;
+            }
+            
+            processed++;
+            
+            if (processed === hashes.length) {
+                callback(null, stats);
+            }
+        });
+    });
+};
+
+/**
+ * Permanently delete every file in a bucket, with all versions (use with caution)
+ * @param {Object} options - Clear options (bucket) (optional)
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.clear = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    self._removeBucketObjects(bucket, function(err, deleted) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var result = { deleted: deleted, bucket: bucket };
+        
+        self.emit('clear', result);
+        
+        self.logger.info('Storage cleared:', deleted, 'files deleted');
+        callback(null, result);
+    });
+};
+
+/**
+ * Permanently remove every object in a bucket, one at a time
+ * @private
+ * @param {String} bucket - Bucket name
+ * @param {Function} callback - Callback function (err, deleted)
+ */
+CloudStorage.prototype._removeBucketObjects = function(bucket, callback) {
+    var self = this;
+    var fileIds = self._allFileIds().filter(function(fileId) {
+        return self._fileBucket(fileId) === bucket;
+    });
+    var deleted = 0;
+    
+    function next() {
+        if (deleted === fileIds.length) {
+            return callback(null, deleted);
+        }
+        
+        self._removeObject(fileIds[deleted], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            
+            deleted++;
+            next();
+        });
+    }
+    
+    next();
+};
+
+/**
+ * Create a bucket
+ * @param {String} bucket - Bucket name: letters, digits, '.', '_' and '-', at most 63 characters
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.createBucket = function(bucket, callback) {
+    var self = this;
+    
+    if (typeof bucket !== 'string' || !BUCKET_NAME_PATTERN.test(bucket)) {
+        return callback(new Error('Invalid bucket name'));
+    }
+    
+    self._withLock('bucket:' + bucket, function(release) {
+        if (self.buckets[bucket]) {
+            return release(new Error('Bucket already exists'));
+        }
+        
+        var info = { name: bucket, createdAt: new Date().toISOString() };
+        
+        fs.mkdir(self._bucketPath(bucket), { recursive: true }, function(err) {
+            if (err) {
+                return release(err);
+            }
+            
+            self._writeFileAtomic(path.join(self._bucketPath(bucket), BUCKET_FILE_NAME), JSON.stringify(info, null, 2), function(err) {
+                if (err) {
+                    return release(err);
+                }
+                
+                self.buckets[bucket] = info;
+                release(null, info);
+            });
+        });
+    }, function(err, info) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.emit('bucketCreate', info);
+        
+        self.logger.info('Bucket created:', bucket);
+        callback(null, info);
+    });
+};
+
+/**
+ * Delete a bucket. A bucket that still holds files or versions is only
+ * deleted, together with its contents, when options.force is set.
+ * The default bucket cannot be deleted.
+ * @param {String} bucket - Bucket name
+ * @param {Object} options - Delete options (force) (optional)
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.deleteBucket = function(bucket, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    if (bucket === self.config.bucketName) {
+        return callback(new Error('The default bucket cannot be deleted'));
+    }
+    
+    if (typeof bucket !== 'string' || !BUCKET_NAME_PATTERN.test(bucket)) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    self._withLock('bucket:' + bucket, function(release) {
+        var info = self.buckets[bucket];
+        
+        if (!info) {
+            return release(new Error('Bucket not found'));
+        }
+        
+        var isEmpty = self._allFileIds().every(function(fileId) {
+            return self._fileBucket(fileId) !== bucket;
+        });
+        
+        if (!isEmpty && !options.force) {
+            return release(new Error('Bucket is not empty'));
+        }
+        
+        // Unlisting the bucket first stops new uploads from landing in it
+        delete self.buckets[bucket];
+        
+        self._removeBucketObjects(bucket, function(err, deleted) {
+            if (err) {
+                self.buckets[bucket] = info;
+                return release(err);
+            }
+            
+            fs.rm(self._bucketPath(bucket), { recursive: true, force: true }, function(err) {
+                if (err) {
+                    self.logger.warn('Failed to remove bucket directory', bucket + ':', err.message);
+                }
+                
+                release(null, { bucket: bucket, deleted: true, filesDeleted: deleted });
+            });
+        });
+    }, function(err, result) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.emit('bucketDelete', result);
+        
+        self.logger.info('Bucket deleted:', bucket);
+        callback(null, result);
+    });
+};
+
+/**
+ * List buckets with their file counts and sizes
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.listBuckets = function(callback) {
+    var self = this;
+    var buckets = Object.create(null);
+    
+    Object.keys(self.buckets).forEach(function(name) {
+        buckets[name] = {
+            name: name,
+            createdAt: self.buckets[name].createdAt,
+            isDefault: name === self.config.bucketName,
+            fileCount: 0,
+            totalSize: 0
+        };
+    });
+    
+    Object.keys(self.storage).forEach(function(fileId) {
+        var fileInfo = self.storage[fileId];
+        var bucket = buckets[fileInfo.bucket];
+        
+        if (bucket) {
+            bucket.fileCount++;
+            bucket.totalSize += fileInfo.size;
+        }
+    });
+    
+    var result = Object.keys(buckets).sort().map(function(name) {
+        return buckets[name];
+    });
+    
+    callback(null, {
+        buckets: result,
+        count: result.length
+    });
+};
+
+/**
+ * Write changes to a bucket's details, then apply them in memory.
+ * The caller holds the bucket's lock.
+ * @private
+ * @param {String} bucket - Bucket name
+ * @param {Object} changes - Fields to replace
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._updateBucketInfo = function(bucket, changes, callback) {
+    var self = this;
+    var info = self.buckets[bucket];
+    var updated = {};
+    
+    Object.keys(info).concat(Object.keys(changes)).forEach(function(key) {
+        updated[key] = changes.hasOwnProperty(key) ? changes[key] : info[key];
+    });
+    
+    self._writeFileAtomic(path.join(self._bucketPath(bucket), BUCKET_FILE_NAME), JSON.stringify(updated, null, 2), function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        Object.keys(changes).forEach(function(key) {
+            info[key] = changes[key];
+        });
+        callback(null);
+    });
+};
+
+// ============================================================================
+// Folders
+// ============================================================================
+
+/**
+ * Build a folder error
+ * @private
+ * @param {String} message - Error message
+ * @param {String} code - Error code
+ */
+function folderError(message, code) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Check and tidy a folder path: surrounding slashes are dropped and the
+ * root folder is ''
+ * @private
+ * @param {String} folderPath - Path as given, e.g. '/docs/2024/'
+ * @returns {String} Normalized path, e.g. 'docs/2024'
+ */
+CloudStorage.prototype._normalizeFolderPath = function(folderPath) {
+    if (folderPath === undefined || folderPath === null) {
+        return '';
+    }
+    
+    if (typeof folderPath !== 'string') {
+        throw folderError('Folder path must be a string', 'InvalidArgument');
+    }
+    
+    if (UNPRINTABLE_PATTERN.test(folderPath)) {
+        throw folderError('Folder path must not contain control characters', 'InvalidArgument');
+    }
+    
+    var normalized = folderPath.replace(/^\/+|\/+$/g, '');
+    
+    if (normalized === '') {
+        return '';
+    }
+    
+    normalized.split('/').forEach(function(segment) {
+        if (segment === '' || segment === '.' || segment === '..') {
+            throw folderError('Invalid folder path: ' + folderPath, 'InvalidArgument');
+        }
+    });
+    
+    return normalized;
+};
+
+/**
+ * Check and tidy a file name: leading slashes are dropped, and the folders
+ * in it must make a valid folder path
+ * @private
+ * @param {String} fileName - Name as given, e.g. '/docs/2024/report.pdf'
+ * @returns {String} Normalized name, e.g. 'docs/2024/report.pdf'
+ * @throws {Error} InvalidArgument error for a name that is not a non-empty
+ *   string, ends in '/', or has control characters or '.' or '..' segments
+ */
+CloudStorage.prototype._normalizeFileName = function(fileName) {
+    if (typeof fileName !== 'string' || fileName.replace(/^\/+/, '') === '') {
+        throw folderError('File name must be a non-empty string', 'InvalidArgument');
+    }
+    
+    if (UNPRINTABLE_PATTERN.test(fileName)) {
+        throw folderError('File name must not contain control characters', 'InvalidArgument');
+    }
+    
+    var normalized = fileName.replace(/^\/+/, '');
+    
+    normalized.split('/').forEach(function(segment) {
+        if (segment === '' || segment === '.' || segment === '..') {
+            throw folderError('Invalid file name: ' + fileName, 'InvalidArgument');
+        }
+    });
+    
+    return normalized;
+};
+
+/**
+ * Get the folder a file name is in
+ * @private
+ * @returns {String} Folder path, '' for the root
+ */
+CloudStorage.prototype._folderOf = function(fileName) {
+    var cut = fileName.lastIndexOf('/');
+    
+    return cut === -1 ? '' : fileName.slice(0, cut);
+};
+
+/**
+ * Check whether a name lies in a folder or any of its subfolders
+ * @private
+ */
+CloudStorage.prototype._inFolder = function(name, folder) {
+    return folder === '' || name.indexOf(folder + '/') === 0;
+};
+
+/**
+ * Current files of a bucket
+ * @private
+ * @returns {Array} File records
+ */
+CloudStorage.prototype._bucketFiles = function(bucket) {
+    var self = this;
+    
+    return Object.keys(self.storage).map(function(fileId) {
+        return self.storage[fileId];
+    }).filter(function(fileInfo) {
+        return fileInfo.bucket === bucket;
+    });
+};
+
+/**
+ * Every folder of a bucket: the ones created explicitly and the ones
+ * implied by file names, with all of their parents
+ * @private
+ * @param {String} bucket - Bucket name
+ * @returns {Object} Set of folder paths
+ */
+CloudStorage.prototype._bucketFolders = function(bucket) {
+    var self = this;
+    // Folders such as 'constructor' must not be found on the prototype
+    var folders = Object.create(null);
+    
+    // A name with an empty, '.' or '..' segment contributes the folders before it
+    function add(folder) {
+        var segments = folder.split('/');
+        
+        for (var i = 0; i < segments.length; i++) {
+            if (segments[i] === '' || segments[i] === '.' || segments[i] === '..') break;
+            folders[segments.slice(0, i + 1).join('/')] = true;
+        }
+    }
+    
+    (self.buckets[bucket].folders || []).forEach(add);
+    
+    self._bucketFiles(bucket).forEach(function(fileInfo) {
+        add(self._folderOf(fileInfo.fileName));
+    });
+    
+    return folders;
+};
+
+/**
+ * Create a folder. Creating a folder that already exists does nothing.
+ * Folders are also implied by file names, so uploading 'docs/a.txt'
+ * creates 'docs' without calling this.
+ * @param {String} folderPath - Folder path, e.g. 'docs/2024'
+ * @param {Object} options - Folder options (bucket) (optional)
+ * @param {Function} callback - Callback function (err, { bucket, path, created })
+ */
+CloudStorage.prototype.createFolder = function(folderPath, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var normalized;
+    
+    try {
+        normalized = self._normalizeFolderPath(folderPath);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    if (normalized === '') {
+        return callback(folderError('Folder path is required', 'InvalidArgument'));
+    }
+    
+    self._withLock('bucket:' + bucket, function(release) {
+        if (!self.buckets[bucket]) {
+            return release(new Error('Bucket not found'));
+        }
+        
+        if (self._bucketFolders(bucket)[normalized]) {
+            return release(null, false);
+        }
+        
+        var folders = (self.buckets[bucket].folders || []).concat([normalized]).sort();
+        
+        self._updateBucketInfo(bucket, { folders: folders }, function(err) {
+            release(err || null, !err);
+        });
+    }, function(err, created) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (created) {
+            self.logger.info('Folder created:', bucket + '/' + normalized);
+        }
+        
+        callback(null, { bucket: bucket, path: normalized, created: created });
+    });
+};
+
+/**
+ * List a folder: its subfolders, with the number and size of the files
+ * anywhere below each, and the files directly in it
+ * @param {String} folderPath - Folder path, '' or '/' for the root
+ * @param {Object} options - Folder options (bucket) (optional)
+ * @param {Function} callback - Callback function (err, { bucket, path, folders, files })
+ */
+CloudStorage.prototype.listFolder = function(folderPath, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var normalized;
+    
+    try {
+        normalized = self._normalizeFolderPath(folderPath);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    var folders = self._bucketFolders(bucket);
+    
+    if (normalized !== '' && !folders[normalized]) {
+        return callback(new Error('Folder not found'));
+    }
+    
+    var prefix = normalized === '' ? '' : normalized + '/';
+    var children = Object.create(null);
+    var files = [];
+    
+    Object.keys(folders).forEach(function(folder) {
+        if (folder !== normalized && self._folderOf(folder) === normalized) {
+            children[folder] = {
+                name: folder.slice(prefix.length),
+                path: folder,
+                fileCount: 0,
+                totalSize: 0
+            };
+        }
+    });
+    
+    self._bucketFiles(bucket).forEach(function(fileInfo) {
+        if (!self._inFolder(fileInfo.fileName, normalized)) return;
+        
+        if (self._folderOf(fileInfo.fileName) === normalized) {
+            return files.push(self._fileSummary(fileInfo));
+        }
+        
+        var child = children[prefix + fileInfo.fileName.slice(prefix.length).split('/')[0]];
+        
+        if (child) {
+            child.fileCount++;
+            child.totalSize += fileInfo.size;
+        }
+    });
+    
+    callback(null, {
+        bucket: bucket,
+        path: normalized,
+        folders: Object.keys(children).sort().map(function(folder) {
+            return children[folder];
+        }),
+        files: files.sort(function(a, b) {
+            return a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0;
+        })
+    });
+};
+
+/**
+ * Delete a folder. A folder that holds files or subfolders is only deleted
+ * with the recursive option, which deletes every file below it the way
+ * delete() does, so their versions are kept. The parent folder stays.
+ * @param {String} folderPath - Folder path
+ * @param {Object} options - Delete options (optional)
+ *   bucket {String} - Bucket name (default: configured bucket)
+ *   recursive {Boolean} - Delete the folder's contents too (default: false)
+ * @param {Function} callback - Callback function (err, { bucket, path, deleted })
+ */
+CloudStorage.prototype.deleteFolder = function(folderPath, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    var normalized;
+    
+    try {
+        normalized = self._normalizeFolderPath(folderPath);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    if (normalized === '') {
+        return callback(folderError('The root folder cannot be deleted', 'InvalidArgument'));
+    }
+    
+    self._withLock('bucket:' + bucket, function(release) {
+        if (!self.buckets[bucket]) {
+            return release(new Error('Bucket not found'));
+        }
+        
+        var folders = self._bucketFolders(bucket);
+        
+        if (!folders[normalized]) {
+            return release(new Error('Folder not found'));
+        }
+        
+        var fileIds = self._bucketFiles(bucket).filter(function(fileInfo) {
+            return self._inFolder(fileInfo.fileName, normalized);
+        }).map(function(fileInfo) {
+            return fileInfo.fileId;
+        });
+        var hasSubfolders = Object.keys(folders).some(function(folder) {
+            return self._inFolder(folder, normalized);
+        });
+        
+        if ((fileIds.length > 0 || hasSubfolders) && !options.recursive) {
+            return release(folderError('Folder is not empty', 'FolderNotEmpty'));
+        }
+        
+        var deleted = 0;
+        
+        (function next(i) {
+            if (i === fileIds.length) {
+                var parent = self._folderOf(normalized);
+                var remaining = (self.buckets[bucket].folders || []).filter(function(folder) {
+                    return folder !== normalized && !self._inFolder(folder, normalized);
+                });
+                
+                if (parent !== '' && remaining.indexOf(parent) === -1) {
+                    remaining.push(parent);
+                }
+                
+                return self._updateBucketInfo(bucket, { folders: remaining.sort() }, function(err) {
+                    release(err || null, deleted);
+                });
+            }
+            
+            self.delete(fileIds[i], function(err) {
+                if (err && err.message !== 'File not found') {
+                    return release(err);
+                }
+                
+                if (!err) deleted++;
+                next(i + 1);
+            });
+        })(0);
+    }, function(err, deleted) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.logger.info('Folder deleted:', bucket + '/' + normalized, deleted, 'files deleted');
+        callback(null, { bucket: bucket, path: normalized, deleted: deleted });
+    });
+};
+
+/**
+ * Move a file to a new path in its bucket. A path ending in '/', or naming
+ * an existing folder, moves the file into that folder under its current
+ * name; any other path is the file's new full name. The file keeps its
+ * fileId and its versions.
+ * @param {String} fileId - File ID
+ * @param {String} newPath - Destination, e.g. 'archive/' or 'archive/old.txt'
+ * @param {Function} callback - Callback function (err, { fileId, fileName, previousName, bucket, updatedAt })
+ */
+CloudStorage.prototype.move = function(fileId, newPath, callback) {
+    var self = this;
+    var source = FILE_ID_PATTERN.test(fileId) ? self.storage[fileId] : null;
+    
+    if (!source) {
+        return callback(new Error('File not found'));
+    }
+    
+    if (typeof newPath !== 'string' || newPath === '') {
+        return callback(folderError('Destination path is required', 'InvalidArgument'));
+    }
+    
+    var baseName = source.fileName.slice(source.fileName.lastIndexOf('/') + 1);
+    var fileName;
+    
+    try {
+        var normalized = self._normalizeFolderPath(newPath);
+        var intoFolder = newPath.charAt(newPath.length - 1) === '/' || normalized === '' ||
+            self._bucketFolders(source.bucket)[normalized];
+        
+        fileName = intoFolder ? (normalized === '' ? '' : normalized + '/') + baseName : normalized;
+    } catch (err) {
+        return callback(err);
+    }
+    
+    self._renameObject(fileId, fileName, callback);
+};
+
+/**
+ * Rename a file within its folder
+ * @param {String} fileId - File ID
+ * @param {String} newName - New name, without any '/'
+ * @param {Function} callback - Callback function (err, { fileId, fileName, previousName, bucket, updatedAt })
+ */
+CloudStorage.prototype.rename = function(fileId, newName, callback) {
+    var self = this;
+    var source = FILE_ID_PATTERN.test(fileId) ? self.storage[fileId] : null;
+    
+    if (!source) {
+        return callback(new Error('File not found'));
+    }
+    
+    if (typeof newName !== 'string' || newName === '' || newName === '.' || newName === '..' || newName.indexOf('/') !== -1) {
+        return callback(folderError('Name must be non-empty and must not contain "/"', 'InvalidArgument'));
+    }
+    
+    var folder = self._folderOf(source.fileName);
+    
+    self._renameObject(fileId, folder === '' ? newName : folder + '/' + newName, callback);
+};
+
+/**
+ * Give an object a new name, across all of its versions. Both names are
+ * locked, in a fixed order so two moves cannot wait on each other.
+ * @private
+ * @param {String} fileId - File ID
+ * @param {String} fileName - New file name
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._renameObject = function(fileId, fileName, callback) {
+    var self = this;
+    var source = self.storage[fileId];
+    
+    try {
+        fileName = self._normalizeFileName(fileName);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var bucket = source.bucket;
+    var previousName = source.fileName;
+    var fromKey = self._objectKey(previousName, bucket);
+    var toKey = self._objectKey(fileName, bucket);
+    var keys = [fromKey, toKey].sort();
+    var record;
+    
+    if (fileName === previousName) {
+        return callback(null, {
+            fileId: fileId,
+            fileName: fileName,
+            previousName: previousName,
+            bucket: bucket,
+            updatedAt: source.updatedAt || source.uploadedAt
+        });
+    }
+    
+    // The stored content type stays, but the new extension must be allowed
+    var rejected = self._contentTypeError(fileName);
+    
+    if (rejected) {
+        return callback(rejected);
+    }
+    
+    function renamed(version) {
+        var copy = {};
+        
+        Object.keys(version).forEach(function(key) {
+            copy[key] = version[key];
+        });
+        copy.fileName = fileName;
+        return copy;
+    }
+    
+    self._withLock('object:' + keys[0], function(releaseFirst) {
+        self._withLock('object:' + keys[1], function(release) {
+            var current = self.storage[fileId];
+            var existing = self.keyIndex[toKey];
+            
+            if (!current || current.fileName !== previousName) {
+                return release(new Error('File was modified during move, try again'));
+            }
+            
+            if (existing && existing !== fileId) {
+                return release(folderError('A file named ' + fileName + ' already exists', 'FileExists'));
+            }
+            
+            record = renamed(current);
+            record.updatedAt = new Date().toISOString();
+            
+            self._commitObject(fileId, record, (self.versions[fileId] || []).map(renamed), function(err) {
+                if (!err && self.keyIndex[fromKey] === fileId) {
+                    delete self.keyIndex[fromKey];
+                }
+                
+                release(err || null);
+            });
+        }, releaseFirst);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.emit('move', record, { from: previousName, to: fileName });
+        
+        self.logger.info('File moved:', previousName, '->', fileName);
+        callback(null, {
+            fileId: fileId,
+            fileName: fileName,
+            previousName: previousName,
+            bucket: bucket,
+            updatedAt: record.updatedAt
+        });
+    });
+};
+
+// ============================================================================
+// Content Types
+// ============================================================================
+
+/**
+ * Get a file name's extension
+ * @private
+ * @returns {String} Lower-case extension with its dot, e.g. '.png', or ''
+ */
+CloudStorage.prototype._fileExtension = function(fileName) {
+    var baseName = String(fileName || '').split('/').pop();
+    var dot = baseName.lastIndexOf('.');
+    
+    return dot > 0 ? baseName.slice(dot).toLowerCase() : '';
+};
+
+/**
+ * Check whether a content type matches one of a list of types
+ * @private
+ * @param {String} contentType - Content type, parameters are ignored
+ * @param {Array} patterns - Exact types or 'type/*' families
+ */
+CloudStorage.prototype._typeMatches = function(contentType, patterns) {
+    var type = String(contentType).split(';')[0].trim().toLowerCase();
+    
+    return patterns.some(function(pattern) {
+        pattern = String(pattern).toLowerCase();
+        
+        return pattern.slice(-2) === '/*' ? type.indexOf(pattern.slice(0, -1)) === 0 : type === pattern;
+    });
+};
+
+/**
+ * Recognize a format from its leading bytes
+ * @private
+ * @param {Buffer} head - First bytes of the file
+ * @returns {String|null} Content type, null when not recognized
+ */
+CloudStorage.prototype._sniffContentType = function(head) {
+    if (!head || head.length === 0) {
+        return null;
+    }
+    
+    for (var i = 0; i < MAGIC_NUMBERS.length; i++) {
+        var matches = MAGIC_NUMBERS[i].match.every(function(pair) {
+            var bytes = Buffer.from(pair[1], 'hex');
+            
+            return head.length >= pair[0] + bytes.length && head.slice(pair[0], pair[0] + bytes.length).equals(bytes);
+        });
+        
+        if (matches) {
+            return MAGIC_NUMBERS[i].type;
+        }
+    }
+    
+    // Markup that a browser would render as a page
+    var text = head.toString('latin1').replace(/^\xef\xbb\xbf/, '').trim().toLowerCase();
+    
+    if (/^<svg[\s>]/.test(text) || (/^<\?xml/.test(text) && text.indexOf('<svg') !== -1)) {
+        return 'image/svg+xml';
+    }
+    
+    if (/^<(!doctype html|html|head|body|script)[\s>]/.test(text)) {
+        return 'text/html';
+    }
+    
+    return null;
+};
+
+/**
+ * Check a file against the configured allow and deny lists. Deny lists
+ * apply to every type the file could be taken for; allow lists to the
+ * type it is stored with.
+ * @private
+ * @param {String} fileName - File name
+ * @param {String} contentType - Type the file will be stored with (optional)
+ * @param {Array} candidates - Other types the file was recognized as (optional)
+ * @returns {Error|null} UnsupportedMediaType error if the file is refused
+ */
+CloudStorage.prototype._contentTypeError = function(fileName, contentType, candidates) {
+    var config = this.config;
+    var extension = this._fileExtension(fileName);
+    var types = (candidates || []).concat(contentType || []);
+    var message = null;
+    
+    function listed(list) {
+        return list.some(function(entry) {
+            return '.' + String(entry).replace(/^\./, '').toLowerCase() === extension;
+        });
+    }
+    
+    if (listed(config.deniedExtensions) || (config.allowedExtensions.length > 0 && !listed(config.allowedExtensions))) {
+        message = extension ? 'Files with the extension ' + extension + ' are not allowed' : 'Files without an extension are not allowed';
+    }
+    
+    for (var i = 0; i < types.length && !message; i++) {
+        if (this._typeMatches(types[i], config.deniedTypes)) {
+            message = 'Content type ' + types[i] + ' is not allowed';
+        }
+    }
+    
+    if (!message && contentType && config.allowedTypes.length > 0 && !this._typeMatches(contentType, config.allowedTypes)) {
+        message = 'Content type ' + contentType + ' is not allowed';
+    }
+    
+    if (!message) {
+        return null;
+    }
+    
+    var err = new Error(message);
+    err.code = 'UnsupportedMediaType';
+    return err;
+};
+
+/**
+ * Work out the type to store a file with: the type it was sent with, else
+ * the one its extension stands for, else the one its first bytes show,
+ * else application/octet-stream. The file is checked against the allow
+ * and deny lists on the way.
+ * @private
+ * @param {String} fileName - File name
+ * @param {String} declared - Type given by the caller or the request (optional)
+ * @param {Buffer} head - First bytes of the file, when they are known (optional)
+ * @returns {String} Content type
+ * @throws {Error} UnsupportedMediaType error if the file is refused, InvalidArgument
+ *   error if the declared type is not printable ASCII text
+ */
+CloudStorage.prototype._resolveContentType = function(fileName, declared, head) {
+    // The stored type is sent back as the Content-Type header of downloads
+    if (declared !== undefined && declared !== null && (typeof declared !== 'string' || !/^[\x20-\x7e]*$/.test(declared))) {
+        var invalid = new Error('Content type must be printable ASCII text');
+        invalid.code = 'InvalidArgument';
+        throw invalid;
+    }
+    
+    var given = declared && !this._typeMatches(declared, [DEFAULT_CONTENT_TYPE]) ? String(declared).trim() : null;
+    var byExtension = CONTENT_TYPES[this._fileExtension(fileName).slice(1)] || null;
+    var sniffed = this._sniffContentType(head);
+    var contentType = given || byExtension || sniffed || DEFAULT_CONTENT_TYPE;
+    var err = this._contentTypeError(fileName, contentType, [given, byExtension, sniffed].filter(Boolean));
+    
+    if (err) {
+        throw err;
+    }
+    
+    return contentType;
+};
+
+/**
+ * Choose whether a browser should show a file or save it
+ * @private
+ * @param {String} contentType - Stored content type
+ * @returns {String} 'inline' or 'attachment'
+ */
+CloudStorage.prototype._dispositionFor = function(contentType) {
+    return this._typeMatches(contentType || DEFAULT_CONTENT_TYPE, this.config.inlineTypes) ? 'inline' : 'attachment';
+};
+
+// ============================================================================
+// Thumbnails
+// ============================================================================
+
+/**
+ * Get the displayed dimensions of an image version. Images stored before
+ * dimensions were recorded have the start of their data read once.
+ * @private
+ * @param {Object} version - File version record
+ * @param {String|Buffer} customerKey - Client-supplied key, for files stored with one (optional)
+ * @param {Function} callback - Callback function (dimensions), null when they are not known
+ */
+CloudStorage.prototype._imageDimensions = function(version, customerKey, callback) {
+    var self = this;
+    
+    if (version.image !== undefined || String(version.contentType).indexOf('image/') !== 0 || !version.size) {
+        return callback(version.image || null);
+    }
+    
+    var dataKey;
+    
+    try {
+        dataKey = self._dataKeyFor(version, customerKey);
+    } catch (err) {
+        return callback(null);
+    }
+    
+    var probe = new ImageProbe();
+    var source = self._readBlob(version, dataKey, 0, Math.min(version.size, IMAGE_PROBE_LENGTH) - 1);
+    var done = false;
+    
+    function finish(failed) {
+        if (done) return;
+        done = true;
+        source.destroy();
+        
+        if (failed) {
+            return callback(null);
+        }
+        
+        // Remembered with the record, and saved with the index when it is next written
+        version.image = probe.dimensions();
+        callback(version.image);
+    }
+    
+    source.on('data', function(chunk) {
+        probe.push(chunk);
+        
+        if (probe.done) {
+            finish(false);
+        }
+    });
+    
+    source.on('end', function() {
+        finish(false);
+    });
+    
+    source.on('error', function() {
+        finish(true);
+    });
+};
+
+/**
+ * Check the box a thumbnail has to fit in; a missing side takes the other's size
+ * @private
+ * @returns {Object} { width, height }; throws an InvalidThumbnailSize error if
+ *   a side is not a whole number from 1 to THUMBNAIL_MAX_SIZE
+ */
+CloudStorage.prototype._thumbnailBox = function(width, height) {
+    function side(value) {
+        return value === undefined || value === null || value === '' ? null : Number(value);
+    }
+    
+    var box = { width: side(width), height: side(height) };
+    
+    if (box.width === null) {
+        box.width = box.height === null ? THUMBNAIL_DEFAULT_SIZE : box.height;
+    }
+    
+    if (box.height === null) {
+        box.height = box.width;
+    }
+    
+    [box.width, box.height].forEach(function(value) {
+        if (!(value % 1 === 0 && value >= 1 && value <= THUMBNAIL_MAX_SIZE)) {
+            throw imageError('Thumbnail width and height must be whole numbers from 1 to ' + THUMBNAIL_MAX_SIZE,
+                'InvalidThumbnailSize');
+        }
+    });
+    
+    return box;
+};
+
+/**
+ * Get the backend key a thumbnail of a blob is cached under. Thumbnails
+ * sit next to their blob, so listing the blob's key as a prefix finds them.
+ * @private
+ * @param {String} hash - Blob hash
+ * @param {Object} box - { width, height } the thumbnail was made for
+ * @param {String} format - 'jpeg' or 'png'
+ */
+CloudStorage.prototype._renditionKey = function(hash, box, format) {
+    return this._blobKey(hash) + '.' + box.width + 'x' + box.height + (format === 'jpeg' ? '.jpg' : '.png');
+};
+
+/**
+ * Delete the cached thumbnails of a blob
+ * @private
+ * @param {String} hash - Blob hash
+ * @param {Function} callback - Callback function (err)
+ */
+CloudStorage.prototype._deleteRenditions = function(hash, callback) {
+    var self = this;
+    
+    self.backend.list(self._blobKey(hash) + '.', function(err, entries) {
+        if (err) {
+            return callback(err);
+        }
+        
+        (function next(i) {
+            if (i === entries.length) {
+                return callback(null);
+            }
+            
+            self.backend.delete(entries[i].key, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                next(i + 1);
+            });
+        })(0);
+    });
+};
+
+/**
+ * Read a cached thumbnail
+ * @private
+ * @param {String} key - Result of _renditionKey
+ * @param {String} format - 'jpeg' or 'png'
+ * @param {Function} callback - Callback function (err, thumbnail), null when it is not cached
+ */
+CloudStorage.prototype._readRendition = function(key, format, callback) {
+    var source = this.backend.createReadStream(key);
+    var chunks = [];
+    var done = false;
+    
+    source.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    source.on('error', function(err) {
+        if (done) return;
+        done = true;
+        callback(err.code === 'ENOENT' ? null : err, null);
+    });
+    
+    source.on('end', function() {
+        if (done) return;
+        done = true;
+        
+        var data = Buffer.concat(chunks);
+        var probe = new ImageProbe();
+        
+        probe.push(data);
+        
+        if (!probe.width) {
+            // Damaged; made again and overwritten
+            return callback(null, null);
+        }
+        
+        callback(null, {
+            data: data,
+            contentType: 'image/' + format,
+            width: probe.width,
+            height: probe.height
+        });
+    });
+};
+
+/**
+ * Cache a thumbnail next to its blob, unless the blob went away while it
+ * was being made. Failing to cache is logged, not reported.
+ * @private
+ * @param {String} hash - Blob hash
+ * @param {String} key - Result of _renditionKey
+ * @param {Buffer} data - Encoded thumbnail
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype._storeRendition = function(hash, key, data, callback) {
+    var self = this;
+    
+    self._withLock('blob:' + hash, function(release) {
+        if (!self.blobRefs[hash]) {
+            return release(null);
+        }
+        
+        var source = new stream.PassThrough();
+        
+        source.end(data);
+        self.backend.put(key, source, data.length, release);
+    }, function(err) {
+        if (err) {
+            self.logger.warn('Could not cache thumbnail', key + ':', err.message);
+        }
+        callback();
+    });
+};
+
+/**
+ * Read a version's image and scale it down to fit a box, upright
+ * @private
+ * @param {Object} version - File version record
+ * @param {Buffer|null} dataKey - Result of _dataKeyFor
+ * @param {Object} box - { width, height } to fit in
+ * @param {String} format - 'jpeg' or 'png'
+ * @param {Function} callback - Callback function (err, { data, contentType, width, height })
+ */
+CloudStorage.prototype._renderThumbnail = function(version, dataKey, box, format, callback) {
+    var self = this;
+    var source = self._readBlob(version, dataKey);
+    var chunks = [];
+    var done = false;
+    
+    source.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    source.on('error', function(err) {
+        if (done) return;
+        done = true;
+        callback(err);
+    });
+    
+    source.on('end', function() {
+        if (done) return;
+        done = true;
+        
+        var thumbnail;
+        
+        try {
+            thumbnail = self._scaleImage(Buffer.concat(chunks), box, format);
+        } catch (err) {
+            return callback(err);
+        }
+        
+        callback(null, thumbnail);
+    });
+};
+
+/**
+ * Decode an image file, fit it in a box without enlarging it, turn it
+ * upright and encode the result
+ * @private
+ * @returns {Object} { data, contentType, width, height }
+ */
+CloudStorage.prototype._scaleImage = function(data, box, format) {
+    var image = decodeImage(data, {
+        maxPixels: this.config.thumbnailMaxPixels,
+        fitWidth: box.width,
+        fitHeight: box.height
+    });
+    // Sizes are worked out upright, while the pixels are still stored turned
+    var turned = image.orientation >= 5;
+    var uprightWidth = turned ? image.height : image.width;
+    var uprightHeight = turned ? image.width : image.height;
+    var scale = Math.min(1, box.width / uprightWidth, box.height / uprightHeight);
+    var width = Math.max(1, Math.round(uprightWidth * scale));
+    var height = Math.max(1, Math.round(uprightHeight * scale));
+    
+    image = orientImage(resizeImage(image, turned ? height : width, turned ? width : height), image.orientation);
+    
+    return {
+        data: format === 'jpeg' ? encodeJpeg(image, THUMBNAIL_QUALITY) : encodePng(image),
+        contentType: 'image/' + format,
+        width: width,
+        height: height
+    };
+};
+
+/**
+ * Get a thumbnail of an image: the whole image, scaled down to fit a box
+ * and turned upright. JPEGs give JPEG thumbnails, other images PNG ones.
+ * Thumbnails of files that are not encrypted are cached next to their
+ * data until it is deleted.
+ * Decoding runs on the event loop; config.thumbnailMaxPixels bounds it.
+ * @param {String} fileId - File ID
+ * @param {Object} options - Thumbnail options (optional)
+ *   width {Number} - Width of the box, 1 to 1024 (default: height, or 200)
+ *   height {Number} - Height of the box (default: width)
+ *   versionId {String} - Version to make it of (default: current version)
+ *   encryptionKey {String|Buffer} - Key the file was encrypted with, if it was uploaded with one
+ * @param {Function} callback - Callback function (err, { data, contentType, width, height, cached });
+ *   err.code is InvalidThumbnailSize, UnsupportedMediaType, InvalidImage, UnsupportedImage
+ *   or ImageTooLarge when no thumbnail can be made
+ */
+CloudStorage.prototype.getThumbnail = function(fileId, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var version = self._findVersion(fileId, options.versionId);
+    
+    if (!version) {
+        return callback(new Error(options.versionId ? 'Version not found' : 'File not found'));
+    }
+    
+    if (version.isDeleteMarker) {
+        return callback(new Error('Version is a delete marker'));
+    }
+    
+    var box;
+    var dataKey;
+    
+    try {
+        box = self._thumbnailBox(options.width, options.height);
+        dataKey = self._dataKeyFor(version, options.encryptionKey);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var contentType = version.contentType || DEFAULT_CONTENT_TYPE;
+    
+    if (!self._typeMatches(contentType, THUMBNAIL_TYPES)) {
+        return callback(imageError('Thumbnails cannot be made of ' + contentType + ' files', 'UnsupportedMediaType'));
+    }
+    
+    var format = self._typeMatches(contentType, ['image/jpeg']) ? 'jpeg' : 'png';
+    var hash = self._blobOf(version);
+    var key = self._renditionKey(hash, box, format);
+    
+    function render(cb) {
+        self._renderThumbnail(version, dataKey, box, format, function(err, thumbnail) {
+            if (err) {
+                return cb(err);
+            }
+            
+            thumbnail.cached = false;
+            cb(null, thumbnail);
+        });
+    }
+    
+    // The size is checked before the image is read into memory
+    self._imageDimensions(version, options.encryptionKey, function(image) {
+        if (!image) {
+            return callback(imageError('File is not a readable image'));
+        }
+        
+        if (image.width * image.height > self.config.thumbnailMaxPixels) {
+            return callback(imageError('Image is ' + image.width + 'x' + image.height + ' pixels, more than the ' +
+                self.config.thumbnailMaxPixels + ' allowed', 'ImageTooLarge'));
+        }
+        
+        if (!self.config.thumbnailCache || version.encryption) {
+            return render(callback);
+        }
+        
+        // Requests for the same thumbnail wait for the first one to cache it
+        self._withLock('thumbnail:' + key, function(done) {
+            self._readRendition(key, format, function(err, thumbnail) {
+                if (err) {
+                    return done(err);
+                }
+                
+                if (thumbnail) {
+                    thumbnail.cached = true;
+                    return done(null, thumbnail);
+                }
+                
+                render(function(err, thumbnail) {
+                    if (err) {
+                        return done(err);
+                    }
+                    
+                    self._storeRendition(hash, key, thumbnail.data, function() {
+                        done(null, thumbnail);
+                    });
+                });
+            });
+        }, callback);
+    });
+};
+
+// ============================================================================
+// Resumable Uploads
+// ============================================================================
+
+/**
+ * Get the directory that holds an upload session's parts
+ * @private
+ */
+CloudStorage.prototype._uploadSessionPath = function(uploadId) {
+    return path.join(this.uploadDir, uploadId);
+};
+
+/**
+ * Get the path of one uploaded part
+ * @private
+ */
+CloudStorage.prototype._uploadPartPath = function(uploadId, partNumber) {
+    return path.join(this._uploadSessionPath(uploadId), 'part-' + partNumber);
+};
+
+/**
+ * Load upload sessions left in uploadDir by an earlier run, so uploads
+ * can resume across restarts. Parts whose file has gone are dropped.
+ * @private
+ */
+CloudStorage.prototype._loadUploadSessions = function() {
+    var self = this;
+    
+    self.uploadSessions = Object.create(null);
+    
+    fs.readdirSync(self.uploadDir).forEach(function(uploadId) {
+        if (!UPLOAD_ID_PATTERN.test(uploadId)) return;
+        
+        var session;
+        
+        try {
+            session = JSON.parse(fs.readFileSync(path.join(self._uploadSessionPath(uploadId), UPLOAD_SESSION_FILE), 'utf8'));
+        } catch (err) {
+            // Left for the stale upload sweep
+            return;
+        }
+        
+        Object.keys(session.parts || {}).forEach(function(partNumber) {
+            if (!fs.existsSync(self._uploadPartPath(uploadId, partNumber))) {
+                delete session.parts[partNumber];
+            }
+        });
+        
+        session.uploadId = uploadId;
+        session.parts = session.parts || {};
+        self.uploadSessions[uploadId] = session;
+    });
+};
+
+/**
+ * Persist an upload session
+ * @private
+ */
+CloudStorage.prototype._saveUploadSession = function(session, callback) {
+    var doc = {};
+    
+    Object.keys(session).forEach(function(key) {
+        if (key !== 'completing') doc[key] = session[key];
+    });
+    
+    this._writeFileAtomic(path.join(this._uploadSessionPath(session.uploadId), UPLOAD_SESSION_FILE), JSON.stringify(doc, null, 2), callback);
+};
+
+/**
+ * Find an upload session that can still take parts
+ * @private
+ * @returns {Object} { session } or { error }
+ */
+CloudStorage.prototype._openUploadSession = function(uploadId) {
+    var session = this.uploadSessions[uploadId];
+    
+    if (!session) {
+        return { error: new Error('Upload not found') };
+    }
+    
+    if (session.completing) {
+        return { error: new Error('Upload is being completed') };
+    }
+    
+    return { session: session };
+};
+
+/**
+ * Start a resumable upload. Parts are then uploaded with uploadPart, in
+ * any order and in parallel, and joined into one file by completeUpload.
+ * @param {Object} options - Upload options
+ *   fileName {String} - Name of the file (required)
+ *   bucket {String} - Bucket to upload to (default: the default bucket)
+ *   contentType {String} - MIME type
+ *   metadata {Object} - Custom metadata
+ * @param {Function} callback - Callback function (err, { uploadId, fileName, bucket, createdAt })
+ */
+CloudStorage.prototype.initiateUpload = function(options, callback) {
+    var self = this;
+    
+    options = options || {};
+    
+    var bucket = options.bucket || self.config.bucketName;
+    
+    if (!options.fileName) {
+        return callback(folderError('fileName is required', 'InvalidArgument'));
+    }
+    
+    if (!self.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    var expiresAt;
+    var fileName;
+    
+    // The session is saved as given, so everything the finished file needs is checked now
+    try {
+        fileName = self._normalizeFileName(options.fileName);
+        expiresAt = self._parseExpiresAt(options.expiresAt);
+        self._resolveContentType(fileName, options.contentType);
+        
+        if (options.metadata !== undefined && options.metadata !== null) {
+            self._checkMetadata(options.metadata);
+        }
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var now = new Date().toISOString();
+    var session = {
+        uploadId: crypto.randomBytes(16).toString('hex'),
+        fileId: self._generateFileId(),
+        fileName: fileName,
+        bucket: bucket,
+        contentType: options.contentType || DEFAULT_CONTENT_TYPE,
+        metadata: options.metadata || {},
+        expiresAt: expiresAt,
+        createdAt: now,
+        updatedAt: now,
+        parts: {}
+    };
+    
+    fs.mkdir(self._uploadSessionPath(session.uploadId), { recursive: true }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self._saveUploadSession(session, function(err) {
+            if (err) {
+                return callback(err);
+            }
+            
+            self.uploadSessions[session.uploadId] = session;
+            
+            self.logger.info('Upload started:', session.fileName, session.uploadId);
+            callback(null, {
+                uploadId: session.uploadId,
+                fileName: session.fileName,
+                bucket: session.bucket,
+                createdAt: session.createdAt
+            });
+        });
+    });
+};
+
+/**
+ * Upload one part of a resumable upload. Uploading a part number again
+ * replaces that part.
+ * @param {String} uploadId - Upload ID from initiateUpload
+ * @param {Number} partNumber - Part number, 1 to 10000; parts are joined in this order
+ * @param {Buffer|String|Stream} data - Part contents
+ * @param {Object} options - Part options (optional)
+ *   checksum {String} - Expected hex SHA-256 of the part
+ *   contentMd5 {String} - Expected base64 MD5 of the part
+ * @param {Function} callback - Callback function (err, { uploadId, partNumber, size, hash })
+ */
+CloudStorage.prototype.uploadPart = function(uploadId, partNumber, data, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    partNumber = Number(partNumber);
+    
+    var opened = self._openUploadSession(uploadId);
+    
+    if (opened.error) {
+        return callback(opened.error);
+    }
+    
+    if (!(partNumber % 1 === 0 && partNumber >= 1 && partNumber <= MAX_PART_NUMBER)) {
+        return callback(new Error('Part number must be an integer from 1 to ' + MAX_PART_NUMBER));
+    }
+    
+    if (typeof data === 'string' || data instanceof Uint8Array) {
+        data = Buffer.from(data);
+    } else if (!data || typeof data.on !== 'function' || typeof data.pipe !== 'function') {
+        var invalid = new Error('Part data must be a Buffer, a string or a readable stream');
+        invalid.code = 'InvalidArgument';
+        return callback(invalid);
+    }
+    
+    var checksums;
+    
+    try {
+        checksums = self._parseChecksums(options.checksum, options.contentMd5);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var source = data;
+    
+    if (Buffer.isBuffer(data)) {
+        source = new stream.PassThrough();
+        source.end(data);
+    }
+    
+    var partPath = self._uploadPartPath(uploadId, partNumber);
+    var tempPath = partPath + '.' + crypto.randomBytes(4).toString('hex') + PARTIAL_SUFFIX;
+    var hash = crypto.createHash('sha256');
+    var md5 = crypto.createHash('md5');
+    var size = 0;
+    var done = false;
+    var writeStream = fs.createWriteStream(tempPath);
+    
+    function finish(err, result) {
+        if (done) return;
+        done = true;
+        
+        if (err) {
+            writeStream.destroy();
+            return fs.unlink(tempPath, function() {
+                callback(err);
+            });
+        }
+        
+        callback(null, result);
+    }
+    
+    source.on('data', function(chunk) {
+        hash.update(chunk);
+        md5.update(chunk);
+        size += chunk.length;
+    });
+    
+    source.on('error', finish);
+    writeStream.on('error', finish);
+    
+    writeStream.on('finish', function() {
+        if (done) return;
+        
+        var digest = hash.digest('hex');
+        var mismatch = self._checksumError(checksums, { hash: digest, md5: md5.digest('base64') }, 'Part ' + partNumber);
+        
+        if (mismatch) {
+            return finish(mismatch);
+        }
+        
+        self._withLock('upload:' + uploadId, function(release) {
+            var opened = self._openUploadSession(uploadId);
+            
+            if (opened.error) {
+                return release(opened.error);
+            }
+            
+            fs.rename(tempPath, partPath, function(err) {
+                if (err) {
+                    return release(err);
+                }
+                
+                var session = opened.session;
+                var part = {
+                    partNumber: partNumber,
+                    size: size,
+                    hash: digest,
+                    uploadedAt: new Date().toISOString()
+                };
+                
+                session.parts[partNumber] = part;
+                session.updatedAt = part.uploadedAt;
+                
+                self._saveUploadSession(session, function(err) {
+                    release(err || null, part);
+                });
+            });
+        }, function(err, part) {
+            if (err) {
+                return finish(err);
+            }
+            
+            finish(null, {
+                uploadId: uploadId,
+                partNumber: part.partNumber,
+                size: part.size,
+                hash: part.hash
+            });
+        });
+    });
+    
+    source.pipe(writeStream);
+};
+
+/**
+ * List the parts uploaded so far
+ * @param {String} uploadId - Upload ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.listParts = function(uploadId, callback) {
+    var session = this.uploadSessions[uploadId];
+    
+    if (!session) {
+        return callback(new Error('Upload not found'));
+    }
+    
+    var parts = Object.keys(session.parts).map(Number).sort(function(a, b) {
+        return a - b;
+    }).map(function(partNumber) {
+        return session.parts[partNumber];
+    });
+    
+    callback(null, {
+        uploadId: uploadId,
+        fileName: session.fileName,
+        bucket: session.bucket,
+        createdAt: session.createdAt,
+        parts: parts,
+        count: parts.length
+    });
+};
+
+/**
+ * Join the uploaded parts into a file and register it like upload() does.
+ * Each part is re-hashed as it is read, so a part damaged since it was
+ * uploaded fails the upload instead of producing a corrupt file.
+ * @param {String} uploadId - Upload ID
+ * @param {Object} options - Completion options (optional)
+ *   parts {Array} - [{ partNumber, hash }] to join, in ascending order
+ *     (default: every uploaded part); each hash must match the part's
+ *   checksum {String} - Expected hex SHA-256 of the whole file
+ *   contentMd5 {String} - Expected base64 MD5 of the whole file
+ *   encryptionKey {String|Buffer} - 256-bit customer key to encrypt the file with
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+CloudStorage.prototype.completeUpload = function(uploadId, options, callback) {
+    var self = this;
+    var session;
+    var parts;
+    var target;
+    var checksums;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    try {
+        target = self._encryptionTarget(options.encryptionKey);
+        checksums = self._parseChecksums(options.checksum, options.contentMd5);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    self._withLock('upload:' + uploadId, function(release) {
+        var opened = self._openUploadSession(uploadId);
+        
+        if (opened.error) {
+            return release(opened.error);
+        }
+        
+        session = opened.session;
+        
+        var requested = options.parts || Object.keys(session.parts).map(Number).sort(function(a, b) {
+            return a - b;
+        }).map(function(partNumber) {
+            return { partNumber: partNumber };
+        });
+        
+        if (!Array.isArray(requested) || requested.length === 0) {
+            return release(new Error('No parts to complete'));
+        }
+        
+        parts = [];
+        
+        for (var i = 0; i < requested.length; i++) {
+            var partNumber = Number(requested[i] && requested[i].partNumber);
+            var part = session.parts[partNumber];
+            
+            if (!part) {
+                return release(new Error('Part ' + requested[i].partNumber + ' has not been uploaded'));
+            }
+            
+            if (requested[i].hash && requested[i].hash.toLowerCase() !== part.hash) {
+                return release(new Error('Part ' + partNumber + ' does not match its hash'));
+            }
+            
+            if (i > 0 && partNumber <= parts[i - 1].partNumber) {
+                return release(new Error('Parts must be listed in ascending order'));
+            }
+            
+            parts.push(part);
+        }
+        
+        // Parts can no longer be added, replaced or aborted
+        session.completing = true;
+        release(null);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var source = new stream.PassThrough();
+        
+        (function next(i) {
+            if (i === parts.length) {
+                return source.end();
+            }
+            
+            var part = parts[i];
+            var hash = crypto.createHash('sha256');
+            var partStream = fs.createReadStream(self._uploadPartPath(uploadId, part.partNumber));
+            
+            partStream.on('data', function(chunk) {
+                hash.update(chunk);
+            });
+            
+            partStream.on('error', function(err) {
+                source.destroy(err);
+            });
+            
+            partStream.on('end', function() {
+                if (hash.digest('hex') !== part.hash) {
+                    var damaged = new Error('Part ' + part.partNumber + ' was damaged after upload');
+                    damaged.code = 'BadDigest';
+                    return source.destroy(damaged);
+                }
+                next(i + 1);
+            });
+            
+            partStream.pipe(source, { end: false });
+        })(0);
+        
+        function fail(err) {
+            session.completing = false;
+            callback(err);
+        }
+        
+        var compression = self._compressionFor(session.fileName, session.contentType);
+        
+        self._writeBlob(source, session.fileId, target, compression, function(err, blob) {
+            if (err) {
+                return fail(err);
+            }
+            
+            self._registerBlob(session.fileId, {
+                fileName: session.fileName,
+                size: blob.size,
+                hash: blob.hash,
+                md5: blob.md5,
+                head: blob.head,
+                image: blob.image,
+                blobHash: blob.blobHash,
+                encryption: blob.encryption,
+                compression: blob.compression,
+                contentType: session.contentType,
+                metadata: session.metadata,
+                bucket: session.bucket,
+                expiresAt: session.expiresAt,
+                checksums: checksums
+            }, function(err, fileInfo) {
+                if (err) {
+                    return fail(err);
+                }
+                
+                delete self.uploadSessions[uploadId];
+                
+                fs.rm(self._uploadSessionPath(uploadId), { recursive: true, force: true }, function(err) {
+                    if (err) {
+                        self.logger.warn('Failed to remove upload session', uploadId + ':', err.message);
+                    }
+                    
+                    callback(null, fileInfo);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Abort a resumable upload and discard its parts
+ * @param {String} uploadId - Upload ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.abortUpload = function(uploadId, callback) {
+    var self = this;
+    
+    self._withLock('upload:' + uploadId, function(release) {
+        var opened = self._openUploadSession(uploadId);
+        
+        if (opened.error) {
+            return release(opened.error);
+        }
+        
+        delete self.uploadSessions[uploadId];
+        
+        fs.rm(self._uploadSessionPath(uploadId), { recursive: true, force: true }, release);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.logger.info('Upload aborted:', uploadId);
+        callback(null, { uploadId: uploadId, aborted: true });
+    });
+};
+
+/**
+ * Remove upload sessions that have not received a part within
+ * config.uploadSessionTtl, and anything else in uploadDir that old
+ * @private
+ * @param {Function} callback - Callback function (optional)
+ */
+CloudStorage.prototype._collectStaleUploads = function(callback) {
+    var self = this;
+    var cutoff = Date.now() - self.config.uploadSessionTtl;
+    var removed = 0;
+    
+    callback = callback || function() {};
+    
+    fs.readdir(self.uploadDir, function(err, names) {
+        if (err) {
+            return callback(err);
+        }
+        
+        (function next(i) {
+            if (i === names.length) {
+                if (removed > 0) {
+                    self.logger.info('Removed', removed, 'stale uploads');
+                }
+                return callback(null, { removed: removed });
+            }
+            
+            var name = names[i];
+            var session = self.uploadSessions[name];
+            
+            function remove() {
+                fs.rm(path.join(self.uploadDir, name), { recursive: true, force: true }, function(err) {
+                    if (!err) removed++;
+                    next(i + 1);
+                });
+            }
+            
+            if (session) {
+                if (session.completing || Date.parse(session.updatedAt) >= cutoff) {
+                    return next(i + 1);
+                }
+                
+                return self.abortUpload(name, function() {
+                    removed++;
+                    next(i + 1);
+                });
+            }
+            
+            fs.stat(path.join(self.uploadDir, name), function(err, stats) {
+                if (err || stats.mtime.getTime() >= cutoff) {
+                    return next(i + 1);
+                }
+                remove();
+            });
+        })(0);
+    });
+};
+
+// ============================================================================
+// Integrity
+// ============================================================================
+
+/**
+ * Read the checksums a client sent with an upload: a hex SHA-256, and a
+ * base64 MD5 as in the Content-MD5 header (RFC 1864)
+ * @private
+ * @param {String} sha256 - Expected hex SHA-256 (optional)
+ * @param {String} md5 - Expected base64 MD5 (optional)
+ * @returns {Object|null} { sha256, md5 }, null if neither was given
+ * @throws {Error} With code InvalidDigest if a checksum is malformed
+ */
+CloudStorage.prototype._parseChecksums = function(sha256, md5) {
+    var err = null;
+    
+    if (!sha256 && !md5) {
+        return null;
+    }
+    
+    if (sha256 && !/^[0-9a-f]{64}$/i.test(sha256)) {
+        err = new Error('SHA-256 checksum must be 64 hex digits');
+    } else if (md5 && !/^[A-Za-z0-9+\/]{22}==$/.test(md5)) {
+        err = new Error('Content-MD5 must be a base64-encoded MD5 digest');
+    }
+    
+    if (err) {
+        err.code = 'InvalidDigest';
+        throw err;
+    }
+    
+    return { sha256: sha256 ? sha256.toLowerCase() : null, md5: md5 || null };
+};
+
+/**
+ * Compare written data with the checksums sent for it
+ * @private
+ * @param {Object|null} checksums - Result of _parseChecksums
+ * @param {Object} written - hash (hex SHA-256) and md5 (base64) of the data
+ * @param {String} subject - What the data is, for the message (default: 'File')
+ * @returns {Error|null} Error with code BadDigest if the data does not match
+ */
+CloudStorage.prototype._checksumError = function(checksums, written, subject) {
+    var mismatch = null;
+    
+    if (!checksums) {
+        return null;
+    }
+    
+    if (checksums.sha256 && checksums.sha256 !== written.hash) {
+        mismatch = 'checksum';
+    } else if (checksums.md5 && checksums.md5 !== written.md5) {
+        mismatch = 'Content-MD5';
+    }
+    
+    if (!mismatch) {
+        return null;
+    }
+    
+    var err = new Error((subject || 'File') + ' does not match its ' + mismatch);
+    err.code = 'BadDigest';
+    return err;
+};
+
+/**
+ * Re-hash a blob as the backend returns it
+ * @private
+ * @param {String} hash - Hash the blob is stored under
+ * @param {Number} size - Size recorded for the blob
+ * @param {Function} callback - Callback function (err, { status, hash, size })
+ *   status is 'ok', 'corrupted' or 'missing'
+ */
+CloudStorage.prototype._checkBlob = function(hash, size, callback) {
+    var digest = crypto.createHash('sha256');
+    var read = 0;
+    var done = false;
+    var reader = this.backend.createReadStream(this._blobKey(hash));
+    
+    function finish(err, result) {
+        if (done) return;
+        done = true;
+        callback(err, result);
+    }
+    
+    reader.on('data', function(chunk) {
+        digest.update(chunk);
+        read += chunk.length;
+    });
+    
+    reader.on('error', function(err) {
+        if (err.code === 'ENOENT') {
+            return finish(null, { status: 'missing', hash: null, size: null });
+        }
+        finish(err);
+    });
+    
+    reader.on('end', function() {
+        var actual = digest.digest('hex');
+        
+        finish(null, {
+            status: actual === hash && read === size ? 'ok' : 'corrupted',
+            hash: actual,
+            size: read
+        });
+    });
+};
+
+/**
+ * Check that a file's stored data still matches the hash recorded when it
+ * was uploaded. Files encrypted at rest are checked against the hash of
+ * their ciphertext, so no key is needed.
+ * @param {String} fileId - File ID
+ * @param {Object} options - Verify options (optional)
+ *   versionId {String} - Version to check (default: current version)
+ * @param {Function} callback - Callback function (err, { fileId, versionId, fileName, bucket, status,
+ *   expectedHash, actualHash, expectedSize, actualSize }); status is 'ok', 'corrupted' or 'missing'
+ */
+CloudStorage.prototype.verify = function(fileId, options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var version = self._findVersion(fileId, options.versionId);
+    
+    if (!version) {
+        return callback(new Error(options.versionId ? 'Version not found' : 'File not found'));
+    }
+    
+    if (version.isDeleteMarker) {
+        return callback(new Error('Version is a delete marker'));
+    }
+    
+    var blobHash = self._blobOf(version);
+    
+    // Holding the blob lock keeps the blob from being removed while it is read
+    self._withLock('blob:' + blobHash, function(release) {
+        self._checkBlob(blobHash, self._storedSize(version), release);
+    }, function(err, check) {
+        if (err) {
+            return callback(err);
+        }
+        
+        if (check.status !== 'ok') {
+            self.logger.warn('Integrity check failed for', fileId, 'version', version.versionId + ':', check.status);
+        }
+        
+        callback(null, {
+            fileId: fileId,
+            versionId: version.versionId,
+            fileName: version.fileName,
+            bucket: version.bucket,
+            status: check.status,
+            expectedHash: blobHash,
+            actualHash: check.hash,
+            expectedSize: self._storedSize(version),
+            actualSize: check.size
+        });
+    });
+};
+
+/**
+ * Re-hash every stored blob and look for data the index does not account
+ * for. The report lists corrupted and missing blobs with the file versions
+ * that use them, blobs that no file references, and files left in
+ * localStoragePath and uploadDir by uploads that never finished.
+ *
+ * With repair, a corrupted or missing blob is restored from the path a
+ * file was uploaded from if that still holds the same content (files
+ * encrypted at rest cannot be restored this way), and orphaned blobs and
+ * upload leftovers are deleted. With quarantine, orphans, leftovers and
+ * corrupted blobs that were not restored are moved under
+ * localStoragePath/quarantine instead, so they are kept but no longer served.
+ * Emits 'scrub' with the report.
+ * @param {Object} options - Scrub options (optional)
+ *   repair {Boolean} - Restore damaged blobs where possible and delete leftovers
+ *   quarantine {Boolean} - Move leftovers and corrupted blobs aside
+ * @param {Function} callback - Callback function (err, { startedAt, finishedAt, repair, quarantine,
+ *   checked, checkedBytes, corrupted, missing, orphanedBlobs, orphanedUploads, quarantinePath })
+ */
+CloudStorage.prototype.scrub = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    if (self._scrubbing) {
+        var busy = new Error('A scrub is already running');
+        busy.code = 'ScrubInProgress';
+        return callback(busy);
+    }
+    
+    self._scrubbing = true;
+    
+    var report = {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        repair: !!options.repair,
+        quarantine: !!options.quarantine,
+        checked: 0,
+        checkedBytes: 0,
+        corrupted: [],
+        missing: [],
+        orphanedBlobs: [],
+        orphanedUploads: [],
+        quarantinePath: null
+    };
+    var quarantinePath = path.join(self.quarantineDir, report.startedAt.replace(/[:.]/g, '-'));
+    var references = {};
+    
+    function done(err) {
+        self._scrubbing = false;
+        
+        if (err) {
+            return callback(err);
+        }
+        
+        report.finishedAt = new Date().toISOString();
+        self._lastScrub = report;
+        
+        var problems = report.corrupted.length + report.missing.length +
+            report.orphanedBlobs.length + report.orphanedUploads.length;
+        
+        if (problems > 0) {
+            self.logger.warn('Scrub found', report.corrupted.length, 'corrupted and', report.missing.length, 'missing blobs,',
+                report.orphanedBlobs.length, 'orphaned blobs and', report.orphanedUploads.length, 'upload leftovers');
+        } else {
+            self.logger.info('Scrub checked', report.checked, 'blobs and found no problems');
+        }
+        
+        self.emit('scrub', report);
+        callback(null, report);
+    }
+    
+    // Move something into this scrub's quarantine directory
+    function setAside(move, callback) {
+        move(quarantinePath, function(err) {
+            if (!err) {
+                report.quarantinePath = quarantinePath;
+            }
+            callback(err);
+        });
+    }
+    
+    self._allFileIds().forEach(function(fileId) {
+        [self.storage[fileId]].concat(self.versions[fileId] || []).forEach(function(version) {
+            if (!version || version.isDeleteMarker) return;
+            
+            var blobHash = self._blobOf(version);
+            var ref = references[blobHash] = references[blobHash] || {
+                size: self._storedSize(version),
+                files: [],
+                sources: []
+            };
+            
+            ref.files.push({
+                fileId: fileId,
+                versionId: version.versionId,
+                fileName: version.fileName,
+                bucket: version.bucket
+            });
+            
+            // Only files stored without encryption or compression are as they were read from their original path
+            if (version.originalPath && !version.encryption && !version.compression && ref.sources.indexOf(version.originalPath) === -1) {
+                ref.sources.push(version.originalPath);
+            }
+        });
+    });
+    
+    function fix(hash, ref, status, entry, callback) {
+        function quarantine() {
+            if (!options.quarantine || status !== 'corrupted') {
+                return callback(null);
+            }
+            
+            setAside(function(dir, moved) {
+                self._quarantineBlob(hash, dir, moved);
+            }, function(err) {
+                if (!err) entry.action = 'quarantined';
+                callback(err);
+            });
+        }
+        
+        if (!options.repair) {
+            return quarantine();
+        }
+        
+        self._restoreBlob(hash, ref.size, ref.sources, function(err, restored) {
+            if (err) {
+                return callback(err);
+            }
+            
+            if (restored) {
+                entry.action = 'restored';
+                return callback(null);
+            }
+            
+            quarantine();
+        });
+    }
+    
+    function checkReferenced(hashes, i) {
+        if (i === hashes.length) {
+            return checkOrphans();
+        }
+        
+        var hash = hashes[i];
+        var ref = references[hash];
+        
+        self._withLock('blob:' + hash, function(release) {
+            // Released since the scrub started
+            if (!self.blobRefs[hash]) {
+                return release(null, null);
+            }
+            
+            self._checkBlob(hash, ref.size, function(err, check) {
+                if (err || check.status === 'ok') {
+                    return release(err, check);
+                }
+                
+                var entry = {
+                    hash: hash,
+                    size: ref.size,
+                    actualHash: check.hash,
+                    actualSize: check.size,
+                    files: ref.files,
+                    action: null
+                };
+                
+                report[check.status].push(entry);
+                
+                fix(hash, ref, check.status, entry, function(err) {
+                    release(err, check);
+                });
+            });
+        }, function(err, check) {
+            if (err) {
+                return done(err);
+            }
+            
+            if (check) {
+                report.checked++;
+                report.checkedBytes += check.size || 0;
+            }
+            
+            checkReferenced(hashes, i + 1);
+        });
+    }
+    
+    function checkOrphans() {
+        self._listBlobs(function(err, present) {
+            if (err) {
+                return done(err);
+            }
+            
+            var orphans = Object.keys(present).filter(function(hash) {
+                return !self.blobRefs[hash];
+            });
+            
+            (function next(i) {
+                if (i === orphans.length) {
+                    return checkUploads();
+                }
+                
+                var hash = orphans[i];
+                
+                self._withLock('blob:' + hash, function(release) {
+                    // Taken by an upload since the blobs were listed
+                    if (self.blobRefs[hash]) {
+                        return release(null, null);
+                    }
+                    
+                    var entry = {
+                        hash: hash,
+                        size: present[hash].size,
+                        modifiedAt: new Date(present[hash].mtime).toISOString(),
+                        action: null
+                    };
+                    
+                    // Thumbnails of a blob that is set aside or removed go with it
+                    function dropped(action) {
+                        return function(err) {
+                            if (err) {
+                                return release(err);
+                            }
+                            
+                            entry.action = action;
+                            self._deleteRenditions(hash, function(err) {
+                                release(err, entry);
+                            });
+                        };
+                    }
+                    
+                    if (options.quarantine) {
+                        return setAside(function(dir, moved) {
+                            self._quarantineBlob(hash, dir, moved);
+                        }, dropped('quarantined'));
+                    }
+                    
+                    if (options.repair) {
+                        return self.backend.delete(self._blobKey(hash), dropped('removed'));
+                    }
+                    
+                    release(null, entry);
+                }, function(err, entry) {
+                    if (err) {
+                        return done(err);
+                    }
+                    
+                    if (entry) {
+                        report.orphanedBlobs.push(entry);
+                    }
+                    
+                    next(i + 1);
+                });
+            })(0);
+        });
+    }
+    
+    function checkUploads() {
+        self._findUploadLeftovers(Date.now() - SCRUB_GRACE_PERIOD, function(err, leftovers) {
+            if (err) {
+                return done(err);
+            }
+            
+            (function next(i) {
+                if (i === leftovers.length) {
+                    return done(null);
+                }
+                
+                var leftover = leftovers[i];
+                var entry = leftover.entry;
+                
+                function handled(err) {
+                    // Gone already, e.g. removed by the stale upload sweep
+                    if (err && err.code !== 'ENOENT') {
+                        return done(err);
+                    }
+                    
+                    report.orphanedUploads.push(entry);
+                    next(i + 1);
+                }
+                
+                if (options.quarantine) {
+                    return setAside(function(dir, moved) {
+                        self._quarantineFile(leftover.path, path.join(dir, entry.location, entry.name), moved);
+                    }, function(err) {
+                        if (!err) entry.action = 'quarantined';
+                        handled(err);
+                    });
+                }
+                
+                if (options.repair) {
+                    return fs.rm(leftover.path, { recursive: true, force: true }, function(err) {
+                        if (!err) entry.action = 'removed';
+                        handled(err);
+                    });
+                }
+                
+                handled(null);
+            })(0);
+        });
+    }
+    
+    checkReferenced(Object.keys(references), 0);
+};
+
+/**
+ * Put a blob back from a local file that still holds its content, such as
+ * the path a file was uploaded from
+ * @private
+ * @param {String} hash - Hash the blob is stored under
+ * @param {Number} size - Size of the blob
+ * @param {Array} sources - Local paths to try, in order
+ * @param {Function} callback - Callback function (err, restored)
+ */
+CloudStorage.prototype._restoreBlob = function(hash, size, sources, callback) {
+    var self = this;
+    
+    (function next(i) {
+        if (i === sources.length) {
+            return callback(null, false);
+        }
+        
+        fs.stat(sources[i], function(err, stats) {
+            if (err || !stats.isFile() || stats.size !== size) {
+                return next(i + 1);
+            }
+            
+            var tempPath = path.join(self.localStoragePath, self._generateFileId() + PARTIAL_SUFFIX);
+            var digest = crypto.createHash('sha256');
+            var reader = fs.createReadStream(sources[i]);
+            var writer = fs.createWriteStream(tempPath);
+            var failed = false;
+            
+            function skip() {
+                if (failed) return;
+                failed = true;
+                
+                reader.destroy();
+                writer.destroy();
+                fs.unlink(tempPath, function() {
+                    next(i + 1);
+                });
+            }
+            
+            reader.on('data', function(chunk) {
+                digest.update(chunk);
+            });
+            
+            reader.on('error', skip);
+            writer.on('error', skip);
+            
+            writer.on('finish', function() {
+                if (failed) return;
+                
+                // The source may have changed since it was uploaded
+                if (digest.digest('hex') !== hash) {
+                    return fs.unlink(tempPath, function() {
+                        next(i + 1);
+                    });
+                }
+                
+                self._storeBlobFile(tempPath, hash, function(err) {
+                    if (err) {
+                        return fs.unlink(tempPath, function() {
+                            callback(err);
+                        });
+                    }
+                    
+                    self.logger.info('Restored blob', hash, 'from', sources[i]);
+                    callback(null, true);
+                });
+            });
+            
+            reader.pipe(writer);
+        });
+    })(0);
+};
+
+/**
+ * Move a blob out of the backend into a quarantine directory
+ * @private
+ * @param {String} hash - Blob hash
+ * @param {String} dir - Quarantine directory
+ * @param {Function} callback - Callback function (err)
+ */
+CloudStorage.prototype._quarantineBlob = function(hash, dir, callback) {
+    var self = this;
+    var key = self._blobKey(hash);
+    var target = path.join(dir, 'blobs', hash);
+    
+    fs.mkdir(path.dirname(target), { recursive: true }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var reader = self.backend.createReadStream(key);
+        var writer = fs.createWriteStream(target);
+        var done = false;
+        
+        function finish(err) {
+            if (done) return;
+            done = true;
+            
+            if (err) {
+                writer.destroy();
+                return callback(err);
+            }
+            
+            self.backend.delete(key, callback);
+        }
+        
+        reader.on('error', finish);
+        writer.on('error', finish);
+        writer.on('finish', function() {
+            finish(null);
+        });
+        
+        reader.pipe(writer);
+    });
+};
+
+/**
+ * Move a local file or directory into a quarantine directory
+ * @private
+ * @param {String} filePath - File or directory to move
+ * @param {String} target - Path to move it to
+ * @param {Function} callback - Callback function (err)
+ */
+CloudStorage.prototype._quarantineFile = function(filePath, target, callback) {
+    fs.mkdir(path.dirname(target), { recursive: true }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        fs.rename(filePath, target, function(err) {
+            // uploadDir can be on another file system than localStoragePath
+            if (!err || err.code !== 'EXDEV') {
+                return callback(err || null);
+            }
+            
+            fs.cp(filePath, target, { recursive: true }, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                
+                fs.rm(filePath, { recursive: true, force: true }, callback);
+            });
+        });
+    });
+};
+
+/**
+ * Find files left behind by uploads that never finished: partial blobs in
+ * localStoragePath, entries in uploadDir without an upload session, and
+ * files in a session's directory that are not one of its parts. Anything
+ * modified after the cutoff is skipped, as an upload may still be writing it.
+ * @private
+ * @param {Number} cutoff - Time in ms; only older files count
+ * @param {Function} callback - Callback function (err, [{ path, entry: { location, name, size, modifiedAt, action } }])
+ */
+CloudStorage.prototype._findUploadLeftovers = function(cutoff, callback) {
+    var self = this;
+    var leftovers = [];
+    var candidates = [];
+    
+    fs.readdir(self.localStoragePath, function(err, names) {
+        if (err) {
+            return callback(err);
+        }
+        
+        names.forEach(function(name) {
+            if (name.slice(-PARTIAL_SUFFIX.length) === PARTIAL_SUFFIX && FILE_ID_PATTERN.test(name.slice(0, -PARTIAL_SUFFIX.length))) {
+                candidates.push({ location: 'storage', name: name, path: path.join(self.localStoragePath, name) });
+            }
+        });
+        
+        fs.readdir(self.uploadDir, function(err, uploads) {
+            if (err) {
+                return callback(err);
+            }
+            
+            (function nextUpload(i) {
+                if (i === uploads.length) {
+                    return consider(0);
+                }
+                
+                var uploadId = uploads[i];
+                var session = self.uploadSessions[uploadId];
+                
+                if (!session) {
+                    candidates.push({ location: 'uploads', name: uploadId, path: path.join(self.uploadDir, uploadId) });
+                    return nextUpload(i + 1);
+                }
+                
+                fs.readdir(self._uploadSessionPath(uploadId), function(err, files) {
+                    (files || []).forEach(function(name) {
+                        var part = /^part-(\d+)$/.exec(name);
+                        
+                        if (name === UPLOAD_SESSION_FILE || (part && session.parts[part[1]])) return;
+                        
+                        candidates.push({
+                            location: 'uploads',
+                            name: uploadId + '/' + name,
+                            path: path.join(self._uploadSessionPath(uploadId), name)
+                        });
+                    });
+                    nextUpload(i + 1);
+                });
+            })(0);
+        });
+    });
+    
+    function consider(i) {
+        if (i === candidates.length) {
+            return callback(null, leftovers);
+        }
+        
+        var candidate = candidates[i];
+        
+        fs.stat(candidate.path, function(err, stats) {
+            if (!err && stats.mtime.getTime() < cutoff) {
+                leftovers.push({
+                    path: candidate.path,
+                    entry: {
+                        location: candidate.location,
+                        name: candidate.name,
+                        size: stats.isDirectory() ? null : stats.size,
+                        modifiedAt: stats.mtime.toISOString(),
+                        action: null
+                    }
+                });
+            }
+            consider(i + 1);
+        });
+    }
+};
+
+// ============================================================================
+// Lifecycle Rules
+// ============================================================================
+
+/**
+ * Parse a file's expiry time
+ * @private
+ * @param {Date|String|Number} value - Date, ISO string or milliseconds since the epoch
+ * @returns {String|null} ISO timestamp, null when not given
+ */
+CloudStorage.prototype._parseExpiresAt = function(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    
+    var time = value instanceof Date ? value.getTime() :
+        typeof value === 'number' ? value : Date.parse(value);
+    
+    if (!isFinite(time)) {
+        var err = new Error('expiresAt must be a date');
+        err.code = 'InvalidArgument';
+        throw err;
+    }
+    
+    return new Date(time).toISOString();
+};
+
+/**
+ * Check and fill in defaults for a bucket's lifecycle rules
+ * @private
+ * @param {Array} rules - Rules as given
+ * @returns {Array} Normalized rules
+ */
+CloudStorage.prototype._normalizeLifecycleRules = function(rules) {
+    var ids = {};
+    
+    if (!Array.isArray(rules)) {
+        throw lifecycleError('rules must be an array');
+    }
+    
+    return rules.map(function(rule, i) {
+        if (!rule || typeof rule !== 'object') {
+            throw lifecycleError('Each rule must be an object');
+        }
+        
+        if (rule.prefix !== undefined && rule.prefix !== null && typeof rule.prefix !== 'string') {
+            throw lifecycleError('prefix must be a string');
+        }
+        
+        var normalized = {
+            id: rule.id ? String(rule.id) : 'rule-' + (i + 1),
+            prefix: rule.prefix || '',
+            expireAfterDays: null,
+            noncurrentExpireAfterDays: null,
+            enabled: rule.enabled !== false
+        };
+        
+        ['expireAfterDays', 'noncurrentExpireAfterDays'].forEach(function(name) {
+            if (rule[name] === undefined || rule[name] === null) return;
+            
+            if (typeof rule[name] !== 'number' || !(rule[name] > 0)) {
+                throw lifecycleError(name + ' must be a positive number of days');
+            }
+            
+            normalized[name] = rule[name];
+        });
+        
+        if (normalized.expireAfterDays === null && normalized.noncurrentExpireAfterDays === null) {
+            throw lifecycleError('Rule ' + normalized.id + ' needs expireAfterDays or noncurrentExpireAfterDays');
+        }
+        
+        if (ids[normalized.id]) {
+            throw lifecycleError('Duplicate rule id: ' + normalized.id);
+        }
+        
+        ids[normalized.id] = true;
+        return normalized;
+    });
+    
+    function lifecycleError(message) {
+        var err = new Error(message);
+        err.code = 'InvalidArgument';
+        return err;
+    }
+};
+
+/**
+ * Replace a bucket's lifecycle rules. Each rule applies to the files whose
+ * names start with its prefix.
+ * @param {String} bucket - Bucket name
+ * @param {Array} rules - Rules: { id, prefix, expireAfterDays, noncurrentExpireAfterDays, enabled }
+ * @param {Function} callback - Callback function (err, rules)
+ */
+CloudStorage.prototype.setLifecycleRules = function(bucket, rules, callback) {
+    var self = this;
+    var normalized;
+    
+    try {
+        normalized = self._normalizeLifecycleRules(rules);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    self._withLock('bucket:' + bucket, function(release) {
+        if (!self.buckets[bucket]) {
+            return release(new Error('Bucket not found'));
+        }
+        
+        self._updateBucketInfo(bucket, { lifecycle: normalized }, release);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.logger.info('Lifecycle rules set:', bucket, normalized.length);
+        callback(null, normalized);
+    });
+};
+
+/**
+ * Get a bucket's lifecycle rules
+ * @param {String} bucket - Bucket name
+ * @param {Function} callback - Callback function (err, rules)
+ */
+CloudStorage.prototype.getLifecycleRules = function(bucket, callback) {
+    if (!this.buckets[bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    callback(null, this.buckets[bucket].lifecycle || []);
+};
+
+/**
+ * Work out what lifecycle would remove from one object right now
+ * @private
+ * @param {String} fileId - File ID
+ * @param {Array} rules - Enabled rules of the object's bucket
+ * @param {Number} now - Current time in ms
+ * @returns {Array} Actions: { type, version, reason, rule }
+ */
+CloudStorage.prototype._lifecycleActions = function(fileId, rules, now) {
+    var record = this.storage[fileId] || null;
+    var versions = this.versions[fileId] || [];
+    var latest = record || versions[0];
+    var actions = [];
+    var day = 24 * 60 * 60 * 1000;
+    
+    var fileName = String(latest.fileName);
+    
+    // Rules come from .bucket.json, which may predate the prefix check
+    var matching = rules.filter(function(rule) {
+        return rule.enabled && fileName.indexOf(String(rule.prefix || '')) === 0;
+    });
+    
+    function expired(version) {
+        return version.expiresAt && Date.parse(version.expiresAt) <= now;
+    }
+    
+    if (record) {
+        if (expired(record)) {
+            actions.push({ type: 'expire', version: record, reason: 'expired', rule: null });
+        } else {
+            matching.some(function(rule) {
+                if (rule.expireAfterDays !== null && now - Date.parse(record.uploadedAt) >= rule.expireAfterDays * day) {
+                    actions.push({ type: 'delete', version: record, reason: 'lifecycle', rule: rule.id });
+                    return true;
+                }
+                return false;
+            });
+        }
+    }
+    
+    var remaining = 0;
+    
+    versions.forEach(function(version, i) {
+        if (version.isDeleteMarker) return;
+        
+        if (expired(version)) {
+            return actions.push({ type: 'removeVersion', version: version, reason: 'expired', rule: null });
+        }
+        
+        // A version became noncurrent when the next newer one was written
+        var newer = i === 0 ? record : versions[i - 1];
+        var since = Date.parse(newer ? newer.uploadedAt || newer.deletedAt : version.uploadedAt);
+        
+        var rule = null;
+        
+        matching.some(function(candidate) {
+            if (candidate.noncurrentExpireAfterDays !== null && now - since >= candidate.noncurrentExpireAfterDays * day) {
+                rule = candidate;
+                return true;
+            }
+            return false;
+        });
+        
+        if (rule) {
+            actions.push({ type: 'removeVersion', version: version, reason: 'lifecycle', rule: rule.id });
+        } else {
+            remaining++;
+        }
+    });
+    
+    // Delete markers with nothing left behind them are removed with the rest
+    if (!record && remaining === 0 && matching.some(function(rule) { return rule.noncurrentExpireAfterDays !== null; })) {
+        versions.forEach(function(version) {
+            if (version.isDeleteMarker) {
+                actions.push({ type: 'removeVersion', version: version, reason: 'lifecycle', rule: null });
+            }
+        });
+    }
+    
+    return actions;
+};
+
+/**
+ * Apply lifecycle rules and file expiry times. Expired files are removed
+ * for good; files past a rule's expireAfterDays are deleted as by delete(),
+ * and noncurrent versions past noncurrentExpireAfterDays are removed.
+ * Every removal emits 'delete' with its reason.
+ * @param {Object} options - Lifecycle options (optional)
+ *   bucket {String} - Only this bucket (default: every bucket)
+ *   rules {Array} - Rules to use instead of the bucket's own, e.g. to preview a rule (needs bucket)
+ *   dryRun {Boolean} - Only report what would be removed
+ * @param {Function} callback - Callback function (err, { dryRun, removed, count, bytes })
+ */
+CloudStorage.prototype.applyLifecycle = function(options, callback) {
+    var self = this;
+    
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var now = Date.now();
+    var ruleSets = {};
+    var actions = [];
+    
+    if (options.bucket && !self.buckets[options.bucket]) {
+        return callback(new Error('Bucket not found'));
+    }
+    
+    if (options.rules) {
+        if (!options.bucket) {
+            return callback(new Error('bucket is required with rules'));
+        }
+        
+        try {
+            ruleSets[options.bucket] = self._normalizeLifecycleRules(options.rules);
+        } catch (err) {
+            return callback(err);
+        }
+    } else {
+        Object.keys(self.buckets).forEach(function(bucket) {
+            ruleSets[bucket] = self.buckets[bucket].lifecycle || [];
+        });
+    }
+    
+    self._allFileIds().forEach(function(fileId) {
+        var bucket = self._fileBucket(fileId);
+        
+        if (options.bucket && bucket !== options.bucket) return;
+        
+        self._lifecycleActions(fileId, ruleSets[bucket] || [], now).forEach(function(action) {
+            action.fileId = fileId;
+            actions.push(action);
+        });
+    });
+    
+    var report = {
+        dryRun: !!options.dryRun,
+        removed: [],
+        count: 0,
+        bytes: 0
+    };
+    
+    function addToReport(action) {
+        var version = action.version;
+        
+        report.removed.push({
+            fileId: action.fileId,
+            versionId: version.versionId,
+            fileName: version.fileName,
+            bucket: version.bucket,
+            size: version.isDeleteMarker ? 0 : version.size,
+            isDeleteMarker: !!version.isDeleteMarker,
+            action: action.type,
+            reason: action.reason,
+            rule: action.rule
+        });
+        report.count++;
+        
+        // A lifecycle delete keeps the data as a noncurrent version
+        if (action.type !== 'delete' && !version.isDeleteMarker) {
+            report.bytes += version.size;
+        }
+    }
+    
+    if (options.dryRun) {
+        actions.forEach(addToReport);
+        return callback(null, report);
+    }
+    
+    (function next(i) {
+        if (i === actions.length) {
+            if (report.count > 0) {
+                self.logger.info('Lifecycle removed', report.count, 'versions');
+            }
+            return callback(null, report);
+        }
+        
+        var action = actions[i];
+        var details = { reason: action.reason, rule: action.rule };
+        
+        function done(err) {
+            if (err) {
+                self.logger.warn('Lifecycle failed for', action.fileId + ':', err.message);
+            } else {
+                addToReport(action);
+            }
+            next(i + 1);
+        }
+        
+        if (action.type === 'expire') {
+            return self._expireCurrent(action.fileId, action.version.versionId, details, done);
+        }
+        
+        if (action.type === 'delete') {
+            // Skip files that got a new version since they were checked
+            if (self.storage[action.fileId] !== action.version) {
+                return next(i + 1);
+            }
+            return self.delete(action.fileId, details, done);
+        }
+        
+        self._deleteVersion(action.fileId, action.version.versionId, details, done);
+    })(0);
+};
+
+/**
+ * Remove an expired current version for good, leaving a delete marker in
+ * its place when older versions remain, so that none of them becomes current
+ * @private
+ */
+CloudStorage.prototype._expireCurrent = function(fileId, versionId, details, callback) {
+    var self = this;
+    var removed = null;
+    
+    self._withObjectLock(fileId, function(release) {
+        var current = self.storage[fileId];
+        
+        if (!current || current.versionId !== versionId) {
+            return release(new Error('File was modified, skipped'));
+        }
+        
+        removed = current;
+        
+        var versions = self.versions[fileId] || [];
+        var marker = {
+            fileId: fileId,
+            versionId: self._generateVersionId(),
+            fileName: current.fileName,
+            bucket: current.bucket,
+            isDeleteMarker: true,
+            deletedAt: new Date().toISOString()
+        };
+        
+        self._commitObject(fileId, null, versions.length > 0 ? [marker].concat(versions) : [], release);
+    }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self._releaseBlob(self._blobOf(removed));
+        self.emit('delete', removed, details);
+        
+        self.logger.info('File expired:', removed.fileName);
+        callback(null);
+    });
+};
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+/**
+ * Load webhook subscriptions, the delivery log and the dead-letter queue
+ * @private
+ */
+CloudStorage.prototype._loadWebhooks = function() {
+    var self = this;
+    var doc;
+    
+    try {
+        doc = JSON.parse(fs.readFileSync(self.webhooksPath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            self.logger.warn('Webhook file unreadable, starting without webhooks:', err.message);
+        }
+        doc = {};
+    }
+    
+    self.webhooks = {};
+    (doc.webhooks || []).forEach(function(webhook) {
+        self.webhooks[webhook.id] = webhook;
+    });
+    self.webhookDeliveries = doc.deliveries || [];
+    self.deadLetters = (doc.deadLetters || []).slice(-WEBHOOK_DEAD_LETTER_LIMIT);
+    
+    // Object events are passed on to the subscribed endpoints
+    WEBHOOK_EVENTS.forEach(function(event) {
+        self.on(event, function(fileInfo, details) {
+            self._dispatchWebhooks(event, fileInfo, event === 'delete' || event === 'move' ? details : null);
+        });
+    });
+};
+
+/**
+ * Persist webhook state. Writes are serialized; callers arriving during a
+ * write share the next one.
+ * @private
+ */
+CloudStorage.prototype._saveWebhooks = function(callback) {
+    var self = this;
+    
+    // This write covers any delivery log changes still waiting for theirs
+    clearTimeout(self._webhookLogTimer);
+    self._webhookLogTimer = null;
+    
+    self._webhookWaiters.push(callback || function() {});
+    
+    if (self._webhookWriting) return;
+    
+    (function flush() {
+        var waiters = self._webhookWaiters;
+        var doc = {
+            webhooks: Object.keys(self.webhooks).map(function(id) {
+                return self.webhooks[id];
+            }),
+            deliveries: self.webhookDeliveries,
+            deadLetters: self.deadLetters
+        };
+        
+        self._webhookWaiters = [];
+        self._webhookWriting = true;
+        
+        self._writeFileAtomic(self.webhooksPath, JSON.stringify(doc, null, 2), function(err) {
+            self._webhookWriting = false;
+            
+            if (self._webhookWaiters.length > 0) {
+                flush();
+            }
+            
+            waiters.forEach(function(waiter) {
+                waiter(err || null);
+            });
+        });
+    })();
+};
+
+/**
+ * Persist the delivery log and dead letters shortly, so a burst of
+ * deliveries costs one write of the webhook file rather than one each
+ * @private
+ */
+CloudStorage.prototype._saveWebhookLog = function() {
+    var self = this;
+    
+    if (self._webhookLogTimer) return;
+    
+    self._webhookLogTimer = setTimeout(function() {
+        self._saveWebhooks(function(err) {
+            if (err) {
+                self.logger.warn('Failed to save webhook log:', err.message);
+            }
+        });
+    }, WEBHOOK_LOG_SAVE_DELAY);
+    self._webhookLogTimer.unref();
+};
+
+/**
+ * Check and fill in a webhook subscription
+ * @private
+ * @param {Object} options - url, events, prefix, bucket, secret, active
+ * @param {Object} webhook - Existing subscription to update (optional)
+ * @returns {Object} Subscription
+ */
+CloudStorage.prototype._normalizeWebhook = function(options, webhook) {
+    var result = {};
+    
+    Object.keys(webhook || {}).forEach(function(key) {
+        result[key] = webhook[key];
+    });
+    
+    if (options.url !== undefined || !webhook) {
+        var parsed = url.parse(String(options.url || ''));
+        
+        if ((parsed.protocol !== 'http:' && parsed.protocol !== 'https:') || !parsed.hostname) {
+            throw webhookError('url must be an http or https URL');
+        }
+        
+        result.url = String(options.url);
+    }
+    
+    if (options.events !== undefined || !webhook) {
+        var events = options.events || ['*'];
+        
+        if (!Array.isArray(events) || events.length === 0 || events.some(function(event) {
+            return event !== '*' && WEBHOOK_EVENTS.indexOf(event) === -1;
+        })) {
+            throw webhookError('events must be a list of ' + WEBHOOK_EVENTS.join(', ') + ' or *');
+        }
+        
+        result.events = events.slice();
+    }
+    
+    if (options.prefix !== undefined || !webhook) {
+        result.prefix = options.prefix ? String(options.prefix) : '';
+    }
+    
+    if (options.bucket !== undefined || !webhook) {
+        if (options.bucket && !BUCKET_NAME_PATTERN.test(options.bucket)) {
+            throw webhookError('Invalid bucket name');
+        }
+        
+        result.bucket = options.bucket || null;
+    }
+    
+    if (options.secret !== undefined || !webhook) {
+        result.secret = options.secret ? String(options.secret) : crypto.randomBytes(24).toString('hex');
+    }
+    
+    if (options.active !== undefined || !webhook) {
+        result.active = options.active !== false;
+    }
+    
+    return result;
+    
+    function webhookError(message) {
+        var err = new Error(message);
+        err.code = 'InvalidArgument';
+        return err;
+    }
+};
+
+/**
+ * Subscribe an HTTP endpoint to storage events
+ * @param {Object} options - Webhook options
+ *   url {String} - Endpoint that receives POSTed JSON (required)
+ *   events {Array} - Events to send: upload, download, delete, copy, metadataUpdate, restore or * (default: ['*'])
+ *   prefix {String} - Only files whose names start with this (default: all files)
+ *   bucket {String} - Only this bucket (default: every bucket)
+ *   secret {String} - HMAC key for X-Webhook-Signature (default: generated)
+ *   active {Boolean} - Set to false to pause deliveries (default: true)
+ * @param {Function} callback - Callback function (err, webhook)
+ */
+CloudStorage.prototype.createWebhook = function(options, callback) {
+    var self = this;
+    var webhook;
+    
+    try {
+        webhook = self._normalizeWebhook(options || {});
+    } catch (err) {
+        return callback(err);
+    }
+    
+    webhook.id = crypto.randomBytes(16).toString('hex');
+    webhook.createdAt = new Date().toISOString();
+    self.webhooks[webhook.id] = webhook;
+    
+    self._saveWebhooks(function(err) {
+        if (err) {
+            delete self.webhooks[webhook.id];
+            return callback(err);
+        }
+        
+        self.logger.info('Webhook created:', webhook.id, webhook.url);
+        callback(null, webhook);
+    });
+};
+
+/**
+ * List webhook subscriptions
+ * @param {Function} callback - Callback function (err, { webhooks, count })
+ */
+CloudStorage.prototype.listWebhooks = function(callback) {
+    var self = this;
+    var webhooks = Object.keys(self.webhooks).map(function(id) {
+        return self.webhooks[id];
+    });
+    
+    callback(null, { webhooks: webhooks, count: webhooks.length });
+};
+
+/**
+ * Get a webhook subscription
+ * @param {String} webhookId - Webhook ID
+ * @param {Function} callback - Callback function (err, webhook)
+ */
+CloudStorage.prototype.getWebhook = function(webhookId, callback) {
+    if (!Object.prototype.hasOwnProperty.call(this.webhooks, webhookId)) {
+        return callback(new Error('Webhook not found'));
+    }
+    
+    callback(null, this.webhooks[webhookId]);
+};
+
+/**
+ * Change a webhook subscription; fields left out keep their values
+ * @param {String} webhookId - Webhook ID
+ * @param {Object} changes - url, events, prefix, bucket, secret, active
+ * @param {Function} callback - Callback function (err, webhook)
+ */
+CloudStorage.prototype.updateWebhook = function(webhookId, changes, callback) {
+    var self = this;
+    var previous = Object.prototype.hasOwnProperty.call(self.webhooks, webhookId) ? self.webhooks[webhookId] : null;
+    var webhook;
+    
+    if (!previous) {
+        return callback(new Error('Webhook not found'));
+    }
+    
+    try {
+        webhook = self._normalizeWebhook(changes || {}, previous);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    webhook.updatedAt = new Date().toISOString();
+    self.webhooks[webhookId] = webhook;
+    
+    self._saveWebhooks(function(err) {
+        if (err) {
+            self.webhooks[webhookId] = previous;
+            return callback(err);
+        }
+        
+        callback(null, webhook);
+    });
+};
+
+/**
+ * Remove a webhook subscription. Deliveries already under way still finish.
+ * @param {String} webhookId - Webhook ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.deleteWebhook = function(webhookId, callback) {
+    var self = this;
+    var webhook = Object.prototype.hasOwnProperty.call(self.webhooks, webhookId) ? self.webhooks[webhookId] : null;
+    
+    if (!webhook) {
+        return callback(new Error('Webhook not found'));
+    }
+    
+    delete self.webhooks[webhookId];
+    
+    self._saveWebhooks(function(err) {
+        if (err) {
+            self.webhooks[webhookId] = webhook;
+            return callback(err);
+        }
+        
+        self.logger.info('Webhook deleted:', webhookId);
+        callback(null, { id: webhookId, deleted: true });
+    });
+};
+
+/**
+ * List recent webhook deliveries, newest first
+ * @param {Object} options - Options (optional)
+ *   webhookId {String} - Only deliveries to this webhook
+ *   limit {Number} - Maximum entries (default: all that are kept)
+ * @param {Function} callback - Callback function (err, { deliveries, count })
+ */
+CloudStorage.prototype.listWebhookDeliveries = function(options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    options = options || {};
+    
+    var deliveries = this.webhookDeliveries.filter(function(delivery) {
+        return !options.webhookId || delivery.webhookId === options.webhookId;
+    }).reverse();
+    
+    if (options.limit) {
+        deliveries = deliveries.slice(0, options.limit);
+    }
+    
+    callback(null, { deliveries: deliveries, count: deliveries.length });
+};
+
+/**
+ * List deliveries that failed every attempt
+ * @param {Function} callback - Callback function (err, { deadLetters, count })
+ */
+CloudStorage.prototype.listDeadLetters = function(callback) {
+    callback(null, { deadLetters: this.deadLetters.slice(), count: this.deadLetters.length });
+};
+
+/**
+ * Take a delivery off the dead-letter queue and try it again
+ * @param {String} deliveryId - Delivery ID
+ * @param {Function} callback - Callback function (err, { deliveryId, queued })
+ */
+CloudStorage.prototype.retryDeadLetter = function(deliveryId, callback) {
+    var self = this;
+    var index = -1;
+    
+    self.deadLetters.forEach(function(entry, i) {
+        if (entry.deliveryId === deliveryId) index = i;
+    });
+    
+    if (index === -1) {
+        return callback(new Error('Dead letter not found'));
+    }
+    
+    var entry = self.deadLetters.splice(index, 1)[0];
+    var webhook = self.webhooks[entry.webhookId];
+    
+    if (!webhook) {
+        self.deadLetters.splice(index, 0, entry);
+        return callback(new Error('Webhook not found'));
+    }
+    
+    self._saveWebhooks(function(err) {
+        if (err) {
+            self.deadLetters.push(entry);
+            return callback(err);
+        }
+        
+        self._deliverWebhook(webhook, entry.deliveryId, entry.payload);
+        callback(null, { deliveryId: deliveryId, queued: true });
+    });
+};
+
+/**
+ * Send an event to every webhook subscribed to it
+ * @private
+ * @param {String} event - Event name
+ * @param {Object} fileInfo - File record the event is about
+ * @param {Object} details - Extra event details (optional)
+ */
+CloudStorage.prototype._dispatchWebhooks = function(event, fileInfo, details) {
+    var self = this;
+    var fileName = fileInfo.fileName || '';
+    var payload = {
+        event: event,
+        timestamp: new Date().toISOString(),
+        bucket: fileInfo.bucket,
+        file: {
+            fileId: fileInfo.fileId,
+            versionId: fileInfo.versionId,
+            fileName: fileInfo.fileName,
+            size: fileInfo.size,
+            contentType: fileInfo.contentType,
+            hash: fileInfo.hash,
+            metadata: fileInfo.metadata,
+            uploadedAt: fileInfo.uploadedAt,
+            isDeleteMarker: !!fileInfo.isDeleteMarker
+        }
+    };
+    
+    if (details) {
+        payload.details = details;
+    }
+    
+    Object.keys(self.webhooks).forEach(function(id) {
+        var webhook = self.webhooks[id];
+        
+        if (!webhook.active) return;
+        if (webhook.events.indexOf('*') === -1 && webhook.events.indexOf(event) === -1) return;
+        if (webhook.bucket && webhook.bucket !== fileInfo.bucket) return;
+        if (fileName.indexOf(webhook.prefix) !== 0) return;
+        
+        var deliveryId = crypto.randomBytes(16).toString('hex');
+        var body = {};
+        
+        Object.keys(payload).forEach(function(key) {
+            body[key] = payload[key];
+        });
+        body.id = deliveryId;
+        body.webhookId = id;
+        
+        self._deliverWebhook(webhook, deliveryId, body);
+    });
+};
+
+/**
+ * Sign a webhook body: HMAC-SHA256 of the timestamp, a dot and the body
+ * @param {String} secret - Webhook secret
+ * @param {String} timestamp - X-Webhook-Timestamp header
+ * @param {String} body - Raw request body
+ * @returns {String} Value of X-Webhook-Signature
+ */
+CloudStorage.signWebhook = function(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+};
+
+/**
+ * Check a received webhook's signature, for use in receivers
+ * @param {String} secret - Webhook secret
+ * @param {Object} headers - Request headers
+ * @param {String|Buffer} body - Raw request body
+ * @returns {Boolean} True if the signature is valid
+ */
+CloudStorage.verifyWebhook = function(secret, headers, body) {
+    var timestamp = headers['x-webhook-timestamp'];
+    var signature = headers['x-webhook-signature'];
+    
+    if (!timestamp || typeof signature !== 'string') {
+        return false;
+    }
+    
+    var expected = Buffer.from(CloudStorage.signWebhook(secret, timestamp, String(body)));
+    var actual = Buffer.from(signature);
+    
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * POST a payload to a webhook, retrying with exponential backoff up to
+ * config.maxRetries times. The outcome goes to the delivery log; a delivery
+ * that fails every attempt goes to the dead-letter queue.
+ * @private
+ */
+CloudStorage.prototype._deliverWebhook = function(webhook, deliveryId, payload) {
+    var self = this;
+    var body = JSON.stringify(payload);
+    var attempts = 0;
+    
+    function attempt() {
+        attempts++;
+        
+        self._postWebhook(webhook, deliveryId, payload.event, body, function(err, statusCode) {
+            if (err && attempts <= self.config.maxRetries) {
+                var timer = setTimeout(attempt, self.config.webhookRetryDelay * Math.pow(2, attempts - 1));
+                timer.unref();
+                return;
+            }
+            
+            var entry = {
+                deliveryId: deliveryId,
+                webhookId: webhook.id,
+                url: webhook.url,
+                event: payload.event,
+                fileId: payload.file.fileId,
+                status: err ? 'failed' : 'delivered',
+                statusCode: statusCode || null,
+                attempts: attempts,
+                error: err ? err.message : null,
+                completedAt: new Date().toISOString()
+            };
+            
+            self.webhookDeliveries.push(entry);
+            
+            if (self.webhookDeliveries.length > WEBHOOK_LOG_LIMIT) {
+                self.webhookDeliveries.splice(0, self.webhookDeliveries.length - WEBHOOK_LOG_LIMIT);
+            }
+            
+            if (err) {
+                self.deadLetters.push({
+                    deliveryId: deliveryId,
+                    webhookId: webhook.id,
+                    url: webhook.url,
+                    event: payload.event,
+                    payload: payload,
+                    attempts: attempts,
+                    error: err.message,
+                    failedAt: entry.completedAt
+                });
+                self.logger.warn('Webhook delivery failed:', webhook.url, err.message);
+                
+                if (self.deadLetters.length > WEBHOOK_DEAD_LETTER_LIMIT) {
+                    var dropped = self.deadLetters.splice(0, self.deadLetters.length - WEBHOOK_DEAD_LETTER_LIMIT);
+                    self.logger.warn('Dead-letter queue is full, dropped', dropped.length, 'oldest deliveries');
+                }
+            }
+            
+            self._saveWebhookLog();
+            
+            self.emit('webhookDelivery', entry);
+        });
+    }
+    
+    attempt();
+};
+
+/**
+ * Make one webhook request; anything but a 2xx answer is an error
+ * @private
+ * @param {Function} callback - Callback function (err, statusCode)
+ */
+CloudStorage.prototype._postWebhook = function(webhook, deliveryId, event, body, callback) {
+    var self = this;
+    var target = url.parse(webhook.url);
+    var transport = target.protocol === 'https:' ? require('https') : http;
+    var timestamp = String(Math.floor(Date.now() / 1000));
+    var done = false;
+    
+    function finish(err, statusCode) {
+        if (done) return;
+        done = true;
+        callback(err, statusCode);
+    }
+    
+    var req = transport.request({
+        method: 'POST',
+        hostname: target.hostname,
+        port: target.port,
+        path: target.path,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'CloudStorage-Webhooks/1.0',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Event': event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': CloudStorage.signWebhook(webhook.secret, timestamp, body)
+        }
+    }, function(res) {
+        res.resume();
+        
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            return finish(null, res.statusCode);
+        }
+        
+        finish(new Error('Endpoint answered ' + res.statusCode), res.statusCode);
+    });
+    
+    req.setTimeout(self.config.timeout, function() {
+        req.destroy(new Error('Webhook request timed out'));
+    });
+    
+    req.on('error', function(err) {
+        finish(err);
+    });
+    
+    req.end(body);
+};
+
+// ============================================================================
+// Encryption at Rest
+// ============================================================================
+
+/**
+ * Parse a 256-bit key given as a Buffer, hex or base64
+ * @private
+ * @param {String|Buffer} value - Key
+ * @returns {Buffer} Key bytes
+ */
+CloudStorage.prototype._parseEncryptionKey = function(value) {
+    var key = Buffer.isBuffer(value) ? value :
+        typeof value === 'string' && /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') :
+        typeof value === 'string' ? Buffer.from(value, 'base64') : null;
+    
+    if (!key || key.length !== 32) {
+        var err = new Error('Encryption key must be 256 bits');
+        err.code = 'InvalidEncryptionKey';
+        throw err;
+    }
+    
+    return key;
+};
+
+/**
+ * Identify a master key without revealing it
+ * @private
+ * @param {Buffer} key - Key bytes
+ * @returns {String} Key ID
+ */
+CloudStorage.prototype._keyId = function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+};
+
+/**
+ * Decide how new data is encrypted: with a data key wrapped by the
+ * customer's key when one is given, otherwise by the current master key
+ * @private
+ * @param {String|Buffer} customerKey - Client-supplied key (optional)
+ * @returns {Object|null} keyType, keyId and the wrapping key, or null if data is stored as is
+ */
+CloudStorage.prototype._encryptionTarget = function(customerKey) {
+    if (customerKey) {
+        return { keyType: 'customer', keyId: null, key: this._parseEncryptionKey(customerKey) };
+    }
+    
+    if (this.masterKeyId) {
+        return { keyType: 'master', keyId: this.masterKeyId, key: this.masterKeys[this.masterKeyId] };
+    }
+    
+    return null;
+};
+
+/**
+ * Encrypt a data key with AES-256-GCM
+ * @private
+ * @param {Buffer} dataKey - Key to wrap
+ * @param {Buffer} key - Wrapping key
+ * @returns {String} Base64 of IV, tag and encrypted key
+ */
+CloudStorage.prototype._wrapKey = function(dataKey, key) {
+    var iv = crypto.randomBytes(12);
+    var cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    var encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+/**
+ * Decrypt a data key wrapped by _wrapKey
+ * @private
+ * @param {String} wrapped - Wrapped key
+ * @param {Buffer} key - Wrapping key
+ * @returns {Buffer} Data key; throws if the wrapping key is wrong
+ */
+CloudStorage.prototype._unwrapKey = function(wrapped, key) {
+    var data = Buffer.from(wrapped, 'base64');
+    var decipher = crypto.createDecipheriv('aes-256-gcm', key, data.slice(0, 12));
+    
+    decipher.setAuthTag(data.slice(12, 28));
+    return Buffer.concat([decipher.update(data.slice(28)), decipher.final()]);
+};
+
+/**
+ * Find a readable master-key encrypted version with the given content,
+ * whose blob a new upload can share
+ * @private
+ * @param {String} hash - Content hash
+ * @returns {Object|null} Version record
+ */
+CloudStorage.prototype._findEncryptedBlob = function(hash) {
+    var self = this;
+    var found = null;
+    
+    self._allFileIds().some(function(fileId) {
+        return [self.storage[fileId]].concat(self.versions[fileId] || []).some(function(version) {
+            if (version && version.hash === hash && version.encryption &&
+                version.encryption.keyType === 'master' && self.masterKeys[version.encryption.keyId]) {
+                found = version;
+                return true;
+            }
+            return false;
+        });
+    });
+    
+    return found;
+};
+
+/**
+ * Get the data key a version was encrypted with
+ * @private
+ * @param {Object} version - File version record
+ * @param {String|Buffer} customerKey - Client-supplied key, for files stored with one
+ * @returns {Buffer|null} Data key, null if the version is not encrypted; throws an
+ *   error with code MissingEncryptionKey, InvalidEncryptionKey, EncryptionKeyMismatch
+ *   or MissingMasterKey if it cannot be unwrapped
+ */
+CloudStorage.prototype._dataKeyFor = function(version, customerKey) {
+    var encryption = version.encryption;
+    var key;
+    var err;
+    
+    if (!encryption) {
+        return null;
+    }
+    
+    if (encryption.keyType === 'customer') {
+        if (!customerKey) {
+            err = new Error('File is encrypted with a customer key; supply the key to read it');
+            err.code = 'MissingEncryptionKey';
+            throw err;
+        }
+        key = this._parseEncryptionKey(customerKey);
+    } else {
+        key = this.masterKeys[encryption.keyId];
+        
+        if (!key) {
+            err = new Error('Master key ' + encryption.keyId + ' is not configured');
+            err.code = 'MissingMasterKey';
+            throw err;
+        }
+    }
+    
+    try {
+        return this._unwrapKey(encryption.wrappedKey, key);
+    } catch (unwrapErr) {
+        err = new Error('Encryption key does not match');
+        err.code = 'EncryptionKeyMismatch';
+        throw err;
+    }
+};
+
+/**
+ * Open a version's contents, decrypting and decompressing them as needed.
+ * A range of a compressed file is cut from its decompressed contents,
+ * which are read from the start.
+ * @private
+ * @param {Object} version - File version record
+ * @param {Buffer|null} dataKey - Result of _dataKeyFor
+ * @param {Number} start - First byte (optional, default: whole file)
+ * @param {Number} end - Last byte, inclusive
+ * @returns {Stream} Readable stream of plaintext
+ */
+CloudStorage.prototype._readBlob = function(version, dataKey, start, end) {
+    if (!version.compression) {
+        return this._readStored(version, dataKey, start, end);
+    }
+    
+    var stored = this._readStored(version, dataKey);
+    var decompressor = createDecompressor(version.compression.algorithm);
+    var output = decompressor;
+    
+    if (start !== undefined && !(start === 0 && end >= version.size - 1)) {
+        var position = 0;
+        
+        output = decompressor.pipe(new stream.Transform({
+            transform: function(chunk, encoding, next) {
+                var from = Math.max(start - position, 0);
+                var to = Math.min(end + 1 - position, chunk.length);
+                
+                position += chunk.length;
+                next(null, from < to ? chunk.slice(from, to) : undefined);
+            }
+        }));
+        
+        decompressor.on('error', function(err) {
+            output.emit('error', err);
+        });
+    }
+    
+    stored.on('error', function(err) {
+        output.emit('error', err);
+    });
+    
+    stored.pipe(decompressor);
+    return output;
+};
+
+/**
+ * Open a version's blob as it is stored, decrypting it if it is encrypted
+ * (compressed data stays compressed).
+ * Reading a whole blob checks its GCM tag; the last chunk is held back
+ * until the tag has been checked, so a damaged file never arrives in full.
+ * A partial range is decrypted with the counter mode underlying GCM,
+ * which cannot check the tag.
+ * @private
+ * @param {Object} version - File version record
+ * @param {Buffer|null} dataKey - Result of _dataKeyFor
+ * @param {Number} start - First byte (optional, default: whole blob)
+ * @param {Number} end - Last byte, inclusive
+ * @returns {Stream} Readable stream of the stored, decrypted bytes
+ */
+CloudStorage.prototype._readStored = function(version, dataKey, start, end) {
+    var key = this._blobKey(this._blobOf(version));
+    var whole = start === undefined || (start === 0 && end >= this._storedSize(version) - 1);
+    
+    if (!version.encryption) {
+        return whole ? this.backend.createReadStream(key) :
+            this.backend.createReadStream(key, { start: start, end: end });
+    }
+    
+    var iv = Buffer.from(version.encryption.iv, 'base64');
+    var source;
+    var decipher;
+    var output;
+    
+    if (whole) {
+        var held = null;
+        
+        source = this.backend.createReadStream(key);
+        decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, iv);
+        decipher.setAuthTag(Buffer.from(version.encryption.tag, 'base64'));
+        output = decipher.pipe(new stream.Transform({
+            transform: function(chunk, encoding, next) {
+                var previous = held;
+                held = chunk;
+                next(null, previous || undefined);
+            },
+            flush: function(next) {
+                next(null, held || undefined);
+            }
+        }));
+    } else {
+        // GCM encrypts block n of the data with counter n + 2 after the 96-bit IV
+        var block = Math.floor(start / 16);
+        var counter = Buffer.alloc(16);
+        var skip = start - block * 16;
+        
+        iv.copy(counter);
+        counter.writeUInt32BE((block + 2) % 0x100000000, 12);
+        source = this.backend.createReadStream(key, { start: block * 16, end: end });
+        decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counter);
+        output = decipher.pipe(new stream.Transform({
+            transform: function(chunk, encoding, next) {
+                if (skip >= chunk.length) {
+                    skip -= chunk.length;
+                    return next();
+                }
+                
+                var rest = chunk.slice(skip);
+                skip = 0;
+                next(null, rest);
+            }
+        }));
+    }
+    
+    decipher.on('error', function(err) {
+        if (whole) {
+            err = new Error('Encrypted data failed its integrity check');
+            err.code = 'BadDigest';
+        }
+        output.emit('error', err);
+    });
+    
+    source.on('error', function(err) {
+        output.emit('error', err);
+    });
+    
+    source.pipe(decipher);
+    return output;
+};
+
+/**
+ * Make a new master key current and re-wrap the data keys of files
+ * encrypted under older master keys. Blobs are not re-encrypted. Keep the
+ * old keys configured until this calls back, then configure the new key
+ * as masterKey; files written during the rotation are picked up too.
+ * @param {String|Buffer} newKey - 256-bit key, hex or base64
+ * @param {Function} callback - Callback function (err, { keyId, rewrapped, failed })
+ */
+CloudStorage.prototype.rotateMasterKey = function(newKey, callback) {
+    var self = this;
+    var key;
+    
+    try {
+        key = self._parseEncryptionKey(newKey);
+    } catch (err) {
+        return callback(err);
+    }
+    
+    var keyId = self._keyId(key);
+    var rewrapped = 0;
+    var failed = {};
+    
+    self.masterKeys[keyId] = key;
+    self.masterKeyId = keyId;
+    
+    function stale(version) {
+        return version && version.encryption && version.encryption.keyType === 'master' &&
+            version.encryption.keyId !== keyId && !failed[version.fileId + ':' + version.versionId];
+    }
+    
+    function staleVersions(fileId) {
+        return [self.storage[fileId]].concat(self.versions[fileId] || []).filter(stale);
+    }
+    
+    function rewrap(fileId, callback) {
+        self._withObjectLock(fileId, function(release) {
+            var previous = [];
+            
+            staleVersions(fileId).forEach(function(version) {
+                var oldKey = self.masterKeys[version.encryption.keyId];
+                var dataKey;
+                
+                try {
+                    dataKey = self._unwrapKey(version.encryption.wrappedKey, oldKey);
+                } catch (err) {
+                    failed[version.fileId + ':' + version.versionId] = true;
+                    return self.logger.warn('Cannot re-wrap the data key of', fileId, 'version', version.versionId + ':',
+                        oldKey ? 'master key does not match' : 'master key ' + version.encryption.keyId + ' is not configured');
+                }
+                
+                previous.push({ version: version, encryption: version.encryption });
+                version.encryption = JSON.parse(JSON.stringify(version.encryption));
+                version.encryption.keyId = keyId;
+                version.encryption.wrappedKey = self._wrapKey(dataKey, key);
+            });
+            
+            if (previous.length === 0) {
+                return release(null, 0);
+            }
+            
+            self._commitObject(fileId, self.storage[fileId] || null, self.versions[fileId] || [], function(err) {
+                if (err) {
+                    previous.forEach(function(entry) {
+                        entry.version.encryption = entry.encryption;
+                    });
+                }
+                release(err || null, previous.length);
+            });
+        }, callback);
+    }
+    
+    (function pass() {
+        var fileIds = self._allFileIds().filter(function(fileId) {
+            return staleVersions(fileId).length > 0;
+        });
+        
+        if (fileIds.length === 0) {
+            var result = { keyId: keyId, rewrapped: rewrapped, failed: Object.keys(failed).length };
+            
+            self.emit('masterKeyRotate', result);
+            
+            self.logger.info('Master key rotated:', keyId, '(' + rewrapped + ' data keys re-wrapped)');
+            return callback(null, result);
+        }
+        
+        (function next(i) {
+            if (i === fileIds.length) {
+                return pass();
+            }
+            
+            rewrap(fileIds[i], function(err, count) {
+                if (err && err.message !== 'File not found') {
+                    return callback(err);
+                }
+                
+                rewrapped += count || 0;
+                next(i + 1);
+            });
+        })(0);
+    })();
+};
+
+// ============================================================================
+// Compression
+// ============================================================================
+
+/**
+ * Create a stream that compresses with an algorithm
+ * @private
+ * @param {String} algorithm - 'br' or 'gzip'
+ * @returns {Stream} Transform stream
+ */
+function createCompressor(algorithm) {
+    return algorithm === 'br' ? zlib.createBrotliCompress(BROTLI_OPTIONS) : zlib.createGzip();
+}
+
+/**
+ * Create a stream that decompresses data compressed with an algorithm
+ * @private
+ * @param {String} algorithm - 'br' or 'gzip'
+ * @returns {Stream} Transform stream
+ */
+function createDecompressor(algorithm) {
+    return algorithm === 'br' ? zlib.createBrotliDecompress() : zlib.createGunzip();
+}
+
+/**
+ * Compress a buffer with an algorithm
+ * @private
+ * @param {String} algorithm - 'br' or 'gzip'
+ * @param {Buffer} data - Data to compress
+ * @returns {Buffer} Compressed data
+ */
+function compressSync(algorithm, data) {
+    return algorithm === 'br' ? zlib.brotliCompressSync(data, BROTLI_OPTIONS) : zlib.gzipSync(data);
+}
+
+/**
+ * Choose whether to compress a file at rest. The choice is made from the
+ * file's name and declared type before any of its bytes arrive.
+ * @private
+ * @param {String} fileName - File name
+ * @param {String} declared - Type given by the caller or the request (optional)
+ * @returns {String|null} Algorithm to compress with, null to store the file as it is
+ */
+CloudStorage.prototype._compressionFor = function(fileName, declared) {
+    if (!this.config.compression) {
+        return null;
+    }
+    
+    var contentType;
+    
+    try {
+        contentType = this._resolveContentType(fileName, declared);
+    } catch (err) {
+        // The upload itself reports a refused type
+        return null;
+    }
+    
+    return this._typeMatches(contentType, this.config.compressibleTypes) ? this.config.compression : null;
+};
+
+/**
+ * Get the size of a version's contents
+ * @private
+ * @param {Object} version - File version record
+ * @param {Object} blobStats - Backend stats of its blob
+ * @returns {Number} Size in bytes, before compression
+ */
+CloudStorage.prototype._contentSize = function(version, blobStats) {
+    return version.compression ? version.size : blobStats.size;
+};
+
+/**
+ * Get the size a version's blob is expected to have in the backend
+ * @private
+ * @param {Object} version - File version record
+ * @returns {Number} Size in bytes, after compression
+ */
+CloudStorage.prototype._storedSize = function(version) {
+    return version.compression ? version.compression.storedSize : version.size;
+};
+
+/**
+ * Pick a content coding from a request's Accept-Encoding header
+ * @private
+ * @param {Object} req - HTTP request
+ * @param {Array} algorithms - Codings the server can send, preferred first
+ * @returns {String|null} Coding with the highest weight, null for none
+ */
+CloudStorage.prototype._acceptedEncoding = function(req, algorithms) {
+    var header = req.headers['accept-encoding'];
+    var weights = {};
+    var best = null;
+    
+    if (!header) {
+        return null;
+    }
+    
+    String(header).split(',').forEach(function(part) {
+        var params = part.split(';');
+        var coding = params.shift().trim().toLowerCase();
+        var weight = 1;
+        
+        params.forEach(function(param) {
+            var match = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec(param);
+            if (match) {
+                weight = parseFloat(match[1]) || 0;
+            }
+        });
+        
+        if (coding) {
+            weights[coding] = weight;
+        }
+    });
+    
+    algorithms.forEach(function(algorithm) {
+        var weight = algorithm in weights ? weights[algorithm] : weights['*'] || 0;
+        
+        if (weight > 0 && (!best || weight > best.weight)) {
+            best = { algorithm: algorithm, weight: weight };
+        }
+    });
+    
+    return best ? best.algorithm : null;
+};
+
+/**
+ * Mark a response as depending on the request's Accept-Encoding, keeping
+ * what it already varies on
+ * @private
+ * @param {Object} res - HTTP response
+ */
+CloudStorage.prototype._varyOnEncoding = function(res) {
+    var vary = res.getHeader('Vary');
+    
+    res.setHeader('Vary', vary ? vary + ', Accept-Encoding' : 'Accept-Encoding');
+};
+
+// ============================================================================
+// Storage Backends
+// ============================================================================
+
+/*
+ * CloudStorage keeps blob contents in a backend and everything else (the
+ * index, sidecars, bucket files and upload sessions) under localStoragePath.
+ * A backend is any object with these methods; keys are '/'-separated paths
+ * such as 'blobs/ab/ab12...':
+ *
+ *   put(key, source, size, callback(err))         store a stream of size bytes
+ *   createReadStream(key, { start, end })         read a whole object or a range
+ *   stat(key, callback(err, { size, mtime }))     err.code is 'ENOENT' if missing
+ *   delete(key, callback(err))                    a missing key is not an error
+ *   list(prefix, callback(err, [{ key, size, mtime }]))
+ *   location(key)                                 where the object lives, for display
+ *
+ * A backend may also provide putFile(key, filePath, callback(err)) to take
+ * over a local file (which it must remove) instead of having it streamed.
+ */
+
+/**
+ * Build the error backends report for a missing object
+ * @private
+ * @param {String} key - Object key
+ */
+function notFoundError(key) {
+    var err = new Error('Object not found: ' + key);
+    err.code = 'ENOENT';
+    return err;
+}
+
+/**
+ * Backend that stores objects as files under a directory
+ * @param {Object} options - root {String} - Directory keys are relative to
+ */
+function LocalBackend(options) {
+    this.root = options.root;
+}
+
+/**
+ * Get the file path of a key
+ * @private
+ */
+LocalBackend.prototype._path = function(key) {
+    return path.join(this.root, key);
+};
+
+LocalBackend.prototype.location = function(key) {
+    return this._path(key);
+};
+
+LocalBackend.prototype.put = function(key, source, size, callback) {
+    var self = this;
+    var filePath = self._path(key);
+    var tempPath = filePath + PARTIAL_SUFFIX;
+    var done = false;
+    
+    function finish(err) {
+        if (done) return;
+        done = true;
+        
+        if (err) {
+            return fs.unlink(tempPath, function() {
+                callback(err);
+            });
+        }
+        
+        fs.rename(tempPath, filePath, callback);
+    }
+    
+    fs.mkdir(path.dirname(filePath), { recursive: true }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        var writeStream = fs.createWriteStream(tempPath);
+        
+        source.on('error', function(err) {
+            writeStream.destroy();
+            finish(err);
+        });
+        writeStream.on('error', finish);
+        writeStream.on('finish', function() {
+            finish(null);
+        });
+        
+        source.pipe(writeStream);
+    });
+};
+
+LocalBackend.prototype.putFile = function(key, filePath, callback) {
+    var target = this._path(key);
+    
+    fs.mkdir(path.dirname(target), { recursive: true }, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        fs.rename(filePath, target, callback);
+    });
+};
+
+LocalBackend.prototype.createReadStream = function(key, options) {
+    return fs.createReadStream(this._path(key), options);
+};
+
+LocalBackend.prototype.stat = function(key, callback) {
+    fs.stat(this._path(key), function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, { size: stats.size, mtime: stats.mtime });
+    });
+};
+
+LocalBackend.prototype.delete = function(key, callback) {
+    fs.unlink(this._path(key), function(err) {
+        callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+};
+
+LocalBackend.prototype.list = function(prefix, callback) {
+    var self = this;
+    var entries = [];
+    
+    // Only directories on the way to (or inside) the prefix are walked
+    function walk(dir, done) {
+        fs.readdir(self._path(dir), { withFileTypes: true }, function(err, dirents) {
+            if (err) {
+                return done(err.code === 'ENOENT' ? null : err);
+            }
+            
+            (function next(i) {
+                if (i === dirents.length) {
+                    return done(null);
+                }
+                
+                var key = dir + dirents[i].name;
+                
+                if (dirents[i].isDirectory()) {
+                    if (prefix.indexOf(key + '/') !== 0 && key.indexOf(prefix) !== 0) {
+                        return next(i + 1);
+                    }
+                    
+                    return walk(key + '/', function(err) {
+                        if (err) return done(err);
+                        next(i + 1);
+                    });
+                }
+                
+                if (key.indexOf(prefix) !== 0 || key.slice(-PARTIAL_SUFFIX.length) === PARTIAL_SUFFIX) {
+                    return next(i + 1);
+                }
+                
+                fs.stat(self._path(key), function(err, stats) {
+                    if (err && err.code !== 'ENOENT') {
+                        return done(err);
+                    }
+                    if (stats) {
+                        entries.push({ key: key, size: stats.size, mtime: stats.mtime });
+                    }
+                    next(i + 1);
+                });
+            })(0);
+        });
+    }
+    
+    walk(prefix.slice(0, prefix.lastIndexOf('/') + 1), function(err) {
+        callback(err || null, err ? null : entries);
+    });
+};
+
+/**
+ * Backend that keeps objects in memory; meant for tests
+ */
+function MemoryBackend() {
+    this.objects = {};
+}
+
+MemoryBackend.prototype.location = function(key) {
+    return 'memory:' + key;
+};
+
+MemoryBackend.prototype.put = function(key, source, size, callback) {
+    var self = this;
+    var chunks = [];
+    var done = false;
+    
+    source.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    source.on('error', function(err) {
+        if (done) return;
+        done = true;
+        callback(err);
+    });
+    
+    source.on('end', function() {
+        if (done) return;
+        done = true;
+        self.objects[key] = { data: Buffer.concat(chunks), mtime: new Date() };
+        callback(null);
+    });
+};
+
+MemoryBackend.prototype.createReadStream = function(key, options) {
+    var object = this.objects[key];
+    var out = new stream.PassThrough();
+    
+    options = options || {};
+    
+    if (!object) {
+        process.nextTick(function() {
+            out.emit('error', notFoundError(key));
+        });
+        return out;
+    }
+    
+    var start = options.start || 0;
+    var end = options.end !== undefined ? options.end + 1 : object.data.length;
+    
+    out.end(object.data.slice(start, end));
+    return out;
+};
+
+MemoryBackend.prototype.stat = function(key, callback) {
+    var object = this.objects[key];
+    
+    process.nextTick(function() {
+        if (!object) {
+            return callback(notFoundError(key));
+        }
+        callback(null, { size: object.data.length, mtime: object.mtime });
+    });
+};
+
+MemoryBackend.prototype.delete = function(key, callback) {
+    delete this.objects[key];
+    process.nextTick(function() {
+        callback(null);
+    });
+};
+
+MemoryBackend.prototype.list = function(prefix, callback) {
+    var objects = this.objects;
+    var entries = Object.keys(objects).filter(function(key) {
+        return key.indexOf(prefix) === 0;
+    }).sort().map(function(key) {
+        return { key: key, size: objects[key].data.length, mtime: objects[key].mtime };
+    });
+    
+    process.nextTick(function() {
+        callback(null, entries);
+    });
+};
+
+/**
+ * Backend that stores objects in a bucket of an S3-compatible service,
+ * using path-style requests signed with AWS Signature Version 4
+ * @param {Object} options - Backend options
+ *   endpoint {String} - Host[:port], or a full http(s) URL
+ *   region {String} - Signing region
+ *   accessKey, secretKey {String} - Credentials
+ *   bucket {String} - Remote bucket, which must already exist
+ *   useHttps {Boolean} - Protocol when the endpoint has none (default: true)
+ *   timeout {Number} - Request timeout in milliseconds
+ *   maxRetries {Number} - Retries for requests without a body
+ */
+function S3Backend(options) {
+    var endpoint = /^https?:\/\//.test(options.endpoint) ? options.endpoint :
+        (options.useHttps !== false ? 'https://' : 'http://') + options.endpoint;
+    var parsed = url.parse(endpoint);
+    
+    this.protocol = parsed.protocol;
+    this.hostname = parsed.hostname;
+    this.port = parsed.port;
+    this.host = parsed.host;
+    this.basePath = (parsed.pathname || '/').replace(/\/+$/, '');
+    this.region = options.region || 'us-east-1';
+    this.accessKey = options.accessKey;
+    this.secretKey = options.secretKey;
+    this.bucket = options.bucket;
+    this.timeout = options.timeout || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+}
+
+/**
+ * URI-encode a string the way Signature Version 4 expects (RFC 3986)
+ * @private
+ */
+S3Backend.prototype._encode = function(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+};
+
+/**
+ * Get the request path of a key
+ * @private
+ */
+S3Backend.prototype._objectPath = function(key) {
+    var self = this;
+    
+    return self.basePath + '/' + self._encode(self.bucket) +
+        (key !== null ? '/' + key.split('/').map(function(segment) {
+            return self._encode(segment);
+        }).join('/') : '');
+};
+
+S3Backend.prototype.location = function(key) {
+    return this.protocol + '//' + this.host + this._objectPath(key);
+};
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @private
+ * @param {String} method - HTTP method
+ * @param {String} requestPath - Encoded path
+ * @param {Object} query - Query parameters
+ * @param {String} payloadHash - Body SHA-256, or 'UNSIGNED-PAYLOAD'
+ * @returns {Object} Headers to send
+ */
+S3Backend.prototype._sign = function(method, requestPath, query, payloadHash) {
+    var self = this;
+    var amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    var dateStamp = amzDate.slice(0, 8);
+    var scope = dateStamp + '/' + self.region + '/s3/aws4_request';
+    
+    var canonicalQuery = Object.keys(query).sort().map(function(name) {
+        return self._encode(name) + '=' + self._encode(query[name]);
+    }).join('&');
+    
+    var canonicalRequest = [
+        method,
+        requestPath,
+        canonicalQuery,
+        'host:' + self.host + '\n' +
+            'x-amz-content-sha256:' + payloadHash + '\n' +
+            'x-amz-date:' + amzDate + '\n',
+        'host;x-amz-content-sha256;x-amz-date',
+        payloadHash
+    ].join('\n');
+    
+    var stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+    
+    var key = ['AWS4' + self.secretKey, dateStamp, self.region, 's3', 'aws4_request'].reduce(function(secret, data) {
+        return crypto.createHmac('sha256', secret).update(data).digest();
+    });
+    
+    return {
+        'Host': self.host,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Content-Sha256': payloadHash,
+        'Authorization': 'AWS4-HMAC-SHA256 Credential=' + self.accessKey + '/' + scope +
+            ', SignedHeaders=host;x-amz-content-sha256;x-amz-date' +
+            ', Signature=' + crypto.createHmac('sha256', key).update(stringToSign).digest('hex')
+    };
+};
+
+/**
+ * Send a request to the service. Requests without a body are retried on
+ * network errors and 5xx responses. The callback gets the unread response
+ * for 2xx statuses and an error otherwise; 404 maps to code 'ENOENT'.
+ * @private
+ * @param {Object} options - method, key (null for the bucket), query, headers, body (Stream), size
+ * @param {Function} callback - Callback function (err, res)
+ */
+S3Backend.prototype._request = function(options, callback) {
+    var self = this;
+    var transport = self.protocol === 'https:' ? require('https') : http;
+    var query = options.query || {};
+    var requestPath = self._objectPath(options.key);
+    var search = Object.keys(query).map(function(name) {
+        return self._encode(name) + '=' + self._encode(query[name]);
+    }).join('&');
+    
+    function attempt(retry) {
+        var done = false;
+        var headers = self._sign(options.method, requestPath, query,
+            options.body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH);
+        
+        Object.keys(options.headers || {}).forEach(function(name) {
+            headers[name] = options.headers[name];
+        });
+        
+        if (options.body) {
+            headers['Content-Length'] = options.size;
+        }
+        
+        function finish(err, res) {
+            if (done) return;
+            done = true;
+            
+            var retryable = !options.body && retry < self.maxRetries &&
+                (!res || res.statusCode >= 500);
+            
+            if (err && retryable) {
+                if (res) res.resume();
+                return setTimeout(function() {
+                    attempt(retry + 1);
+                }, 100 * Math.pow(2, retry));
+            }
+            
+            callback(err, res);
+        }
+        
+        var req = transport.request({
+            method: options.method,
+            hostname: self.hostname,
+            port: self.port,
+            path: requestPath + (search ? '?' + search : ''),
+            headers: headers
+        }, function(res) {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                return finish(null, res);
+            }
+            
+            if (res.statusCode === 404) {
+                res.resume();
+                return finish(notFoundError(options.key), res);
+            }
+            
+            var chunks = [];
+            
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            
+            res.on('end', function() {
+                var code = /<Code>([^<]*)<\/Code>/.exec(Buffer.concat(chunks).toString());
+                var err = new Error('Storage backend request failed: ' + res.statusCode +
+                    (code ? ' ' + code[1] : ''));
+                
+                err.statusCode = res.statusCode;
+                finish(err, res);
+            });
+        });
+        
+        req.setTimeout(self.timeout, function() {
+            req.destroy(new Error('Storage backend request timed out'));
+        });
+        
+        req.on('error', finish);
+        
+        if (!options.body) {
+            return req.end();
+        }
+        
+        options.body.on('error', function(err) {
+            req.destroy(err);
+        });
+        options.body.pipe(req);
+    }
+    
+    attempt(0);
+};
+
+S3Backend.prototype.put = function(key, source, size, callback) {
+    this._request({ method: 'PUT', key: key, body: source, size: size }, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+        res.resume();
+        callback(null);
+    });
+};
+
+S3Backend.prototype.createReadStream = function(key, options) {
+    var out = new stream.PassThrough();
+    var headers = {};
+    
+    options = options || {};
+    
+    if (options.start !== undefined || options.end !== undefined) {
+        headers['Range'] = 'bytes=' + (options.start || 0) + '-' + (options.end !== undefined ? options.end : '');
+    }
+    
+    this._request({ method: 'GET', key: key, headers: headers }, function(err, res) {
+        if (err) {
+            return out.emit('error', err);
+        }
+        
+        res.on('error', function(err) {
+            out.emit('error', err);
+        });
+        res.pipe(out);
+    });
+    
+    return out;
+};
+
+S3Backend.prototype.stat = function(key, callback) {
+    this._request({ method: 'HEAD', key: key }, function(err, res) {
+        if (err) {
+            return callback(err);
+        }
+        
+        res.resume();
+        callback(null, {
+            size: parseInt(res.headers['content-length'], 10) || 0,
+            mtime: res.headers['last-modified'] ? new Date(res.headers['last-modified']) : new Date()
+        });
+    });
+};
+
+S3Backend.prototype.delete = function(key, callback) {
+    this._request({ method: 'DELETE', key: key }, function(err, res) {
+        if (res) res.resume();
+        callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+};
+
+S3Backend.prototype.list = function(prefix, callback) {
+    var self = this;
+    var entries = [];
+    
+    function decode(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'").replace(/&#(\d+);/g, function(match, code) {
+                return String.fromCharCode(parseInt(code, 10));
+            }).replace(/&amp;/g, '&');
+    }
+    
+    function field(xml, name) {
+        var match = new RegExp('<' + name + '>([^<]*)</' + name + '>').exec(xml);
+        return match ? decode(match[1]) : null;
+    }
+    
+    (function page(token) {
+        var query = { 'list-type': '2', 'prefix': prefix };
+        
+        if (token) {
+            query['continuation-token'] = token;
+        }
+        
+        self._request({ method: 'GET', key: null, query: query }, function(err, res) {
+            if (err) {
+                return callback(err);
+            }
+            
+            var chunks = [];
+            
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            
+            res.on('error', callback);
+            
+            res.on('end', function() {
+                var xml = Buffer.concat(chunks).toString();
+                
+                (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(function(contents) {
+                    entries.push({
+                        key: field(contents, 'Key'),
+                        size: parseInt(field(contents, 'Size'), 10) || 0,
+                        mtime: new Date(field(contents, 'LastModified'))
+                    });
+                });
+                
+                if (field(xml, 'IsTruncated') === 'true' && field(xml, 'NextContinuationToken')) {
+                    return page(field(xml, 'NextContinuationToken'));
+                }
+                
+                callback(null, entries);
+            });
+        });
+    })(null);
+};
+
+CloudStorage.LocalBackend = LocalBackend;
+CloudStorage.MemoryBackend = MemoryBackend;
+CloudStorage.S3Backend = S3Backend;
+
+// ============================================================================
+// Streaming Multipart Parser
+// ============================================================================
+
+/**
+ * Incremental multipart/form-data parser.
+ * Feed it request chunks with write() and call end() when the request ends.
+ * Boundaries may be split across chunks; only a delimiter-sized tail is
+ * ever held back, so part bodies stream through without buffering.
+ *
+ * Events: 'part' (part), 'data' (Buffer), 'partEnd', 'finish', 'error' (err)
+ * @param {String} boundary - Boundary from the Content-Type header
+ * @param {Object} options - Parser options (maxHeaderSize)
+ */
+function MultipartParser(boundary, options) {
+    EventEmitter.call(this);
+    
+    options = options || {};
+    
+    this.delimiter = Buffer.from('\r\n--' + boundary);
+    this.maxHeaderSize = options.maxHeaderSize || 16 * 1024;
+    this.state = 'preamble';
+    // A leading CRLF lets the first boundary match the same delimiter as the rest
+    this.buffer = Buffer.from('\r\n');
+}
+
+util.inherits(MultipartParser, EventEmitter);
+
+/**
+ * Parse the header block of a part
+ * @private
+ * @param {String} block - Raw header lines
+ * @returns {Object|null} Part description, or null if it has no name
+ */
+MultipartParser.prototype._parseHeaders = function(block) {
+    var headers = {};
+    
+    block.split('\r\n').forEach(function(line) {
+        var colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+    
+    var disposition = headers['content-disposition'] || '';
+    var nameMatch = disposition.match(/(?:^|;)\s*name="([^"]*)"/i);
+    var filenameMatch = disposition.match(/(?:^|;)\s*filename="([^"]*)"/i);
+    
+    if (!nameMatch) {
+        return null;
+    }
+    
+    return {
+        name: nameMatch[1],
+        // Some browsers send the full client path
+        filename: filenameMatch ? filenameMatch[1].split(/[\\/]/).pop() || null : null,
+        contentType: headers['content-type'] || null,
+        headers: headers
+    };
+};
+
+/**
+ * Feed a chunk of the request body
+ * @param {Buffer} chunk - Request data
+ */
+MultipartParser.prototype.write = function(chunk) {
+    if (this.state === 'done' || this.state === 'error') {
+        return;
+    }
+    
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this._process();
+};
+
+/**
+ * Signal the end of the request body
+ */
+MultipartParser.prototype.end = function() {
+    if (this.state === 'error') {
+        return;
+    }
+    
+    if (this.state !== 'done') {
+        return this._fail(new Error('Unexpected end of multipart data'));
+    }
+    
+    this.emit('finish');
+};
+
+/**
+ * Stop parsing and report an error
+ * @private
+ */
+MultipartParser.prototype._fail = function(err) {
+    this.state = 'error';
+    this.buffer = Buffer.alloc(0);
+    this.emit('error', err);
+};
+
+/**
+ * Consume as much of the buffer as the current state allows
+ * @private
+ */
+MultipartParser.prototype._process = function() {
+    var delimiter = this.delimiter;
+    var index;
+    
+    while (true) {
+        if (this.state === 'preamble' || this.state === 'body') {
+            index = this.buffer.indexOf(delimiter);
+            
+            if (index === -1) {
+                // Hold back just enough to catch a delimiter split across chunks
+                var safe = this.buffer.length - delimiter.length + 1;
+                if (safe > 0) {
+                    if (this.state === 'body') {
+                        this.emit('data', this.buffer.slice(0, safe));
+                    }
+                    this.buffer = this.buffer.slice(safe);
+                }
+                return;
+            }
+            
+            if (this.state === 'body') {
+                if (index > 0) {
+                    this.emit('data', this.buffer.slice(0, index));
+                }
+                this.emit('partEnd');
+            }
+            
+            this.buffer = this.buffer.slice(index + delimiter.length);
+            this.state = 'boundary';
+        } else if (this.state === 'boundary') {
+            if (this.buffer.length < 2) {
+                return;
+            }
+            
+            if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+                this.state = 'done';
+                this.buffer = Buffer.alloc(0);
+                return;
+            }
+            
+            // Skip optional transport padding up to the end of the boundary line
+            index = this.buffer.indexOf('\r\n');
+            if (index === -1) {
+                if (this.buffer.length > 1024) {
+                    return this._fail(new Error('Malformed multipart boundary'));
+                }
+                return;
+            }
+            
+            this.buffer = this.buffer.slice(index + 2);
+            this.state = 'headers';
+        } else if (this.state === 'headers') {
+            var headerEnd = this.buffer.slice(0, 2).toString() === '\r\n' ? 0 : this.buffer.indexOf('\r\n\r\n');
+            
+            if (headerEnd === -1) {
+                if (this.buffer.length > this.maxHeaderSize) {
+                    return this._fail(new Error('Multipart headers too large'));
+                }
+                return;
+            }
+            
+            var part = this._parseHeaders(this.buffer.slice(0, headerEnd).toString('utf8'));
+            
+            if (!part) {
+                return this._fail(new Error('Multipart part has no name'));
+            }
+            
+            this.buffer = this.buffer.slice(headerEnd === 0 ? 2 : headerEnd + 4);
+            this.state = 'body';
+            this.emit('part', part);
+        } else {
+            return;
+        }
+    }
+};
+
+// ============================================================================
+// Image Codecs
+// ============================================================================
+
+// Decoders and encoders in plain JavaScript, so thumbnails need no native modules
+
+// Adam7 interlacing passes: [x offset, y offset, x step, y step]
+var ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+// Position in an 8x8 block of each coefficient in JPEG zigzag order
+var JPEG_ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+// Example tables from Annex K of the JPEG standard, in block order
+var JPEG_LUMINANCE_QUANT = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+var JPEG_CHROMINANCE_QUANT = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+];
+// Huffman tables from Annex K: code counts per length, then symbols
+var JPEG_HUFFMAN_TABLES = {
+    dcLuminance: {
+        counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    dcChrominance: {
+        counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    acLuminance: {
+        counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+        symbols: [
+            0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+            0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+            0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+            0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+            0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+            0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+            0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+            0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+            0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+            0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+            0xf9, 0xfa
+        ]
+    },
+    acChrominance: {
+        counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+        symbols: [
+            0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+            0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+            0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+            0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+            0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+            0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+            0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+            0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+            0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+            0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+            0xf9, 0xfa
+        ]
+    }
+};
+// Orthonormal 8-point DCT basis: DCT_BASIS[u * 8 + x] = c(u) * cos((2x + 1) * u * pi / 16)
+var DCT_BASIS = (function() {
+    var basis = new Float64Array(64);
+    
+    for (var u = 0; u < 8; u++) {
+        for (var x = 0; x < 8; x++) {
+            basis[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+        }
+    }
+    
+    return basis;
+})();
+var CRC_TABLE = (function() {
+    var table = new Int32Array(256);
+    
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        
+        for (var k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        
+        table[n] = c;
+    }
+    
+    return table;
+})();
+
+/**
+ * Create an image error with a code
+ * @private
+ */
+function imageError(message, code) {
+    var err = new Error(message);
+    err.code = code || 'InvalidImage';
+    return err;
+}
+
+/**
+ * Incremental reader of image dimensions.
+ * Feed it a file's bytes with push() until done is set; JPEG segments before
+ * the frame header are skipped rather than buffered, EXIF excepted.
+ * Knows PNG, JPEG, GIF, BMP and WebP.
+ */
+function ImageProbe() {
+    this.format = null;
+    this.width = 0;
+    this.height = 0;
+    this.orientation = 1;
+    this.done = false;
+    this._buffer = Buffer.alloc(0);
+    this._skip = 0;
+    this._started = false;
+}
+
+/**
+ * Feed the next bytes of the file
+ * @param {Buffer} chunk - File data
+ */
+ImageProbe.prototype.push = function(chunk) {
+    if (this.done) {
+        return;
+    }
+    
+    if (this._skip >= chunk.length) {
+        this._skip -= chunk.length;
+        return;
+    }
+    
+    chunk = chunk.slice(this._skip);
+    this._skip = 0;
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+    
+    try {
+        this._parse();
+    } catch (err) {
+        this._finish();
+    }
+};
+
+/**
+ * Dimensions found so far, as displayed once any EXIF orientation is applied
+ * @returns {Object|null} { width, height }, null if none were found
+ */
+ImageProbe.prototype.dimensions = function() {
+    if (!this.width || !this.height) {
+        return null;
+    }
+    
+    return this.orientation >= 5 ?
+        { width: this.height, height: this.width } :
+        { width: this.width, height: this.height };
+};
+
+/**
+ * Stop looking, with or without dimensions
+ * @private
+ */
+ImageProbe.prototype._finish = function(width, height) {
+    this.width = width || 0;
+    this.height = height || 0;
+    this.done = true;
+    this._buffer = null;
+};
+
+/**
+ * Look for the dimensions in the buffered bytes
+ * @private
+ */
+ImageProbe.prototype._parse = function() {
+    var b = this._buffer;
+    
+    if (!this.format) {
+        if (b.length < 30) {
+            return;
+        }
+        
+        this.format = imageFormat(b);
+        
+        if (!this.format) {
+            return this._finish();
+        }
+    }
+    
+    switch (this.format) {
+        case 'png':
+            return this._finish(b.readUInt32BE(16), b.readUInt32BE(20));
+        case 'gif':
+            return this._finish(b.readUInt16LE(6), b.readUInt16LE(8));
+        case 'bmp':
+            return b.readUInt32LE(14) === 12 ?
+                this._finish(b.readUInt16LE(18), b.readUInt16LE(20)) :
+                this._finish(b.readInt32LE(18), Math.abs(b.readInt32LE(22)));
+        case 'webp':
+            return this._parseWebp(b);
+        case 'jpeg':
+            return this._parseJpeg(b);
+    }
+};
+
+/**
+ * Read the dimensions from the first chunk of a WebP file
+ * @private
+ */
+ImageProbe.prototype._parseWebp = function(b) {
+    var chunk = b.toString('latin1', 12, 16);
+    
+    if (chunk === 'VP8 ') {
+        return this._finish(b.readUInt16LE(26) & 0x3fff, b.readUInt16LE(28) & 0x3fff);
+    }
+    
+    if (chunk === 'VP8L') {
+        return this._finish(1 + (((b[22] & 0x3f) << 8) | b[21]),
+            1 + (((b[24] & 0x0f) << 10) | (b[23] << 2) | ((b[22] & 0xc0) >> 6)));
+    }
+    
+    if (chunk === 'VP8X') {
+        return this._finish(1 + b.readUIntLE(24, 3), 1 + b.readUIntLE(27, 3));
+    }
+    
+    this._finish();
+};
+
+/**
+ * Walk JPEG segments up to the frame header
+ * @private
+ */
+ImageProbe.prototype._parseJpeg = function(b) {
+    var pos = this._started ? 0 : 2;
+    
+    this._started = true;
+    
+    while (pos + 4 <= b.length) {
+        if (b[pos] !== 0xff) {
+            return this._finish();
+        }
+        
+        var marker = b[pos + 1];
+        
+        if (marker === 0xff) {
+            pos++;
+            continue;
+        }
+        
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            pos += 2;
+            continue;
+        }
+        
+        if (marker === 0xda || marker === 0xd9) {
+            return this._finish();
+        }
+        
+        var length = b.readUInt16BE(pos + 2);
+        
+        if (isJpegFrameMarker(marker)) {
+            if (pos + 9 > b.length) {
+                break;
+            }
+            return this._finish(b.readUInt16BE(pos + 7), b.readUInt16BE(pos + 5));
+        }
+        
+        if (marker === 0xe1) {
+            if (pos + 2 + length > b.length) {
+                break;
+            }
+            this.orientation = exifOrientation(b.slice(pos + 4, pos + 2 + length)) || this.orientation;
+        }
+        
+        if (pos + 2 + length > b.length) {
+            this._skip = pos + 2 + length - b.length;
+            pos = b.length;
+            break;
+        }
+        
+        pos += 2 + length;
+    }
+    
+    this._buffer = b.slice(pos);
+};
+
+/**
+ * Recognize an image format by its leading bytes
+ * @private
+ * @param {Buffer} data - At least the first 12 bytes of the file
+ * @returns {String|null} 'png', 'jpeg', 'gif', 'bmp', 'webp' or null
+ */
+function imageFormat(data) {
+    if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+    if (data.length >= 6 && /^GIF8[79]a$/.test(data.toString('latin1', 0, 6))) return 'gif';
+    if (data.length >= 2 && data[0] === 0x42 && data[1] === 0x4d) return 'bmp';
+    if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+/**
+ * Whether a JPEG marker starts a frame header (SOF0 to SOF15, other than DHT, JPG and DAC)
+ * @private
+ */
+function isJpegFrameMarker(marker) {
+    return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+/**
+ * Read the orientation tag of an EXIF block
+ * @private
+ * @param {Buffer} data - Contents of a JPEG APP1 segment
+ * @returns {Number|null} Orientation from 1 to 8, null if there is none
+ */
+function exifOrientation(data) {
+    if (data.length < 14 || data.toString('latin1', 0, 6) !== 'Exif\0\0') {
+        return null;
+    }
+    
+    var tiff = data.slice(6);
+    var little = tiff.toString('latin1', 0, 2) === 'II';
+    var read16 = function(offset) { return little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset); };
+    var read32 = function(offset) { return little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset); };
+    var ifd = read32(4);
+    
+    if (ifd + 2 > tiff.length) {
+        return null;
+    }
+    
+    for (var i = 0, count = read16(ifd); i < count && ifd + 14 + i * 12 <= tiff.length; i++) {
+        var entry = ifd + 2 + i * 12;
+        
+        if (read16(entry) === 0x0112) {
+            var value = read16(entry + 8);
+            return value >= 1 && value <= 8 ? value : null;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Decode a PNG, JPEG, GIF or BMP image
+ * @private
+ * @param {Buffer} data - Whole file
+ * @param {Object} options - maxPixels, and the box the result is headed for
+ *   (fitWidth, fitHeight) which lets large JPEGs be decoded at 1/8 scale
+ * @returns {Object} { width, height, data, orientation } with 8-bit RGBA pixels;
+ *   throws an error with code InvalidImage, UnsupportedImage or ImageTooLarge
+ */
+function decodeImage(data, options) {
+    var format = imageFormat(data);
+    
+    options = options || {};
+    
+    function checkSize(width, height) {
+        if (!width || !height) {
+            throw imageError('Image has no pixels');
+        }
+        
+        if (options.maxPixels && width * height > options.maxPixels) {
+            throw imageError('Image is ' + width + 'x' + height + ' pixels, more than the ' +
+                options.maxPixels + ' allowed', 'ImageTooLarge');
+        }
+    }
+    
+    try {
+        switch (format) {
+            case 'png': return decodePng(data, checkSize);
+            case 'jpeg': return decodeJpeg(data, checkSize, options);
+            case 'gif': return decodeGif(data, checkSize);
+            case 'bmp': return decodeBmp(data, checkSize);
+        }
+    } catch (err) {
+        // Reads past the end of a truncated file
+        if (err instanceof RangeError) {
+            throw imageError('Image data is truncated');
+        }
+        throw err;
+    }
+    
+    throw imageError(format ? 'Cannot decode ' + format.toUpperCase() + ' images' : 'Not a known image format',
+        'UnsupportedImage');
+}
+
+/**
+ * Decode a PNG image: every color type and bit depth, interlaced or not
+ * @private
+ */
+function decodePng(data, checkSize) {
+    var pos = 8;
+    var header = null;
+    var palette = null;
+    var transparency = null;
+    var idat = [];
+    
+    while (pos + 8 <= data.length) {
+        var length = data.readUInt32BE(pos);
+        var type = data.toString('latin1', pos + 4, pos + 8);
+        var chunk = data.slice(pos + 8, pos + 8 + length);
+        
+        pos += 12 + length;
+        
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+            checkSize(header.width, header.height);
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+    
+    var channels = header && { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+    
+    if (!channels || [1, 2, 4, 8, 16].indexOf(header.bitDepth) === -1 || !idat.length ||
+        (header.colorType === 3 && !palette)) {
+        throw imageError('PNG header or data is missing or invalid');
+    }
+    
+    var width = header.width;
+    var height = header.height;
+    var bitDepth = header.bitDepth;
+    var colorType = header.colorType;
+    var bitsPerPixel = channels * bitDepth;
+    var bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    var passes = header.interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    var expected = 0;
+    var raw;
+    
+    passes.forEach(function(pass) {
+        var passWidth = Math.ceil((width - pass[0]) / pass[2]);
+        var passHeight = Math.ceil((height - pass[1]) / pass[3]);
+        
+        if (passWidth > 0 && passHeight > 0) {
+            expected += passHeight * (1 + Math.ceil(passWidth * bitsPerPixel / 8));
+        }
+    });
+    
+    try {
+        raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected + 1024 });
+    } catch (err) {
+        throw imageError('PNG data cannot be inflated: ' + err.message);
+    }
+    
+    if (raw.length < expected) {
+        throw imageError('Image data is truncated');
+    }
+    
+    var maxValue = (1 << bitDepth) - 1;
+    var key = null;
+    
+    // A tRNS chunk of a gray or RGB image names one color as transparent
+    if (transparency && (colorType === 0 || colorType === 2)) {
+        key = [];
+        for (var k = 0; k + 1 < transparency.length; k += 2) {
+            key.push(transparency.readUInt16BE(k));
+        }
+    }
+    
+    function sample(line, index) {
+        if (bitDepth === 8) return line[index];
+        if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+        
+        var bit = index * bitDepth;
+        return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    }
+    
+    function to8(value) {
+        return bitDepth === 8 ? value : bitDepth === 16 ? value >> 8 : Math.round(value * 255 / maxValue);
+    }
+    
+    var out = Buffer.alloc(width * height * 4);
+    var offset = 0;
+    
+    passes.forEach(function(pass) {
+        var passWidth = Math.ceil((width - pass[0]) / pass[2]);
+        var passHeight = Math.ceil((height - pass[1]) / pass[3]);
+        
+        if (passWidth <= 0 || passHeight <= 0) {
+            return;
+        }
+        
+        var rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        var previous = new Uint8Array(rowBytes);
+        
+        for (var y = 0; y < passHeight; y++) {
+            var filter = raw[offset];
+            var line = new Uint8Array(raw.slice(offset + 1, offset + 1 + rowBytes));
+            
+            offset += 1 + rowBytes;
+            unfilterPngLine(line, previous, filter, bytesPerPixel);
+            
+            for (var x = 0; x < passWidth; x++) {
+                var o = (((pass[1] + y * pass[3]) * width) + pass[0] + x * pass[2]) * 4;
+                var s = x * channels;
+                var r, g, b, a = 255;
+                
+                if (colorType === 3) {
+                    var index = sample(line, s);
+                    
+                    r = palette[index * 3] || 0;
+                    g = palette[index * 3 + 1] || 0;
+                    b = palette[index * 3 + 2] || 0;
+                    a = transparency && index < transparency.length ? transparency[index] : 255;
+                } else if (colorType === 0 || colorType === 4) {
+                    var gray = sample(line, s);
+                    
+                    r = g = b = to8(gray);
+                    a = colorType === 4 ? to8(sample(line, s + 1)) : key && gray === key[0] ? 0 : 255;
+                } else {
+                    var red = sample(line, s);
+                    var green = sample(line, s + 1);
+                    var blue = sample(line, s + 2);
+                    
+                    r = to8(red);
+                    g = to8(green);
+                    b = to8(blue);
+                    a = colorType === 6 ? to8(sample(line, s + 3)) :
+                        key && key.length === 3 && red === key[0] && green === key[1] && blue === key[2] ? 0 : 255;
+                }
+                
+                out[o] = r;
+                out[o + 1] = g;
+                out[o + 2] = b;
+                out[o + 3] = a;
+            }
+            
+            previous = line;
+        }
+    });
+    
+    return { width: width, height: height, data: out, orientation: 1 };
+}
+
+/**
+ * Undo the filter of one PNG scanline in place
+ * @private
+ */
+function unfilterPngLine(line, previous, filter, bytesPerPixel) {
+    var i;
+    
+    switch (filter) {
+        case 0:
+            return;
+        case 1:
+            for (i = bytesPerPixel; i < line.length; i++) {
+                line[i] += line[i - bytesPerPixel];
+            }
+            return;
+        case 2:
+            for (i = 0; i < line.length; i++) {
+                line[i] += previous[i];
+            }
+            return;
+        case 3:
+            for (i = 0; i < line.length; i++) {
+                line[i] += ((i >= bytesPerPixel ? line[i - bytesPerPixel] : 0) + previous[i]) >> 1;
+            }
+            return;
+        case 4:
+            for (i = 0; i < line.length; i++) {
+                line[i] += paeth(i >= bytesPerPixel ? line[i - bytesPerPixel] : 0, previous[i],
+                    i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0);
+            }
+            return;
+        default:
+            throw imageError('Unknown PNG filter type ' + filter);
+    }
+}
+
+/**
+ * PNG Paeth predictor
+ * @private
+ */
+function paeth(a, b, c) {
+    var p = a + b - c;
+    var pa = Math.abs(p - a);
+    var pb = Math.abs(p - b);
+    var pc = Math.abs(p - c);
+    
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Build a decoding table from the code counts and symbols of a JPEG Huffman table
+ * @private
+ */
+function jpegHuffmanTable(counts, symbols) {
+    var table = { maxCode: new Int32Array(17), valueOffset: new Int32Array(17), symbols: symbols };
+    var code = 0;
+    var k = 0;
+    
+    for (var length = 1; length <= 16; length++) {
+        table.valueOffset[length] = k - code;
+        code += counts[length - 1];
+        k += counts[length - 1];
+        table.maxCode[length] = counts[length - 1] ? code - 1 : -1;
+        code <<= 1;
+    }
+    
+    return table;
+}
+
+/**
+ * Decode a baseline or progressive Huffman-coded JPEG image: grayscale,
+ * YCbCr or Adobe RGB, CMYK and YCCK, with any chroma subsampling
+ * @private
+ */
+function decodeJpeg(data, checkSize, options) {
+    var quantTables = [];
+    var huffmanTables = { 0: [], 1: [] };
+    var frame = null;
+    var resetInterval = 0;
+    var adobeTransform = null;
+    var orientation = 1;
+    var pos = 2;
+    
+    while (pos + 1 < data.length) {
+        if (data[pos] !== 0xff) {
+            pos++;
+            continue;
+        }
+        
+        var marker = data[pos + 1];
+        
+        if (marker === 0xff) {
+            pos++;
+            continue;
+        }
+        
+        pos += 2;
+        
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            continue;
+        }
+        
+        if (marker === 0xd9) {
+            break;
+        }
+        
+        var length = data.readUInt16BE(pos);
+        var segment = data.slice(pos + 2, pos + length);
+        var i;
+        
+        pos += length;
+        
+        if (marker === 0xdb) {
+            for (i = 0; i < segment.length;) {
+                var wide = segment[i] >> 4;
+                var table = new Int32Array(64);
+                
+                quantTables[segment[i] & 15] = table;
+                i++;
+                
+                for (var k = 0; k < 64; k++, i += wide ? 2 : 1) {
+                    table[JPEG_ZIGZAG[k]] = wide ? segment.readUInt16BE(i) : segment[i];
+                }
+            }
+        } else if (marker === 0xc4) {
+            for (i = 0; i < segment.length;) {
+                var tableClass = segment[i] >> 4;
+                var tableId = segment[i] & 15;
+                var counts = segment.slice(i + 1, i + 17);
+                var total = 0;
+                
+                for (var c = 0; c < 16; c++) {
+                    total += counts[c];
+                }
+                
+                huffmanTables[tableClass ? 1 : 0][tableId] = jpegHuffmanTable(counts, segment.slice(i + 17, i + 17 + total));
+                i += 17 + total;
+            }
+        } else if (marker === 0xdd) {
+            resetInterval = segment.readUInt16BE(0);
+        } else if (marker === 0xe1) {
+            orientation = exifOrientation(segment) || orientation;
+        } else if (marker === 0xee && segment.toString('latin1', 0, 5) === 'Adobe') {
+            adobeTransform = segment[11];
+        } else if (isJpegFrameMarker(marker)) {
+            if (marker > 0xc2 || segment[0] !== 8) {
+                throw imageError('Only 8-bit baseline and progressive JPEG images can be decoded', 'UnsupportedImage');
+            }
+            
+            if (frame) {
+                throw imageError('JPEG has more than one frame');
+            }
+            
+            frame = jpegFrame(segment, marker === 0xc2, checkSize, orientation, options);
+        } else if (marker === 0xda) {
+            if (!frame) {
+                throw imageError('JPEG scan comes before its frame header');
+            }
+            
+            var scanComponents = [];
+            
+            for (i = 0; i < segment[0]; i++) {
+                var id = segment[1 + i * 2];
+                var tables = segment[2 + i * 2];
+                var component = frame.components.filter(function(candidate) { return candidate.id === id; })[0];
+                
+                if (!component) {
+                    throw imageError('JPEG scan names an unknown component');
+                }
+                
+                component.dcTable = huffmanTables[0][tables >> 4];
+                component.acTable = huffmanTables[1][tables & 15];
+                scanComponents.push(component);
+            }
+            
+            var spectral = 1 + segment[0] * 2;
+            
+            pos = decodeJpegScan(data, pos, frame, scanComponents, resetInterval, segment[spectral],
+                segment[spectral + 1], segment[spectral + 2] >> 4, segment[spectral + 2] & 15);
+        }
+    }
+    
+    if (!frame) {
+        throw imageError('JPEG has no frame header');
+    }
+    
+    return jpegPixels(frame, quantTables, adobeTransform);
+}
+
+/**
+ * Read a JPEG frame header and lay out the coefficient blocks of its components
+ * @private
+ */
+function jpegFrame(segment, progressive, checkSize, orientation, options) {
+    var frame = {
+        progressive: progressive,
+        height: segment.readUInt16BE(1),
+        width: segment.readUInt16BE(3),
+        orientation: orientation,
+        components: [],
+        scale: 1
+    };
+    var maxH = 1;
+    var maxV = 1;
+    
+    checkSize(frame.width, frame.height);
+    
+    for (var i = 0; i < segment[5]; i++) {
+        var sampling = segment[7 + i * 3];
+        var component = {
+            id: segment[6 + i * 3],
+            h: sampling >> 4 || 1,
+            v: sampling & 15 || 1,
+            quantTable: segment[8 + i * 3],
+            pred: 0
+        };
+        
+        maxH = Math.max(maxH, component.h);
+        maxV = Math.max(maxV, component.v);
+        frame.components.push(component);
+    }
+    
+    if ([1, 3, 4].indexOf(frame.components.length) === -1) {
+        throw imageError('JPEG has ' + frame.components.length + ' components', 'UnsupportedImage');
+    }
+    
+    frame.maxH = maxH;
+    frame.maxV = maxV;
+    frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+    frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+    
+    frame.components.forEach(function(component) {
+        component.blocksPerLine = Math.ceil(Math.ceil(frame.width * component.h / maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil(frame.height * component.v / maxV) / 8);
+        component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+        component.blocks = new Int16Array(component.blocksPerLineForMcu * frame.mcusPerColumn * component.v * 64);
+    });
+    
+    // The DC coefficient of a block is its average, so an image headed for a
+    // box at most 1/8 of its size needs no inverse DCT at all
+    if (options.fitWidth && options.fitHeight) {
+        var turned = orientation >= 5;
+        var scale = Math.min(options.fitWidth / (turned ? frame.height : frame.width),
+            options.fitHeight / (turned ? frame.width : frame.height));
+        
+        frame.scale = scale <= 1 / 8 ? 8 : 1;
+    }
+    
+    return frame;
+}
+
+/**
+ * Decode the entropy-coded data of one JPEG scan into the components' blocks
+ * @private
+ * @returns {Number} Offset of the marker that ends the scan
+ */
+function decodeJpegScan(data, pos, frame, components, resetInterval, spectralStart, spectralEnd,
+        successivePrevious, successive) {
+    var bitBuffer = 0;
+    var bitCount = 0;
+    var eobRun = 0;
+    var decodeBlock;
+    
+    function readBit() {
+        if (bitCount === 0) {
+            // A marker ends the data; pad with zeros until the interval is done
+            if (pos >= data.length || (data[pos] === 0xff && data[pos + 1] !== 0)) {
+                bitBuffer = 0;
+            } else {
+                bitBuffer = data[pos];
+                pos += bitBuffer === 0xff ? 2 : 1;
+            }
+            bitCount = 8;
+        }
+        
+        return (bitBuffer >> --bitCount) & 1;
+    }
+    
+    function receive(length) {
+        var value = 0;
+        
+        while (length-- > 0) {
+            value = (value << 1) | readBit();
+        }
+        
+        return value;
+    }
+    
+    function receiveExtend(length) {
+        if (length === 0) {
+            return 0;
+        }
+        
+        var value = receive(length);
+        return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+    }
+    
+    function decodeHuffman(table) {
+        var code = 0;
+        
+        for (var length = 1; length <= 16; length++) {
+            code = (code << 1) | readBit();
+            
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.valueOffset[length] + code];
+            }
+        }
+        
+        throw imageError('JPEG data is corrupt');
+    }
+    
+    function decodeBaseline(component, offset) {
+        var t = decodeHuffman(component.dcTable);
+        var blocks = component.blocks;
+        
+        component.pred += receiveExtend(t);
+        blocks[offset] = component.pred;
+        
+        for (var k = 1; k < 64;) {
+            var rs = decodeHuffman(component.acTable);
+            var s = rs & 15;
+            var r = rs >> 4;
+            
+            if (s === 0) {
+                if (r < 15) {
+                    break;
+                }
+                k += 16;
+                continue;
+            }
+            
+            k += r;
+            
+            if (k > 63) {
+                break;
+            }
+            
+            blocks[offset + JPEG_ZIGZAG[k]] = receiveExtend(s);
+            k++;
+        }
+    }
+    
+    function decodeDcFirst(component, offset) {
+        var t = decodeHuffman(component.dcTable);
+        
+        component.pred += receiveExtend(t) * (1 << successive);
+        component.blocks[offset] = component.pred;
+    }
+    
+    function decodeDcRefine(component, offset) {
+        if (readBit()) {
+            component.blocks[offset] |= 1 << successive;
+        }
+    }
+    
+    function decodeAcFirst(component, offset) {
+        if (eobRun > 0) {
+            eobRun--;
+            return;
+        }
+        
+        for (var k = spectralStart; k <= spectralEnd;) {
+            var rs = decodeHuffman(component.acTable);
+            var s = rs & 15;
+            var r = rs >> 4;
+            
+            if (s === 0) {
+                if (r < 15) {
+                    eobRun = (1 << r) + receive(r) - 1;
+                    break;
+                }
+                k += 16;
+                continue;
+            }
+            
+            k += r;
+            
+            if (k > 63) {
+                break;
+            }
+            
+            component.blocks[offset + JPEG_ZIGZAG[k]] = receiveExtend(s) * (1 << successive);
+            k++;
+        }
+    }
+    
+    function decodeAcRefine(component, offset) {
+        var blocks = component.blocks;
+        var plus = 1 << successive;
+        var minus = -1 << successive;
+        var k = spectralStart;
+        var z;
+        
+        // Coefficients already nonzero get one more bit each; new ones are +-1 at this bit
+        function refine(position) {
+            if (readBit() && (blocks[position] & plus) === 0) {
+                blocks[position] += blocks[position] >= 0 ? plus : minus;
+            }
+        }
+        
+        if (eobRun === 0) {
+            for (; k <= spectralEnd; k++) {
+                var rs = decodeHuffman(component.acTable);
+                var s = rs & 15;
+                var r = rs >> 4;
+                
+                if (s) {
+                    s = readBit() ? plus : minus;
+                } else if (r !== 15) {
+                    eobRun = (1 << r) + receive(r);
+                    break;
+                }
+                
+                while (k <= spectralEnd) {
+                    z = offset + JPEG_ZIGZAG[k];
+                    
+                    if (blocks[z] !== 0) {
+                        refine(z);
+                    } else if (--r < 0) {
+                        break;
+                    }
+                    
+                    k++;
+                }
+                
+                if (s && k <= spectralEnd) {
+                    blocks[offset + JPEG_ZIGZAG[k]] = s;
+                }
+            }
+        }
+        
+        if (eobRun > 0) {
+            for (; k <= spectralEnd; k++) {
+                z = offset + JPEG_ZIGZAG[k];
+                
+                if (blocks[z] !== 0) {
+                    refine(z);
+                }
+            }
+            
+            eobRun--;
+        }
+    }
+    
+    if (!frame.progressive) {
+        decodeBlock = decodeBaseline;
+    } else if (spectralStart === 0) {
+        decodeBlock = successivePrevious === 0 ? decodeDcFirst : decodeDcRefine;
+    } else {
+        decodeBlock = successivePrevious === 0 ? decodeAcFirst : decodeAcRefine;
+    }
+    
+    components.forEach(function(component) {
+        var needsDc = !frame.progressive || (spectralStart === 0 && successivePrevious === 0);
+        var needsAc = !frame.progressive || spectralStart > 0;
+        
+        if ((needsDc && !component.dcTable) || (needsAc && !component.acTable)) {
+            throw imageError('JPEG scan uses an undefined Huffman table');
+        }
+    });
+    
+    var single = components.length === 1;
+    var mcuCount = single ? components[0].blocksPerLine * components[0].blocksPerColumn :
+        frame.mcusPerLine * frame.mcusPerColumn;
+    var mcu = 0;
+    
+    while (mcu < mcuCount) {
+        components.forEach(function(component) {
+            component.pred = 0;
+        });
+        eobRun = 0;
+        
+        for (var n = 0; (n < resetInterval || !resetInterval) && mcu < mcuCount; n++, mcu++) {
+            if (single) {
+                var only = components[0];
+                var row = Math.floor(mcu / only.blocksPerLine);
+                var col = mcu % only.blocksPerLine;
+                
+                decodeBlock(only, (row * only.blocksPerLineForMcu + col) * 64);
+                continue;
+            }
+            
+            var mcuRow = Math.floor(mcu / frame.mcusPerLine);
+            var mcuCol = mcu % frame.mcusPerLine;
+            
+            for (var c = 0; c < components.length; c++) {
+                var component = components[c];
+                
+                for (var v = 0; v < component.v; v++) {
+                    for (var h = 0; h < component.h; h++) {
+                        decodeBlock(component, ((mcuRow * component.v + v) * component.blocksPerLineForMcu +
+                            mcuCol * component.h + h) * 64);
+                    }
+                }
+            }
+        }
+        
+        // Skip the rest of the interval's bits to its restart marker, or to the marker after the scan
+        bitCount = 0;
+        
+        while (pos + 1 < data.length && !(data[pos] === 0xff && data[pos + 1] !== 0 && data[pos + 1] !== 0xff)) {
+            pos++;
+        }
+        
+        if (mcu < mcuCount) {
+            if (pos + 1 >= data.length || data[pos + 1] < 0xd0 || data[pos + 1] > 0xd7) {
+                break;
+            }
+            pos += 2;
+        }
+    }
+    
+    return pos;
+}
+
+/**
+ * Turn the coefficient blocks of a decoded JPEG into RGBA pixels
+ * @private
+ */
+function jpegPixels(frame, quantTables, adobeTransform) {
+    var scale = frame.scale;
+    var width = Math.ceil(frame.width / scale);
+    var height = Math.ceil(frame.height / scale);
+    var components = frame.components;
+    
+    var planes = components.map(function(component) {
+        var quant = quantTables[component.quantTable];
+        
+        if (!quant) {
+            throw imageError('JPEG uses an undefined quantization table');
+        }
+        
+        var plane = jpegComponentPlane(component, quant, scale);
+        var columns = new Int32Array(width);
+        var rows = new Int32Array(height);
+        var x, y;
+        
+        for (x = 0; x < width; x++) {
+            columns[x] = Math.min(Math.floor(x * component.h / frame.maxH), plane.width - 1);
+        }
+        for (y = 0; y < height; y++) {
+            rows[y] = Math.min(Math.floor(y * component.v / frame.maxV), plane.height - 1) * plane.width;
+        }
+        
+        return { data: plane.data, columns: columns, rows: rows };
+    });
+    
+    var out = Buffer.alloc(width * height * 4);
+    // JFIF files are YCbCr; Adobe files say, and also label RGB or CMYK that is stored as is
+    var transform = components.length === 3 ? adobeTransform !== 0 && !(adobeTransform === null &&
+        components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42) :
+        components.length === 4 ? adobeTransform === 2 : false;
+    var o = 0;
+    
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++, o += 4) {
+            var first = planes[0].data[planes[0].rows[y] + planes[0].columns[x]];
+            
+            if (components.length === 1) {
+                out[o] = out[o + 1] = out[o + 2] = first;
+                out[o + 3] = 255;
+                continue;
+            }
+            
+            var second = planes[1].data[planes[1].rows[y] + planes[1].columns[x]];
+            var third = planes[2].data[planes[2].rows[y] + planes[2].columns[x]];
+            var r = first;
+            var g = second;
+            var b = third;
+            
+            if (transform) {
+                r = first + 1.402 * (third - 128);
+                g = first - 0.344136 * (second - 128) - 0.714136 * (third - 128);
+                b = first + 1.772 * (second - 128);
+                r = r < 0 ? 0 : r > 255 ? 255 : r;
+                g = g < 0 ? 0 : g > 255 ? 255 : g;
+                b = b < 0 ? 0 : b > 255 ? 255 : b;
+            }
+            
+            if (components.length === 4) {
+                // Adobe stores CMYK inverted, so each value is how much light remains
+                var k = planes[3].data[planes[3].rows[y] + planes[3].columns[x]];
+                
+                r = r * k / 255;
+                g = g * k / 255;
+                b = b * k / 255;
+            }
+            
+            out[o] = Math.round(r);
+            out[o + 1] = Math.round(g);
+            out[o + 2] = Math.round(b);
+            out[o + 3] = 255;
+        }
+    }
+    
+    return { width: width, height: height, data: out, orientation: frame.orientation };
+}
+
+/**
+ * Dequantize and inverse-transform the blocks of one JPEG component into 8-bit samples.
+ * At scale 8 each block becomes a single sample, its DC average.
+ * @private
+ */
+function jpegComponentPlane(component, quant, scale) {
+    var blockSize = 8 / scale;
+    var width = component.blocksPerLine * blockSize;
+    var height = component.blocksPerColumn * blockSize;
+    var data = new Uint8Array(width * height);
+    var coefficients = new Float64Array(64);
+    var rows = new Float64Array(64);
+    var blocks = component.blocks;
+    var value;
+    
+    for (var blockRow = 0; blockRow < component.blocksPerColumn; blockRow++) {
+        for (var blockCol = 0; blockCol < component.blocksPerLine; blockCol++) {
+            var offset = (blockRow * component.blocksPerLineForMcu + blockCol) * 64;
+            var origin = blockRow * blockSize * width + blockCol * blockSize;
+            
+            if (scale === 8) {
+                value = Math.round(blocks[offset] * quant[0] / 8 + 128);
+                data[origin] = value < 0 ? 0 : value > 255 ? 255 : value;
+                continue;
+            }
+            
+            for (var i = 0; i < 64; i++) {
+                coefficients[i] = blocks[offset + i] * quant[i];
+            }
+            
+            inverseDct(coefficients, rows);
+            
+            for (var y = 0; y < 8; y++) {
+                for (var x = 0; x < 8; x++) {
+                    value = Math.round(coefficients[y * 8 + x] + 128);
+                    data[origin + y * width + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+                }
+            }
+        }
+    }
+    
+    return { width: width, height: height, data: data };
+}
+
+/**
+ * 2-D inverse DCT of an 8x8 block, in place
+ * @private
+ * @param {Float64Array} block - Coefficients in; samples out
+ * @param {Float64Array} rows - Scratch space of 64 entries
+ */
+function inverseDct(block, rows) {
+    var u, v, x, y, sum;
+    
+    for (v = 0; v < 8; v++) {
+        var base = v * 8;
+        var acZero = true;
+        
+        for (u = 1; u < 8 && acZero; u++) {
+            acZero = block[base + u] === 0;
+        }
+        
+        for (x = 0; x < 8; x++) {
+            if (acZero) {
+                rows[base + x] = block[base] * DCT_BASIS[x];
+                continue;
+            }
+            
+            sum = 0;
+            for (u = 0; u < 8; u++) {
+                sum += DCT_BASIS[u * 8 + x] * block[base + u];
+            }
+            rows[base + x] = sum;
+        }
+    }
+    
+    for (x = 0; x < 8; x++) {
+        for (y = 0; y < 8; y++) {
+            sum = 0;
+            for (v = 0; v < 8; v++) {
+                sum += DCT_BASIS[v * 8 + y] * rows[v * 8 + x];
+            }
+            block[y * 8 + x] = sum;
+        }
+    }
+}
+
+/**
+ * Decode the first frame of a GIF image
+ * @private
+ */
+function decodeGif(data, checkSize) {
+    var width = data.readUInt16LE(6);
+    var height = data.readUInt16LE(8);
+    var flags = data[10];
+    var pos = 13;
+    var globalPalette = null;
+    var transparentIndex = -1;
+    
+    checkSize(width, height);
+    
+    if (flags & 0x80) {
+        globalPalette = data.slice(pos, pos + 3 * (2 << (flags & 7)));
+        pos += globalPalette.length;
+    }
+    
+    function subBlocks() {
+        var chunks = [];
+        var size;
+        
+        while ((size = data[pos++])) {
+            chunks.push(data.slice(pos, pos + size));
+            pos += size;
+        }
+        
+        return Buffer.concat(chunks);
+    }
+    
+    while (pos < data.length) {
+        var introducer = data[pos++];
+        
+        if (introducer === 0x21) {
+            var label = data[pos++];
+            var extension = subBlocks();
+            
+            if (label === 0xf9 && extension.length >= 4 && (extension[0] & 1)) {
+                transparentIndex = extension[3];
+            }
+            continue;
+        }
+        
+        if (introducer !== 0x2c) {
+            break;
+        }
+        
+        var left = data.readUInt16LE(pos);
+        var top = data.readUInt16LE(pos + 2);
+        var frameWidth = data.readUInt16LE(pos + 4);
+        var frameHeight = data.readUInt16LE(pos + 6);
+        var frameFlags = data[pos + 8];
+        var palette = globalPalette;
+        
+        pos += 9;
+        checkSize(frameWidth, frameHeight);
+        
+        if (frameFlags & 0x80) {
+            palette = data.slice(pos, pos + 3 * (2 << (frameFlags & 7)));
+            pos += palette.length;
+        }
+        
+        if (!palette) {
+            throw imageError('GIF has no color table');
+        }
+        
+        var minCodeSize = data[pos++];
+        var indices = lzwDecode(subBlocks(), minCodeSize, frameWidth * frameHeight);
+        var out = Buffer.alloc(width * height * 4);
+        var rowOrder = frameFlags & 0x40 ? gifInterlacedRows(frameHeight) : null;
+        
+        for (var y = 0; y < frameHeight; y++) {
+            var targetY = top + (rowOrder ? rowOrder[y] : y);
+            
+            if (targetY >= height) {
+                continue;
+            }
+            
+            for (var x = 0; x < frameWidth && left + x < width; x++) {
+                var index = indices[y * frameWidth + x];
+                var o = (targetY * width + left + x) * 4;
+                
+                if (index === transparentIndex || index * 3 + 2 >= palette.length) {
+                    continue;
+                }
+                
+                out[o] = palette[index * 3];
+                out[o + 1] = palette[index * 3 + 1];
+                out[o + 2] = palette[index * 3 + 2];
+                out[o + 3] = 255;
+            }
+        }
+        
+        return { width: width, height: height, data: out, orientation: 1 };
+    }
+    
+    throw imageError('GIF has no image');
+}
+
+/**
+ * Row each stored row of an interlaced GIF belongs on
+ * @private
+ */
+function gifInterlacedRows(height) {
+    var rows = [];
+    
+    [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(function(pass) {
+        for (var y = pass[0]; y < height; y += pass[1]) {
+            rows.push(y);
+        }
+    });
+    
+    return rows;
+}
+
+/**
+ * Decompress GIF LZW data
+ * @private
+ * @param {Buffer} data - Joined data sub-blocks
+ * @param {Number} minCodeSize - LZW minimum code size
+ * @param {Number} count - Number of pixels expected
+ * @returns {Uint8Array} Color indices; missing ones are left 0
+ */
+function lzwDecode(data, minCodeSize, count) {
+    if (minCodeSize < 1 || minCodeSize > 11) {
+        throw imageError('GIF has an invalid LZW code size');
+    }
+    
+    var clearCode = 1 << minCodeSize;
+    var endCode = clearCode + 1;
+    var codeSize = minCodeSize + 1;
+    var codeMask = (1 << codeSize) - 1;
+    var next = clearCode + 2;
+    var prefix = new Int16Array(4096);
+    var suffix = new Uint8Array(4096);
+    var pending = new Uint8Array(4097);
+    var out = new Uint8Array(count);
+    var written = 0;
+    var previous = -1;
+    var first = 0;
+    var bits = 0;
+    var datum = 0;
+    var pos = 0;
+    
+    for (var i = 0; i < clearCode; i++) {
+        suffix[i] = i;
+    }
+    
+    while (written < count) {
+        while (bits < codeSize && pos < data.length) {
+            datum |= data[pos++] << bits;
+            bits += 8;
+        }
+        
+        if (bits < codeSize) {
+            break;
+        }
+        
+        var code = datum & codeMask;
+        
+        datum >>= codeSize;
+        bits -= codeSize;
+        
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            next = clearCode + 2;
+            previous = -1;
+            continue;
+        }
+        
+        if (code === endCode) {
+            break;
+        }
+        
+        if (previous === -1) {
+            if (code > clearCode) {
+                throw imageError('GIF data is corrupt');
+            }
+            out[written++] = first = suffix[code];
+            previous = code;
+            continue;
+        }
+        
+        if (code > next) {
+            throw imageError('GIF data is corrupt');
+        }
+        
+        var current = code;
+        var top = 0;
+        
+        // A code not in the table yet is the previous string plus its own first byte
+        if (code === next) {
+            pending[top++] = first;
+            code = previous;
+        }
+        
+        while (code > endCode) {
+            pending[top++] = suffix[code];
+            code = prefix[code];
+        }
+        
+        first = suffix[code];
+        pending[top++] = first;
+        
+        if (next < 4096) {
+            prefix[next] = previous;
+            suffix[next] = first;
+            next++;
+            
+            if ((next & codeMask) === 0 && next < 4096) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        
+        previous = current;
+        
+        while (top > 0 && written < count) {
+            out[written++] = pending[--top];
+        }
+    }
+    
+    return out;
+}
+
+/**
+ * Decode an uncompressed or bit-field BMP image of any bit depth
+ * @private
+ */
+function decodeBmp(data, checkSize) {
+    var pixelOffset = data.readUInt32LE(10);
+    var headerSize = data.readUInt32LE(14);
+    var core = headerSize === 12;
+    var width = core ? data.readUInt16LE(18) : data.readInt32LE(18);
+    var rawHeight = core ? data.readInt16LE(20) : data.readInt32LE(22);
+    var bitCount = core ? data.readUInt16LE(24) : data.readUInt16LE(28);
+    var compression = core ? 0 : data.readUInt32LE(30);
+    var height = Math.abs(rawHeight);
+    var masks = null;
+    var palette = null;
+    
+    checkSize(width, height);
+    
+    if (compression !== 0 && compression !== 3 && compression !== 6) {
+        throw imageError('Compressed BMP images cannot be decoded', 'UnsupportedImage');
+    }
+    
+    if (bitCount <= 8) {
+        var entrySize = core ? 3 : 4;
+        var colors = (!core && data.readUInt32LE(46)) || 1 << bitCount;
+        
+        palette = data.slice(14 + headerSize, 14 + headerSize + colors * entrySize);
+        palette.entrySize = entrySize;
+    } else if (compression === 3 || compression === 6) {
+        masks = [data.readUInt32LE(54), data.readUInt32LE(58), data.readUInt32LE(62),
+            headerSize >= 56 || compression === 6 ? data.readUInt32LE(66) : 0];
+    } else if (bitCount === 16) {
+        masks = [0x7c00, 0x03e0, 0x001f, 0];
+    } else if (bitCount === 32) {
+        masks = [0xff0000, 0xff00, 0xff, 0xff000000];
+    } else if (bitCount !== 24) {
+        throw imageError('BMP has an invalid bit depth');
+    }
+    
+    var fields = masks && masks.map(bmpMaskField);
+    var stride = Math.floor((bitCount * width + 31) / 32) * 4;
+    var out = Buffer.alloc(width * height * 4);
+    var anyAlpha = false;
+    
+    for (var y = 0; y < height; y++) {
+        var row = pixelOffset + (rawHeight < 0 ? y : height - 1 - y) * stride;
+        
+        for (var x = 0; x < width; x++) {
+            var o = (y * width + x) * 4;
+            
+            if (palette) {
+                var bit = x * bitCount;
+                var index = (data[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+                var entry = index * palette.entrySize;
+                
+                out[o] = palette[entry + 2] || 0;
+                out[o + 1] = palette[entry + 1] || 0;
+                out[o + 2] = palette[entry] || 0;
+                out[o + 3] = 255;
+            } else if (bitCount === 24) {
+                out[o] = data[row + x * 3 + 2];
+                out[o + 1] = data[row + x * 3 + 1];
+                out[o + 2] = data[row + x * 3];
+                out[o + 3] = 255;
+            } else {
+                var pixel = bitCount === 16 ? data.readUInt16LE(row + x * 2) : data.readUInt32LE(row + x * 4);
+                
+                out[o] = fields[0](pixel);
+                out[o + 1] = fields[1](pixel);
+                out[o + 2] = fields[2](pixel);
+                out[o + 3] = masks[3] ? fields[3](pixel) : 255;
+                anyAlpha = anyAlpha || out[o + 3] !== 0;
+            }
+        }
+    }
+    
+    // Plain 32-bit files often leave the fourth byte zero rather than opaque
+    if (masks && masks[3] && compression === 0 && !anyAlpha) {
+        for (var i = 3; i < out.length; i += 4) {
+            out[i] = 255;
+        }
+    }
+    
+    return { width: width, height: height, data: out, orientation: 1 };
+}
+
+/**
+ * Reader of one BMP bit field, scaled to 8 bits
+ * @private
+ */
+function bmpMaskField(mask) {
+    var shift = 0;
+    var bits = 0;
+    
+    if (!mask) {
+        return function() { return 0; };
+    }
+    
+    while (!((mask >>> shift) & 1)) shift++;
+    while ((mask >>> (shift + bits)) & 1) bits++;
+    
+    var max = Math.pow(2, bits) - 1;
+    
+    return function(pixel) {
+        return Math.round(((pixel & mask) >>> shift) * 255 / max);
+    };
+}
+
+/**
+ * Scale an image down by averaging the source pixels under each target pixel.
+ * Colors are weighted by alpha, so transparent pixels do not darken edges.
+ * @private
+ * @param {Object} image - { width, height, data }
+ * @param {Number} width - Target width
+ * @param {Number} height - Target height
+ * @returns {Object} New image, or the same one if the size does not change
+ */
+function resizeImage(image, width, height) {
+    if (image.width === width && image.height === height) {
+        return image;
+    }
+    
+    var source = image.data;
+    var sourceWidth = image.width;
+    var sourceHeight = image.height;
+    var out = Buffer.alloc(width * height * 4);
+    var columns = new Int32Array(width + 1);
+    var x, y, i;
+    
+    for (x = 0; x <= width; x++) {
+        columns[x] = Math.floor(x * sourceWidth / width);
+    }
+    
+    for (var ty = 0; ty < height; ty++) {
+        var top = Math.floor(ty * sourceHeight / height);
+        var bottom = Math.max(top + 1, Math.floor((ty + 1) * sourceHeight / height));
+        
+        for (var tx = 0; tx < width; tx++) {
+            var left = columns[tx];
+            var right = Math.max(left + 1, columns[tx + 1]);
+            var r = 0, g = 0, b = 0, a = 0;
+            
+            for (y = top; y < bottom; y++) {
+                for (x = left, i = (y * sourceWidth + left) * 4; x < right; x++, i += 4) {
+                    var alpha = source[i + 3];
+                    
+                    r += source[i] * alpha;
+                    g += source[i + 1] * alpha;
+                    b += source[i + 2] * alpha;
+                    a += alpha;
+                }
+            }
+            
+            var o = (ty * width + tx) * 4;
+            
+            if (a) {
+                out[o] = Math.round(r / a);
+                out[o + 1] = Math.round(g / a);
+                out[o + 2] = Math.round(b / a);
+            }
+            out[o + 3] = Math.round(a / ((bottom - top) * (right - left)));
+        }
+    }
+    
+    return { width: width, height: height, data: out, orientation: image.orientation };
+}
+
+/**
+ * Turn and flip an image the way its EXIF orientation says it is displayed
+ * @private
+ * @param {Object} image - { width, height, data, orientation }
+ * @returns {Object} Upright image
+ */
+function orientImage(image, orientation) {
+    if (!orientation || orientation === 1) {
+        return image;
+    }
+    
+    var w = image.width;
+    var h = image.height;
+    var turned = orientation >= 5;
+    var width = turned ? h : w;
+    var height = turned ? w : h;
+    var out = Buffer.alloc(width * height * 4);
+    
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            var sx = orientation === 2 || orientation === 3 ? w - 1 - x : orientation === 4 ? x :
+                orientation <= 6 ? y : w - 1 - y;
+            var sy = orientation === 2 ? y : orientation <= 4 ? h - 1 - y :
+                orientation === 5 || orientation === 8 ? x : h - 1 - x;
+            
+            image.data.copy(out, (y * width + x) * 4, (sy * w + sx) * 4, (sy * w + sx) * 4 + 4);
+        }
+    }
+    
+    return { width: width, height: height, data: out, orientation: 1 };
+}
+
+/**
+ * CRC-32 of a buffer, as used by PNG chunks
+ * @private
+ */
+function crc32(data) {
+    var crc = -1;
+    
+    for (var i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Encode an image as an 8-bit RGB or RGBA PNG (RGB when it is fully opaque)
+ * @private
+ * @param {Object} image - { width, height, data }
+ * @returns {Buffer} PNG file
+ */
+function encodePng(image) {
+    var width = image.width;
+    var height = image.height;
+    var source = image.data;
+    var opaque = true;
+    var i;
+    
+    for (i = 3; i < source.length && opaque; i += 4) {
+        opaque = source[i] === 255;
+    }
+    
+    var channels = opaque ? 3 : 4;
+    var rowBytes = width * channels;
+    var raw = Buffer.alloc((rowBytes + 1) * height);
+    var previous = new Uint8Array(rowBytes);
+    var line = new Uint8Array(rowBytes);
+    var candidates = [0, 1, 2, 3, 4].map(function() { return new Uint8Array(rowBytes); });
+    
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            for (var c = 0; c < channels; c++) {
+                line[x * channels + c] = source[(y * width + x) * 4 + c];
+            }
+        }
+        
+        // Pick the filter whose output looks smallest, as libpng does
+        var best = 0;
+        var bestSum = Infinity;
+        
+        for (var filter = 0; filter < 5; filter++) {
+            var filtered = candidates[filter];
+            var sum = 0;
+            
+            for (i = 0; i < rowBytes; i++) {
+                var left = i >= channels ? line[i - channels] : 0;
+                var up = previous[i];
+                var corner = i >= channels ? previous[i - channels] : 0;
+                
+                filtered[i] = line[i] - pngPredictor(filter, left, up, corner);
+                sum += filtered[i] < 128 ? filtered[i] : 256 - filtered[i];
+            }
+            
+            if (sum < bestSum) {
+                best = filter;
+                bestSum = sum;
+            }
+        }
+        
+        raw[y * (rowBytes + 1)] = best;
+        raw.set(candidates[best], y * (rowBytes + 1) + 1);
+        previous.set(line);
+    }
+    
+    var header = Buffer.alloc(13);
+    
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = opaque ? 2 : 6;
+    
+    return Buffer.concat([
+        Buffer.from('89504e470d0a1a0a', 'hex'),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Value a PNG filter predicts a byte from its left, upper and upper-left neighbours
+ * @private
+ */
+function pngPredictor(filter, left, up, corner) {
+    switch (filter) {
+        case 1: return left;
+        case 2: return up;
+        case 3: return (left + up) >> 1;
+        case 4: return paeth(left, up, corner);
+        default: return 0;
+    }
+}
+
+/**
+ * Frame a PNG chunk with its length and CRC
+ * @private
+ */
+function pngChunk(type, body) {
+    var chunk = Buffer.alloc(12 + body.length);
+    
+    chunk.writeUInt32BE(body.length, 0);
+    chunk.write(type, 4, 'latin1');
+    body.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.slice(4, 8 + body.length)), 8 + body.length);
+    return chunk;
+}
+
+/**
+ * Encode an image as a baseline JPEG with the standard Huffman tables and
+ * no chroma subsampling. Alpha is dropped.
+ * @private
+ * @param {Object} image - { width, height, data }
+ * @param {Number} quality - 1 to 100
+ * @returns {Buffer} JPEG file
+ */
+function encodeJpeg(image, quality) {
+    var width = image.width;
+    var height = image.height;
+    var source = image.data;
+    var factor = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    var bytes = [];
+    var bitBuffer = 0;
+    var bitCount = 0;
+    
+    var quantTables = [JPEG_LUMINANCE_QUANT, JPEG_CHROMINANCE_QUANT].map(function(base) {
+        return base.map(function(value) {
+            return Math.min(255, Math.max(1, Math.floor((value * factor + 50) / 100)));
+        });
+    });
+    
+    var codes = {};
+    
+    Object.keys(JPEG_HUFFMAN_TABLES).forEach(function(name) {
+        var table = JPEG_HUFFMAN_TABLES[name];
+        var code = 0;
+        var k = 0;
+        
+        codes[name] = { code: [], length: [] };
+        
+        for (var length = 1; length <= 16; length++) {
+            for (var n = 0; n < table.counts[length - 1]; n++, k++) {
+                codes[name].code[table.symbols[k]] = code++;
+                codes[name].length[table.symbols[k]] = length;
+            }
+            code <<= 1;
+        }
+    });
+    
+    function writeBits(value, length) {
+        bitBuffer = (bitBuffer << length) | (value & ((1 << length) - 1));
+        bitCount += length;
+        
+        while (bitCount >= 8) {
+            var byte = (bitBuffer >> (bitCount - 8)) & 0xff;
+            
+            bytes.push(byte);
+            if (byte === 0xff) {
+                bytes.push(0);
+            }
+            bitCount -= 8;
+            bitBuffer &= (1 << bitCount) - 1;
+        }
+    }
+    
+    function writeSymbol(table, symbol) {
+        writeBits(table.code[symbol], table.length[symbol]);
+    }
+    
+    function bitLength(value) {
+        var length = 0;
+        
+        for (value = Math.abs(value); value; value >>= 1) {
+            length++;
+        }
+        
+        return length;
+    }
+    
+    function marker(code, body) {
+        bytes.push(0xff, code, (body.length + 2) >> 8, (body.length + 2) & 0xff);
+        Array.prototype.push.apply(bytes, body);
+    }
+    
+    bytes.push(0xff, 0xd8);
+    marker(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+    marker(0xdb, [0].concat(JPEG_ZIGZAG.map(function(position) { return quantTables[0][position]; }),
+        [1], JPEG_ZIGZAG.map(function(position) { return quantTables[1][position]; })));
+    marker(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+    marker(0xc4, [].concat(
+        [0x00], JPEG_HUFFMAN_TABLES.dcLuminance.counts, JPEG_HUFFMAN_TABLES.dcLuminance.symbols,
+        [0x10], JPEG_HUFFMAN_TABLES.acLuminance.counts, JPEG_HUFFMAN_TABLES.acLuminance.symbols,
+        [0x01], JPEG_HUFFMAN_TABLES.dcChrominance.counts, JPEG_HUFFMAN_TABLES.dcChrominance.symbols,
+        [0x11], JPEG_HUFFMAN_TABLES.acChrominance.counts, JPEG_HUFFMAN_TABLES.acChrominance.symbols));
+    marker(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+    
+    var planes = [new Float64Array(64), new Float64Array(64), new Float64Array(64)];
+    var rows = new Float64Array(64);
+    var predictions = [0, 0, 0];
+    var tables = [
+        [codes.dcLuminance, codes.acLuminance],
+        [codes.dcChrominance, codes.acChrominance],
+        [codes.dcChrominance, codes.acChrominance]
+    ];
+    
+    for (var blockY = 0; blockY < height; blockY += 8) {
+        for (var blockX = 0; blockX < width; blockX += 8) {
+            // Blocks past the edge repeat the last row and column
+            for (var y = 0; y < 8; y++) {
+                for (var x = 0; x < 8; x++) {
+                    var i = (Math.min(blockY + y, height - 1) * width + Math.min(blockX + x, width - 1)) * 4;
+                    var r = source[i];
+                    var g = source[i + 1];
+                    var b = source[i + 2];
+                    
+                    planes[0][y * 8 + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+                    planes[1][y * 8 + x] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+                    planes[2][y * 8 + x] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+                }
+            }
+            
+            for (var c = 0; c < 3; c++) {
+                var block = planes[c];
+                var quant = quantTables[c ? 1 : 0];
+                
+                forwardDct(block, rows);
+                
+                var dc = Math.round(block[0] / quant[0]);
+                var diff = dc - predictions[c];
+                var size = bitLength(diff);
+                var run = 0;
+                
+                predictions[c] = dc;
+                writeSymbol(tables[c][0], size);
+                writeBits(diff < 0 ? diff - 1 : diff, size);
+                
+                for (var k = 1; k < 64; k++) {
+                    var coefficient = Math.round(block[JPEG_ZIGZAG[k]] / quant[JPEG_ZIGZAG[k]]);
+                    
+                    if (coefficient === 0) {
+                        run++;
+                        continue;
+                    }
+                    
+                    while (run > 15) {
+                        writeSymbol(tables[c][1], 0xf0);
+                        run -= 16;
+                    }
+                    
+                    size = bitLength(coefficient);
+                    writeSymbol(tables[c][1], (run << 4) | size);
+                    writeBits(coefficient < 0 ? coefficient - 1 : coefficient, size);
+                    run = 0;
+                }
+                
+                if (run > 0) {
+                    writeSymbol(tables[c][1], 0x00);
+                }
+            }
+        }
+    }
+    
+    // Pad the last byte with ones
+    if (bitCount > 0) {
+        writeBits(0x7f, 8 - bitCount);
+    }
+    
+    bytes.push(0xff, 0xd9);
+    return Buffer.from(bytes);
+}
+
+/**
+ * 2-D forward DCT of an 8x8 block, in place
+ * @private
+ * @param {Float64Array} block - Samples in; coefficients out
+ * @param {Float64Array} rows - Scratch space of 64 entries
+ */
+function forwardDct(block, rows) {
+    var u, v, x, y, sum;
+    
+    for (y = 0; y < 8; y++) {
+        for (u = 0; u < 8; u++) {
+            sum = 0;
+            for (x = 0; x < 8; x++) {
+                sum += DCT_BASIS[u * 8 + x] * block[y * 8 + x];
+            }
+            rows[y * 8 + u] = sum;
+        }
+    }
+    
+    for (u = 0; u < 8; u++) {
+        for (v = 0; v < 8; v++) {
+            sum = 0;
+            for (y = 0; y < 8; y++) {
+                sum += DCT_BASIS[v * 8 + y] * rows[y * 8 + u];
+            }
+            block[v * 8 + u] = sum;
+        }
+    }
+}
+
+// ============================================================================
+// Request Authentication
+// ============================================================================
+
+/**
+ * Normalize a request date to ISO 8601 basic format (YYYYMMDDTHHMMSSZ)
+ * @private
+ * @param {Date|String|Number} value - Date to normalize
+ * @returns {String|null} Normalized date, or null if unparseable
+ */
+CloudStorage.prototype._formatAuthDate = function(value) {
+    var time = value instanceof Date ? value.getTime() :
+        typeof value === 'string' && /^\d{8}T\d{6}Z$/.test(value) ?
+            Date.parse(value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')) :
+            new Date(value).getTime();
+    
+    if (!isFinite(time)) {
+        return null;
+    }
+    
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build the canonical query string: keys and values URI-encoded and sorted
+ * @private
+ * @param {Object} query - Parsed query object
+ * @returns {String} Canonical query string
+ */
+CloudStorage.prototype._canonicalQuery = function(query) {
+    var pairs = [];
+    
+    Object.keys(query || {}).forEach(function(key) {
+        [].concat(query[key]).forEach(function(value) {
+            pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(value === undefined ? '' : value));
+        });
+    });
+    
+    return pairs.sort().join('&');
+};
+
+/**
+ * Derive the signing key for a secret, scoped to a day and region
+ * @private
+ */
+CloudStorage.prototype._signingKey = function(secret, dateStamp) {
+    var dateKey = crypto.createHmac('sha256', 'CS1' + secret).update(dateStamp).digest();
+    var regionKey = crypto.createHmac('sha256', dateKey).update(this.config.region).digest();
+    return crypto.createHmac('sha256', regionKey).update(AUTH_SCOPE_TERMINATOR).digest();
+};
+
+/**
+ * Compute a request signature
+ * @private
+ * @param {String} secret - API secret
+ * @param {Object} parts - method, path, query, date, nonce, payloadHash
+ * @returns {String} Hex signature
+ */
+CloudStorage.prototype._computeSignature = function(secret, parts) {
+    var dateStamp = parts.date.slice(0, 8);
+    var scope = dateStamp + '/' + this.config.region + '/' + AUTH_SCOPE_TERMINATOR;
+    
+    var canonicalRequest = [
+        parts.method.toUpperCase(),
+        parts.path,
+        this._canonicalQuery(parts.query),
+        parts.nonce || '',
+        parts.payloadHash
+    ].join('\n');
+    
+    var stringToSign = [
+        AUTH_ALGORITHM,
+        parts.date,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+    
+    return crypto.createHmac('sha256', this._signingKey(secret, dateStamp)).update(stringToSign).digest('hex');
+};
+
+/**
+ * Produce the authentication headers for a request to the HTTP server
+ * @param {String} method - HTTP method
+ * @param {String} requestPath - Path, optionally with a query string
+ * @param {Object} options - Signing options (optional)
+ *   body {String|Buffer} - Request body to hash
+ *   payloadHash {String} - Precomputed body SHA-256, or 'UNSIGNED-PAYLOAD'
+ *   apiKey, apiSecret {String} - Credentials (default: configured pair)
+ *   date {Date} - Request time (default: now)
+ * @returns {Object} Headers to send with the request
+ */
+CloudStorage.prototype.signRequest = function(method, requestPath, options) {
+    options = options || {};
+    
+    var apiKey = options.apiKey || this.config.apiKey;
+    var apiSecret = options.apiSecret || this.config.credentials[apiKey];
+    var parsed = url.parse(requestPath, true);
+    var date = this._formatAuthDate(options.date || new Date());
+    var nonce = crypto.randomBytes(16).toString('hex');
+    var payloadHash = options.payloadHash ||
+        (options.body !== undefined ? crypto.createHash('sha256').update(options.body).digest('hex') : EMPTY_PAYLOAD_HASH);
+    
+    return {
+        'X-Api-Key': apiKey,
+        'X-Date': date,
+        'X-Nonce': nonce,
+        'X-Content-Sha256': payloadHash,
+        'X-Signature': this._computeSignature(apiSecret, {
+            method: method,
+            path: parsed.pathname,
+            query: parsed.query,
+            date: date,
+            nonce: nonce,
+            payloadHash: payloadHash
+        })
+    };
+};
+
+/**
+ * Produce the authentication headers for a request without a CloudStorage
+ * instance, for clients of a remote server
+ * @param {Object} credentials - apiKey, apiSecret, region (default: 'us-east-1')
+ * @param {String} method - HTTP method
+ * @param {String} requestPath - Path, optionally with a query string
+ * @param {Object} options - Signing options, as for signRequest (optional)
+ * @returns {Object} Headers to send with the request
+ */
+CloudStorage.signRequest = function(credentials, method, requestPath, options) {
+    var signer = Object.create(CloudStorage.prototype);
+    var signOptions = {};
+    
+    Object.keys(options || {}).forEach(function(key) {
+        signOptions[key] = options[key];
+    });
+    
+    signOptions.apiKey = credentials.apiKey;
+    signOptions.apiSecret = credentials.apiSecret;
+    signer.config = { region: credentials.region || 'us-east-1', credentials: {} };
+    
+    return signer.signRequest(method, requestPath, signOptions);
+};
+
+/**
+ * Authenticate a signed HTTP request.
+ * On success the body hash, unless unsigned, is checked as the body streams;
+ * handlers that consume a body call _verifyPayload once it has ended.
+ * @private
+ * @returns {Object|null} { statusCode, code, error } on failure, null if authenticated
+ */
+CloudStorage.prototype._authenticate = function(req, parsedUrl) {
+    var self = this;
+    var headers = req.headers;
+    var apiKey = headers['x-api-key'];
+    var signature = headers['x-signature'];
+    
+    if (!apiKey || !signature || !headers['x-date']) {
+        return { statusCode: 401, code: 'MissingCredentials', error: 'X-Api-Key, X-Date and X-Signature headers are required' };
+    }
+    
+    var secret = Object.prototype.hasOwnProperty.call(self.config.credentials, apiKey) ?
+        self.config.credentials[apiKey] : null;
+    
+    if (!secret) {
+        return { statusCode: 401, code: 'InvalidApiKey', error: 'Unknown API key' };
+    }
+    
+    var date = self._formatAuthDate(headers['x-date']);
+    
+    if (!date) {
+        return { statusCode: 401, code: 'InvalidDate', error: 'X-Date is not a valid date' };
+    }
+    
+    var requestTime = Date.parse(date.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    var now = Date.now();
+    
+    if (Math.abs(now - requestTime) > self.config.authMaxSkew) {
+        return { statusCode: 403, code: 'RequestTimeTooSkewed', error: 'Request time differs too much from server time' };
+    }
+    
+    var payloadHash = headers['x-content-sha256'] || EMPTY_PAYLOAD_HASH;
+    var expected = self._computeSignature(secret, {
+        method: req.method,
+        path: parsedUrl.pathname,
+        query: parsedUrl.query,
+        date: date,
+        nonce: headers['x-nonce'],
+        payloadHash: payloadHash
+    });
+    
+    if (!/^[0-9a-f]{64}$/i.test(signature) ||
+        !crypto.timingSafeEqual(Buffer.from(signature.toLowerCase(), 'hex'), Buffer.from(expected, 'hex'))) {
+        return { statusCode: 403, code: 'SignatureDoesNotMatch', error: 'Request signature does not match' };
+    }
+    
+    // A signature is only accepted once within the skew window
+    Object.keys(self._seenRequests).forEach(function(key) {
+        if (self._seenRequests[key] < now) {
+            delete self._seenRequests[key];
+        }
+    });
+    
+    if (self._seenRequests[expected]) {
+        return { statusCode: 403, code: 'ReplayDetected', error: 'Request has already been used' };
+    }
+    
+    self._seenRequests[expected] = requestTime + self.config.authMaxSkew;
+    req.apiKey = apiKey;
+    
+    if (payloadHash !== UNSIGNED_PAYLOAD) {
+        var hash = crypto.createHash('sha256');
+        
+        req.on('data', function(chunk) {
+            hash.update(chunk);
+        });
+        
+        req.on('end', function() {
+            req.payloadHashMismatch = hash.digest('hex') !== payloadHash.toLowerCase();
+        });
+    }
+    
+    return null;
+};
+
+/**
+ * Check a fully read request body against its signed hash
+ * @private
+ * @returns {Error|null} Error if the body does not match
+ */
+CloudStorage.prototype._verifyPayload = function(req) {
+    if (req.payloadHashMismatch) {
+        var err = new Error('Request body does not match X-Content-Sha256');
+        err.code = 'BadDigest';
+        return err;
+    }
+    
+    return null;
+};
+
+/**
+ * Take a token from a client's rate limit bucket. Buckets hold up to
+ * rateLimit.capacity tokens and refill at rateLimit.refillRate per second.
+ * @private
+ * @param {String} client - API key or address the request counts against
+ * @returns {Object} { allowed, limit, remaining, reset, retryAfter }
+ */
+CloudStorage.prototype._takeRateToken = function(client) {
+    var self = this;
+    var limit = self.config.rateLimit;
+    var now = Date.now();
+    
+    function refill(bucket) {
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.refillRate);
+        bucket.updatedAt = now;
+    }
+    
+    // Full buckets carry no state worth keeping
+    if (now - self._rateSweptAt > 60 * 1000) {
+        self._rateSweptAt = now;
+        
+        Object.keys(self._rateBuckets).forEach(function(key) {
+            refill(self._rateBuckets[key]);
+            
+            if (self._rateBuckets[key].tokens >= limit.capacity) {
+                delete self._rateBuckets[key];
+            }
+        });
+    }
+    
+    var bucket = self._rateBuckets[client];
+    
+    if (!bucket) {
+        bucket = self._rateBuckets[client] = { tokens: limit.capacity, updatedAt: now };
+    }
+    
+    refill(bucket);
+    
+    var allowed = bucket.tokens >= 1;
+    
+    if (allowed) {
+        bucket.tokens -= 1;
+    }
+    
+    return {
+        allowed: allowed,
+        limit: limit.capacity,
+        remaining: Math.floor(bucket.tokens),
+        reset: Math.ceil((now + (limit.capacity - bucket.tokens) / limit.refillRate * 1000) / 1000),
+        retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / limit.refillRate)
+    };
+};
+
+/**
+ * Charge a request to a rate limit bucket and answer 429 if it is empty.
+ * The headers describe the last bucket charged.
+ * @private
+ * @param {http.ServerResponse} res - Response
+ * @param {String} client - Bucket the request counts against, e.g. 'ip:127.0.0.1'
+ * @returns {Boolean} False if the request was refused
+ */
+CloudStorage.prototype._checkRateLimit = function(res, client) {
+    if (!this.config.rateLimit) {
+        return true;
+    }
+    
+    var rate = this._takeRateToken(client);
+    
+    res.setHeader('X-RateLimit-Limit', rate.limit);
+    res.setHeader('X-RateLimit-Remaining', rate.remaining);
+    res.setHeader('X-RateLimit-Reset', rate.reset);
+    
+    if (!rate.allowed) {
+        res.setHeader('Retry-After', rate.retryAfter);
+        this._sendJSON(res, 429, { 
+            error: 'Too many requests',
+            code: 'TooManyRequests'
+        });
+        return false;
+    }
+    
+    return true;
+};
+
+/**
+ * Apply CORS headers for an allowed origin
+ * @private
+ * @returns {Boolean} False if the request came from an origin not on the allow-list
+ */
+CloudStorage.prototype._applyCors = function(req, res) {
+    var origin = req.headers.origin;
+    var allowed = this.config.corsOrigins;
+    
+    res.setHeader('Vary', 'Origin');
+    
+    if (!origin) {
+        return true;
+    }
+    
+    if (allowed.indexOf('*') === -1 && allowed.indexOf(origin) === -1) {
+        return false;
+    }
+    
+    res.setHeader('Access-Control-Allow-Origin', allowed.indexOf('*') !== -1 ? '*' : origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, If-Range, If-None-Match, If-Modified-Since, ' +
+        'X-Api-Key, X-Date, X-Nonce, X-Content-Sha256, X-Checksum-Sha256, X-Signature, ' +
+        'X-Encryption-Key, X-Encryption-Key-Md5, Content-MD5');
+    res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag, Last-Modified, X-Version-Id, ' +
+        'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+    
+    return true;
+};
+
+// ============================================================================
+// Pre-signed URLs
+// ============================================================================
+
+/**
+ * Sign the parameters of a pre-signed URL
+ * @private
+ */
+CloudStorage.prototype._signLink = function(secret, params) {
+    return crypto.createHmac('sha256', secret).update([
+        params.method,
+        params.path,
+        params.expires,
+        params.linkId,
+        params.fileName || '',
+        params.disposition || ''
+    ].join('\n')).digest('hex');
+};
+
+/**
+ * Generate a pre-signed, expiring URL that grants access to one file
+ * without credentials. GET links download an existing file; PUT and POST
+ * links upload a single new file whose ID is fixed by the link.
+ * @param {String|null} fileId - File to download (null for upload links)
+ * @param {Object} options - Link options (optional)
+ *   expiresIn {Number} - Lifetime in seconds (default: 3600, max: 7 days)
+ *   method {String} - 'GET', 'PUT' or 'POST' (default: 'GET')
+ *   contentDisposition {String} - 'inline', 'attachment' or a full header value
+ *   fileName {String} - Name for the uploaded file (upload links)
+ *   bucket {String} - Bucket to upload to (upload links, default: the default bucket)
+ *   baseUrl {String} - URL prefix (default: the server address)
+ * @returns {String} Signed URL
+ */
+CloudStorage.prototype.generateSignedUrl = function(fileId, options) {
+    options = options || {};
+    
+    var method = (options.method || 'GET').toUpperCase();
+    var expiresIn = options.expiresIn !== undefined ? options.expiresIn : 3600;
+    var apiKey = options.apiKey || this.config.apiKey;
+    var secret = this.config.credentials[apiKey];
+    
+    if (!secret) {
+        throw new Error('An API key and secret are required to sign URLs');
+    }
+    
+    if (['GET', 'PUT', 'POST'].indexOf(method) === -1) {
+        throw new Error('Signed URLs support GET, PUT and POST only');
+    }
+    
+    if (!(expiresIn > 0) || expiresIn > MAX_LINK_EXPIRY) {
+        throw new Error('expiresIn must be between 1 and ' + MAX_LINK_EXPIRY + ' seconds');
+    }
+    
+    // A full header value is sent as it is
+    if (options.contentDisposition && !/^[\x20-\x7e]+$/.test(options.contentDisposition)) {
+        throw new Error('contentDisposition must be printable ASCII');
+    }
+    
+    if (method !== 'GET' && options.fileName) {
+        this._normalizeFileName(options.fileName);
+    }
+    
+    if (method === 'GET' && (!FILE_ID_PATTERN.test(fileId) || !this.storage[fileId])) {
+        throw new Error('File not found');
+    }
+    
+    var bucket = method === 'GET' ? this.storage[fileId].bucket : options.bucket || this.config.bucketName;
+    
+    if (!this.buckets[bucket]) {
+        throw new Error('Bucket not found');
+    }
+    
+    // The bucket is part of the signed path
+    var prefix = bucket === this.config.bucketName ? '' : '/buckets/' + bucket;
+    
+    var params = {
+        method: method,
+        path: prefix + (method === 'GET' ? '/download/' + fileId : '/upload/' + this._generateFileId()),
+        expires: Math.floor(Date.now() / 1000) + Math.floor(expiresIn),
+        linkId: crypto.randomBytes(8).toString('hex'),
+        fileName: method === 'GET' ? '' : options.fileName || '',
+        disposition: options.contentDisposition || ''
+    };
+    
+    var query = {
+        'X-Expires': params.expires,
+        'X-Method': method,
+        'X-Key': apiKey,
+        'X-Link-Id': params.linkId
+    };
+    
+    if (params.fileName) query['X-File-Name'] = params.fileName;
+    if (params.disposition) query['X-Disposition'] = params.disposition;
+    query['X-Signature'] = this._signLink(secret, params);
+    
+    var baseUrl = options.baseUrl || 'http://' + this.config.serverHost + ':' + this.config.serverPort;
+    
+    return baseUrl.replace(/\/$/, '') + params.path + '?' + Object.keys(query).map(function(key) {
+        return key + '=' + encodeURIComponent(query[key]);
+    }).join('&');
+};
+
+/**
+ * Revoke a pre-signed URL before it expires
+ * @param {String} signedUrl - The URL, or just its link ID
+ * @param {Function} callback - Callback function
+ */
+CloudStorage.prototype.revokeSignedUrl = function(signedUrl, callback) {
+    var self = this;
+    var query = url.parse(String(signedUrl), true).query;
+    var linkId = query['X-Link-Id'] || signedUrl;
+    var expires = parseInt(query['X-Expires'], 10) || Math.floor(Date.now() / 1000) + MAX_LINK_EXPIRY;
+    var now = Math.floor(Date.now() / 1000);
+    
+    if (!/^[0-9a-f]{16}$/.test(linkId)) {
+        return callback(new Error('Invalid signed URL'));
+    }
+    
+    // Revocations only need to outlive the links they cancel
+    Object.keys(self.revokedLinks).forEach(function(id) {
+        if (self.revokedLinks[id] < now) {
+            delete self.revokedLinks[id];
+        }
+    });
+    
+    self.revokedLinks[linkId] = expires;
+    
+    self._saveIndex(function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        self.logger.info('Signed URL revoked:', linkId);
+        callback(null, { linkId: linkId, revoked: true });
+    });
+};
+
+/**
+ * Verify the pre-signed URL parameters of a request
+ * @private
+ * @returns {Object} { link } when valid, or { statusCode, code, error }
+ */
+CloudStorage.prototype._verifySignedUrl = function(req, parsedUrl) {
+    var query = parsedUrl.query;
+    var apiKey = query['X-Key'];
+    var secret = apiKey && Object.prototype.hasOwnProperty.call(this.config.credentials, apiKey) ?
+        this.config.credentials[apiKey] : null;
+    
+    if (!secret || !query['X-Expires'] || !query['X-Method'] || !query['X-Link-Id']) {
+        return { statusCode: 403, code: 'InvalidLink', error: 'Signed URL is incomplete or uses an unknown key' };
+    }
+    
+    var params = {
+        method: query['X-Method'],
+        path: parsedUrl.pathname,
+        expires: query['X-Expires'],
+        linkId: query['X-Link-Id'],
+        fileName: query['X-File-Name'] || '',
+        disposition: query['X-Disposition'] || ''
+    };
+    var expected = this._signLink(secret, params);
+    var signature = String(query['X-Signature']);
+    
+    if (!/^[0-9a-f]{64}$/.test(signature) ||
+        !crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))) {
+        return { statusCode: 403, code: 'InvalidLinkSignature', error: 'Signed URL has been tampered with' };
+    }
+    
+    if (parseInt(params.expires, 10) * 1000 < Date.now()) {
+        return { statusCode: 403, code: 'ExpiredLink', error: 'Signed URL has expired' };
+    }
+    
+    if (this.revokedLinks[params.linkId]) {
+        return { statusCode: 403, code: 'RevokedLink', error: 'Signed URL has been revoked' };
+    }
+    
+    var method = req.method === 'HEAD' ? 'GET' : req.method;
+    
+    if (method !== params.method) {
+        return { statusCode: 403, code: 'LinkMethodMismatch', error: 'Signed URL is valid for ' + params.method + ' requests only' };
+    }
+    
+    return { link: params };
+};
+
+// ============================================================================
+// HTTP Server Methods
+// ============================================================================
+
+/**
+ * Send JSON response
+ * Bodies of COMPRESSION_THRESHOLD bytes or more are compressed when the
+ * request's Accept-Encoding allows.
+ * @private
+ */
+CloudStorage.prototype._sendJSON = function(res, statusCode, data) {
+    var body = Buffer.from(JSON.stringify(data));
+    var headers = { 'Content-Type': 'application/json' };
+    var compressible = res.req && body.length >= COMPRESSION_THRESHOLD;
+    var encoding = compressible ? this._acceptedEncoding(res.req, COMPRESSION_ALGORITHMS) : null;
+    
+    if (compressible) {
+        this._varyOnEncoding(res);
+    }
+    
+    if (encoding) {
+        body = compressSync(encoding, body);
+        headers['Content-Encoding'] = encoding;
+    }
+    
+    res.writeHead(statusCode, headers);
+    res.end(body);
+};
+
+/**
+ * Read and parse a JSON request body
+ * An empty body parses as an empty object.
+ * @private
+ */
+CloudStorage.prototype._readJSONBody = function(req, callback) {
+    var self = this;
+    var chunks = [];
+    
+    req.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    req.on('error', function(err) {
+        callback(err);
+    });
+    
+    req.on('end', function() {
+        var body = Buffer.concat(chunks).toString();
+        var payloadError = self._verifyPayload(req);
+        
+        if (payloadError) {
+            return callback(payloadError);
+        }
+        
+        if (!body.trim()) {
+            return callback(null, {});
+        }
+        
+        try {
+            callback(null, JSON.parse(body));
+        } catch (e) {
+            callback(new Error('Invalid JSON body'));
+        }
+    });
+};
+
+/**
+ * Read a customer encryption key from the X-Encryption-Key header
+ * @private
+ * @returns {Buffer|null} Key, null if none was sent; throws if it is malformed
+ *   or does not match X-Encryption-Key-Md5
+ */
+CloudStorage.prototype._requestEncryptionKey = function(req) {
+    var header = req.headers['x-encryption-key'];
+    var md5 = req.headers['x-encryption-key-md5'];
+    
+    if (!header) {
+        return null;
+    }
+    
+    var key = Buffer.from(header, 'base64');
+    
+    if (key.length !== 32 || (md5 && crypto.createHash('md5').update(key).digest('base64') !== md5)) {
+        var err = new Error(md5 ? 'X-Encryption-Key does not match X-Encryption-Key-Md5' :
+            'X-Encryption-Key must be a base64 256-bit key');
+        err.code = 'InvalidEncryptionKey';
+        throw err;
+    }
+    
+    return key;
+};
+
+/**
+ * Handle file upload via HTTP
+ * The body is parsed as it arrives and each file part is streamed straight
+ * into its blob, so request size is bounded only by config.maxBodySize.
+ * @private
+ * @param {Object} target - bucket, plus the file ID and name fixed by a signed upload link (optional)
+ */
+CloudStorage.prototype._handleUpload = function(req, res, target) {
+    var self = this;
+    var contentType = req.headers['content-type'] || '';
+    var boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    var maxBodySize = self.config.maxBodySize;
+    var encryption;
+    
+    if (!boundaryMatch) {
+        return self._sendJSON(res, 400, { 
+            error: 'No boundary found in multipart data' 
+        });
+    }
+    
+    try {
+        encryption = self._encryptionTarget(self._requestEncryptionKey(req));
+    } catch (err) {
+        return self._sendJSON(res, 400, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    if (maxBodySize && parseInt(req.headers['content-length'], 10) > maxBodySize) {
+        res.setHeader('Connection', 'close');
+        return self._sendJSON(res, 413, { 
+            error: 'Request body exceeds maximum size of ' + maxBodySize + ' bytes' 
+        });
+    }
+    
+    var parser = new MultipartParser(boundaryMatch[1] || boundaryMatch[2]);
+    var fields = {};
+    var files = [];
+    var current = null;
+    var received = 0;
+    var parsed = false;
+    var failed = false;
+    var bodyMd5 = null;
+    
+    // On the request, Content-MD5 covers the whole body; checksums of a file go on its part
+    try {
+        if (self._parseChecksums(null, req.headers['content-md5'])) {
+            bodyMd5 = crypto.createHash('md5');
+        }
+    } catch (err) {
+        return self._sendJSON(res, 400, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    function fail(statusCode, message, code) {
+        if (failed) return;
+        failed = true;
+        
+        files.forEach(function(entry) {
+            if (!entry.blob) {
+                entry.source.destroy(new Error('Upload aborted'));
+            } else {
+                self._releaseBlob(entry.blob.blobHash);
+            }
+        });
+        
+        if (res.headersSent) {
+            return req.destroy();
+        }
+        
+        // Stop reading the rest of the body once the error has been sent
+        res.on('finish', function() {
+            req.destroy();
+        });
+        res.setHeader('Connection', 'close');
+        self._sendJSON(res, statusCode, { 
+            error: message,
+            code: code
+        });
+    }
+    
+    function complete() {
+        if (failed || !parsed) return;
+        
+        if (files.length === 0) {
+            return fail(400, 'No file found in upload');
+        }
+        
+        var pending = files.filter(function(entry) { return !entry.blob; });
+        if (pending.length > 0) return;
+        
+        var payloadError = self._verifyPayload(req);
+        if (payloadError) {
+            return fail(400, payloadError.message);
+        }
+        
+        if (bodyMd5 && bodyMd5.digest('base64') !== req.headers['content-md5']) {
+            return fail(400, 'Request body does not match Content-MD5', 'BadDigest');
+        }
+        
+        var metadata = {};
+        if (fields.metadata) {
+            try {
+                metadata = JSON.parse(fields.metadata);
+            } catch (e) {
+                // Ignore parse errors
+            }
+        }
+        
+        var expiresAt;
+        
+        try {
+            expiresAt = self._parseExpiresAt(fields.expiresAt);
+        } catch (err) {
+            return fail(400, err.message);
+        }
+        
+        var results = [];
+        
+        (function next(i) {
+            if (i === files.length) {
+                return self._sendJSON(res, 200, {
+                    success: true,
+                    file: results[0],
+                    files: results
+                });
+            }
+            
+            var entry = files[i];
+            
+            self._registerBlob(entry.fileId, {
+                fileName: entry.fileName,
+                size: entry.blob.size,
+                hash: entry.blob.hash,
+                md5: entry.blob.md5,
+                head: entry.blob.head,
+                image: entry.blob.image,
+                blobHash: entry.blob.blobHash,
+                encryption: entry.blob.encryption,
+                compression: entry.blob.compression,
+                contentType: entry.part.contentType,
+                metadata: metadata,
+                bucket: target.bucket,
+                expiresAt: expiresAt,
+                checksums: entry.checksums
+            }, function(err, fileInfo) {
+                if (err) {
+                    var status = self._registerErrorStatus(err);
+                    
+                    failed = true;
+                    files.slice(i + 1).forEach(function(rest) {
+                        self._releaseBlob(rest.blob.blobHash);
+                    });
+                    return self._sendJSON(res, status, { 
+                        error: err.message,
+                        code: status !== 500 ? err.code : undefined,
+                        files: results
+                    });
+                }
+                
+                results.push(fileInfo);
+                next(i + 1);
+            });
+        })(0);
+    }
+    
+    parser.on('part', function(part) {
+        if (!part.filename) {
+            current = { field: part.name, chunks: [], size: 0 };
+            return;
+        }
+        
+        if (target.fileId && files.length > 0) {
+            return fail(400, 'Signed upload URLs accept a single file');
+        }
+        
+        var fileName = target.fileName || part.filename;
+        var checksums;
+        
+        try {
+            checksums = self._parseChecksums(part.headers['x-checksum-sha256'], part.headers['content-md5']);
+        } catch (err) {
+            return fail(400, err.message, err.code);
+        }
+        
+        // Names, and types and extensions ruled out by name, are refused before any data is stored
+        try {
+            self._normalizeFileName(fileName);
+            self._resolveContentType(fileName, part.contentType);
+        } catch (err) {
+            return fail(err.code === 'InvalidArgument' ? 400 : 415, err.message, err.code);
+        }
+        
+        var entry = {
+            fileId: target.fileId || self._generateFileId(),
+            fileName: fileName,
+            checksums: checksums,
+            part: part,
+            source: new stream.PassThrough(),
+            blob: null
+        };
+        
+        entry.source.on('drain', function() {
+            req.resume();
+        });
+        
+        var compression = self._compressionFor(fileName, part.contentType);
+        
+        self._writeBlob(entry.source, entry.fileId, encryption, compression, function(err, blob) {
+            if (failed) {
+                return blob && self._releaseBlob(blob.blobHash);
+            }
+            
+            if (err) {
+                return fail(500, 'Failed to save file: ' + err.message);
+            }
+            
+            entry.blob = blob;
+            complete();
+        });
+        
+        files.push(entry);
+        current = entry;
+    });
+    
+    parser.on('data', function(data) {
+        if (failed) return;
+        
+        if (current.source) {
+            if (!current.source.write(data)) {
+                req.pause();
+            }
+            return;
+        }
+        
+        current.size += data.length;
+        if (current.size > self.config.maxFieldSize) {
+            return fail(413, 'Form field "' + current.field + '" exceeds maximum size of ' + self.config.maxFieldSize + ' bytes');
+        }
+        current.chunks.push(data);
+    });
+    
+    parser.on('partEnd', function() {
+        if (failed) return;
+        
+        if (current.source) {
+            current.source.end();
+        } else {
+            fields[current.field] = Buffer.concat(current.chunks).toString('utf8');
+        }
+        current = null;
+    });
+    
+    parser.on('error', function(err) {
+        fail(400, 'Failed to parse upload data: ' + err.message);
+    });
+    
+    parser.on('finish', function() {
+        parsed = true;
+        complete();
+    });
+    
+    req.on('data', function(chunk) {
+        if (failed) return;
+        
+        received += chunk.length;
+        if (maxBodySize && received > maxBodySize) {
+            return fail(413, 'Request body exceeds maximum size of ' + maxBodySize + ' bytes');
+        }
+        
+        if (bodyMd5) {
+            bodyMd5.update(chunk);
+        }
+        
+        parser.write(chunk);
+    });
+    
+    req.on('end', function() {
+        if (!failed) parser.end();
+    });
+    
+    req.on('close', function() {
+        if (!parsed && !failed) {
+            fail(400, 'Upload aborted by client');
+        }
+    });
+};
+
+/**
+ * Handle a raw-body upload through a signed PUT link
+ * @private
+ * @param {Object} target - bucket, and the file ID and name fixed by the link
+ */
+CloudStorage.prototype._handleRawUpload = function(req, res, target) {
+    var self = this;
+    var maxBodySize = self.config.maxBodySize;
+    var received = 0;
+    var aborted = false;
+    var source = new stream.PassThrough();
+    var encryption;
+    var checksums;
+    
+    try {
+        encryption = self._encryptionTarget(self._requestEncryptionKey(req));
+    } catch (err) {
+        return self._sendJSON(res, 400, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    if (maxBodySize && parseInt(req.headers['content-length'], 10) > maxBodySize) {
+        res.setHeader('Connection', 'close');
+        return self._sendJSON(res, 413, { 
+            error: 'Request body exceeds maximum size of ' + maxBodySize + ' bytes' 
+        });
+    }
+    
+    try {
+        checksums = self._parseChecksums(req.headers['x-checksum-sha256'], req.headers['content-md5']);
+    } catch (err) {
+        res.setHeader('Connection', 'close');
+        return self._sendJSON(res, 400, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    try {
+        self._normalizeFileName(target.fileName || target.fileId);
+        self._resolveContentType(target.fileName || target.fileId, req.headers['content-type']);
+    } catch (err) {
+        res.setHeader('Connection', 'close');
+        return self._sendJSON(res, err.code === 'InvalidArgument' ? 400 : 415, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    function abort(statusCode, message) {
+        if (aborted) return;
+        aborted = true;
+        
+        source.destroy(new Error(message));
+        res.on('finish', function() {
+            req.destroy();
+        });
+        res.setHeader('Connection', 'close');
+        self._sendJSON(res, statusCode, { 
+            error: message 
+        });
+    }
+    
+    req.on('data', function(chunk) {
+        received += chunk.length;
+        if (maxBodySize && received > maxBodySize) {
+            return abort(413, 'Request body exceeds maximum size of ' + maxBodySize + ' bytes');
+        }
+    });
+    
+    req.on('close', function() {
+        if (!req.complete) {
+            abort(400, 'Upload aborted by client');
+        }
+    });
+    
+    var compression = self._compressionFor(target.fileName || target.fileId, req.headers['content-type']);
+    
+    self._writeBlob(source, target.fileId, encryption, compression, function(err, blob) {
+        if (aborted) {
+            return blob && self._releaseBlob(blob.blobHash);
+        }
+        
+        if (err) {
+            return self._sendJSON(res, 500, { 
+                error: 'Failed to save file: ' + err.message 
+            });
+        }
+        
+        self._registerBlob(target.fileId, {
+            fileName: target.fileName || target.fileId,
+            size: blob.size,
+            hash: blob.hash,
+            md5: blob.md5,
+            head: blob.head,
+            image: blob.image,
+            blobHash: blob.blobHash,
+            encryption: blob.encryption,
+            compression: blob.compression,
+            contentType: req.headers['content-type'],
+            bucket: target.bucket,
+            checksums: checksums
+        }, function(err, fileInfo) {
+            if (err) {
+                var status = self._registerErrorStatus(err);
+                
+                return self._sendJSON(res, status, { 
+                    error: err.message,
+                    code: status !== 500 ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                file: fileInfo
+            });
+        });
+    });
+    
+    req.pipe(source);
+};
+
+/**
+ * Handle an upload through a signed PUT or POST link
+ * @private
+ * @param {String} bucket - Bucket the link uploads to
+ */
+CloudStorage.prototype._handleSignedUpload = function(req, res, fileId, link, bucket) {
+    var self = this;
+    
+    if (!FILE_ID_PATTERN.test(fileId) || self.storage[fileId] || self.versions[fileId] || self._linkUploads[fileId]) {
+        return self._sendJSON(res, 409, { 
+            error: 'Signed upload URL has already been used',
+            code: 'LinkAlreadyUsed'
+        });
+    }
+    
+    var target = { bucket: bucket, fileId: fileId, fileName: link.fileName };
+    
+    self._linkUploads[fileId] = true;
+    res.on('close', function() {
+        delete self._linkUploads[fileId];
+        
+        // Uploading to an existing name stores a version under that file's ID,
+        // so the link is revoked to keep it single-use
+        if (res.statusCode === 200) {
+            self.revokeSignedUrl(link.linkId, function() {});
+        }
+    });
+    
+    if (req.method === 'PUT') {
+        return self._handleRawUpload(req, res, target);
+    }
+    
+    self._handleUpload(req, res, target);
+};
+
+/**
+ * Parse a Range header against a resource size
+ * @private
+ * @param {String} header - Range header value
+ * @param {Number} size - Resource size in bytes
+ * @returns {Array|Number|null} Sorted, merged [{ start, end }] ranges,
+ *   -1 when no range is satisfiable, or null when the header should be ignored
+ */
+CloudStorage.prototype._parseRange = function(header, size) {
+    var match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+    
+    if (!match) {
+        return null;
+    }
+    
+    var specs = match[1].split(',');
+    var ranges = [];
+    
+    if (specs.length > MAX_RANGES) {
+        return null;
+    }
+    
+    for (var i = 0; i < specs.length; i++) {
+        var spec = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(specs[i]);
+        
+        if (!spec || (spec[1] === '' && spec[2] === '')) {
+            return null;
+        }
+        
+        var start, end;
+        
+        if (spec[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(size - parseInt(spec[2], 10), 0);
+            end = size - 1;
+            if (parseInt(spec[2], 10) === 0) continue;
+        } else {
+            start = parseInt(spec[1], 10);
+            end = spec[2] === '' ? size - 1 : Math.min(parseInt(spec[2], 10), size - 1);
+            if (spec[2] !== '' && parseInt(spec[2], 10) < start) {
+                return null;
+            }
+        }
+        
+        if (start < size && start <= end) {
+            ranges.push({ start: start, end: end });
+        }
+    }
+    
+    if (ranges.length === 0) {
+        return -1;
+    }
+    
+    ranges.sort(function(a, b) { return a.start - b.start; });
+    
+    return ranges.reduce(function(merged, range) {
+        var last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+        return merged;
+    }, []);
+};
+
+/**
+ * Check whether an If-None-Match header matches an ETag (weak comparison)
+ * @private
+ */
+CloudStorage.prototype._etagMatches = function(header, etag) {
+    if (header.trim() === '*') {
+        return true;
+    }
+    
+    return header.split(',').some(function(candidate) {
+        return candidate.trim().replace(/^W\//, '') === etag;
+    });
+};
+
+/**
+ * Handle file download via HTTP
+ * Supports HEAD, conditional requests (If-None-Match, If-Modified-Since)
+ * and byte ranges (Range, If-Range) including multipart/byteranges.
+ * Types in config.inlineTypes are served inline, others as attachments.
+ * A file compressed at rest is sent as stored when Accept-Encoding takes
+ * its algorithm and no range is asked for; its ETag then names the coding.
+ * @private
+ * @param {Object} options - versionId, and contentDisposition override from a signed URL (optional)
+ */
+CloudStorage.prototype._handleDownload = function(req, res, fileId, options) {
+    var self = this;
+    
+    options = options || {};
+    
+    var fileInfo = self._findVersion(fileId, options.versionId);
+    
+    if (!fileInfo || fileInfo.isDeleteMarker) {
+        return self._sendJSON(res, 404, { 
+            error: options.versionId ? 'Version not found' : 'File not found' 
+        });
+    }
+    
+    var dataKey;
+    
+    try {
+        dataKey = self._dataKeyFor(fileInfo, self._requestEncryptionKey(req));
+    } catch (err) {
+        return self._sendJSON(res, err.code === 'EncryptionKeyMismatch' ? 403 :
+            err.code === 'MissingMasterKey' ? 500 : 400, { 
+            error: err.message,
+            code: err.code
+        });
+    }
+    
+    function read(start, end) {
+        return self._readBlob(fileInfo, dataKey, start, end);
+    }
+    
+    self.backend.stat(self._blobKey(self._blobOf(fileInfo)), function(err, stats) {
+        if (err) {
+            return self._sendJSON(res, err.code === 'ENOENT' ? 404 : 502, { 
+                error: err.code === 'ENOENT' ? 'File not found in storage' : 'Storage backend unavailable' 
+            });
+        }
+        
+        var size = self._contentSize(fileInfo, stats);
+        var contentType = fileInfo.contentType || DEFAULT_CONTENT_TYPE;
+        var encoding = fileInfo.compression && !req.headers.range ?
+            self._acceptedEncoding(req, [fileInfo.compression.algorithm]) : null;
+        var etag = '"' + fileInfo.hash + (encoding ? '-' + encoding : '') + '"';
+        var lastModified = new Date(fileInfo.uploadedAt);
+        // HTTP dates carry whole seconds only
+        var lastModifiedSeconds = Math.floor(lastModified.getTime() / 1000);
+        var ifNoneMatch = req.headers['if-none-match'];
+        var ifModifiedSince = req.headers['if-modified-since'];
+        
+        var headers = {
+            'Accept-Ranges': 'bytes',
+            'ETag': etag,
+            'X-Version-Id': fileInfo.versionId,
+            'Last-Modified': lastModified.toUTCString(),
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Disposition': self._contentDisposition(options.contentDisposition || self._dispositionFor(contentType), fileInfo.fileName)
+        };
+        
+        if (fileInfo.compression) {
+            self._varyOnEncoding(res);
+        }
+        
+        var notModified = ifNoneMatch ? self._etagMatches(ifNoneMatch, etag) :
+            ifModifiedSince && Math.floor(Date.parse(ifModifiedSince) / 1000) >= lastModifiedSeconds;
+        
+        if (notModified) {
+            delete headers['Content-Disposition'];
+            res.writeHead(304, headers);
+            return res.end();
+        }
+        
+        var ranges = null;
+        var ifRange = req.headers['if-range'];
+        
+        if (req.headers.range && size > 0) {
+            var rangeValid = !ifRange || (/^(W\/)?"/.test(ifRange) ?
+                ifRange === etag :
+                Math.floor(Date.parse(ifRange) / 1000) === lastModifiedSeconds);
+            
+            if (rangeValid) {
+                ranges = self._parseRange(req.headers.range, size);
+            }
+        }
+        
+        if (ranges === -1) {
+            res.setHeader('Content-Range', 'bytes */' + size);
+            return self._sendJSON(res, 416, { 
+                error: 'Range not satisfiable' 
+            });
+        }
+        
+        var head = req.method === 'HEAD';
+        
+        if (encoding) {
+            headers['Content-Type'] = contentType;
+            headers['Content-Encoding'] = encoding;
+            headers['Content-Length'] = stats.size;
+            res.writeHead(200, headers);
+            return head ? res.end() : self._streamRange(res, function() {
+                return self._readStored(fileInfo, dataKey);
+            }, 0, stats.size - 1, true);
+        }
+        
+        if (!ranges) {
+            headers['Content-Type'] = contentType;
+            headers['Content-Length'] = size;
+            res.writeHead(200, headers);
+            return head ? res.end() : self._streamRange(res, read, 0, size - 1, true);
+        }
+        
+        if (ranges.length === 1) {
+            headers['Content-Type'] = contentType;
+            headers['Content-Length'] = ranges[0].end - ranges[0].start + 1;
+            headers['Content-Range'] = 'bytes ' + ranges[0].start + '-' + ranges[0].end + '/' + size;
+            res.writeHead(206, headers);
+            return head ? res.end() : self._streamRange(res, read, ranges[0].start, ranges[0].end, true);
+        }
+        
+        var boundary = crypto.randomBytes(12).toString('hex');
+        var partHeaders = ranges.map(function(range) {
+            return '\r\n--' + boundary + '\r\n' +
+                'Content-Type: ' + contentType + '\r\n' +
+                'Content-Range: bytes ' + range.start + '-' + range.end + '/' + size + '\r\n\r\n';
+        });
+        var closing = '\r\n--' + boundary + '--\r\n';
+        var length = Buffer.byteLength(closing);
+        
+        ranges.forEach(function(range, i) {
+            length += Buffer.byteLength(partHeaders[i]) + range.end - range.start + 1;
+        });
+        
+        headers['Content-Type'] = 'multipart/byteranges; boundary=' + boundary;
+        headers['Content-Length'] = length;
+        res.writeHead(206, headers);
+        
+        if (head) {
+            return res.end();
+        }
+        
+        (function next(i) {
+            if (i === ranges.length) {
+                return res.end(closing);
+            }
+            
+            res.write(partHeaders[i]);
+            self._streamRange(res, read, ranges[i].start, ranges[i].end, false, function() {
+                next(i + 1);
+            });
+        })(0);
+    });
+};
+
+/**
+ * Build a Content-Disposition header value
+ * @private
+ * @param {String} disposition - 'inline', 'attachment' or a full header value
+ * @param {String} fileName - File name to offer
+ */
+CloudStorage.prototype._contentDisposition = function(disposition, fileName) {
+    if (disposition !== 'inline' && disposition !== 'attachment') {
+        return disposition;
+    }
+    
+    // Header values cannot hold control characters or anything outside Latin-1,
+    // so the quoted name is a printable ASCII stand-in and filename* has the real one
+    var fallback = String(fileName).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    var encoded;
+    
+    try {
+        encoded = encodeURIComponent(fileName);
+    } catch (err) {
+        // Unpaired surrogates have no UTF-8 form
+        encoded = encodeURIComponent(fallback);
+    }
+    
+    return disposition + '; filename="' + fallback + '"; ' +
+        "filename*=UTF-8''" + encoded.replace(/['()*]/g, function(c) {
+            return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+};
+
+/**
+ * Stream a byte range of a file into a response
+ * @private
+ * @param {Function} read - Opens a stream of the file's bytes from start to end
+ * @param {Boolean} endResponse - End the response when the range is done
+ * @param {Function} callback - Called when the range has been written
+ */
+CloudStorage.prototype._streamRange = function(res, read, start, end, endResponse, callback) {
+    if (end < start) {
+        return endResponse ? res.end() : callback();
+    }
+    
+    var readStream = read(start, end);
+    
+    readStream.on('error', function() {
+        res.destroy();
+    });
+    
+    if (!endResponse) {
+        readStream.on('end', callback);
+    }
+    
+    readStream.pipe(res, { end: endResponse });
+};
+
+/**
+ * Handle getting an image thumbnail via HTTP
+ * ?w= and ?h= give the box it fits in; a thumbnail is named by its data
+ * and box, so If-None-Match is answered without making it.
+ * @private
+ */
+CloudStorage.prototype._handleThumbnail = function(req, res, fileId, query) {
+    var self = this;
+    var fileInfo = self._findVersion(fileId, query.versionId);
+    var customerKey;
+    var box;
+    
+    if (!fileInfo || fileInfo.isDeleteMarker) {
+        return self._sendJSON(res, 404, { 
+            error: query.versionId ? 'Version not found' : 'File not found' 
+        });
+    }
+    
+    function fail(err) {
+        self._sendJSON(res, self._thumbnailErrorStatus(err), {
+            error: err.message,
+            code: err.code && !/^E[A-Z]+$/.test(err.code) ? err.code : undefined
+        });
+    }
+    
+    try {
+        box = self._thumbnailBox(query.w, query.h);
+        customerKey = self._requestEncryptionKey(req);
+        self._dataKeyFor(fileInfo, customerKey);
+    } catch (err) {
+        return fail(err);
+    }
+    
+    var etag = '"' + fileInfo.hash + '-' + box.width + 'x' + box.height + '"';
+    
+    if (req.headers['if-none-match'] && self._etagMatches(req.headers['if-none-match'], etag)) {
+        res.writeHead(304, { 'ETag': etag, 'X-Version-Id': fileInfo.versionId });
+        return res.end();
+    }
+    
+    self.getThumbnail(fileId, {
+        width: box.width,
+        height: box.height,
+        versionId: query.versionId,
+        encryptionKey: customerKey
+    }, function(err, thumbnail) {
+        if (err) {
+            return fail(err);
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': thumbnail.contentType,
+            'Content-Length': thumbnail.data.length,
+            'ETag': etag,
+            'X-Version-Id': fileInfo.versionId,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(thumbnail.data);
+    });
+};
+
+/**
+ * Get the HTTP status for a thumbnail error
+ * @private
+ */
+CloudStorage.prototype._thumbnailErrorStatus = function(err) {
+    if (/not found/i.test(err.message) || err.code === 'ENOENT') return 404;
+    if (err.code === 'EncryptionKeyMismatch') return 403;
+    if (err.code === 'UnsupportedMediaType' || err.code === 'UnsupportedImage') return 415;
+    if (err.code === 'InvalidImage' || err.code === 'ImageTooLarge') return 422;
+    if (err.code === 'InvalidThumbnailSize' || err.code === 'MissingEncryptionKey' || err.code === 'InvalidEncryptionKey') return 400;
+    return 500;
+};
+
+/**
+ * Handle file deletion via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleDelete = function(req, res, fileId, query) {
+    var self = this;
+    
+    self.delete(fileId, { versionId: query.versionId }, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, 404, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle list files via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleList = function(req, res, query, bucket) {
+    var self = this;
+    var options = { bucket: bucket };
+    
+    ['prefix', 'delimiter', 'sortBy', 'order', 'contentType', 'minSize', 'maxSize',
+        'uploadedAfter', 'uploadedBefore', 'limit', 'continuationToken'].forEach(function(name) {
+        if (typeof query[name] === 'string' && query[name] !== '') options[name] = query[name];
+    });
+    
+    if (query.versions === 'true') options.versions = true;
+    
+    // Metadata filters arrive as metadata.<key>=<value>
+    Object.keys(query).forEach(function(name) {
+        if (name.indexOf('metadata.') === 0 && name.length > 9) {
+            options.metadata = options.metadata || {};
+            options.metadata[name.slice(9)] = String(query[name]);
+        }
+    });
+    
+    self.list(options, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, err.code === 'InvalidArgument' ? 400 : 500, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle a metadata query via HTTP
+ * Conditions come as JSON in ?where=, or as field=value pairs for equality
+ * @private
+ */
+CloudStorage.prototype._handleSearch = function(req, res, query, bucket) {
+    var self = this;
+    var options = { bucket: bucket, where: {} };
+    
+    ['sortBy', 'order', 'limit', 'continuationToken'].forEach(function(name) {
+        if (typeof query[name] === 'string' && query[name] !== '') options[name] = query[name];
+    });
+    
+    if (query.where) {
+        try {
+            options.where = JSON.parse(query.where);
+        } catch (e) {
+            return self._sendJSON(res, 400, { 
+                error: 'where must be valid JSON' 
+            });
+        }
+        
+        if (!options.where || typeof options.where !== 'object' || Array.isArray(options.where)) {
+            return self._sendJSON(res, 400, { 
+                error: 'where must be a JSON object' 
+            });
+        }
+    }
+    
+    Object.keys(query).forEach(function(name) {
+        if (INDEXED_FIELDS.indexOf(name) !== -1 || /^metadata\..+/.test(name)) {
+            options.where[name] = String(query[name]);
+        }
+    });
+    
+    self.query(options, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, err.code === 'InvalidArgument' ? 400 : 500, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle get file info via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleGetInfo = function(req, res, fileId, query) {
+    var self = this;
+    
+    self.getFileInfo(fileId, { versionId: query.versionId, verify: query.verify === 'true' }, function(err, info) {
+        if (err) {
+            return self._sendJSON(res, 404, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            info: info
+        });
+    });
+};
+
+/**
+ * Handle listing a file's versions via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleListVersions = function(req, res, fileId) {
+    var self = this;
+    
+    self.listVersions(fileId, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, 404, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle restoring a version via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleRestore = function(req, res, fileId) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        if (!body.versionId) {
+            return self._sendJSON(res, 400, { 
+                error: 'versionId is required' 
+            });
+        }
+        
+        self.restoreVersion(fileId, body.versionId, function(err, result) {
+            if (err) {
+                return self._sendJSON(res, err.code === 'QuotaExceeded' ? 507 : /not found/i.test(err.message) ? 404 : 400, { 
+                    error: err.message,
+                    code: err.code === 'QuotaExceeded' ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                file: result
+            });
+        });
+    });
+};
+
+/**
+ * Handle get storage stats via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleStats = function(req, res, query, bucket) {
+    var self = this;
+    
+    self.getStats({ bucket: bucket, folder: query.folder }, function(err, stats) {
+        if (err) {
+            return self._sendFolderError(res, err);
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            stats: stats
+        });
+    });
+};
+
+/**
+ * Handle reading a bucket's lifecycle rules via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleGetLifecycle = function(req, res, bucket) {
+    var self = this;
+    
+    self.getLifecycleRules(bucket, function(err, rules) {
+        if (err) {
+            return self._sendJSON(res, 404, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            bucket: bucket,
+            rules: rules
+        });
+    });
+};
+
+/**
+ * Handle replacing a bucket's lifecycle rules via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleSetLifecycle = function(req, res, bucket) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.setLifecycleRules(bucket, body.rules, function(err, rules) {
+            if (err) {
+                return self._sendJSON(res, err.code === 'InvalidArgument' ? 400 : 500, { 
+                    error: err.message 
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                bucket: bucket,
+                rules: rules
+            });
+        });
+    });
+};
+
+/**
+ * Handle applying lifecycle rules via HTTP; a body with rules previews them
+ * @private
+ */
+CloudStorage.prototype._handleRunLifecycle = function(req, res, query, bucket) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.applyLifecycle({
+            bucket: bucket,
+            rules: body.rules,
+            dryRun: query.dryRun === 'true' || body.dryRun === true
+        }, function(err, report) {
+            if (err) {
+                return self._sendJSON(res, err.code === 'InvalidArgument' ? 400 : 500, { 
+                    error: err.message 
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                report: report
+            });
+        });
+    });
+};
+
+/**
+ * Handle the scrub route: GET returns the last report, POST runs a scrub
+ * (repair and quarantine from the query or a JSON body) and returns its report
+ * @private
+ */
+CloudStorage.prototype._handleScrub = function(req, res, method, query) {
+    var self = this;
+    
+    if (method === 'GET') {
+        return self._sendJSON(res, 200, {
+            success: true,
+            running: self._scrubbing,
+            report: self._lastScrub
+        });
+    }
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.scrub({
+            repair: query.repair === 'true' || body.repair === true,
+            quarantine: query.quarantine === 'true' || body.quarantine === true
+        }, function(err, report) {
+            if (err) {
+                return self._sendJSON(res, err.code === 'ScrubInProgress' ? 409 : 500, { 
+                    error: err.message,
+                    code: err.code === 'ScrubInProgress' ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                report: report
+            });
+        });
+    });
+};
+
+/**
+ * Handle file copy via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleCopy = function(req, res, fileId) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.copy(fileId, {
+            fileName: body.fileName,
+            metadata: body.metadata,
+            bucket: body.bucket
+        }, function(err, result) {
+            if (err) {
+                var status = err.code === 'QuotaExceeded' ? 507 : err.code === 'InvalidArgument' ? 400 :
+                    /not found/.test(err.message) ? 404 : 500;
+                
+                return self._sendJSON(res, status, { 
+                    error: err.message,
+                    code: status === 507 || status === 400 ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                file: result
+            });
+        });
+    });
+};
+
+/**
+ * Handle metadata update via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleUpdateMetadata = function(req, res, fileId) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        var metadata = body.metadata !== undefined ? body.metadata : body;
+        
+        self.updateMetadata(fileId, metadata, function(err, result) {
+            if (err) {
+                return self._sendJSON(res, err.message === 'File not found' ? 404 : 400, { 
+                    error: err.message 
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                result: result
+            });
+        });
+    });
+};
+
+/**
+ * Handle clearing all files in a bucket via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleClear = function(req, res, bucket) {
+    var self = this;
+    
+    self.clear({ bucket: bucket }, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, 500, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Get the HTTP status for a folder, move or rename error
+ * @private
+ */
+CloudStorage.prototype._folderErrorStatus = function(err) {
+    if (/not found/i.test(err.message)) return 404;
+    if (err.code === 'FileExists' || err.code === 'FolderNotEmpty') return 409;
+    if (err.code === 'InvalidArgument') return 400;
+    if (err.code === 'UnsupportedMediaType') return 415;
+    return 500;
+};
+
+/**
+ * Send a folder, move or rename error
+ * @private
+ */
+CloudStorage.prototype._sendFolderError = function(res, err) {
+    this._sendJSON(res, this._folderErrorStatus(err), {
+        error: err.message,
+        code: err.code && !/^E[A-Z]+$/.test(err.code) ? err.code : undefined
+    });
+};
+
+/**
+ * Handle listing a folder via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleListFolder = function(req, res, query, bucket) {
+    var self = this;
+    
+    self.listFolder(query.path, { bucket: bucket }, function(err, result) {
+        if (err) {
+            return self._sendFolderError(res, err);
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle folder creation via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleCreateFolder = function(req, res, bucket) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.createFolder(body.path, { bucket: bucket }, function(err, result) {
+            if (err) {
+                return self._sendFolderError(res, err);
+            }
+            
+            self._sendJSON(res, result.created ? 201 : 200, {
+                success: true,
+                folder: result
+            });
+        });
+    });
+};
+
+/**
+ * Handle folder deletion via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleDeleteFolder = function(req, res, query, bucket) {
+    var self = this;
+    
+    self.deleteFolder(query.path, {
+        bucket: bucket,
+        recursive: query.recursive === 'true'
+    }, function(err, result) {
+        if (err) {
+            return self._sendFolderError(res, err);
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle moving or renaming a file via HTTP
+ * @private
+ * @param {String} action - 'move' (body: path) or 'rename' (body: name)
+ */
+CloudStorage.prototype._handleMove = function(req, res, fileId, action) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        function done(err, result) {
+            if (err) {
+                return self._sendFolderError(res, err);
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                file: result
+            });
+        }
+        
+        if (action === 'rename') {
+            return self.rename(fileId, body.name, done);
+        }
+        
+        self.move(fileId, body.path, done);
+    });
+};
+
+/**
+ * Get the HTTP status for an error registering an uploaded file
+ * @private
+ */
+CloudStorage.prototype._registerErrorStatus = function(err) {
+    if (err.code === 'QuotaExceeded') return 507;
+    if (err.code === 'UnsupportedMediaType') return 415;
+    if (err.code === 'BadDigest') return 400;
+    if (err.code === 'InvalidArgument') return 400;
+    return 500;
+};
+
+/**
+ * Get the HTTP status for a resumable upload error
+ * @private
+ */
+CloudStorage.prototype._uploadErrorStatus = function(err) {
+    if (/not found/i.test(err.message)) return 404;
+    if (err.message === 'Upload is being completed') return 409;
+    if (err.code === 'QuotaExceeded') return 507;
+    if (err.code === 'UnsupportedMediaType') return 415;
+    if (err.code && /^E[A-Z]+$/.test(err.code)) return 500;
+    return 400;
+};
+
+/**
+ * Handle starting a resumable upload via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleInitiateUpload = function(req, res, bucket) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        self.initiateUpload({
+            fileName: body.fileName,
+            contentType: body.contentType,
+            metadata: body.metadata,
+            bucket: bucket
+        }, function(err, upload) {
+            if (err) {
+                return self._sendJSON(res, self._uploadErrorStatus(err), { 
+                    error: err.message,
+                    code: err.code === 'UnsupportedMediaType' || err.code === 'InvalidArgument' ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                upload: upload
+            });
+        });
+    });
+};
+
+/**
+ * Handle one part of a resumable upload via HTTP. The raw body is the
+ * part; X-Checksum-Sha256, or else a signed X-Content-Sha256, is checked
+ * before the part is kept.
+ * @private
+ */
+CloudStorage.prototype._handleUploadPart = function(req, res, uploadId, partNumber) {
+    var self = this;
+    var maxBodySize = self.config.maxBodySize;
+    var payloadHash = req.headers['x-content-sha256'];
+    var received = 0;
+    var aborted = false;
+    var source = new stream.PassThrough();
+    
+    if (maxBodySize && parseInt(req.headers['content-length'], 10) > maxBodySize) {
+        res.setHeader('Connection', 'close');
+        return self._sendJSON(res, 413, { 
+            error: 'Request body exceeds maximum size of ' + maxBodySize + ' bytes' 
+        });
+    }
+    
+    function abort(statusCode, message) {
+        if (aborted) return;
+        aborted = true;
+        
+        source.destroy(new Error(message));
+        res.on('finish', function() {
+            req.destroy();
+        });
+        res.setHeader('Connection', 'close');
+        self._sendJSON(res, statusCode, { 
+            error: message 
+        });
+    }
+    
+    req.on('data', function(chunk) {
+        received += chunk.length;
+        if (maxBodySize && received > maxBodySize) {
+            return abort(413, 'Request body exceeds maximum size of ' + maxBodySize + ' bytes');
+        }
+    });
+    
+    req.on('close', function() {
+        if (!req.complete) {
+            abort(400, 'Upload aborted by client');
+        }
+    });
+    
+    self.uploadPart(uploadId, partNumber, source, {
+        checksum: req.headers['x-checksum-sha256'] || (payloadHash !== UNSIGNED_PAYLOAD ? payloadHash : undefined),
+        contentMd5: req.headers['content-md5']
+    }, function(err, part) {
+        if (aborted) return;
+        
+        if (err) {
+            return self._sendJSON(res, self._uploadErrorStatus(err), { 
+                error: err.message,
+                code: err.code === 'BadDigest' || err.code === 'InvalidDigest' ? err.code : undefined
+            });
+        }
+        
+        var payloadError = self._verifyPayload(req);
+        if (payloadError) {
+            return self._sendJSON(res, 400, { 
+                error: payloadError.message,
+                code: payloadError.code
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            part: part
+        });
+    });
+    
+    req.pipe(source);
+};
+
+/**
+ * Handle listing the parts of a resumable upload via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleListParts = function(req, res, uploadId) {
+    var self = this;
+    
+    self.listParts(uploadId, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, 404, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle completing a resumable upload via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleCompleteUpload = function(req, res, uploadId) {
+    var self = this;
+    
+    self._readJSONBody(req, function(err, body) {
+        if (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message 
+            });
+        }
+        
+        var encryptionKey;
+        
+        try {
+            encryptionKey = self._requestEncryptionKey(req);
+        } catch (err) {
+            return self._sendJSON(res, 400, { 
+                error: err.message,
+                code: err.code
+            });
+        }
+        
+        self.completeUpload(uploadId, {
+            parts: body.parts,
+            checksum: body.checksum,
+            contentMd5: body.contentMd5,
+            encryptionKey: encryptionKey
+        }, function(err, fileInfo) {
+            if (err) {
+                return self._sendJSON(res, self._uploadErrorStatus(err), { 
+                    error: err.message,
+                    code: ['BadDigest', 'InvalidDigest', 'QuotaExceeded', 'UnsupportedMediaType', 'InvalidArgument'].indexOf(err.code) !== -1 ? err.code : undefined
+                });
+            }
+            
+            self._sendJSON(res, 200, {
+                success: true,
+                file: fileInfo
+            });
+        });
+    });
+};
+
+/**
+ * Handle aborting a resumable upload via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleAbortUpload = function(req, res, uploadId) {
+    var self = this;
+    
+    self.abortUpload(uploadId, function(err, result) {
+        if (err) {
+            return self._sendJSON(res, self._uploadErrorStatus(err), { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Handle listing buckets via HTTP
+ * @private
+ */
+CloudStorage.prototype._handleListBuckets = function(req, res) {
+    var self = this;
+    
+    self.listBuckets(function(err, result) {
+        if (err) {
+            return self._sendJSON(res, 500, { 
+                error: err.message 
+            });
+        }
+        
+        self._sendJSON(res, 200, {
+            success: true,
+            result: result
+        });
+    });
+};
+
+/**
+ * Route webhook subscription, delivery log and dead-letter requests
+ * @private
+ */
+CloudStorage.prototype._handleWebhookRoute = function(req, res, method, pathname, query) {
+    var self = this;
+    var parts = pathname.split('/').slice(2);
+    
+    function reply(statusCode) {
+        return function(err, result) {
+            if (err) {
+                return self._sendJSON(res, /not found/i.test(err.message) ? 404 :
+                    err.code === 'InvalidArgument' ? 400 : 500, { 
+                    error: err.message 
+                });
+            }
+            
+            self._sendJSON(res, statusCode, {
+                success: true,
+                result: result
+            });
+        };
+    }
+    
+    function withBody(operation) {
+        self._readJSONBody(req, function(err, body) {
+            if (err) {
+                return self._sendJSON(res, 400, { 
+                    error: err.message 
+                });
+            }
+            operation(body);
+        });
+    }
+    
+    if (parts.length === 0 && method === 'GET') {
+        return self.listWebhooks(reply(200));
+    }
+    
+    if (parts.length === 0 && method === 'POST') {
+        return withBody(function(body) {
+            self.createWebhook(body, reply(201));
+        });
+    }
+    
+    if (parts[0] === 'dead-letters') {
+        if (parts.length === 1 && method === 'GET') {
+            return self.listDeadLetters(reply(200));
+        }
+        
+        if (parts.length === 3 && parts[2] === 'retry' && method === 'POST') {
+            return self.retryDeadLetter(parts[1], reply(202));
+        }
+    } else if (parts.length === 1) {
+        if (method === 'GET') {
+            return self.getWebhook(parts[0], reply(200));
+        }
+        
+        if (method === 'PATCH') {
+            return withBody(function(body) {
+                self.updateWebhook(parts[0], body, reply(200));
             });
         }
         
-        self._sendJSON(res, 200, {
-            success: true,
-            result: result
-        });
-    });
-};
-
-/**
- * Handle list files via HTTP
- * @private
- */
-CloudStorage.prototype._handleList = function(req, res, query) {
-    var self = this;
-    var options = {};
-    
-    if (query.prefix) options.prefix = query.prefix;
-    if (query.limit) options.limit = parseInt(query.limit);
-    
-    self.list(options, function(err, result) {
-        if (err) {
-            return self._sendJSON(res, 500, { 
-                error: err.message 
+        if (method === 'DELETE') {
+            return self.deleteWebhook(parts[0], reply(200));
+        }
+    } else if (parts.length === 2 && parts[1] === 'deliveries' && method === 'GET') {
+        if (!Object.prototype.hasOwnProperty.call(self.webhooks, parts[0])) {
+            return self._sendJSON(res, 404, { 
+                error: 'Webhook not found' 
             });
         }
         
-        self._sendJSON(res, 200, {
-            success: true,
-            result: result
-        });
+        return self.listWebhookDeliveries({
+            webhookId: parts[0],
+            limit: parseInt(query.limit, 10) || undefined
+        }, reply(200));
+    }
+    
+    self._sendJSON(res, 404, { 
+        error: 'Endpoint not found' 
     });
 };
 
 /**
- * Handle get file info via HTTP
+ * Handle bucket creation via HTTP
  * @private
  */
-CloudStorage.prototype._handleGetInfo = function(req, res, fileId) {
+CloudStorage.prototype._handleCreateBucket = function(req, res, bucket) {
     var self = this;
     
-    self.getFileInfo(fileId, function(err, info) {
+    self.createBucket(bucket, function(err, info) {
         if (err) {
-            return self._sendJSON(res, 404, { 
+            return self._sendJSON(res, err.message === 'Bucket already exists' ? 409 : 400, { 
                 error: err.message 
             });
         }
         
-        self._sendJSON(res, 200, {
+        self._sendJSON(res, 201, {
             success: true,
-            info: info
+            bucket: info
         });
     });
 };
 
 /**
- * Handle get storage stats via HTTP
+ * Handle bucket deletion via HTTP
  * @private
  */
-CloudStorage.prototype._handleStats = function(req, res) {
+CloudStorage.prototype._handleDeleteBucket = function(req, res, bucket, query) {
     var self = this;
     
-    self.getStats(function(err, stats) {
+    self.deleteBucket(bucket, { force: query.force === 'true' }, function(err, result) {
         if (err) {
-            return self._sendJSON(res, 500, { 
+            var statusCode = 400;
+            
+            if (err.message === 'Bucket not found') statusCode = 404;
+            if (err.message === 'Bucket is not empty') statusCode = 409;
+            
+            return self._sendJSON(res, statusCode, { 
                 error: err.message 
             });
         }
         
         self._sendJSON(res, 200, {
             success: true,
-            stats: stats
+            result: result
         });
     });
 };
@@ -645,43 +12783,250 @@ CloudStorage.prototype.startServer = function(callback) {
         var query = parsedUrl.query;
         var method = req.method;
         
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        var corsAllowed = self._applyCors(req, res);
         
         if (method === 'OPTIONS') {
-            res.writeHead(200);
+            res.writeHead(corsAllowed ? 204 : 403);
             res.end();
             return;
         }
         
-        console.log(method, pathname);
+        if (!corsAllowed) {
+            return self._sendJSON(res, 403, { 
+                error: 'Origin not allowed',
+                code: 'OriginNotAllowed'
+            });
+        }
+        
+        self.logger.info(method, pathname);
+        
+        // Every request counts against its client address before any signature
+        // is checked, so guessing at keys and signatures is limited too
+        if (!self._checkRateLimit(res, 'ip:' + req.socket.remoteAddress)) {
+            return;
+        }
+        
+        var signedLink = null;
+        
+        if (query['X-Signature'] !== undefined) {
+            var verified = self._verifySignedUrl(req, parsedUrl);
+            
+            if (!verified.link) {
+                return self._sendJSON(res, verified.statusCode, { 
+                    error: verified.error,
+                    code: verified.code
+                });
+            }
+            
+            signedLink = verified.link;
+        } else if (self.config.requireAuth && pathname !== '/') {
+            var authError = self._authenticate(req, parsedUrl);
+            
+            if (authError) {
+                if (authError.statusCode === 401) {
+                    res.setHeader('WWW-Authenticate', AUTH_ALGORITHM);
+                }
+                return self._sendJSON(res, authError.statusCode, { 
+                    error: authError.error,
+                    code: authError.code
+                });
+            }
+        }
+        
+        // Signed requests also count against their API key, once it is known to be theirs
+        if (req.apiKey && !self._checkRateLimit(res, 'key:' + req.apiKey)) {
+            return;
+        }
+        
+        if (method === 'GET' && pathname === '/buckets') {
+            return self._handleListBuckets(req, res);
+        }
+        
+        if (pathname === '/webhooks' || pathname.startsWith('/webhooks/')) {
+            return self._handleWebhookRoute(req, res, method, pathname, query);
+        }
+        
+        if ((method === 'GET' || method === 'POST') && pathname === '/admin/scrub') {
+            return self._handleScrub(req, res, method, query);
+        }
+        
+        var bucket = self.config.bucketName;
+        var bucketMatch = /^\/buckets\/([^\/]+)(\/.*)?$/.exec(pathname);
+        
+        if (bucketMatch) {
+            bucket = bucketMatch[1];
+            
+            if (!BUCKET_NAME_PATTERN.test(bucket)) {
+                return self._sendJSON(res, 400, { 
+                    error: 'Invalid bucket name' 
+                });
+            }
+            
+            if (!bucketMatch[2] && method === 'PUT') {
+                return self._handleCreateBucket(req, res, bucket);
+            }
+            
+            if (!bucketMatch[2] && method === 'DELETE') {
+                return self._handleDeleteBucket(req, res, bucket, query);
+            }
+            
+            if (!self.buckets[bucket]) {
+                return self._sendJSON(res, 404, { 
+                    error: 'Bucket not found' 
+                });
+            }
+            
+            // Bucket routes are the default bucket's routes under a prefix
+            pathname = bucketMatch[2] || '';
+        }
+        
+        var fileRoute = /^\/(download|thumbnail|delete|info|copy|move|rename|versions|restore)\/([^\/]+)/.exec(pathname);
+        
+        // Only well-formed IDs are looked up at all
+        if (fileRoute && (!FILE_ID_PATTERN.test(fileRoute[2]) ||
+            (self._fileBucket(fileRoute[2]) && self._fileBucket(fileRoute[2]) !== bucket))) {
+            return self._sendJSON(res, 404, { 
+                error: 'File not found' 
+            });
+        }
         
         if (method === 'POST' && pathname === '/upload') {
-            return self._handleUpload(req, res);
+            return self._handleUpload(req, res, { bucket: bucket });
+        }
+        
+        if (method === 'POST' && pathname === '/uploads') {
+            return self._handleInitiateUpload(req, res, bucket);
+        }
+        
+        var uploadRoute = /^\/uploads\/([^\/]+)(\/.*)?$/.exec(pathname);
+        
+        if (uploadRoute) {
+            var uploadId = uploadRoute[1];
+            var session = self.uploadSessions[uploadId];
+            var partRoute = /^\/parts\/([^\/]+)$/.exec(uploadRoute[2] || '');
+            
+            if (!session || session.bucket !== bucket) {
+                return self._sendJSON(res, 404, { 
+                    error: 'Upload not found' 
+                });
+            }
+            
+            if (method === 'PUT' && partRoute) {
+                return self._handleUploadPart(req, res, uploadId, partRoute[1]);
+            }
+            
+            if (method === 'GET' && !uploadRoute[2]) {
+                return self._handleListParts(req, res, uploadId);
+            }
+            
+            if (method === 'POST' && uploadRoute[2] === '/complete') {
+                return self._handleCompleteUpload(req, res, uploadId);
+            }
+            
+            if (method === 'DELETE' && !uploadRoute[2]) {
+                return self._handleAbortUpload(req, res, uploadId);
+            }
+        }
+        
+        if ((method === 'PUT' || method === 'POST') && pathname.startsWith('/upload/')) {
+            if (!signedLink) {
+                return self._sendJSON(res, 403, { 
+                    error: 'This route requires a signed upload URL',
+                    code: 'SignedUrlRequired'
+                });
+            }
+            
+            var fileId = pathname.split('/')[2];
+            return self._handleSignedUpload(req, res, fileId, signedLink, bucket);
+        }
+        
+        if ((method === 'GET' || method === 'HEAD') && pathname.startsWith('/download/')) {
+            var fileId = pathname.split('/')[2];
+            return self._handleDownload(req, res, fileId, {
+                // Signed links grant the current version only
+                versionId: signedLink ? undefined : query.versionId,
+                contentDisposition: signedLink && signedLink.disposition
+            });
         }
         
-        if (method === 'GET' && pathname.startsWith('/download/')) {
+        if (method === 'GET' && pathname.startsWith('/thumbnail/')) {
             var fileId = pathname.split('/')[2];
-            return self._handleDownload(req, res, fileId);
+            return self._handleThumbnail(req, res, fileId, query);
         }
         
         if (method === 'DELETE' && pathname.startsWith('/delete/')) {
             var fileId = pathname.split('/')[2];
-            return self._handleDelete(req, res, fileId);
+            return self._handleDelete(req, res, fileId, query);
         }
         
         if (method === 'GET' && pathname === '/list') {
-            return self._handleList(req, res, query);
+            return self._handleList(req, res, query, bucket);
+        }
+        
+        if (method === 'GET' && pathname === '/search') {
+            return self._handleSearch(req, res, query, bucket);
         }
         
         if (method === 'GET' && pathname.startsWith('/info/')) {
             var fileId = pathname.split('/')[2];
-            return self._handleGetInfo(req, res, fileId);
+            return self._handleGetInfo(req, res, fileId, query);
+        }
+        
+        if (method === 'PATCH' && pathname.startsWith('/info/')) {
+            var fileId = pathname.split('/')[2];
+            return self._handleUpdateMetadata(req, res, fileId);
+        }
+        
+        if (method === 'POST' && pathname.startsWith('/copy/')) {
+            var fileId = pathname.split('/')[2];
+            return self._handleCopy(req, res, fileId);
+        }
+        
+        if (method === 'GET' && pathname.startsWith('/versions/')) {
+            var fileId = pathname.split('/')[2];
+            return self._handleListVersions(req, res, fileId);
+        }
+        
+        if (method === 'POST' && pathname.startsWith('/restore/')) {
+            var fileId = pathname.split('/')[2];
+            return self._handleRestore(req, res, fileId);
+        }
+        
+        if (method === 'POST' && (pathname.startsWith('/move/') || pathname.startsWith('/rename/'))) {
+            var fileId = pathname.split('/')[2];
+            return self._handleMove(req, res, fileId, pathname.split('/')[1]);
+        }
+        
+        if (method === 'GET' && pathname === '/folders') {
+            return self._handleListFolder(req, res, query, bucket);
+        }
+        
+        if (method === 'POST' && pathname === '/folders') {
+            return self._handleCreateFolder(req, res, bucket);
+        }
+        
+        if (method === 'DELETE' && pathname === '/folders') {
+            return self._handleDeleteFolder(req, res, query, bucket);
         }
         
         if (method === 'GET' && pathname === '/stats') {
-            return self._handleStats(req, res);
+            return self._handleStats(req, res, query, bucket);
+        }
+        
+        if (method === 'DELETE' && pathname === '/clear') {
+            return self._handleClear(req, res, bucket);
+        }
+        
+        if (method === 'GET' && pathname === '/lifecycle') {
+            return self._handleGetLifecycle(req, res, bucket);
+        }
+        
+        if (method === 'PUT' && pathname === '/lifecycle') {
+            return self._handleSetLifecycle(req, res, bucket);
+        }
+        
+        if (method === 'POST' && pathname === '/lifecycle/run') {
+            return self._handleRunLifecycle(req, res, query, bucket);
         }
         
         if (method === 'GET' && pathname === '/') {
@@ -690,11 +13035,43 @@ CloudStorage.prototype.startServer = function(callback) {
                 version: '1.0.0',
                 endpoints: {
                     'POST /upload': 'Upload a file',
+                    'PUT|POST /upload/:fileId': 'Upload through a signed URL',
+                    'POST /uploads': 'Start a resumable upload',
+                    'PUT /uploads/:uploadId/parts/:partNumber': 'Upload a part',
+                    'GET /uploads/:uploadId': 'List uploaded parts',
+                    'POST /uploads/:uploadId/complete': 'Join the parts into a file',
+                    'DELETE /uploads/:uploadId': 'Abort a resumable upload',
                     'GET /download/:fileId': 'Download a file',
+                    'GET /thumbnail/:fileId': 'Get a thumbnail of an image (?w=, ?h= box, default 200)',
                     'DELETE /delete/:fileId': 'Delete a file',
-                    'GET /list': 'List all files',
-                    'GET /info/:fileId': 'Get file information',
-                    'GET /stats': 'Get storage statistics'
+                    'GET /list': 'List files (paged, sorted, filtered)',
+                    'GET /search': 'Find files by indexed fields and metadata',
+                    'GET /info/:fileId': 'Get file information (?verify=true to re-hash its data)',
+                    'PATCH /info/:fileId': 'Update file metadata',
+                    'POST /copy/:fileId': 'Copy a file',
+                    'GET /versions/:fileId': 'List versions of a file',
+                    'POST /restore/:fileId': 'Restore a version of a file',
+                    'POST /move/:fileId': 'Move a file to another path or folder',
+                    'POST /rename/:fileId': 'Rename a file within its folder',
+                    'GET /folders': 'List a folder (?path=)',
+                    'POST /folders': 'Create a folder',
+                    'DELETE /folders': 'Delete a folder (?path=, ?recursive=true to delete its files too)',
+                    'GET /stats': 'Get storage statistics (?folder= for one folder)',
+                    'DELETE /clear': 'Delete all files',
+                    'GET /lifecycle': 'Get lifecycle rules',
+                    'PUT /lifecycle': 'Replace lifecycle rules',
+                    'POST /lifecycle/run': 'Apply lifecycle rules now (?dryRun=true to only report)',
+                    'GET /buckets': 'List buckets',
+                    'PUT /buckets/:bucket': 'Create a bucket',
+                    'DELETE /buckets/:bucket': 'Delete a bucket (?force=true to delete its files too)',
+                    'GET|POST /webhooks': 'List or create webhook subscriptions',
+                    'GET|PATCH|DELETE /webhooks/:id': 'Read, change or remove a webhook subscription',
+                    'GET /webhooks/:id/deliveries': 'Recent deliveries of a webhook',
+                    'GET /webhooks/dead-letters': 'Deliveries that failed every attempt',
+                    'POST /webhooks/dead-letters/:deliveryId/retry': 'Try a failed delivery again',
+                    'GET /admin/scrub': 'Report of the last scrub',
+                    'POST /admin/scrub': 'Check all stored data now (?repair=true, ?quarantine=true)',
+                    '/buckets/:bucket/...': 'Any route above, in that bucket instead of the default bucket'
                 }
             });
         }
@@ -705,25 +13082,53 @@ CloudStorage.prototype.startServer = function(callback) {
     });
     
     self.server.listen(self.config.serverPort, self.config.serverHost, function() {
-        console.log('\n===========================================');
-        console.log('Cloud Storage Server Started');
-        console.log('===========================================');
-        console.log('Server running at http://' + self.config.serverHost + ':' + self.config.serverPort);
-        console.log('Bucket:', self.config.bucketName);
-        console.log('\nAvailable endpoints:');
-        console.log('  POST   /upload              - Upload a file');
-        console.log('  GET    /download/:fileId    - Download a file');
-        console.log('  DELETE /delete/:fileId      - Delete a file');
-        console.log('  GET    /list                - List all files');
-        console.log('  GET    /info/:fileId        - Get file info');
-        console.log('  GET    /stats               - Get storage stats');
-        console.log('===========================================\n');
+        self.logger.info('\n===========================================');
+        self.logger.info('Cloud Storage Server Started');
+        self.logger.info('===========================================');
+        self.logger.info('Server running at http://' + self.config.serverHost + ':' + self.config.serverPort);
+        self.logger.info('Default bucket:', self.config.bucketName);
+        self.logger.info('\nAvailable endpoints:');
+        self.logger.info('  POST   /upload              - Upload a file');
+        self.logger.info('  PUT    /upload/:fileId      - Upload through a signed URL');
+        self.logger.info('  POST   /uploads             - Start a resumable upload');
+        self.logger.info('  PUT    /uploads/:id/parts/:n - Upload a part');
+        self.logger.info('  GET    /uploads/:id         - List uploaded parts');
+        self.logger.info('  POST   /uploads/:id/complete - Join the parts into a file');
+        self.logger.info('  DELETE /uploads/:id         - Abort a resumable upload');
+        self.logger.info('  GET    /download/:fileId    - Download a file');
+        self.logger.info('  GET    /thumbnail/:fileId   - Get an image thumbnail');
+        self.logger.info('  DELETE /delete/:fileId      - Delete a file');
+        self.logger.info('  GET    /list                - List all files');
+        self.logger.info('  GET    /search              - Search files by metadata');
+        self.logger.info('  GET    /info/:fileId        - Get file info');
+        self.logger.info('  PATCH  /info/:fileId        - Update file metadata');
+        self.logger.info('  POST   /copy/:fileId        - Copy a file');
+        self.logger.info('  GET    /versions/:fileId    - List file versions');
+        self.logger.info('  POST   /restore/:fileId     - Restore a file version');
+        self.logger.info('  POST   /move/:fileId        - Move a file');
+        self.logger.info('  POST   /rename/:fileId      - Rename a file');
+        self.logger.info('  GET    /folders             - List a folder');
+        self.logger.info('  POST   /folders             - Create a folder');
+        self.logger.info('  DELETE /folders             - Delete a folder');
+        self.logger.info('  GET    /stats               - Get storage stats');
+        self.logger.info('  DELETE /clear               - Delete all files');
+        self.logger.info('  GET    /lifecycle           - Get lifecycle rules');
+        self.logger.info('  PUT    /lifecycle           - Replace lifecycle rules');
+        self.logger.info('  POST   /lifecycle/run       - Apply lifecycle rules now');
+        self.logger.info('  GET    /buckets             - List buckets');
+        self.logger.info('  PUT    /buckets/:bucket     - Create a bucket');
+        self.logger.info('  DELETE /buckets/:bucket     - Delete a bucket');
+        self.logger.info('  *      /buckets/:bucket/... - Any route above, in that bucket');
+        self.logger.info('  *      /webhooks            - Manage webhook subscriptions');
+        self.logger.info('  GET    /admin/scrub         - Last scrub report');
+        self.logger.info('  POST   /admin/scrub         - Check all stored data');
+        self.logger.info('===========================================\n');
         
         if (callback) callback(null);
     });
     
     self.server.on('error', function(err) {
-        console.error('Server error:', err.message);
+        self.logger.error('Server error:', err.message);
         if (callback) callback(err);
     });
 };
@@ -739,72 +13144,312 @@ CloudStorage.prototype.stopServer = function(callback) {
         return callback(new Error('Server not running'));
     }
     
+    // A delivery log write still waiting is done now rather than lost
+    if (self._webhookLogTimer) {
+        self._saveWebhooks();
+    }
+    
     self.server.close(function() {
-        console.log('Cloud Storage Server stopped');
+        self.logger.info('Cloud Storage Server stopped');
         self.server = null;
         if (callback) callback(null);
     });
 };
 
 // ============================================================================
-// Start the Server
+// Promise API
 // ============================================================================
 
-var storage = new CloudStorage({
-    apiKey: 'your-api-key',
-    apiSecret: 'your-api-secret',
-    bucketName: 'my-bucket',
-    region: 'us-east-1',
-    localStoragePath: path.join(__dirname, 'storage'),
-    serverPort: 3000,
-    serverHost: 'localhost'
-});
+/**
+ * Public methods that take a callback as their last argument. Called
+ * without one, each returns a Promise for the callback's result instead.
+ */
+var PROMISE_METHODS = [
+    'upload', 'download', 'delete', 'listVersions', 'restoreVersion', 'list', 'query',
+    'getFileInfo', 'getThumbnail', 'updateMetadata', 'copy', 'getStats', 'clear',
+    'createBucket', 'deleteBucket', 'listBuckets',
+    'createFolder', 'listFolder', 'deleteFolder', 'move', 'rename',
+    'initiateUpload', 'uploadPart', 'listParts', 'completeUpload', 'abortUpload',
+    'setLifecycleRules', 'getLifecycleRules', 'applyLifecycle',
+    'createWebhook', 'listWebhooks', 'getWebhook', 'updateWebhook', 'deleteWebhook',
+    'listWebhookDeliveries', 'listDeadLetters', 'retryDeadLetter',
+    'verify', 'scrub', 'rotateMasterKey', 'revokeSignedUrl', 'startServer', 'stopServer'
+];
 
-storage.on('upload', function(fileInfo) {
-    console.log('[EVENT] File uploaded:', fileInfo.fileName, '(ID:', fileInfo.fileId + ')');
+PROMISE_METHODS.forEach(function(name) {
+    var method = CloudStorage.prototype[name];
+    var arity = method.length - 1;
+    
+    CloudStorage.prototype[name] = function() {
+        var self = this;
+        
+        if (typeof arguments[arguments.length - 1] === 'function') {
+            return method.apply(self, arguments);
+        }
+        
+        // Optional arguments are left undefined so the callback lands in its own slot
+        var args = Array.prototype.slice.call(arguments, 0, arity);
+        
+        while (args.length < arity) {
+            args.push(undefined);
+        }
+        
+        return new Promise(function(resolve, reject) {
+            args.push(function(err, result) {
+                if (err) {
+                    return reject(err);
+                }
+                
+                resolve(result);
+            });
+            
+            method.apply(self, args);
+        });
+    };
 });
 
-storage.on('download', function(fileInfo) {
-    console.log('[EVENT] File downloaded:', fileInfo.fileName);
-});
+// ============================================================================
+// Start the Server
+// ============================================================================
 
-storage.on('delete', function(fileInfo) {
-    console.log('[EVENT] File deleted:', fileInfo.fileName);
-});
+/**
+ * Server settings that can be given as command-line flags or environment
+ * variables. Flags override the environment, which overrides the config file.
+ */
+var SERVER_OPTIONS = [
+    { flag: '--port', env: 'CLOUD_STORAGE_PORT', option: 'serverPort', type: 'number' },
+    { flag: '--host', env: 'CLOUD_STORAGE_HOST', option: 'serverHost' },
+    { flag: '--storage-path', env: 'CLOUD_STORAGE_PATH', option: 'localStoragePath', type: 'path' },
+    { flag: '--upload-dir', env: 'CLOUD_STORAGE_UPLOAD_DIR', option: 'uploadDir', type: 'path' },
+    { flag: '--bucket', env: 'CLOUD_STORAGE_BUCKET', option: 'bucketName' },
+    { flag: '--region', env: 'CLOUD_STORAGE_REGION', option: 'region' },
+    { flag: '--api-key', env: 'CLOUD_STORAGE_API_KEY', option: 'apiKey' },
+    { flag: '--api-secret', env: 'CLOUD_STORAGE_API_SECRET', option: 'apiSecret' },
+    { flag: '--master-key', env: 'CLOUD_STORAGE_MASTER_KEY', option: 'masterKey' },
+    { flag: '--compression', env: 'CLOUD_STORAGE_COMPRESSION', option: 'compression' },
+    { flag: '--cors-origins', env: 'CLOUD_STORAGE_CORS_ORIGINS', option: 'corsOrigins', type: 'list' },
+    { flag: '--allowed-types', env: 'CLOUD_STORAGE_ALLOWED_TYPES', option: 'allowedTypes', type: 'list' },
+    { flag: '--denied-types', env: 'CLOUD_STORAGE_DENIED_TYPES', option: 'deniedTypes', type: 'list' },
+    { flag: '--allowed-extensions', env: 'CLOUD_STORAGE_ALLOWED_EXTENSIONS', option: 'allowedExtensions', type: 'list' },
+    { flag: '--denied-extensions', env: 'CLOUD_STORAGE_DENIED_EXTENSIONS', option: 'deniedExtensions', type: 'list' },
+    { flag: '--scrub-interval', env: 'CLOUD_STORAGE_SCRUB_INTERVAL', option: 'scrubInterval', type: 'number' },
+    { flag: '--log-level', env: 'CLOUD_STORAGE_LOG_LEVEL', option: 'logLevel' }
+];
 
-storage.startServer(function(err) {
-    if (err) {
-        console.error('Failed to start server:', err.message);
-        process.exit(1);
-    }
+var SERVER_USAGE = [
+    'Usage: node index.js [options]',
+    '',
+    'Options:',
+    '  --config <file>             JSON file with constructor options (CLOUD_STORAGE_CONFIG)'
+].concat(SERVER_OPTIONS.map(function(spec) {
+    var flag = spec.flag + ' <' + (spec.type === 'list' ? 'a,b' : spec.type || 'value') + '>';
     
-    console.log('Server is ready to accept requests!');
-    console.log('\nTry these commands:');
-    console.log('\n1. Upload a file:');
-    console.log('   curl -X POST -F "file=@yourfile.txt" http://localhost:3000/upload');
-    console.log('\n2. List files:');
-    console.log('   curl http://localhost:3000/list');
-    console.log('\n3. Get storage stats:');
-    console.log('   curl http://localhost:3000/stats');
-    console.log('\nPress Ctrl+C to stop the server');
-});
+    while (flag.length < 28) flag += ' ';
+    
+    return '  ' + flag + spec.option + ' (' + spec.env + ')';
+})).concat([
+    '  --help                      Show this help'
+]).join('\n');
 
-process.on('SIGINT', function() {
-    console.log('\nShutting down server...');
-    storage.stopServer(function(err) {
-        if (err) {
-            console.error('Error stopping server:', err.message);
+/**
+ * Build the server configuration from a JSON config file, environment
+ * variables and command-line flags, in increasing order of precedence
+ * @param {Array} argv - Command-line arguments, without node and the script
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} CloudStorage constructor options
+ */
+CloudStorage.loadServerConfig = function(argv, env) {
+    var flags = {};
+    // No default credentials: without a key and secret the server runs without authentication, and says so
+    var config = {
+        bucketName: 'my-bucket',
+        region: 'us-east-1',
+        localStoragePath: path.join(__dirname, 'storage'),
+        serverPort: 3000,
+        serverHost: 'localhost'
+    };
+    
+    argv = argv || [];
+    env = env || process.env;
+    
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var eq = arg.indexOf('=');
+        var name = eq === -1 ? arg : arg.slice(0, eq);
+        
+        if (name !== '--config' && !SERVER_OPTIONS.some(function(spec) { return spec.flag === name; })) {
+            throw new Error('Unknown option: ' + name);
         }
-        process.exit(0);
+        
+        if (eq === -1 && i + 1 >= argv.length) {
+            throw new Error('Missing value for ' + name);
+        }
+        
+        flags[name] = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+    }
+    
+    var configFile = flags['--config'] || env.CLOUD_STORAGE_CONFIG;
+    
+    if (configFile) {
+        var fileConfig;
+        
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (err) {
+            throw new Error('Cannot read config file ' + configFile + ': ' + err.message);
+        }
+        
+        Object.keys(fileConfig).forEach(function(key) {
+            config[key] = fileConfig[key];
+        });
+        
+        // Paths in the config file are relative to the file itself
+        ['localStoragePath', 'uploadDir'].forEach(function(key) {
+            if (typeof fileConfig[key] === 'string') {
+                config[key] = path.resolve(path.dirname(configFile), fileConfig[key]);
+            }
+        });
+    }
+    
+    SERVER_OPTIONS.forEach(function(spec) {
+        var value = flags[spec.flag] !== undefined ? flags[spec.flag] : env[spec.env];
+        
+        if (value === undefined || value === '') return;
+        
+        if (spec.type === 'number') {
+            if (!/^\d+$/.test(value)) {
+                throw new Error('Invalid value for ' + spec.flag + ': ' + value);
+            }
+            
+            value = parseInt(value, 10);
+        } else if (spec.type === 'path') {
+            value = path.resolve(value);
+        } else if (spec.type === 'list') {
+            value = value.split(',').map(function(item) { return item.trim(); }).filter(Boolean);
+        }
+        
+        config[spec.option] = value;
     });
-});
+    
+    // 'null' is the origin browsers send for index.html opened from disk
+    config.corsOrigins = config.corsOrigins || ['null', 'http://localhost:' + config.serverPort];
+    
+    return config;
+};
 
-process.on('SIGTERM', function() {
-    console.log('\nShutting down server...');
-    storage.stopServer(function(err) {
+/**
+ * Start a server with the given configuration, log its events and stop it
+ * cleanly on SIGINT and SIGTERM
+ * @param {Object} config - CloudStorage constructor options
+ * @returns {CloudStorage} The running instance
+ */
+CloudStorage.runServer = function(config) {
+    var storage = new CloudStorage(config);
+    var logger = storage.logger;
+    
+    storage.on('upload', function(fileInfo) {
+        logger.info('[EVENT] File uploaded:', fileInfo.fileName, '(ID:', fileInfo.fileId + ')');
+    });
+    
+    storage.on('download', function(fileInfo) {
+        logger.info('[EVENT] File downloaded:', fileInfo.fileName);
+    });
+    
+    storage.on('delete', function(fileInfo) {
+        logger.info('[EVENT] File deleted:', fileInfo.fileName);
+    });
+    
+    storage.on('copy', function(fileInfo, source) {
+        logger.info('[EVENT] File copied:', source.fileName, '->', fileInfo.fileName, '(ID:', fileInfo.fileId + ')');
+    });
+    
+    storage.on('metadataUpdate', function(fileInfo) {
+        logger.info('[EVENT] Metadata updated:', fileInfo.fileName);
+    });
+    
+    storage.on('restore', function(fileInfo, version) {
+        logger.info('[EVENT] Version restored:', fileInfo.fileName, version.versionId, '->', fileInfo.versionId);
+    });
+    
+    storage.on('bucketCreate', function(bucket) {
+        logger.info('[EVENT] Bucket created:', bucket.name);
+    });
+    
+    storage.on('bucketDelete', function(result) {
+        logger.info('[EVENT] Bucket deleted:', result.bucket);
+    });
+    
+    storage.on('masterKeyRotate', function(result) {
+        logger.info('[EVENT] Master key rotated:', result.keyId, '(' + result.rewrapped + ' data keys re-wrapped)');
+    });
+    
+    storage.on('clear', function(result) {
+        logger.info('[EVENT] Storage cleared:', result.deleted, 'files');
+    });
+    
+    storage.on('scrub', function(report) {
+        logger.info('[EVENT] Scrub finished:', report.checked, 'blobs checked,', report.corrupted.length, 'corrupted,',
+            report.missing.length, 'missing');
+    });
+    
+    storage.startServer(function(err) {
         if (err) {
-            console.error('Error stopping server:', err.message);
+            logger.error('Failed to start server:', err.message);
+            process.exit(1);
         }
-        process.exit(0);
+        
+        logger.info('Server is ready to accept requests!');
+        
+        if (!storage.config.requireAuth) {
+            logger.warn('\nAuthentication is OFF: anyone who can reach this server can read, change and delete its files.');
+            logger.warn('Set an API key and secret (--api-key and --api-secret) to require signed requests.');
+        } else {
+            logger.info('\nRequests must be signed with the configured API key and secret');
+            logger.info('(see "Authentication" in README.md). A signed request to list files,');
+            logger.info('valid once within the next few minutes:');
+            
+            var headers = storage.signRequest('GET', '/list');
+            logger.info('\n   curl' + Object.keys(headers).map(function(name) {
+                return ' -H "' + name + ': ' + headers[name] + '"';
+            }).join('') + ' http://' + storage.config.serverHost + ':' + storage.config.serverPort + '/list');
+        }
+        
+        logger.info('\nPress Ctrl+C to stop the server');
     });
-});
+    
+    function shutdown() {
+        logger.info('\nShutting down server...');
+        storage.stopServer(function(err) {
+            if (err) {
+                logger.error('Error stopping server:', err.message);
+            }
+            process.exit(0);
+        });
+    }
+    
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    return storage;
+};
+
+module.exports = CloudStorage;
+
+if (require.main === module) {
+    var serverConfig;
+    
+    if (process.argv.indexOf('--help') !== -1) {
+        console.log(SERVER_USAGE);
+        process.exit(0);
+    }
+    
+    try {
+        serverConfig = CloudStorage.loadServerConfig(process.argv.slice(2), process.env);
+    } catch (err) {
+        console.error(err.message);
+        console.error(SERVER_USAGE);
+        process.exit(1);
+    }
+    
+    CloudStorage.runServer(serverConfig);
+}
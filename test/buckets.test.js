@@ -0,0 +1,108 @@
+/**
+ * Buckets over HTTP: creation, isolation, deletion, and names that are also
+ * Object.prototype members
+ */
+
+var assert = require('assert');
+var helpers = require('./helpers');
+
+function series(port, steps, done) {
+    (function next(i) {
+        if (i === steps.length) {
+            return done();
+        }
+        
+        var step = steps[i];
+        var options = { port: port, method: step.method || 'GET', path: step.path };
+        
+        if (step.form) {
+            options.headers = { 'Content-Type': step.form.contentType };
+            options.body = step.form.body;
+        }
+        
+        helpers.request(options, function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.statusCode, step.status, options.method + ' ' + options.path + ': ' + res.body);
+            
+            if (step.check) {
+                step.check(res);
+            }
+            next(i + 1);
+        });
+    })(0);
+}
+
+module.exports = {
+    'keeps files in their bucket and deletes buckets with their files': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            var fileId;
+            
+            series(storage.config.serverPort, [
+                { method: 'PUT', path: '/buckets/photos', status: 201 },
+                { method: 'PUT', path: '/buckets/photos', status: 409 },
+                { method: 'PUT', path: '/buckets/bad%20name', status: 400 },
+                { method: 'POST', path: '/buckets/photos/upload', form: helpers.multipartBody('a.txt', 'abc'), status: 200, check: function(res) {
+                    fileId = res.json.file.fileId;
+                    assert.strictEqual(res.json.file.bucket, 'photos');
+                } },
+                { path: '/list', status: 200, check: function(res) {
+                    assert.strictEqual(res.json.result.files.length, 0);
+                } },
+                { path: '/buckets/photos/list', status: 200, check: function(res) {
+                    assert.strictEqual(res.json.result.files.length, 1);
+                } },
+                { path: '/buckets', status: 200, check: function(res) {
+                    var photos = res.json.result.buckets.filter(function(bucket) {
+                        return bucket.name === 'photos';
+                    })[0];
+                    
+                    assert.strictEqual(photos.fileCount, 1);
+                    assert.strictEqual(photos.totalSize, 3);
+                } },
+                { method: 'DELETE', path: '/buckets/photos', status: 409 },
+                { method: 'DELETE', path: '/buckets/photos?force=true', status: 200 },
+                { path: '/buckets/photos/list', status: 404 },
+                { method: 'DELETE', path: '/buckets/default', status: 400 }
+            ], function() {
+                assert.ok(!storage.storage[fileId]);
+                storage.stopServer(done);
+            });
+        });
+    },
+    
+    'names of Object.prototype members are ordinary names': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            series(storage.config.serverPort, [
+                { method: 'POST', path: '/buckets/toString/upload', form: helpers.multipartBody('a.txt', 'abc'), status: 404 },
+                { path: '/buckets/toString/stats', status: 404 },
+                { path: '/buckets/constructor/list', status: 404 },
+                { path: '/buckets/hasOwnProperty/folders', status: 404 },
+                { method: 'DELETE', path: '/buckets/constructor', status: 404 },
+                { path: '/buckets/__proto__/list', status: 400 },
+                { method: 'PUT', path: '/buckets/__proto__', status: 400 },
+                { method: 'PUT', path: '/buckets/constructor', status: 201 },
+                { method: 'POST', path: '/buckets/constructor/upload', form: helpers.multipartBody('a.txt', 'abc'), status: 200 },
+                { path: '/buckets/constructor/stats', status: 200, check: function(res) {
+                    assert.strictEqual(res.json.stats.totalFiles, 1);
+                } },
+                { method: 'DELETE', path: '/buckets/constructor?force=true', status: 200 }
+            ], function() {
+                storage.createBucket('toString', function(err) {
+                    assert.ifError(err);
+                    
+                    var reopened = helpers.createStorage({
+                        localStoragePath: storage.localStoragePath,
+                        uploadDir: storage.uploadDir
+                    });
+                    
+                    assert.deepStrictEqual(Object.keys(reopened.buckets).sort(), ['default', 'toString']);
+                    storage.stopServer(done);
+                });
+            });
+        });
+    }
+};
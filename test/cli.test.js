@@ -0,0 +1,65 @@
+/**
+ * The command-line client: its package entry and a round trip through a
+ * local storage directory
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+var helpers = require('./helpers');
+
+var ROOT = path.join(__dirname, '..');
+
+/**
+ * Run cli.js with the given arguments and no environment but PATH
+ * @param {Array} args - Arguments
+ * @param {Function} callback - Callback function (err, stdout, stderr)
+ */
+function runCli(args, callback) {
+    childProcess.execFile(process.execPath, [path.join(ROOT, 'cli.js')].concat(args),
+        { env: { PATH: process.env.PATH }, timeout: 30000 }, callback);
+}
+
+module.exports = {
+    'is installed as an executable script': function(done) {
+        var pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+        var bin = path.join(ROOT, pkg.bin['cloud-storage']);
+        
+        assert.strictEqual(path.basename(bin), 'cli.js');
+        assert.strictEqual(fs.readFileSync(bin, 'utf8').split('\n')[0], '#!/usr/bin/env node');
+        done();
+    },
+    
+    'uploads, lists and downloads files in a storage directory': function(done) {
+        var dir = helpers.tempDir();
+        var storageArgs = ['--storage-path', path.join(dir, 'storage'), '--upload-dir', path.join(dir, 'uploads')];
+        var source = path.join(dir, 'notes.txt');
+        var out = path.join(dir, 'out');
+        
+        fs.writeFileSync(source, 'command line');
+        fs.mkdirSync(out);
+        
+        runCli(['upload', source, '--prefix', 'docs', '--no-progress'].concat(storageArgs), function(err) {
+            assert.ifError(err);
+            
+            runCli(['ls', 'docs/', '--json'].concat(storageArgs), function(err, stdout) {
+                assert.ifError(err);
+                
+                var files = JSON.parse(stdout);
+                
+                assert.deepStrictEqual(files.map(function(file) { return file.fileName; }), ['docs/notes.txt']);
+                
+                runCli(['download', files[0].fileId, '--out', out, '--no-progress'].concat(storageArgs), function(err) {
+                    assert.ifError(err);
+                    assert.strictEqual(fs.readFileSync(path.join(out, 'docs', 'notes.txt'), 'utf8'), 'command line');
+                    
+                    runCli(['info', 'missing.txt'].concat(storageArgs), function(err) {
+                        assert.strictEqual(err.code, 3);
+                        done();
+                    });
+                });
+            });
+        });
+    }
+};
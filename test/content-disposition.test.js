@@ -0,0 +1,84 @@
+/**
+ * Content-Disposition headers for names that cannot go into a header as they are
+ */
+
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var storage = helpers.createStorage();
+
+function filenameStar(header) {
+    return decodeURIComponent(/filename\*=UTF-8''([^;]*)/.exec(header)[1]);
+}
+
+module.exports = {
+    'keeps the quoted fallback to printable ASCII': function(done) {
+        var header = storage._contentDisposition('attachment', 'résumé 文件 "q" \\.txt');
+        
+        assert.strictEqual(header.split(';')[1], ' filename="r_sum_ __ _q_ _.txt"');
+        assert.ok(/^[\x20-\x7e]+$/.test(header));
+        assert.strictEqual(filenameStar(header), 'résumé 文件 "q" \\.txt');
+        done();
+    },
+    
+    'never lets control characters into the header': function(done) {
+        var header = storage._contentDisposition('inline', 'evil\r\nSet-Cookie: a=b\u0000\u007f.txt');
+        
+        assert.ok(/^[\x20-\x7e]+$/.test(header));
+        assert.ok(header.indexOf('filename="evil__Set-Cookie: a=b__.txt"') !== -1);
+        assert.strictEqual(filenameStar(header), 'evil\r\nSet-Cookie: a=b\u0000\u007f.txt');
+        done();
+    },
+    
+    'encodes the characters RFC 5987 does not allow in filename*': function(done) {
+        var header = storage._contentDisposition('attachment', "it's (1)*.txt");
+        
+        assert.ok(header.indexOf("filename*=UTF-8''it%27s%20%281%29%2A.txt") !== -1);
+        
+        // An unpaired surrogate has no UTF-8 form; the fallback stands in
+        header = storage._contentDisposition('attachment', 'a\ud800b.txt');
+        assert.ok(header.indexOf("filename*=UTF-8''a_b.txt") !== -1);
+        done();
+    },
+    
+    'serves files with names outside Latin-1 over HTTP': function(done) {
+        helpers.startStorage({}, function(err, server) {
+            assert.ifError(err);
+            
+            var port = server.config.serverPort;
+            var form = helpers.multipartBody('résumé 文件.txt', 'cv');
+            
+            helpers.request({
+                port: port,
+                method: 'POST',
+                path: '/upload',
+                headers: { 'Content-Type': form.contentType },
+                body: form.body
+            }, function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.statusCode, 200);
+                
+                var file = res.json.files ? res.json.files[0] : res.json.file;
+                
+                assert.strictEqual(file.fileName, 'résumé 文件.txt');
+                
+                helpers.request({ port: port, path: '/download/' + file.fileId }, function(err, res) {
+                    assert.ifError(err);
+                    assert.strictEqual(res.statusCode, 200);
+                    assert.strictEqual(res.body.toString(), 'cv');
+                    assert.strictEqual(filenameStar(res.headers['content-disposition']), 'résumé 文件.txt');
+                    server.stopServer(done);
+                });
+            });
+        });
+    },
+    
+    'refuses signed URLs with a header value that cannot be sent': function(done) {
+        var signing = helpers.createStorage({ apiKey: 'key', apiSecret: 'secret' });
+        
+        assert.throws(function() {
+            signing.generateSignedUrl(null, { method: 'PUT', contentDisposition: 'attachment; filename="a\r\nb"' });
+        }, /printable ASCII/);
+        done();
+    }
+};
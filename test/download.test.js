@@ -0,0 +1,101 @@
+/**
+ * download(): whole files, ranges, and failures that must call back once
+ * and leave no partial file behind
+ */
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+function sourceFile(content) {
+    var filePath = path.join(helpers.tempDir(), 'source.bin');
+    
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+module.exports = {
+    'downloads a whole file and a range': function(done) {
+        var storage = helpers.createStorage();
+        var destination = path.join(helpers.tempDir(), 'out.txt');
+        
+        storage.upload(sourceFile('0123456789'), { fileName: 'digits.txt' }, function(err, file) {
+            assert.ifError(err);
+            
+            storage.download(file.fileId, destination, function(err, result) {
+                assert.ifError(err);
+                assert.strictEqual(result.size, 10);
+                assert.strictEqual(fs.readFileSync(destination, 'utf8'), '0123456789');
+                
+                storage.download(file.fileId, destination, { start: 2, end: 4 }, function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(result.range, { start: 2, end: 4 });
+                    assert.strictEqual(fs.readFileSync(destination, 'utf8'), '234');
+                    
+                    storage.download(file.fileId, destination, { start: 20 }, function(err) {
+                        assert.ok(err && /Range not satisfiable/.test(err.message));
+                        done();
+                    });
+                });
+            });
+        });
+    },
+    
+    'a blob that fails to decrypt calls back once and leaves no file': function(done) {
+        var storage = helpers.createStorage({ masterKey: crypto.randomBytes(32).toString('hex') });
+        var destination = path.join(helpers.tempDir(), 'out.bin');
+        var content = crypto.randomBytes(256 * 1024);
+        
+        storage.upload(sourceFile(content), { fileName: 'secret.bin' }, function(err, file) {
+            assert.ifError(err);
+            
+            var blobPath = storage.storage[file.fileId].storagePath;
+            var stored = fs.readFileSync(blobPath);
+            
+            stored[stored.length >> 1] ^= 0xff;
+            fs.writeFileSync(blobPath, stored);
+            
+            var calls = 0;
+            var downloads = 0;
+            
+            storage.on('download', function() {
+                downloads++;
+            });
+            
+            storage.download(file.fileId, destination, function(err) {
+                calls++;
+                assert.ok(err);
+                assert.ok(!fs.existsSync(destination));
+                
+                setTimeout(function() {
+                    assert.strictEqual(calls, 1);
+                    assert.strictEqual(downloads, 0);
+                    done();
+                }, 100);
+            });
+        });
+    },
+    
+    'a destination that cannot be written calls back once': function(done) {
+        var storage = helpers.createStorage();
+        var destination = path.join(helpers.tempDir(), 'missing', 'out.txt');
+        
+        storage.upload(sourceFile('content'), { fileName: 'a.txt' }, function(err, file) {
+            assert.ifError(err);
+            
+            var calls = 0;
+            
+            storage.download(file.fileId, destination, function(err) {
+                calls++;
+                assert.strictEqual(err && err.code, 'ENOENT');
+                
+                setTimeout(function() {
+                    assert.strictEqual(calls, 1);
+                    done();
+                }, 100);
+            });
+        });
+    }
+};
@@ -0,0 +1,109 @@
+/**
+ * Encryption at rest: master keys across a restart and a rotation, and
+ * files stored under a customer key
+ */
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+var MARKER = 'plain text that must not reach the disk';
+
+function sourceFile() {
+    var filePath = path.join(helpers.tempDir(), 'secret.bin');
+    
+    fs.writeFileSync(filePath, Buffer.concat([crypto.randomBytes(1024), Buffer.from(MARKER)]));
+    return filePath;
+}
+
+/**
+ * Download a file and compare it with its source
+ * @param {Object} options - Download options (optional)
+ * @param {Function} callback - Callback function (err)
+ */
+function checkDownload(storage, fileId, source, options, callback) {
+    var destination = path.join(helpers.tempDir(), 'out.bin');
+    
+    storage.download(fileId, destination, options, function(err) {
+        if (err) {
+            return callback(err);
+        }
+        
+        assert.ok(fs.readFileSync(destination).equals(fs.readFileSync(source)));
+        callback(null);
+    });
+}
+
+module.exports = {
+    'reads master-key files after a restart and a key rotation': function(done) {
+        var oldKey = crypto.randomBytes(32).toString('hex');
+        var newKey = crypto.randomBytes(32).toString('base64');
+        var storage = helpers.createStorage({ masterKey: oldKey });
+        var source = sourceFile();
+        
+        storage.upload(source, { fileName: 'secret.bin' }, function(err, file) {
+            assert.ifError(err);
+            assert.strictEqual(file.encryption.keyType, 'master');
+            assert.strictEqual(fs.readFileSync(storage.storage[file.fileId].storagePath).indexOf(MARKER), -1);
+            
+            function reopen(options) {
+                options.localStoragePath = storage.localStoragePath;
+                options.uploadDir = storage.uploadDir;
+                return helpers.createStorage(options);
+            }
+            
+            checkDownload(reopen({ masterKey: oldKey }), file.fileId, source, {}, function(err) {
+                assert.ifError(err);
+                
+                storage.rotateMasterKey(newKey, function(err, result) {
+                    assert.ifError(err);
+                    assert.strictEqual(result.rewrapped, 1);
+                    assert.strictEqual(result.failed, 0);
+                    
+                    storage._saveIndex(function(err) {
+                        assert.ifError(err);
+                        
+                        // The old key is no longer needed
+                        checkDownload(reopen({ masterKey: newKey }), file.fileId, source, {}, function(err) {
+                            assert.ifError(err);
+                            
+                            var otherKey = crypto.randomBytes(32).toString('hex');
+                            
+                            checkDownload(reopen({ masterKey: otherKey }), file.fileId, source, {}, function(err) {
+                                assert.strictEqual(err.code, 'MissingMasterKey');
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'reads customer-key files only with their key': function(done) {
+        var storage = helpers.createStorage();
+        var customerKey = crypto.randomBytes(32);
+        var source = sourceFile();
+        
+        storage.upload(source, { fileName: 'mine.bin', encryptionKey: customerKey }, function(err, file) {
+            assert.ifError(err);
+            assert.strictEqual(file.encryption.keyType, 'customer');
+            assert.strictEqual(fs.readFileSync(storage.storage[file.fileId].storagePath).indexOf(MARKER), -1);
+            
+            checkDownload(storage, file.fileId, source, {}, function(err) {
+                assert.strictEqual(err.code, 'MissingEncryptionKey');
+                
+                checkDownload(storage, file.fileId, source, { encryptionKey: crypto.randomBytes(32) }, function(err) {
+                    assert.strictEqual(err.code, 'EncryptionKeyMismatch');
+                    
+                    checkDownload(storage, file.fileId, source, { encryptionKey: customerKey.toString('hex') }, function(err) {
+                        assert.ifError(err);
+                        done();
+                    });
+                });
+            });
+        });
+    }
+};
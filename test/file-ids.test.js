@@ -0,0 +1,93 @@
+/**
+ * File IDs that are not well formed, in particular names of Object.prototype
+ * members, are unknown files on every route and SDK method
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+var ids = ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'valueOf'];
+
+module.exports = {
+    'routes answer 404 and the server keeps running': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            var port = storage.config.serverPort;
+            var requests = [];
+            
+            ids.forEach(function(id) {
+                requests.push(
+                    { method: 'GET', path: '/download/' + id },
+                    { method: 'HEAD', path: '/download/' + id },
+                    { method: 'GET', path: '/info/' + id },
+                    { method: 'PATCH', path: '/info/' + id, body: '{"metadata":{"a":"b"}}' },
+                    { method: 'DELETE', path: '/delete/' + id },
+                    { method: 'GET', path: '/thumbnail/' + id },
+                    { method: 'GET', path: '/versions/' + id },
+                    { method: 'POST', path: '/restore/' + id, body: '{"versionId":"null"}' },
+                    { method: 'POST', path: '/copy/' + id, body: '{}' },
+                    { method: 'POST', path: '/move/' + id, body: '{"path":"x/"}' },
+                    { method: 'POST', path: '/rename/' + id, body: '{"name":"x"}' }
+                );
+            });
+            
+            (function next(i) {
+                if (i === requests.length) {
+                    return helpers.request({ port: port, path: '/' }, function(err, res) {
+                        assert.ifError(err);
+                        assert.strictEqual(res.statusCode, 200);
+                        storage.stopServer(done);
+                    });
+                }
+                
+                var options = requests[i];
+                
+                options.port = port;
+                helpers.request(options, function(err, res) {
+                    assert.ifError(err);
+                    assert.strictEqual(res.statusCode, 404, options.method + ' ' + options.path);
+                    next(i + 1);
+                });
+            })(0);
+        });
+    },
+    
+    'SDK methods call back with File not found': function(done) {
+        var storage = helpers.createStorage();
+        var destination = path.join(helpers.tempDir(), 'out');
+        var calls = [];
+        
+        ids.forEach(function(id) {
+            calls.push(
+                function(cb) { storage.getFileInfo(id, cb); },
+                function(cb) { storage.download(id, destination, cb); },
+                function(cb) { storage.delete(id, cb); },
+                function(cb) { storage.delete(id, { versionId: 'null' }, cb); },
+                function(cb) { storage.listVersions(id, cb); },
+                function(cb) { storage.restoreVersion(id, 'null', cb); },
+                function(cb) { storage.updateMetadata(id, { a: 'b' }, cb); },
+                function(cb) { storage.copy(id, {}, cb); },
+                function(cb) { storage.move(id, 'x/', cb); },
+                function(cb) { storage.rename(id, 'x', cb); },
+                function(cb) { storage.getThumbnail(id, cb); },
+                function(cb) { storage.verify(id, cb); },
+                function(cb) { storage.createReadStream(id).on('error', cb); }
+            );
+        });
+        
+        (function next(i) {
+            if (i === calls.length) {
+                assert.ok(!fs.existsSync(destination));
+                return done();
+            }
+            
+            calls[i](function(err) {
+                assert.ok(err && /not found/.test(err.message), 'call ' + i + ': ' + (err && err.message));
+                next(i + 1);
+            });
+        })(0);
+    }
+};
@@ -0,0 +1,188 @@
+/**
+ * Shared test helpers: temporary directories, storage instances and an
+ * HTTP client that collects whole responses
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var net = require('net');
+var CloudStorage = require('../index.js');
+
+var tempDirs = [];
+
+process.on('exit', function() {
+    tempDirs.forEach(function(dir) {
+        (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true });
+    });
+});
+
+/**
+ * Create a directory that is removed when the tests end
+ * @returns {String} Directory path
+ */
+function tempDir() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloud-storage-test-'));
+    
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Create a storage instance in a fresh directory, quiet and without authentication
+ * @param {Object} options - Constructor options to add or override (optional)
+ * @returns {CloudStorage} Instance
+ */
+function createStorage(options) {
+    var dir = tempDir();
+    var config = {
+        localStoragePath: path.join(dir, 'storage'),
+        uploadDir: path.join(dir, 'uploads'),
+        serverHost: '127.0.0.1',
+        lifecycleInterval: 0,
+        logLevel: 'silent'
+    };
+    
+    Object.keys(options || {}).forEach(function(key) {
+        config[key] = options[key];
+    });
+    
+    return new CloudStorage(config);
+}
+
+/**
+ * Find a free TCP port on the loopback interface
+ * @param {Function} callback - Callback function (err, port)
+ */
+function freePort(callback) {
+    var server = net.createServer();
+    
+    server.on('error', callback);
+    server.listen(0, '127.0.0.1', function() {
+        var port = server.address().port;
+        
+        server.close(function() {
+            callback(null, port);
+        });
+    });
+}
+
+/**
+ * Start a storage instance's server on a free port
+ * @param {Object} options - Constructor options (optional)
+ * @param {Function} callback - Callback function (err, storage)
+ */
+function startStorage(options, callback) {
+    freePort(function(err, port) {
+        if (err) {
+            return callback(err);
+        }
+        
+        options = options || {};
+        options.serverPort = port;
+        
+        var storage = createStorage(options);
+        
+        storage.startServer(function(err) {
+            callback(err || null, err ? null : storage);
+        });
+    });
+}
+
+/**
+ * Send an HTTP request and collect the response
+ * @param {Object} options - http.request options; body (String|Buffer) is sent as the request body
+ * @param {Function} callback - Callback function (err, { statusCode, headers, body, json })
+ */
+function request(options, callback) {
+    var body = options.body;
+    var req;
+    
+    options = Object.assign({ hostname: '127.0.0.1', agent: false }, options);
+    delete options.body;
+    
+    req = http.request(options, function(res) {
+        var chunks = [];
+        
+        res.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        
+        res.on('end', function() {
+            var data = Buffer.concat(chunks);
+            var json = null;
+            
+            if (/json/.test(res.headers['content-type'] || '')) {
+                try {
+                    json = JSON.parse(data.toString());
+                } catch (err) {
+                    json = null;
+                }
+            }
+            
+            callback(null, { statusCode: res.statusCode, headers: res.headers, body: data, json: json });
+        });
+    });
+    
+    req.on('error', callback);
+    req.end(body);
+}
+
+/**
+ * Read a stream to its end
+ * @param {Stream} readable - Stream to read
+ * @param {Function} callback - Callback function (err, Buffer)
+ */
+function readAll(readable, callback) {
+    var chunks = [];
+    var done = false;
+    
+    readable.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    
+    readable.on('error', function(err) {
+        if (done) return;
+        done = true;
+        callback(err);
+    });
+    
+    readable.on('end', function() {
+        if (done) return;
+        done = true;
+        callback(null, Buffer.concat(chunks));
+    });
+}
+
+/**
+ * Build a multipart/form-data body with one file part
+ * @param {String} fileName - File name, sent as is
+ * @param {String|Buffer} content - File contents
+ * @returns {Object} { body, contentType }
+ */
+function multipartBody(fileName, content) {
+    var boundary = 'test-boundary-' + Date.now();
+    
+    return {
+        contentType: 'multipart/form-data; boundary=' + boundary,
+        body: Buffer.concat([
+            Buffer.from('--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="file"; filename="' + fileName + '"\r\n' +
+                'Content-Type: text/plain\r\n\r\n'),
+            Buffer.from(content),
+            Buffer.from('\r\n--' + boundary + '--\r\n')
+        ])
+    };
+}
+
+module.exports = {
+    CloudStorage: CloudStorage,
+    tempDir: tempDir,
+    createStorage: createStorage,
+    freePort: freePort,
+    startStorage: startStorage,
+    request: request,
+    readAll: readAll,
+    multipartBody: multipartBody
+};
@@ -0,0 +1,139 @@
+/**
+ * Lifecycle rules and file expiry remove what they should, rules are checked
+ * when they are set, and a bad rule or record cannot stop the timer that
+ * applies them
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+function sourceFile() {
+    var filePath = path.join(helpers.tempDir(), 'source.txt');
+    
+    fs.writeFileSync(filePath, 'content');
+    return filePath;
+}
+
+var DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    'deletes files past a rule and removes expired files for good': function(done) {
+        var storage = helpers.createStorage();
+        var files = {};
+        var deletes = [];
+        
+        storage.on('delete', function(fileInfo, details) {
+            deletes.push(fileInfo.fileName + ':' + details.reason);
+        });
+        
+        (function next(names) {
+            if (names.length === 0) {
+                return run();
+            }
+            
+            storage.upload(sourceFile(), { fileName: names[0] }, function(err, file) {
+                assert.ifError(err);
+                files[names[0]] = file;
+                next(names.slice(1));
+            });
+        })(['logs/old.txt', 'logs/new.txt', 'keep/old.txt', 'tmp.txt']);
+        
+        function run() {
+            storage.storage[files['logs/old.txt'].fileId].uploadedAt = new Date(Date.now() - 3 * DAY).toISOString();
+            storage.storage[files['keep/old.txt'].fileId].uploadedAt = new Date(Date.now() - 3 * DAY).toISOString();
+            storage.storage[files['tmp.txt'].fileId].expiresAt = new Date(Date.now() - 1000).toISOString();
+            
+            storage.setLifecycleRules('default', [{ prefix: 'logs/', expireAfterDays: 1 }], function(err, rules) {
+                assert.ifError(err);
+                
+                storage.applyLifecycle(function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(result.removed.map(function(entry) {
+                        return [entry.fileName, entry.action, entry.rule];
+                    }).sort(), [['logs/old.txt', 'delete', rules[0].id], ['tmp.txt', 'expire', null]]);
+                    assert.deepStrictEqual(deletes.sort(), ['logs/old.txt:lifecycle', 'tmp.txt:expired']);
+                    
+                    // The rule leaves a delete marker over the old data; expiry leaves nothing
+                    storage.listVersions(files['logs/old.txt'].fileId, function(err, versions) {
+                        assert.ifError(err);
+                        assert.strictEqual(versions.versions[0].isDeleteMarker, true);
+                        assert.strictEqual(versions.versions.length, 2);
+                        
+                        storage.listVersions(files['tmp.txt'].fileId, function(err) {
+                            assert.strictEqual(err.message, 'File not found');
+                            assert.ok(storage.storage[files['logs/new.txt'].fileId]);
+                            assert.ok(storage.storage[files['keep/old.txt'].fileId]);
+                            done();
+                        });
+                    });
+                });
+            });
+        }
+    },
+    
+    'refuses prefixes that are not strings': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            storage.setLifecycleRules('default', [{ prefix: 5, expireAfterDays: 1 }], function(err) {
+                assert.strictEqual(err && err.code, 'InvalidArgument');
+                
+                helpers.request({
+                    port: storage.config.serverPort,
+                    method: 'PUT',
+                    path: '/lifecycle',
+                    body: '{"rules":[{"prefix":{"a":1},"expireAfterDays":1}]}'
+                }, function(err, res) {
+                    assert.ifError(err);
+                    assert.strictEqual(res.statusCode, 400);
+                    assert.deepStrictEqual(storage.buckets['default'].lifecycle || [], []);
+                    
+                    storage.setLifecycleRules('default', [{ prefix: 'logs/', expireAfterDays: 1 }], function(err, rules) {
+                        assert.ifError(err);
+                        assert.strictEqual(rules[0].prefix, 'logs/');
+                        storage.stopServer(done);
+                    });
+                });
+            });
+        });
+    },
+    
+    'names and rules stored before the checks do not break a run': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.upload(sourceFile(), { fileName: 'old.txt' }, function(err, file) {
+            assert.ifError(err);
+            
+            storage.storage[file.fileId].fileName = 5;
+            storage.storage[file.fileId].uploadedAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+            storage.buckets['default'].lifecycle = [
+                { id: 'odd', prefix: { a: 1 }, expireAfterDays: 1, noncurrentExpireAfterDays: null, enabled: true },
+                { id: 'number', prefix: 5, expireAfterDays: 1, noncurrentExpireAfterDays: null, enabled: true }
+            ];
+            
+            storage.applyLifecycle({ dryRun: true }, function(err, result) {
+                assert.ifError(err);
+                assert.deepStrictEqual(result.removed.map(function(entry) { return entry.rule; }), ['number']);
+                done();
+            });
+        });
+    },
+    
+    'the timer survives a run that throws': function(done) {
+        var storage = helpers.createStorage({ lifecycleInterval: 10 });
+        var runs = 0;
+        
+        storage.applyLifecycle = function() {
+            runs++;
+            throw new Error('boom');
+        };
+        
+        setTimeout(function() {
+            clearInterval(storage._lifecycleTimer);
+            assert.ok(runs >= 2, 'ran ' + runs + ' times');
+            done();
+        }, 100);
+    }
+};
@@ -0,0 +1,138 @@
+/**
+ * MemoryBackend driver, on its own and behind CloudStorage
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var helpers = require('./helpers');
+
+var MemoryBackend = helpers.CloudStorage.MemoryBackend;
+
+function source(text) {
+    var readable = new stream.PassThrough();
+    
+    readable.end(Buffer.from(text));
+    return readable;
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir).reduce(function(files, name) {
+        var file = path.join(dir, name);
+        
+        return files.concat(fs.statSync(file).isDirectory() ? listFiles(file) : [file]);
+    }, []);
+}
+
+module.exports = {
+    'put, stat and read back an object': function(done) {
+        var backend = new MemoryBackend();
+        
+        backend.put('blobs/ab/abc', source('hello memory'), 12, function(err) {
+            assert.ifError(err);
+            
+            backend.stat('blobs/ab/abc', function(err, stats) {
+                assert.ifError(err);
+                assert.strictEqual(stats.size, 12);
+                assert.ok(stats.mtime instanceof Date);
+                
+                helpers.readAll(backend.createReadStream('blobs/ab/abc'), function(err, data) {
+                    assert.ifError(err);
+                    assert.strictEqual(data.toString(), 'hello memory');
+                    done();
+                });
+            });
+        });
+    },
+    
+    'reads an inclusive byte range': function(done) {
+        var backend = new MemoryBackend();
+        
+        backend.put('key', source('0123456789'), 10, function(err) {
+            assert.ifError(err);
+            
+            helpers.readAll(backend.createReadStream('key', { start: 2, end: 5 }), function(err, data) {
+                assert.ifError(err);
+                assert.strictEqual(data.toString(), '2345');
+                done();
+            });
+        });
+    },
+    
+    'reports missing objects as ENOENT': function(done) {
+        var backend = new MemoryBackend();
+        
+        backend.stat('missing', function(err) {
+            assert.strictEqual(err.code, 'ENOENT');
+            
+            helpers.readAll(backend.createReadStream('missing'), function(err) {
+                assert.strictEqual(err.code, 'ENOENT');
+                
+                // Deleting what is not there is not an error
+                backend.delete('missing', done);
+            });
+        });
+    },
+    
+    'lists by prefix in key order and deletes': function(done) {
+        var backend = new MemoryBackend();
+        
+        (function next(keys) {
+            if (keys.length === 0) {
+                return backend.list('a/', function(err, entries) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(entries.map(function(entry) { return entry.key; }), ['a/1', 'a/2']);
+                    assert.strictEqual(entries[0].size, 3);
+                    
+                    backend.delete('a/1', function(err) {
+                        assert.ifError(err);
+                        
+                        backend.list('', function(err, entries) {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(entries.map(function(entry) { return entry.key; }), ['a/2', 'b/1']);
+                            done();
+                        });
+                    });
+                });
+            }
+            
+            backend.put(keys[0], source(keys[0]), 3, function(err) {
+                assert.ifError(err);
+                next(keys.slice(1));
+            });
+        })(['b/1', 'a/2', 'a/1']);
+    },
+    
+    'keeps file contents out of the storage directory': function(done) {
+        var storage = helpers.createStorage({ storageBackend: 'memory' });
+        var filePath = path.join(helpers.tempDir(), 'notes.txt');
+        
+        fs.writeFileSync(filePath, 'kept in memory');
+        
+        storage.upload(filePath, function(err, result) {
+            assert.ifError(err);
+            assert.ok(storage.backend instanceof MemoryBackend);
+            assert.ok(result.storagePath.indexOf('memory:') === 0);
+            assert.strictEqual(Object.keys(storage.backend.objects).length, 1);
+            assert.deepStrictEqual(listFiles(storage.localStoragePath).filter(function(file) {
+                return fs.readFileSync(file, 'utf8') === 'kept in memory';
+            }), []);
+            
+            helpers.readAll(storage.createReadStream(result.fileId), function(err, data) {
+                assert.ifError(err);
+                assert.strictEqual(data.toString(), 'kept in memory');
+                
+                storage.delete(result.fileId, { versionId: result.versionId }, function(err) {
+                    assert.ifError(err);
+                    
+                    // The blob is released after the version is gone
+                    setTimeout(function() {
+                        assert.deepStrictEqual(Object.keys(storage.backend.objects), []);
+                        done();
+                    }, 50);
+                });
+            });
+        });
+    }
+};
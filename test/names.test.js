@@ -0,0 +1,254 @@
+/**
+ * File names, folder paths, metadata and content types are checked on
+ * every write path, so a record the rest of the code cannot handle is
+ * never stored
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+function sourceFile(content) {
+    var filePath = path.join(helpers.tempDir(), 'source.txt');
+    
+    fs.writeFileSync(filePath, content || 'content');
+    return filePath;
+}
+
+function invalidArgument(err) {
+    return err && err.code === 'InvalidArgument';
+}
+
+module.exports = {
+    'normalizes good names and refuses bad ones': function(done) {
+        var storage = helpers.createStorage();
+        
+        assert.strictEqual(storage._normalizeFileName('/docs/2024/a.txt'), 'docs/2024/a.txt');
+        assert.strictEqual(storage._normalizeFileName('résumé 文件.txt'), 'résumé 文件.txt');
+        assert.strictEqual(storage._normalizeFileName('emoji 😀.txt'), 'emoji 😀.txt');
+        
+        [5, null, undefined, ['a', 'b'], {}, '', '/', 'd/', 'a//b', '../../x', 'a/./b', 'evil\r\nname.txt',
+            'nul\u0000', 'del\u007f', 'c1\u0085', 'half\ud800.txt'].forEach(function(name) {
+            assert.throws(function() {
+                storage._normalizeFileName(name);
+            }, invalidArgument, JSON.stringify(name));
+        });
+        done();
+    },
+    
+    'copy refuses bad names and metadata over HTTP': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            var port = storage.config.serverPort;
+            
+            storage.upload(sourceFile(), { fileName: 'original.txt' }, function(err, file) {
+                assert.ifError(err);
+                
+                (function next(bodies) {
+                    if (bodies.length === 0) {
+                        return helpers.request({ port: port, method: 'POST', path: '/copy/' + file.fileId, body: '{"fileName":"/copies/ok.txt"}' }, function(err, res) {
+                            assert.ifError(err);
+                            assert.strictEqual(res.statusCode, 200);
+                            assert.strictEqual(res.json.file.fileName, 'copies/ok.txt');
+                            
+                            // Listing folders still works, as no bad record got in
+                            helpers.request({ port: port, path: '/folders' }, function(err, res) {
+                                assert.ifError(err);
+                                assert.strictEqual(res.statusCode, 200);
+                                assert.strictEqual(Object.keys(storage.storage).length, 2);
+                                assert.strictEqual(storage.blobRefs[file.hash], 2);
+                                storage.stopServer(done);
+                            });
+                        });
+                    }
+                    
+                    helpers.request({ port: port, method: 'POST', path: '/copy/' + file.fileId, body: bodies[0] }, function(err, res) {
+                        assert.ifError(err);
+                        assert.strictEqual(res.statusCode, 400, bodies[0]);
+                        assert.strictEqual(res.json.code, 'InvalidArgument');
+                        next(bodies.slice(1));
+                    });
+                })([
+                    '{"fileName":5}', '{"fileName":""}', '{"fileName":["a","b"]}', '{"fileName":"d/"}',
+                    '{"fileName":"../../x"}', '{"fileName":"evil\\r\\nname.txt"}',
+                    '{"metadata":"text"}', '{"metadata":[1,2]}', '{"metadata":7}'
+                ]);
+            });
+        });
+    },
+    
+    'every upload path refuses bad names': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.upload(sourceFile(), { fileName: 'bad\u0007.txt' }, function(err) {
+            assert.ok(invalidArgument(err));
+            
+            storage.upload(sourceFile(), { fileName: '../up.txt' }, function(err) {
+                assert.ok(invalidArgument(err));
+                
+                var output = storage.createWriteStream('x\u001b[31m.txt');
+                
+                output.on('error', function(err) {
+                    assert.ok(invalidArgument(err));
+                    assert.deepStrictEqual(Object.keys(storage.storage), []);
+                    done();
+                });
+                output.end('data');
+            });
+        });
+    },
+    
+    'refuses bad metadata wherever a version is stored': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.upload(sourceFile(), { fileName: 'a.txt', metadata: 'not an object' }, function(err) {
+            assert.ok(invalidArgument(err));
+            assert.deepStrictEqual(Object.keys(storage.storage), []);
+            
+            // The blob written for the refused upload is released
+            setTimeout(function() {
+                assert.deepStrictEqual(Object.keys(storage.blobRefs).filter(function(hash) {
+                    return storage.blobRefs[hash] > 0;
+                }), []);
+                done();
+            }, 50);
+        });
+    },
+    
+    'folders, moves and renames refuse control characters': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            var port = storage.config.serverPort;
+            
+            storage.createFolder('bad\u0000folder', function(err) {
+                assert.ok(invalidArgument(err));
+                
+                storage.upload(sourceFile(), { fileName: 'docs/a.txt' }, function(err, file) {
+                    assert.ifError(err);
+                    
+                    storage.rename(file.fileId, 'evil\r\nname.txt', function(err) {
+                        assert.ok(invalidArgument(err));
+                        
+                        storage.move(file.fileId, 'tab\there/', function(err) {
+                            assert.ok(invalidArgument(err));
+                            assert.strictEqual(storage.storage[file.fileId].fileName, 'docs/a.txt');
+                            
+                            helpers.request({ port: port, path: '/folders?path=' + encodeURIComponent('docs\n') }, function(err, res) {
+                                assert.ifError(err);
+                                assert.strictEqual(res.statusCode, 400);
+                                
+                                helpers.request({ port: port, method: 'POST', path: '/rename/' + file.fileId, body: '{"name":"x\\u007f.txt"}' }, function(err, res) {
+                                    assert.ifError(err);
+                                    assert.strictEqual(res.statusCode, 400);
+                                    assert.strictEqual(res.json.code, 'InvalidArgument');
+                                    storage.stopServer(done);
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'resumable uploads refuse bad names, types and metadata': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            var port = storage.config.serverPort;
+            
+            (function next(bodies) {
+                if (bodies.length === 0) {
+                    return helpers.request({ port: port, method: 'POST', path: '/uploads', body: '{"fileName":"/docs/big.txt","contentType":"text/plain"}' }, function(err, res) {
+                        assert.ifError(err);
+                        assert.strictEqual(res.statusCode, 200);
+                        assert.strictEqual(storage.uploadSessions[res.json.upload.uploadId].fileName, 'docs/big.txt');
+                        storage.stopServer(done);
+                    });
+                }
+                
+                helpers.request({ port: port, method: 'POST', path: '/uploads', body: bodies[0] }, function(err, res) {
+                    assert.ifError(err);
+                    assert.strictEqual(res.statusCode, 400, bodies[0]);
+                    assert.strictEqual(res.json.code, 'InvalidArgument');
+                    next(bodies.slice(1));
+                });
+            })([
+                '{"fileName":["a","b"]}', '{"fileName":{}}', '{}', '{"fileName":"a\\u0000.txt"}', '{"fileName":"../x.txt"}',
+                '{"fileName":"a.txt","contentType":"text/plain\\r\\nSet-Cookie: a=b"}', '{"fileName":"a.txt","contentType":7}',
+                '{"fileName":"a.txt","metadata":"text"}'
+            ]);
+        });
+    },
+    
+    'folder names of Object.prototype members are only folders when they exist': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.listFolder('constructor', function(err) {
+            assert.ok(err && /not found/.test(err.message));
+            
+            storage.upload(sourceFile(), { fileName: 'docs/a.txt' }, function(err, file) {
+                assert.ifError(err);
+                
+                // Not an existing folder, so this is the file's new full name
+                storage.move(file.fileId, 'toString', function(err, moved) {
+                    assert.ifError(err);
+                    assert.strictEqual(moved.fileName, 'toString');
+                    
+                    storage.createFolder('constructor', function(err) {
+                        assert.ifError(err);
+                        
+                        storage.move(file.fileId, 'constructor', function(err, moved) {
+                            assert.ifError(err);
+                            assert.strictEqual(moved.fileName, 'constructor/toString');
+                            
+                            storage.listFolder('', function(err, listing) {
+                                assert.ifError(err);
+                                assert.deepStrictEqual(listing.folders.map(function(folder) {
+                                    return [folder.path, folder.fileCount];
+                                }), [['constructor', 1]]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'records with a name that is not a string load under a string name': function(done) {
+        var options = {
+            localStoragePath: path.join(helpers.tempDir(), 'storage'),
+            uploadDir: path.join(helpers.tempDir(), 'uploads')
+        };
+        var storage = helpers.createStorage(options);
+        
+        storage.upload(sourceFile(), { fileName: 'legacy.txt' }, function(err, file) {
+            assert.ifError(err);
+            
+            storage._saveIndex(function(err) {
+                assert.ifError(err);
+                
+                var sidecar = storage._sidecarPath(file.fileId, file.bucket);
+                var doc = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+                
+                doc.record.fileName = 5;
+                fs.writeFileSync(sidecar, JSON.stringify(doc));
+                fs.unlinkSync(storage.indexPath);
+                
+                var reopened = helpers.createStorage(options);
+                
+                assert.strictEqual(reopened.storage[file.fileId].fileName, '5');
+                
+                reopened.listFolder('', function(err, listing) {
+                    assert.ifError(err);
+                    assert.strictEqual(listing.files.length, 1);
+                    done();
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,169 @@
+/**
+ * Queries over the field index, including names and values that are also
+ * Object.prototype members
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+function sourceFile(content) {
+    var filePath = path.join(helpers.tempDir(), 'source.txt');
+    
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+function uploadAll(storage, files, callback) {
+    (function next(i) {
+        if (i === files.length) {
+            return callback();
+        }
+        
+        storage.upload(sourceFile(files[i].content || 'x'), files[i], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            next(i + 1);
+        });
+    })(0);
+}
+
+function names(result) {
+    return result.files.map(function(file) {
+        return file.fileName;
+    }).sort();
+}
+
+function storageOptions() {
+    var dir = helpers.tempDir();
+    
+    return {
+        localStoragePath: path.join(dir, 'storage'),
+        uploadDir: path.join(dir, 'uploads')
+    };
+}
+
+module.exports = {
+    'matches metadata, ranges and missing fields': function(done) {
+        var storage = helpers.createStorage();
+        
+        uploadAll(storage, [
+            { fileName: 'a.txt', content: 'a', metadata: { project: 'x', status: 'draft' } },
+            { fileName: 'b.txt', content: 'bbbbbbbbbb', metadata: { project: 'x' } },
+            { fileName: 'c.txt', content: 'cc', metadata: { project: 'y', status: 'final' } }
+        ], function(err) {
+            assert.ifError(err);
+            
+            storage.query({ where: { 'metadata.project': 'x' } }, function(err, result) {
+                assert.ifError(err);
+                assert.deepStrictEqual(names(result), ['a.txt', 'b.txt']);
+                
+                storage.query({ where: { 'metadata.project': 'x', size: { gt: 5 } } }, function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(names(result), ['b.txt']);
+                    
+                    storage.query({ where: { 'metadata.status': { exists: false } } }, function(err, result) {
+                        assert.ifError(err);
+                        assert.deepStrictEqual(names(result), ['b.txt']);
+                        
+                        storage.query({ where: { 'metadata.project': { 'in': ['y', 'z'] } } }, function(err, result) {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(names(result), ['c.txt']);
+                            
+                            storage.query({ where: { owner: 'me' } }, function(err) {
+                                assert.strictEqual(err && err.code, 'InvalidArgument');
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'follows metadata updates and deletes': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.upload(sourceFile('a'), { fileName: 'a.txt', metadata: { status: 'draft' } }, function(err, file) {
+            assert.ifError(err);
+            
+            storage.updateMetadata(file.fileId, { status: 'final' }, function(err) {
+                assert.ifError(err);
+                
+                storage.query({ where: { 'metadata.status': 'draft' } }, function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(names(result), []);
+                    
+                    storage.delete(file.fileId, function(err) {
+                        assert.ifError(err);
+                        
+                        storage.query({ where: { 'metadata.status': 'final' } }, function(err, result) {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(names(result), []);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'indexes names and values that are Object.prototype members': function(done) {
+        var options = storageOptions();
+        var storage = helpers.createStorage(options);
+        
+        uploadAll(storage, [
+            { fileName: 'constructor', metadata: { x: 'toString', y: '__proto__' } },
+            { fileName: 'hasOwnProperty', metadata: { x: 'valueOf' } },
+            { fileName: '__proto__', metadata: { constructor: 'constructor' } }
+        ], function(err) {
+            assert.ifError(err);
+            
+            storage.query({ where: { fileName: 'constructor' } }, function(err, result) {
+                assert.ifError(err);
+                assert.deepStrictEqual(names(result), ['constructor']);
+                
+                storage.query({ where: { 'metadata.x': { 'in': ['toString', 'valueOf'] } } }, function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(names(result), ['constructor', 'hasOwnProperty']);
+                    
+                    storage.query({ where: { 'metadata.x': 'constructor' } }, function(err, result) {
+                        assert.ifError(err);
+                        assert.deepStrictEqual(names(result), []);
+                        
+                        storage.query({ where: { 'metadata.constructor': { exists: true } } }, function(err, result) {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(names(result), ['__proto__']);
+                            
+                            storage._saveIndex(function(err) {
+                                assert.ifError(err);
+                                
+                                // Both from the saved index and from a rebuild out of the sidecars
+                                var reloaded = helpers.createStorage(options);
+                                
+                                fs.unlinkSync(reloaded.indexPath);
+                                assert.ok(!fs.existsSync(reloaded.indexPath));
+                                
+                                var rebuilt = helpers.createStorage(options);
+                                
+                                // Rebuilding writes the index again
+                                assert.ok(fs.existsSync(rebuilt.indexPath));
+                                [reloaded, rebuilt].forEach(function(instance) {
+                                    assert.strictEqual(Object.keys(instance.storage).length, 3);
+                                });
+                                
+                                rebuilt.query({ where: { 'metadata.y': '__proto__' } }, function(err, result) {
+                                    assert.ifError(err);
+                                    assert.deepStrictEqual(names(result), ['constructor']);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * Requests are charged to their client address before authentication, and
+ * signed requests to their API key as well
+ */
+
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var options = {
+    apiKey: 'test-key',
+    apiSecret: 'test-secret',
+    rateLimit: { capacity: 3, refillRate: 0.001 }
+};
+
+module.exports = {
+    'unsigned requests are limited before they are refused': function(done) {
+        helpers.startStorage(options, function(err, storage) {
+            assert.ifError(err);
+            
+            var statuses = [];
+            
+            (function next(count) {
+                if (count === 0) {
+                    assert.deepStrictEqual(statuses, [401, 401, 401, 429]);
+                    return storage.stopServer(done);
+                }
+                
+                helpers.request({ port: storage.config.serverPort, path: '/list' }, function(err, res) {
+                    assert.ifError(err);
+                    statuses.push(res.statusCode);
+                    
+                    if (res.statusCode === 429) {
+                        assert.strictEqual(res.json.code, 'TooManyRequests');
+                        assert.ok(Number(res.headers['retry-after']) > 0);
+                    }
+                    next(count - 1);
+                });
+            })(4);
+        });
+    },
+    
+    'signed requests count against the address and the key': function(done) {
+        helpers.startStorage(options, function(err, storage) {
+            assert.ifError(err);
+            
+            helpers.request({
+                port: storage.config.serverPort,
+                path: '/list',
+                headers: storage.signRequest('GET', '/list')
+            }, function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(res.headers['x-ratelimit-remaining'], '2');
+                assert.strictEqual(Math.floor(storage._rateBuckets['ip:127.0.0.1'].tokens), 2);
+                assert.strictEqual(Math.floor(storage._rateBuckets['key:test-key'].tokens), 2);
+                storage.stopServer(done);
+            });
+        });
+    }
+};
@@ -0,0 +1,135 @@
+/**
+ * Resumable uploads: parts in any order and form, checksums, completion,
+ * aborts, and input that is not part data
+ */
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var stream = require('stream');
+var helpers = require('./helpers');
+
+function streamOf(text) {
+    var source = new stream.PassThrough();
+    
+    source.end(text);
+    return source;
+}
+
+module.exports = {
+    'joins parts given as buffers, strings and streams in part order': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.initiateUpload({ fileName: 'docs/joined.txt' }, function(err, upload) {
+            assert.ifError(err);
+            
+            storage.uploadPart(upload.uploadId, 3, streamOf('three'), function(err) {
+                assert.ifError(err);
+                
+                storage.uploadPart(upload.uploadId, 1, Buffer.from('one-'), function(err, part) {
+                    assert.ifError(err);
+                    assert.strictEqual(part.size, 4);
+                    assert.strictEqual(part.hash, crypto.createHash('sha256').update('one-').digest('hex'));
+                    
+                    storage.uploadPart(upload.uploadId, 2, 'two-', function(err) {
+                        assert.ifError(err);
+                        
+                        storage.listParts(upload.uploadId, function(err, listing) {
+                            assert.ifError(err);
+                            assert.deepStrictEqual(listing.parts.map(function(entry) {
+                                return entry.partNumber;
+                            }), [1, 2, 3]);
+                            
+                            storage.completeUpload(upload.uploadId, function(err, file) {
+                                assert.ifError(err);
+                                assert.strictEqual(file.fileName, 'docs/joined.txt');
+                                assert.strictEqual(file.size, 13);
+                                
+                                helpers.readAll(storage.createReadStream(file.fileId), function(err, data) {
+                                    assert.ifError(err);
+                                    assert.strictEqual(data.toString(), 'one-two-three');
+                                    
+                                    storage.listParts(upload.uploadId, function(err) {
+                                        assert.ok(err && /not found/.test(err.message));
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'discards a part that does not match its checksum': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.initiateUpload({ fileName: 'a.txt' }, function(err, upload) {
+            assert.ifError(err);
+            
+            storage.uploadPart(upload.uploadId, 1, 'data', { checksum: crypto.createHash('sha256').update('other').digest('hex') }, function(err) {
+                assert.strictEqual(err && err.code, 'BadDigest');
+                
+                storage.listParts(upload.uploadId, function(err, listing) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(listing.parts, []);
+                    
+                    storage.abortUpload(upload.uploadId, function(err) {
+                        assert.ifError(err);
+                        assert.ok(!fs.existsSync(storage._uploadSessionPath(upload.uploadId)));
+                        done();
+                    });
+                });
+            });
+        });
+    },
+    
+    'refuses part data of the wrong type through the callback and the promise': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.initiateUpload({ fileName: 'a.txt' }, function(err, upload) {
+            assert.ifError(err);
+            
+            var inputs = [5, null, undefined, {}, { on: function() {} }, [1, 2]];
+            
+            (function next(i) {
+                if (i === inputs.length) {
+                    return storage.uploadPart(upload.uploadId, 1, 42).then(function() {
+                        done(new Error('resolved'));
+                    }, function(err) {
+                        assert.strictEqual(err.code, 'InvalidArgument');
+                        done();
+                    });
+                }
+                
+                storage.uploadPart(upload.uploadId, 1, inputs[i], function(err) {
+                    assert.strictEqual(err && err.code, 'InvalidArgument', 'input ' + i);
+                    next(i + 1);
+                });
+            })(0);
+        });
+    },
+    
+    'upload IDs that are Object.prototype members are unknown': function(done) {
+        var storage = helpers.createStorage();
+        
+        storage.uploadPart('constructor', 1, 'data', function(err) {
+            assert.ok(err && /not found/.test(err.message));
+            
+            storage.completeUpload('__proto__', function(err) {
+                assert.ok(err && /not found/.test(err.message));
+                
+                helpers.startStorage({}, function(err, server) {
+                    assert.ifError(err);
+                    
+                    helpers.request({ port: server.config.serverPort, method: 'PUT', path: '/uploads/constructor/parts/1', body: 'x' }, function(err, res) {
+                        assert.ifError(err);
+                        assert.strictEqual(res.statusCode, 404);
+                        server.stopServer(done);
+                    });
+                });
+            });
+        });
+    }
+};
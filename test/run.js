@@ -0,0 +1,95 @@
+/**
+ * Test Runner
+ * Runs every *.test.js file in this directory, or the files given on the
+ * command line, one test at a time. A test file exports its tests as
+ * { 'name': function(done) { ... } }; a test passes when it calls done()
+ * without an error before TEST_TIMEOUT, and fails when it throws, calls
+ * done(err) or leaves an exception uncaught.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var TEST_TIMEOUT = 15000;
+
+var files = process.argv.slice(2).map(function(file) {
+    return path.resolve(file);
+});
+
+if (files.length === 0) {
+    files = fs.readdirSync(__dirname).filter(function(file) {
+        return /\.test\.js$/.test(file);
+    }).sort().map(function(file) {
+        return path.join(__dirname, file);
+    });
+}
+
+var tests = [];
+
+files.forEach(function(file) {
+    var suite = require(file);
+    
+    Object.keys(suite).forEach(function(name) {
+        tests.push({ file: path.basename(file), name: name, fn: suite[name] });
+    });
+});
+
+var passed = 0;
+var failed = 0;
+var current = null;
+
+function report(test, err) {
+    if (err) {
+        failed++;
+        console.log('not ok - ' + test.file + ': ' + test.name);
+        console.log('    ' + String(err && err.stack || err).split('\n').join('\n    '));
+    } else {
+        passed++;
+        console.log('ok - ' + test.file + ': ' + test.name);
+    }
+}
+
+// Assertions in callbacks throw outside the test function; charge them to the running test
+process.on('uncaughtException', function(err) {
+    if (current) {
+        return current(err);
+    }
+    
+    console.error(err);
+    process.exit(1);
+});
+
+(function next(i) {
+    if (i >= tests.length) {
+        console.log('\n' + passed + ' passed, ' + failed + ' failed');
+        // Servers and sockets a failed test left open must not keep the run alive
+        return process.exit(failed > 0 ? 1 : 0);
+    }
+    
+    var test = tests[i];
+    var finished = false;
+    var timer;
+    
+    function done(err) {
+        if (finished) return;
+        finished = true;
+        current = null;
+        clearTimeout(timer);
+        report(test, err);
+        setImmediate(function() {
+            next(i + 1);
+        });
+    }
+    
+    timer = setTimeout(function() {
+        done(new Error('Timed out after ' + TEST_TIMEOUT + ' ms'));
+    }, TEST_TIMEOUT);
+    
+    current = done;
+    
+    try {
+        test.fn(done);
+    } catch (err) {
+        done(err);
+    }
+})(0);
@@ -0,0 +1,315 @@
+/**
+ * S3Backend driver against a local stub of an S3-compatible service. The
+ * stub keeps objects in memory, checks every request's Signature Version 4
+ * and pages listings two keys at a time.
+ */
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var stream = require('stream');
+var url = require('url');
+var helpers = require('./helpers');
+
+var S3Backend = helpers.CloudStorage.S3Backend;
+
+var ACCESS_KEY = 'test-access-key';
+var SECRET_KEY = 'test-secret-key';
+var REGION = 'eu-test-1';
+var BUCKET = 'remote-bucket';
+
+function encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Check a request's AWS Signature Version 4 the way the service would
+ */
+function validSignature(req) {
+    var auth = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    
+    if (!auth || auth[1] !== ACCESS_KEY || auth[3] !== REGION) {
+        return false;
+    }
+    
+    var parsed = url.parse(req.url, true);
+    var canonicalQuery = Object.keys(parsed.query).sort().map(function(name) {
+        return encode(name) + '=' + encode(parsed.query[name]);
+    }).join('&');
+    var signedHeaders = auth[4].split(';');
+    var canonicalRequest = [
+        req.method,
+        parsed.pathname,
+        canonicalQuery,
+        signedHeaders.map(function(name) {
+            return name + ':' + String(req.headers[name]).trim() + '\n';
+        }).join(''),
+        auth[4],
+        req.headers['x-amz-content-sha256']
+    ].join('\n');
+    var stringToSign = [
+        'AWS4-HMAC-SHA256',
+        req.headers['x-amz-date'],
+        auth[2] + '/' + REGION + '/s3/aws4_request',
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+    var key = [auth[2], REGION, 's3', 'aws4_request'].reduce(hmac, 'AWS4' + SECRET_KEY);
+    
+    return hmac(key, stringToSign).toString('hex') === auth[5];
+}
+
+/**
+ * Start the stub service
+ * @param {Function} callback - Callback function (err, stub); stub has
+ *   port, objects, requests, failNext (number of requests to answer 503) and close()
+ */
+function startStub(callback) {
+    var stub = { objects: {}, requests: [], failNext: 0 };
+    
+    var server = http.createServer(function(req, res) {
+        var parsed = url.parse(req.url, true);
+        var parts = parsed.pathname.split('/').slice(1);
+        var key = parts.slice(1).map(decodeURIComponent).join('/');
+        var chunks = [];
+        
+        stub.requests.push(req.method + ' ' + parsed.pathname);
+        
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        
+        req.on('end', function() {
+            function xmlError(status, code) {
+                res.writeHead(status, { 'Content-Type': 'application/xml' });
+                res.end('<?xml version="1.0"?><Error><Code>' + code + '</Code></Error>');
+            }
+            
+            if (!validSignature(req)) {
+                return xmlError(403, 'SignatureDoesNotMatch');
+            }
+            
+            if (parts[0] !== BUCKET) {
+                return xmlError(404, 'NoSuchBucket');
+            }
+            
+            if (stub.failNext > 0) {
+                stub.failNext--;
+                return xmlError(503, 'SlowDown');
+            }
+            
+            var object = stub.objects[key];
+            
+            if (req.method === 'PUT') {
+                stub.objects[key] = { data: Buffer.concat(chunks), mtime: new Date() };
+                res.writeHead(200);
+                return res.end();
+            }
+            
+            if (req.method === 'DELETE') {
+                delete stub.objects[key];
+                res.writeHead(204);
+                return res.end();
+            }
+            
+            if (req.method === 'GET' && key === '') {
+                var prefix = parsed.query.prefix || '';
+                var keys = Object.keys(stub.objects).filter(function(name) {
+                    return name.indexOf(prefix) === 0;
+                }).sort();
+                var start = parsed.query['continuation-token'] ? parseInt(parsed.query['continuation-token'], 10) : 0;
+                var page = keys.slice(start, start + 2);
+                var truncated = start + 2 < keys.length;
+                
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                return res.end('<?xml version="1.0"?><ListBucketResult>' +
+                    page.map(function(name) {
+                        return '<Contents><Key>' + name.replace(/&/g, '&amp;') + '</Key>' +
+                            '<LastModified>' + stub.objects[name].mtime.toISOString() + '</LastModified>' +
+                            '<Size>' + stub.objects[name].data.length + '</Size></Contents>';
+                    }).join('') +
+                    '<IsTruncated>' + truncated + '</IsTruncated>' +
+                    (truncated ? '<NextContinuationToken>' + (start + 2) + '</NextContinuationToken>' : '') +
+                    '</ListBucketResult>');
+            }
+            
+            if (!object) {
+                return xmlError(404, 'NoSuchKey');
+            }
+            
+            var data = object.data;
+            var range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+            var headers = { 'Content-Length': data.length, 'Last-Modified': object.mtime.toUTCString() };
+            var status = 200;
+            
+            if (range) {
+                data = data.slice(parseInt(range[1], 10), range[2] ? parseInt(range[2], 10) + 1 : data.length);
+                headers['Content-Length'] = data.length;
+                status = 206;
+            }
+            
+            res.writeHead(status, headers);
+            res.end(req.method === 'HEAD' ? undefined : data);
+        });
+    });
+    
+    server.listen(0, '127.0.0.1', function() {
+        stub.port = server.address().port;
+        stub.close = function(done) {
+            server.close(function() {
+                done();
+            });
+        };
+        callback(null, stub);
+    });
+}
+
+function createBackend(stub, options) {
+    return new S3Backend(Object.assign({
+        endpoint: 'http://127.0.0.1:' + stub.port,
+        region: REGION,
+        accessKey: ACCESS_KEY,
+        secretKey: SECRET_KEY,
+        bucket: BUCKET,
+        maxRetries: 2
+    }, options));
+}
+
+function source(text) {
+    var readable = new stream.PassThrough();
+    
+    readable.end(Buffer.from(text));
+    return readable;
+}
+
+module.exports = {
+    'signs requests and round-trips an object': function(done) {
+        startStub(function(err, stub) {
+            assert.ifError(err);
+            
+            var backend = createBackend(stub);
+            var key = 'blobs/ab/name with spaces+(1)';
+            
+            backend.put(key, source('remote data'), 11, function(err) {
+                assert.ifError(err);
+                assert.strictEqual(stub.objects[key].data.toString(), 'remote data');
+                
+                backend.stat(key, function(err, stats) {
+                    assert.ifError(err);
+                    assert.strictEqual(stats.size, 11);
+                    
+                    helpers.readAll(backend.createReadStream(key, { start: 7, end: 10 }), function(err, data) {
+                        assert.ifError(err);
+                        assert.strictEqual(data.toString(), 'data');
+                        
+                        backend.delete(key, function(err) {
+                            assert.ifError(err);
+                            assert.ok(!stub.objects[key]);
+                            stub.close(done);
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'maps missing objects to ENOENT and refused signatures to errors': function(done) {
+        startStub(function(err, stub) {
+            assert.ifError(err);
+            
+            createBackend(stub).stat('missing', function(err) {
+                assert.strictEqual(err.code, 'ENOENT');
+                
+                helpers.readAll(createBackend(stub, { secretKey: 'wrong' }).createReadStream('missing'), function(err) {
+                    assert.strictEqual(err.statusCode, 403);
+                    assert.ok(/SignatureDoesNotMatch/.test(err.message));
+                    stub.close(done);
+                });
+            });
+        });
+    },
+    
+    'follows continuation tokens when listing': function(done) {
+        startStub(function(err, stub) {
+            assert.ifError(err);
+            
+            ['p/1', 'p/2', 'p/3', 'p/4', 'p/5', 'q/1'].forEach(function(name) {
+                stub.objects[name] = { data: Buffer.from(name), mtime: new Date() };
+            });
+            
+            createBackend(stub).list('p/', function(err, entries) {
+                assert.ifError(err);
+                assert.deepStrictEqual(entries.map(function(entry) { return entry.key; }), ['p/1', 'p/2', 'p/3', 'p/4', 'p/5']);
+                assert.strictEqual(entries[0].size, 3);
+                assert.strictEqual(stub.requests.length, 3);
+                stub.close(done);
+            });
+        });
+    },
+    
+    'retries requests without a body on 5xx, up to maxRetries': function(done) {
+        startStub(function(err, stub) {
+            assert.ifError(err);
+            stub.objects.key = { data: Buffer.from('x'), mtime: new Date() };
+            stub.failNext = 2;
+            
+            var backend = createBackend(stub);
+            
+            backend.stat('key', function(err, stats) {
+                assert.ifError(err);
+                assert.strictEqual(stats.size, 1);
+                assert.strictEqual(stub.requests.length, 3);
+                
+                stub.failNext = 3;
+                
+                backend.stat('key', function(err) {
+                    assert.strictEqual(err.statusCode, 503);
+                    assert.strictEqual(stub.requests.length, 6);
+                    stub.close(done);
+                });
+            });
+        });
+    },
+    
+    'stores CloudStorage files through the s3 backend': function(done) {
+        startStub(function(err, stub) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage({
+                storageBackend: 's3',
+                endpoint: 'http://127.0.0.1:' + stub.port,
+                region: REGION,
+                apiKey: ACCESS_KEY,
+                apiSecret: SECRET_KEY,
+                remoteBucket: BUCKET
+            });
+            var filePath = path.join(helpers.tempDir(), 'report.txt');
+            
+            fs.writeFileSync(filePath, 'quarterly numbers');
+            
+            storage.upload(filePath, function(err, result) {
+                assert.ifError(err);
+                assert.ok(stub.objects['blobs/' + result.hash.slice(0, 2) + '/' + result.hash]);
+                
+                storage.getStats(function(err, stats) {
+                    assert.ifError(err);
+                    assert.strictEqual(stats.physicalSize, 17);
+                    
+                    helpers.readAll(storage.createReadStream(result.fileId), function(err, data) {
+                        assert.ifError(err);
+                        assert.strictEqual(data.toString(), 'quarterly numbers');
+                        stub.close(done);
+                    });
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * Server settings from flags and the environment, and what a server without
+ * credentials accepts
+ */
+
+var assert = require('assert');
+var path = require('path');
+var childProcess = require('child_process');
+var helpers = require('./helpers');
+
+var CloudStorage = helpers.CloudStorage;
+
+module.exports = {
+    'has no default credentials': function(done) {
+        var config = CloudStorage.loadServerConfig([], {});
+        
+        // Keep the instances below in their temporary directories
+        delete config.localStoragePath;
+        
+        assert.strictEqual(config.apiKey, undefined);
+        assert.strictEqual(config.apiSecret, undefined);
+        assert.strictEqual(helpers.createStorage(config).config.requireAuth, false);
+        
+        config = CloudStorage.loadServerConfig(['--api-key', 'key'], { CLOUD_STORAGE_API_SECRET: 'secret' });
+        
+        assert.strictEqual(config.apiKey, 'key');
+        assert.strictEqual(config.apiSecret, 'secret');
+        delete config.localStoragePath;
+        assert.strictEqual(helpers.createStorage(config).config.requireAuth, true);
+        done();
+    },
+    
+    'lets the CLI talk to a server without credentials': function(done) {
+        helpers.startStorage({}, function(err, storage) {
+            assert.ifError(err);
+            
+            storage.upload(__filename, { fileName: 'open.js' }, function(err) {
+                assert.ifError(err);
+                
+                var cli = path.join(__dirname, '..', 'cli.js');
+                var server = 'http://127.0.0.1:' + storage.config.serverPort;
+                
+                childProcess.execFile(process.execPath, [cli, 'ls', '--json', '--server', server],
+                    { env: { PATH: process.env.PATH }, timeout: 30000 }, function(err, stdout) {
+                        assert.ifError(err);
+                        assert.deepStrictEqual(JSON.parse(stdout).map(function(file) { return file.fileName; }), ['open.js']);
+                        storage.stopServer(done);
+                    });
+            });
+        });
+    }
+};
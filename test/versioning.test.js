@@ -0,0 +1,142 @@
+/**
+ * Object versions: overwrites, delete markers, restores and permanent
+ * version deletes, kept across a restart
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+/**
+ * Upload text under a file name
+ * @param {Function} callback - Callback function (err, fileInfo)
+ */
+function uploadText(storage, fileName, text, callback) {
+    var filePath = path.join(helpers.tempDir(), 'source.txt');
+    
+    fs.writeFileSync(filePath, text);
+    storage.upload(filePath, { fileName: fileName }, callback);
+}
+
+/**
+ * Read one version of a file as text
+ * @param {Function} callback - Callback function (err, text)
+ */
+function readVersion(storage, fileId, versionId, callback) {
+    var destination = path.join(helpers.tempDir(), 'out.txt');
+    
+    storage.download(fileId, destination, { versionId: versionId }, function(err) {
+        callback(err, err ? null : fs.readFileSync(destination, 'utf8'));
+    });
+}
+
+module.exports = {
+    'keeps older versions when a name is uploaded again': function(done) {
+        var storage = helpers.createStorage();
+        
+        uploadText(storage, 'doc.txt', 'first', function(err, first) {
+            assert.ifError(err);
+            
+            uploadText(storage, 'doc.txt', 'second', function(err, second) {
+                assert.ifError(err);
+                assert.strictEqual(second.fileId, first.fileId);
+                assert.notStrictEqual(second.versionId, first.versionId);
+                
+                storage.listVersions(first.fileId, function(err, result) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(result.versions.map(function(version) { return version.versionId; }),
+                        [second.versionId, first.versionId]);
+                    assert.deepStrictEqual(result.versions.map(function(version) { return version.isLatest; }), [true, false]);
+                    
+                    readVersion(storage, first.fileId, first.versionId, function(err, text) {
+                        assert.ifError(err);
+                        assert.strictEqual(text, 'first');
+                        
+                        readVersion(storage, first.fileId, undefined, function(err, text) {
+                            assert.ifError(err);
+                            assert.strictEqual(text, 'second');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'hides deleted files behind a marker and restores a version': function(done) {
+        var storage = helpers.createStorage();
+        
+        uploadText(storage, 'doc.txt', 'first', function(err, first) {
+            assert.ifError(err);
+            
+            storage.delete(first.fileId, function(err, deleted) {
+                assert.ifError(err);
+                assert.strictEqual(deleted.deleteMarker, true);
+                
+                storage.getFileInfo(first.fileId, function(err) {
+                    assert.strictEqual(err.message, 'File not found');
+                    
+                    storage.restoreVersion(first.fileId, deleted.versionId, function(err) {
+                        assert.strictEqual(err.message, 'Cannot restore a delete marker');
+                        
+                        storage.restoreVersion(first.fileId, first.versionId, function(err, restored) {
+                            assert.ifError(err);
+                            assert.strictEqual(restored.restoredFrom, first.versionId);
+                            
+                            storage._saveIndex(function(err) {
+                                assert.ifError(err);
+                                
+                                // A fresh instance reads the same history from disk
+                                var reopened = helpers.createStorage({
+                                    localStoragePath: storage.localStoragePath,
+                                    uploadDir: storage.uploadDir
+                                });
+                                
+                                reopened.listVersions(first.fileId, function(err, result) {
+                                    assert.ifError(err);
+                                    assert.deepStrictEqual(result.versions.map(function(version) { return version.versionId; }),
+                                        [restored.versionId, deleted.versionId, first.versionId]);
+                                    assert.strictEqual(result.versions[1].isDeleteMarker, true);
+                                    
+                                    readVersion(reopened, first.fileId, undefined, function(err, text) {
+                                        assert.ifError(err);
+                                        assert.strictEqual(text, 'first');
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'removing the current version permanently makes the previous one current': function(done) {
+        var storage = helpers.createStorage();
+        
+        uploadText(storage, 'doc.txt', 'first', function(err, first) {
+            assert.ifError(err);
+            
+            uploadText(storage, 'doc.txt', 'second', function(err, second) {
+                assert.ifError(err);
+                
+                storage.delete(first.fileId, { versionId: second.versionId }, function(err, deleted) {
+                    assert.ifError(err);
+                    assert.strictEqual(deleted.deleteMarker, false);
+                    
+                    storage.getFileInfo(first.fileId, function(err, info) {
+                        assert.ifError(err);
+                        assert.strictEqual(info.versionId, first.versionId);
+                        
+                        storage.delete(first.fileId, { versionId: second.versionId }, function(err) {
+                            assert.strictEqual(err.message, 'Version not found');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    }
+};
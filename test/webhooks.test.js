@@ -0,0 +1,269 @@
+/**
+ * Webhook delivery, signatures, retries and the dead-letter queue against
+ * a local HTTP receiver
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var helpers = require('./helpers');
+
+var CloudStorage = helpers.CloudStorage;
+
+/**
+ * Start a receiver that answers with the given statuses in turn, then 204
+ * @param {Array} statuses - Status codes of the first answers
+ * @param {Function} callback - Callback function (err, receiver); receiver
+ *   has url, received ([{ headers, body }]) and close()
+ */
+function startReceiver(statuses, callback) {
+    var receiver = { received: [] };
+    
+    var server = http.createServer(function(req, res) {
+        var chunks = [];
+        
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        
+        req.on('end', function() {
+            receiver.received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 204);
+            res.end();
+        });
+    });
+    
+    server.listen(0, '127.0.0.1', function() {
+        receiver.url = 'http://127.0.0.1:' + server.address().port + '/hooks';
+        receiver.close = function(done) {
+            server.close(function() {
+                done();
+            });
+        };
+        callback(null, receiver);
+    });
+}
+
+/**
+ * Upload a small file and wait for the resulting webhook delivery to finish
+ * @param {Function} callback - Callback function (err, result, delivery)
+ */
+function uploadAndWait(storage, fileName, callback) {
+    var filePath = path.join(helpers.tempDir(), path.basename(fileName));
+    var result;
+    
+    fs.writeFileSync(filePath, 'webhook test');
+    
+    storage.once('webhookDelivery', function(delivery) {
+        callback(null, result, delivery);
+    });
+    
+    storage.upload(filePath, { fileName: fileName }, function(err, uploaded) {
+        assert.ifError(err);
+        result = uploaded;
+    });
+}
+
+module.exports = {
+    'delivers signed events that verifyWebhook accepts': function(done) {
+        startReceiver([], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage();
+            
+            storage.createWebhook({ url: receiver.url, events: ['upload'], secret: 'shared-secret' }, function(err, webhook) {
+                assert.ifError(err);
+                
+                uploadAndWait(storage, 'a.txt', function(err, result, delivery) {
+                    assert.strictEqual(delivery.status, 'delivered');
+                    assert.strictEqual(delivery.attempts, 1);
+                    assert.strictEqual(receiver.received.length, 1);
+                    
+                    var message = receiver.received[0];
+                    var payload = JSON.parse(message.body);
+                    
+                    assert.strictEqual(message.headers['x-webhook-event'], 'upload');
+                    assert.strictEqual(message.headers['x-webhook-id'], payload.id);
+                    assert.strictEqual(payload.webhookId, webhook.id);
+                    assert.strictEqual(payload.file.fileId, result.fileId);
+                    assert.strictEqual(message.headers['x-webhook-signature'],
+                        CloudStorage.signWebhook('shared-secret', message.headers['x-webhook-timestamp'], message.body));
+                    
+                    assert.ok(CloudStorage.verifyWebhook('shared-secret', message.headers, message.body));
+                    assert.ok(!CloudStorage.verifyWebhook('other-secret', message.headers, message.body));
+                    assert.ok(!CloudStorage.verifyWebhook('shared-secret', message.headers, message.body.replace('a.txt', 'b.txt')));
+                    assert.ok(!CloudStorage.verifyWebhook('shared-secret', {}, message.body));
+                    receiver.close(done);
+                });
+            });
+        });
+    },
+    
+    'filters events by prefix': function(done) {
+        startReceiver([], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage();
+            var delivered = [];
+            
+            storage.on('webhookDelivery', function(delivery) {
+                delivered.push(delivery);
+            });
+            
+            storage.createWebhook({ url: receiver.url, prefix: 'exports/' }, function(err) {
+                assert.ifError(err);
+                
+                storage.upload(__filename, { fileName: 'other/skip.js' }, function(err) {
+                    assert.ifError(err);
+                    
+                    uploadAndWait(storage, 'exports/keep.txt', function() {
+                        assert.strictEqual(delivered.length, 1);
+                        assert.strictEqual(JSON.parse(receiver.received[0].body).file.fileName, 'exports/keep.txt');
+                        receiver.close(done);
+                    });
+                });
+            });
+        });
+    },
+    
+    'retries failed deliveries with backoff': function(done) {
+        startReceiver([500, 503], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage({ maxRetries: 3, webhookRetryDelay: 20 });
+            var started = Date.now();
+            
+            storage.createWebhook({ url: receiver.url }, function(err) {
+                assert.ifError(err);
+                
+                uploadAndWait(storage, 'retry.txt', function(err, result, delivery) {
+                    assert.strictEqual(delivery.status, 'delivered');
+                    assert.strictEqual(delivery.attempts, 3);
+                    assert.strictEqual(receiver.received.length, 3);
+                    // 20 ms, then 40 ms
+                    assert.ok(Date.now() - started >= 60);
+                    // Every attempt is the same delivery
+                    assert.strictEqual(receiver.received[2].headers['x-webhook-id'], receiver.received[0].headers['x-webhook-id']);
+                    
+                    storage.listDeadLetters(function(err, result) {
+                        assert.ifError(err);
+                        assert.strictEqual(result.count, 0);
+                        receiver.close(done);
+                    });
+                });
+            });
+        });
+    },
+    
+    'dead-letters deliveries that fail every attempt and retries them on request': function(done) {
+        startReceiver([500, 500, 500], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage({ maxRetries: 2, webhookRetryDelay: 10 });
+            
+            storage.createWebhook({ url: receiver.url }, function(err) {
+                assert.ifError(err);
+                
+                uploadAndWait(storage, 'dead.txt', function(err, result, delivery) {
+                    assert.strictEqual(delivery.status, 'failed');
+                    assert.strictEqual(delivery.attempts, 3);
+                    assert.strictEqual(delivery.statusCode, 500);
+                    
+                    storage.listDeadLetters(function(err, result) {
+                        assert.ifError(err);
+                        assert.strictEqual(result.count, 1);
+                        assert.strictEqual(result.deadLetters[0].deliveryId, delivery.deliveryId);
+                        
+                        storage.once('webhookDelivery', function(retried) {
+                            assert.strictEqual(retried.status, 'delivered');
+                            assert.strictEqual(receiver.received.length, 4);
+                            
+                            storage.listWebhookDeliveries(function(err, log) {
+                                assert.ifError(err);
+                                assert.deepStrictEqual(log.deliveries.map(function(entry) { return entry.status; }), ['delivered', 'failed']);
+                                receiver.close(done);
+                            });
+                        });
+                        
+                        storage.retryDeadLetter(delivery.deliveryId, function(err) {
+                            assert.ifError(err);
+                        });
+                    });
+                });
+            });
+        });
+    },
+    
+    'writes the delivery log once for a burst of deliveries': function(done) {
+        startReceiver([], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage();
+            var writes = 0;
+            var writeFileAtomic = storage._writeFileAtomic;
+            
+            storage._writeFileAtomic = function(filePath) {
+                if (filePath === storage.webhooksPath) writes++;
+                return writeFileAtomic.apply(this, arguments);
+            };
+            
+            storage.createWebhook({ url: receiver.url, events: ['upload'] }, function(err) {
+                assert.ifError(err);
+                
+                var pending = 5;
+                
+                storage.on('webhookDelivery', function() {
+                    if (--pending > 0) return;
+                    
+                    // One write for the subscription; the log waits to be batched
+                    assert.strictEqual(writes, 1);
+                    
+                    setTimeout(function() {
+                        assert.strictEqual(writes, 2);
+                        
+                        var saved = JSON.parse(fs.readFileSync(storage.webhooksPath, 'utf8'));
+                        
+                        assert.strictEqual(saved.deliveries.length, 5);
+                        receiver.close(done);
+                    }, 1300);
+                });
+                
+                for (var i = 0; i < 5; i++) {
+                    var filePath = path.join(helpers.tempDir(), 'burst.txt');
+                    
+                    fs.writeFileSync(filePath, 'burst ' + i);
+                    storage.upload(filePath, { fileName: 'burst-' + i + '.txt' }, assert.ifError);
+                }
+            });
+        });
+    },
+    
+    'keeps the dead-letter queue to its newest 1000 entries': function(done) {
+        startReceiver([500, 500], function(err, receiver) {
+            assert.ifError(err);
+            
+            var storage = helpers.createStorage({ maxRetries: 1, webhookRetryDelay: 10 });
+            
+            for (var i = 0; i < 1000; i++) {
+                storage.deadLetters.push({ deliveryId: 'old-' + i });
+            }
+            
+            storage.createWebhook({ url: receiver.url }, function(err) {
+                assert.ifError(err);
+                
+                uploadAndWait(storage, 'overflow.txt', function(err, result, delivery) {
+                    assert.strictEqual(delivery.status, 'failed');
+                    
+                    storage.listDeadLetters(function(err, result) {
+                        assert.ifError(err);
+                        assert.strictEqual(result.count, 1000);
+                        assert.strictEqual(result.deadLetters[0].deliveryId, 'old-1');
+                        assert.strictEqual(result.deadLetters[999].deliveryId, delivery.deliveryId);
+                        receiver.close(done);
+                    });
+                });
+            });
+        });
+    }
+};